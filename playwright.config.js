@@ -25,6 +25,139 @@ module.exports = defineConfig({
         // Unit tests don't need browser context
       },
     },
+    {
+      name: 'symbol-directory-tests',
+      testMatch: '**/symbol-directory.spec.js',
+      use: {
+        // Symbol directory loading and ticker validation tests
+      },
+    },
+    {
+      name: 'company-names-tests',
+      testMatch: '**/company-names.spec.js',
+      use: {
+        // Company name dictionary and resolution tests
+      },
+    },
+    {
+      name: 'command-tests',
+      testMatch: '**/commands.spec.js',
+      use: {
+        // Slash command registration, routing and execution tests
+      },
+    },
+    {
+      name: 'message-event-tests',
+      testMatch: '**/message-events.spec.js',
+      use: {
+        // Message edit and delete handling tests
+      },
+    },
+    {
+      name: 'channel-profile-tests',
+      testMatch: '**/channel-profiles.spec.js',
+      use: {
+        // Per-channel detection and delivery profile tests
+      },
+    },
+    {
+      name: 'ticker-menu-tests',
+      testMatch: '**/ticker-menus.spec.js',
+      use: {
+        // Select menus for messages with many tickers
+      },
+    },
+    {
+      name: 'chart-grid-tests',
+      testMatch: '**/chart-grid.spec.js',
+      use: {
+        // "📊 All" chart grid layout and interaction tests
+      },
+    },
+    {
+      name: 'reaction-tests',
+      testMatch: '**/reactions.spec.js',
+      use: {
+        // Reaction-triggered chart DM tests
+      },
+    },
+    {
+      name: 'timeframe-tests',
+      testMatch: '**/timeframes.spec.js',
+      use: {
+        // Chart timeframe fetching and switcher button tests
+      },
+    },
+    {
+      name: 'intraday-tests',
+      testMatch: '**/intraday.spec.js',
+      use: {
+        // Intraday intervals, cache TTL and session axis tests
+      },
+    },
+    {
+      name: 'indicator-tests',
+      testMatch: '**/indicators.spec.js',
+      use: {
+        // Indicator math, chart panels, toggle buttons and chart defaults tests
+      },
+    },
+    {
+      name: 'volume-tests',
+      testMatch: '**/volume.spec.js',
+      use: {
+        // Volume panel, relative volume and per-guild volume setting tests
+      },
+    },
+    {
+      name: 'chart-type-tests',
+      testMatch: '**/chart-types.spec.js',
+      use: {
+        // Chart type, Heikin-Ashi and log scale tests
+      },
+    },
+    {
+      name: 'share-tests',
+      testMatch: '**/share.spec.js',
+      use: {
+        // Share button tests
+      },
+    },
+    {
+      name: 'chart-command-tests',
+      testMatch: '**/chart-command.spec.js',
+      use: {
+        // /chart command, ticker autocomplete and command chart tests
+      },
+    },
+    {
+      name: 'quote-tests',
+      testMatch: '**/quotes.spec.js',
+      use: {
+        // /quote command, quote providers and Quote button tests
+      },
+    },
+    {
+      name: 'message-command-tests',
+      testMatch: '**/message-command.spec.js',
+      use: {
+        // "Chart tickers in this message" context-menu command tests
+      },
+    },
+    {
+      name: 'compare-tests',
+      testMatch: '**/compare.spec.js',
+      use: {
+        // Relative performance rebasing, comparison chart and /compare command tests
+      },
+    },
+    {
+      name: 'watchlist-tests',
+      testMatch: '**/watchlists.spec.js',
+      use: {
+        // Watchlist storage, sparklines, /watchlist command and Watch button tests
+      },
+    },
     {
       name: 'integration-tests',
       testMatch: '**/bot-integration.spec.js',
@@ -0,0 +1,184 @@
+/**
+ * /channelprofile command - Manage per-channel detection and delivery profiles
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ChannelType } = require('discord.js');
+const { DETECTION_MODES } = require('../utils/ticker-detector');
+const { DELIVERY_MODES } = require('../services/guildSettingsService');
+const { joinForField } = require('../utils/embed-format');
+
+// Channels a profile can be set on (threads can have their own or inherit their parent's)
+const PROFILE_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.PublicThread,
+    ChannelType.PrivateThread,
+    ChannelType.AnnouncementThread
+];
+
+const DELIVERY_DESCRIPTIONS = {
+    [DELIVERY_MODES.BUTTONS]: 'Ticker buttons (charts sent privately)',
+    [DELIVERY_MODES.INLINE]: 'Charts posted in the channel',
+    [DELIVERY_MODES.NONE]: 'No reply'
+};
+
+/**
+ * Add the profile setting options shared by the `set` and `default` subcommands
+ */
+function addProfileOptions(subcommand) {
+    return subcommand
+        .addStringOption(option => option
+            .setName('detection')
+            .setDescription('Turn ticker detection on or off')
+            .addChoices(
+                { name: 'on', value: 'on' },
+                { name: 'off', value: 'off' }
+            ))
+        .addStringOption(option => option
+            .setName('strictness')
+            .setDescription('Which mentions count as tickers')
+            .addChoices(...Object.values(DETECTION_MODES).map(mode => ({ name: mode, value: mode }))))
+        .addStringOption(option => option
+            .setName('delivery')
+            .setDescription('How detected tickers are delivered')
+            .addChoices(...Object.values(DELIVERY_MODES).map(mode => ({ name: mode, value: mode }))))
+        .addStringOption(option => option
+            .setName('volume')
+            .setDescription('Show volume bars and relative volume on charts')
+            .addChoices(
+                { name: 'on', value: 'on' },
+                { name: 'off', value: 'off' }
+            ));
+}
+
+class ChannelProfileCommand {
+    constructor(guildSettingsService) {
+        this.guildSettingsService = guildSettingsService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('channelprofile')
+            .setDescription('Control ticker detection and replies per channel')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .setDMPermission(false)
+            .addSubcommand(subcommand => addProfileOptions(subcommand
+                .setName('set')
+                .setDescription('Override detection and delivery for a channel')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to configure (default: this channel)')
+                    .addChannelTypes(...PROFILE_CHANNEL_TYPES))))
+            .addSubcommand(subcommand => addProfileOptions(subcommand
+                .setName('default')
+                .setDescription('Set the server-wide defaults for channels without a profile')))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Remove a channel\'s profile so it follows the server defaults')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to reset (default: this channel)')
+                    .addChannelTypes(...PROFILE_CHANNEL_TYPES)))
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the effective profile of a channel and all channel overrides')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel to show (default: this channel)')
+                    .addChannelTypes(...PROFILE_CHANNEL_TYPES)));
+    }
+
+    /**
+     * Read the profile settings given to `set` or `default`
+     */
+    getProfileUpdates(interaction) {
+        const detection = interaction.options.getString('detection');
+        const volume = interaction.options.getString('volume');
+        const updates = {
+            detectionEnabled: detection ? detection === 'on' : undefined,
+            detectionMode: interaction.options.getString('strictness') || undefined,
+            delivery: interaction.options.getString('delivery') || undefined,
+            volume: volume ? volume === 'on' : undefined
+        };
+
+        if (Object.values(updates).every(value => value === undefined)) {
+            throw new Error('Choose at least one of detection, strictness, delivery or volume');
+        }
+
+        return updates;
+    }
+
+    /**
+     * Describe stored profile fields ("detection off, delivery inline")
+     */
+    describeProfile(profile) {
+        const parts = [];
+        if (typeof profile.detectionEnabled === 'boolean') {
+            parts.push(`detection ${profile.detectionEnabled ? 'on' : 'off'}`);
+        }
+        if (profile.detectionMode) {
+            parts.push(`strictness ${profile.detectionMode}`);
+        }
+        if (profile.delivery) {
+            parts.push(`delivery ${profile.delivery}`);
+        }
+        if (typeof profile.volume === 'boolean') {
+            parts.push(`volume ${profile.volume ? 'on' : 'off'}`);
+        }
+        return parts.join(', ') || 'no overrides';
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        let content;
+
+        switch (subcommand) {
+            case 'set': {
+                const profile = this.guildSettingsService.setChannelProfile(guildId, channel.id, this.getProfileUpdates(interaction));
+                content = `⚙️ <#${channel.id}> now uses: ${this.describeProfile(profile)}.`;
+                break;
+            }
+            case 'default': {
+                const profile = this.guildSettingsService.setChannelProfile(guildId, null, this.getProfileUpdates(interaction));
+                content = `⚙️ Server defaults are now: ${this.describeProfile(profile)}.`;
+                break;
+            }
+            case 'reset': {
+                content = this.guildSettingsService.resetChannelProfile(guildId, channel.id) ?
+                    `🗑️ <#${channel.id}> now follows the server defaults.` :
+                    `<#${channel.id}> has no profile.`;
+                break;
+            }
+            case 'show': {
+                const parentId = channel.isThread?.() ? channel.parentId : null;
+                const profile = this.guildSettingsService.getChannelProfile(guildId, channel.id, parentId);
+                const overrides = Object.entries(this.guildSettingsService.getChannelProfiles(guildId))
+                    .map(([channelId, stored]) => `<#${channelId}>: ${this.describeProfile(stored)}`);
+
+                const embed = new EmbedBuilder()
+                    .setTitle('Channel Profile')
+                    .setColor(0x5865f2)
+                    .setDescription(`<#${channel.id}>${parentId ? ` (inherits from <#${parentId}>)` : ''}`)
+                    .addFields(
+                        { name: 'Detection', value: profile.detectionEnabled ? 'On' : 'Off', inline: true },
+                        { name: 'Strictness', value: profile.detectionMode, inline: true },
+                        { name: 'Delivery', value: DELIVERY_DESCRIPTIONS[profile.delivery], inline: true },
+                        { name: 'Volume', value: profile.volume ? 'On' : 'Off', inline: true },
+                        { name: 'Channel Overrides', value: joinForField(overrides, '\n') || 'None' }
+                    );
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+            default:
+                content = `Unknown subcommand: ${subcommand}`;
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+module.exports = ChannelProfileCommand;
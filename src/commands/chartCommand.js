@@ -0,0 +1,152 @@
+/**
+ * /chart command - Chart a ticker without posting it in chat first
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { resolveTickerInput } = require('../utils/ticker-detector');
+const { getInstrumentLabel } = require('../utils/instrument');
+const { getTimeframe, getTimeframeIds, getIntradayIntervalIds, resolveInterval, DEFAULT_TIMEFRAME } = require('../utils/timeframe');
+const { getIndicator, normalizeIndicators, INDICATOR_IDS } = require('../utils/indicators');
+const { getChartType, getChartTypeIds } = require('../utils/chart-type');
+const CONFIG = require('../constants/config');
+
+// Discord limits choice names to 100 characters
+const MAX_CHOICE_NAME_LENGTH = 100;
+
+class ChartCommand {
+    /**
+     * @param {Object} chartHandler - Renders and sends the chart (InteractionHandler#replyWithChart)
+     * @param {Object} symbolDirectoryService - Listings used for ticker suggestions
+     * @param {Object} companyNameService - Company names (with the guild's own) typed instead of tickers
+     */
+    constructor(chartHandler, symbolDirectoryService = null, companyNameService = null) {
+        this.chartHandler = chartHandler;
+        this.symbolDirectoryService = symbolDirectoryService;
+        this.companyNameService = companyNameService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('chart')
+            .setDescription('Chart a stock, crypto pair, index or option')
+            .setDMPermission(false)
+            .addStringOption(option => option
+                .setName('ticker')
+                .setDescription('Ticker or company name (AAPL, BTC-USD, SPX)')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('timeframe')
+                .setDescription(`Timeframe (default ${DEFAULT_TIMEFRAME})`)
+                .addChoices(...getTimeframeIds().map(id => ({ name: id, value: id }))))
+            .addStringOption(option => option
+                .setName('interval')
+                .setDescription('Bar interval for the 1D and 5D timeframes (default: 5m for 1D, 30m for 5D)')
+                .addChoices(...getIntradayIntervalIds().map(id => ({ name: id, value: id }))))
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Chart type (default: your chart defaults)')
+                .addChoices(...getChartTypeIds().map(id => ({ name: getChartType(id).label, value: id }))))
+            .addStringOption(option => option
+                .setName('indicators')
+                .setDescription(`Indicators to draw, e.g. "sma rsi" or "none" (${INDICATOR_IDS.join(', ')})`))
+            .addBooleanOption(option => option
+                .setName('public')
+                .setDescription('Post the chart for everyone in the channel (default: only you see it)'));
+    }
+
+    /**
+     * Resolve typed text to instrument keys, best match first (see resolveTickerInput)
+     * @param {string} value - Typed ticker or company name
+     * @param {string|null} guildId - Guild whose company names apply
+     * @returns {Array<string>} Instrument keys
+     */
+    resolveTickers(value, guildId = null) {
+        return resolveTickerInput(value, {
+            symbolDirectory: this.symbolDirectoryService,
+            companyDictionary: this.companyNameService?.getDictionary(guildId)
+        });
+    }
+
+    /**
+     * Parse the indicators option ("sma rsi", "bb,macd", "none")
+     * @param {string|null} value - Option value
+     * @returns {Array<string>|undefined} Indicator IDs, or undefined when not given
+     */
+    parseIndicators(value) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+
+        const ids = value.toLowerCase().split(/[\s,+]+/).filter(id => id && id !== 'none');
+        const unknown = ids.filter(id => !getIndicator(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown indicator: ${unknown.join(', ')} (choose from ${INDICATOR_IDS.join(', ')})`);
+        }
+
+        return normalizeIndicators(ids);
+    }
+
+    /**
+     * Check the interval option against the timeframe
+     * @param {string} timeframeId - Timeframe to chart
+     * @param {string|null} intervalId - Interval option
+     * @returns {string|null} Interval to fetch, or null for the timeframe's own
+     */
+    parseInterval(timeframeId, intervalId) {
+        if (!intervalId) {
+            return null;
+        }
+
+        const timeframe = getTimeframe(timeframeId);
+        return resolveInterval(timeframe, intervalId) !== timeframe.interval ? intervalId : null;
+    }
+
+    /**
+     * Describe an instrument key for a suggestion ("AAPL · Apple Inc. - Common Stock", "🪙 BTC-USD")
+     */
+    describeTicker(key) {
+        const entry = this.symbolDirectoryService?.getSymbol(key);
+        const name = entry && entry.name ? `${key} · ${entry.name}` : getInstrumentLabel(key);
+        return name.slice(0, MAX_CHOICE_NAME_LENGTH);
+    }
+
+    /**
+     * Suggest tickers while the user types: what the text resolves to, then listed symbols and names
+     */
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const listed = this.symbolDirectoryService ?
+            this.symbolDirectoryService.search(query, CONFIG.DISCORD.MAX_AUTOCOMPLETE_CHOICES).map(entry => entry.symbol) :
+            [];
+        const keys = [...new Set([...this.resolveTickers(query, interaction.guildId), ...listed])]
+            .slice(0, CONFIG.DISCORD.MAX_AUTOCOMPLETE_CHOICES);
+
+        await interaction.respond(keys.map(key => ({ name: this.describeTicker(key), value: key })));
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const value = interaction.options.getString('ticker');
+        // A company name typed without picking a suggestion charts its best listing match
+        const [ticker] = [
+            ...this.resolveTickers(value, interaction.guildId),
+            ...(this.symbolDirectoryService ? this.symbolDirectoryService.search(value, 1).map(entry => entry.symbol) : [])
+        ];
+        if (!ticker) {
+            throw new Error(`Unknown ticker: ${value}`);
+        }
+
+        const timeframeId = interaction.options.getString('timeframe') || DEFAULT_TIMEFRAME;
+        const style = {
+            intervalId: this.parseInterval(timeframeId, interaction.options.getString('interval')),
+            indicators: this.parseIndicators(interaction.options.getString('indicators')),
+            chartType: interaction.options.getString('type') ?? undefined
+        };
+        const isPublic = interaction.options.getBoolean('public') === true;
+
+        await this.chartHandler.replyWithChart(interaction, ticker, timeframeId, style, !isPublic);
+    }
+}
+
+module.exports = ChartCommand;
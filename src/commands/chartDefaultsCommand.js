@@ -0,0 +1,122 @@
+/**
+ * /chartdefaults command - Manage a user's own chart defaults
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getIndicator, normalizeIndicators, INDICATOR_IDS } = require('../utils/indicators');
+const { getChartType, getChartTypeIds } = require('../utils/chart-type');
+
+class ChartDefaultsCommand {
+    constructor(userPreferencesService) {
+        this.userPreferencesService = userPreferencesService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('chartdefaults')
+            .setDescription('Choose what your charts show by default')
+            .addSubcommand(subcommand => {
+                subcommand
+                    .setName('indicators')
+                    .setDescription('Turn indicators on or off for the charts you open');
+                INDICATOR_IDS.forEach(id => subcommand.addBooleanOption(option => option
+                    .setName(id)
+                    .setDescription(`Show ${getIndicator(id).label}`)));
+                return subcommand;
+            })
+            .addSubcommand(subcommand => subcommand
+                .setName('style')
+                .setDescription('Choose how prices are drawn on the charts you open')
+                .addStringOption(option => option
+                    .setName('type')
+                    .setDescription('Chart type')
+                    .addChoices(...getChartTypeIds().map(id => ({ name: getChartType(id).label, value: id }))))
+                .addBooleanOption(option => option
+                    .setName('log')
+                    .setDescription('Use a logarithmic price axis')))
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show your chart defaults'))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Go back to plain candlestick charts'));
+    }
+
+    /**
+     * Describe enabled indicators ("SMA, RSI")
+     */
+    describeIndicators(indicators) {
+        return indicators.map(id => getIndicator(id).label).join(', ') || 'none';
+    }
+
+    /**
+     * Describe the chart style ("Line, log scale")
+     */
+    describeStyle(preferences) {
+        return `${getChartType(preferences.chartType).label}${preferences.logScale ? ', log scale' : ''}`;
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+        let content;
+
+        switch (subcommand) {
+            case 'indicators': {
+                // Indicators not given keep their current setting
+                const current = new Set(this.userPreferencesService.getPreferences(userId).indicators);
+                const changes = INDICATOR_IDS
+                    .map(id => [id, interaction.options.getBoolean(id)])
+                    .filter(([, enabled]) => enabled !== null);
+
+                if (changes.length === 0) {
+                    throw new Error('Choose at least one indicator to turn on or off');
+                }
+
+                changes.forEach(([id, enabled]) => enabled ? current.add(id) : current.delete(id));
+                const preferences = this.userPreferencesService.setPreferences(userId, { indicators: normalizeIndicators([...current]) });
+                content = `📈 Your charts now open with indicators: ${this.describeIndicators(preferences.indicators)}.`;
+                break;
+            }
+            case 'style': {
+                const updates = {
+                    chartType: interaction.options.getString('type') ?? undefined,
+                    logScale: interaction.options.getBoolean('log') ?? undefined
+                };
+
+                if (Object.values(updates).every(value => value === undefined)) {
+                    throw new Error('Choose a chart type or log scale');
+                }
+
+                const preferences = this.userPreferencesService.setPreferences(userId, updates);
+                content = `📈 Your charts now open as: ${this.describeStyle(preferences)}.`;
+                break;
+            }
+            case 'reset': {
+                content = this.userPreferencesService.resetPreferences(userId) ?
+                    '🗑️ Your chart defaults were reset.' :
+                    'You have no chart defaults.';
+                break;
+            }
+            case 'show': {
+                const preferences = this.userPreferencesService.getPreferences(userId);
+                const embed = new EmbedBuilder()
+                    .setTitle('Chart Defaults')
+                    .setColor(0x5865f2)
+                    .addFields(
+                        { name: 'Indicators', value: this.describeIndicators(preferences.indicators) },
+                        { name: 'Style', value: this.describeStyle(preferences) }
+                    );
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+            default:
+                content = `Unknown subcommand: ${subcommand}`;
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+module.exports = ChartDefaultsCommand;
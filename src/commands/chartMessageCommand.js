@@ -0,0 +1,47 @@
+/**
+ * "Chart tickers in this message" - Message context-menu command offering the tickers of any message,
+ * for channels where the bot does not reply to messages on its own
+ */
+
+const { ContextMenuCommandBuilder, ApplicationCommandType } = require('discord.js');
+const { DEFAULT_TIMEFRAME } = require('../utils/timeframe');
+
+class ChartMessageCommand {
+    /**
+     * @param {Object} messageHandler - Detects tickers and builds ticker buttons (MessageHandler)
+     * @param {Object} chartHandler - Renders and sends the chart (InteractionHandler#replyWithChart)
+     */
+    constructor(messageHandler, chartHandler) {
+        this.messageHandler = messageHandler;
+        this.chartHandler = chartHandler;
+
+        this.data = new ContextMenuCommandBuilder()
+            .setName('Chart tickers in this message')
+            .setType(ApplicationCommandType.Message)
+            .setDMPermission(false);
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        // Detection follows the channel's mode and word lists, even where detection is turned off
+        const tickers = this.messageHandler.detectTickers(interaction.targetMessage);
+        if (tickers.length === 0) {
+            throw new Error('No tickers found in this message');
+        }
+
+        if (tickers.length === 1) {
+            await this.chartHandler.replyWithChart(interaction, tickers[0], DEFAULT_TIMEFRAME);
+            return;
+        }
+
+        // The buttons work like the ones under messages (stock_ buttons, ticker menus and "📊 All")
+        await interaction.reply({
+            components: this.messageHandler.createTickerComponents(tickers),
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = ChartMessageCommand;
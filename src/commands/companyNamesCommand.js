@@ -0,0 +1,94 @@
+/**
+ * /companynames command - Manage the guild's own company names
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { parseInstrumentKey } = require('../utils/instrument');
+const { joinForField } = require('../utils/embed-format');
+const CONFIG = require('../constants/config');
+
+class CompanyNamesCommand {
+    constructor(companyNameService) {
+        this.companyNameService = companyNameService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('companynames')
+            .setDescription('Manage which company names are detected as tickers in this server')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .setDMPermission(false)
+            .addSubcommand(subcommand => subcommand
+                .setName('add')
+                .setDescription('Detect a company name as a ticker (e.g. Shufersal → SAE.TA)')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Company name as people write it')
+                    .setRequired(true)
+                    .setMaxLength(CONFIG.COMPANY_NAMES.MAX_NAME_LENGTH))
+                .addStringOption(option => option
+                    .setName('ticker')
+                    .setDescription('Ticker the name stands for')
+                    .setRequired(true)
+                    .setMaxLength(32)))
+            .addSubcommand(subcommand => subcommand
+                .setName('remove')
+                .setDescription('Remove a company name this server added')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Company name to remove')
+                    .setRequired(true)
+                    .setMaxLength(CONFIG.COMPANY_NAMES.MAX_NAME_LENGTH)))
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('Show the company names this server added'));
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const name = interaction.options.getString('name');
+        let content;
+
+        switch (subcommand) {
+            case 'add': {
+                const key = this.companyNameService.addGuildName(guildId, name, interaction.options.getString('ticker'));
+                content = `✅ **${name.trim()}** will now be detected as **${formatKey(key)}**.`;
+                break;
+            }
+            case 'remove': {
+                content = this.companyNameService.removeGuildName(guildId, name) ?
+                    `🗑️ **${name.trim()}** removed from this server's company names.` :
+                    `**${name.trim()}** is not one of this server's company names.`;
+                break;
+            }
+            case 'list': {
+                const entries = Object.entries(this.companyNameService.getGuildNames(guildId))
+                    .map(([entry, key]) => `${entry} → ${formatKey(key)}`);
+                const embed = new EmbedBuilder()
+                    .setTitle('Company Names')
+                    .setColor(0x5865f2)
+                    .addFields({
+                        name: `🏢 Added by this server (${entries.length}/${CONFIG.COMPANY_NAMES.MAX_NAMES_PER_GUILD})`,
+                        value: joinForField(entries, '\n') || 'None'
+                    });
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+            default:
+                content = `Unknown subcommand: ${subcommand}`;
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+/**
+ * Show an instrument key the way people type it (crypto:BTC-USD → BTC-USD)
+ */
+function formatKey(key) {
+    return parseInstrumentKey(key)?.displaySymbol || key;
+}
+
+module.exports = CompanyNamesCommand;
@@ -0,0 +1,139 @@
+/**
+ * /compare command - Relative performance of several tickers on one chart, each rebased to 0% at the start
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { logger } = require('../utils/logger');
+const { resolveTickerList } = require('../utils/ticker-detector');
+const { parseInstrumentKey } = require('../utils/instrument');
+const { getTimeframe, getTimeframeIds, isIntradayTimeframe } = require('../utils/timeframe');
+const { rebaseToCommonStart } = require('../utils/performance');
+const CONFIG = require('../constants/config');
+
+// One line color per ticker
+const MAX_TICKERS = CONFIG.CHART.COMPARE.LINES.length;
+
+class CompareCommand {
+    constructor(stockService, chartService, symbolDirectoryService = null, messageTrackingService = null, companyNameService = null) {
+        this.stockService = stockService;
+        this.chartService = chartService;
+        this.symbolDirectoryService = symbolDirectoryService;
+        this.messageTrackingService = messageTrackingService;
+        this.companyNameService = companyNameService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('compare')
+            .setDescription('Compare how tickers performed, rebased to 0% at the start')
+            .setDMPermission(false)
+            .addStringOption(option => option
+                .setName('tickers')
+                .setDescription(`2 to ${MAX_TICKERS} tickers, separated by spaces or commas (AAPL,MSFT,QQQ)`)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('range')
+                .setDescription(`Range to compare (default ${CONFIG.CHART.COMPARE.DEFAULT_TIMEFRAME})`)
+                .addChoices(...this.getRangeIds().map(id => ({ name: id, value: id }))))
+            .addBooleanOption(option => option
+                .setName('public')
+                .setDescription('Post the comparison for everyone in the channel (default: only you see it)'));
+    }
+
+    /**
+     * Get the ranges offered: timeframes with daily or weekly bars, whose dates line up across exchanges
+     * @returns {Array<string>} Timeframe IDs in button order
+     */
+    getRangeIds() {
+        return getTimeframeIds().filter(id => !isIntradayTimeframe(getTimeframe(id)));
+    }
+
+    /**
+     * Resolve each word of the tickers option to one instrument key
+     * @param {string} value - Option value
+     * @param {string|null} guildId - Guild whose company names apply
+     * @returns {Object} { tickers, unknown } with unique keys in typed order and the words that are not tickers
+     */
+    parseTickers(value, guildId = null) {
+        return resolveTickerList(value, {
+            symbolDirectory: this.symbolDirectoryService,
+            companyDictionary: this.companyNameService?.getDictionary(guildId)
+        });
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const { tickers, unknown } = this.parseTickers(interaction.options.getString('tickers'), interaction.guildId);
+        if (tickers.length < 2) {
+            throw new Error('Compare needs at least two tickers (e.g. AAPL,MSFT,QQQ)');
+        }
+
+        const timeframeId = interaction.options.getString('range') || CONFIG.CHART.COMPARE.DEFAULT_TIMEFRAME;
+        const ephemeral = interaction.options.getBoolean('public') !== true;
+        await interaction.deferReply({ ephemeral });
+
+        const compared = tickers.slice(0, MAX_TICKERS);
+        const fetched = [];
+        const failed = [];
+        for (const ticker of compared) {
+            try {
+                fetched.push(await this.stockService.fetchStockData(ticker, timeframeId));
+            } catch (error) {
+                logger.warn('Could not fetch data for comparison', { ticker, timeframe: timeframeId, error: error.message });
+                failed.push(parseInstrumentKey(ticker)?.displaySymbol || ticker);
+            }
+        }
+
+        const series = rebaseToCommonStart(fetched);
+        // Data too short to overlap the others has nothing to compare
+        failed.push(...fetched
+            .filter(stockData => !series.some(line => line.stockData === stockData))
+            .map(stockData => stockData.displayName || stockData.symbol));
+        if (series.length < 2) {
+            throw new Error(failed.length > 0 ?
+                `Not enough data to compare (could not load: ${failed.join(', ')})` :
+                'Not enough data to compare');
+        }
+
+        const chartBuffer = await this.chartService.generateComparisonChart(
+            series,
+            timeframeId,
+            interaction.user.id,
+            interaction.user.displayName || interaction.user.globalName || interaction.user.username
+        );
+
+        const notes = [];
+        if (tickers.length > compared.length) {
+            notes.push(`Showing ${compared.length} of ${tickers.length} tickers`);
+        }
+        if (failed.length > 0) {
+            notes.push(`Could not load: ${failed.join(', ')}`);
+        }
+        if (unknown.length > 0) {
+            notes.push(`Not tickers: ${unknown.join(', ')}`);
+        }
+
+        const message = await interaction.editReply({
+            embeds: [this.chartService.createComparisonEmbed(series, timeframeId, notes)],
+            files: [{
+                attachment: chartBuffer,
+                name: 'compare.png'
+            }]
+        });
+
+        if (this.messageTrackingService) {
+            const symbols = series.map(line => line.stockData.symbol);
+            this.messageTrackingService.trackMessage(
+                message.id,
+                interaction.channel.id,
+                interaction.user.id,
+                symbols.join(','),
+                [this.chartService.getComparisonCacheKey(symbols, timeframeId)],
+                null,
+                ephemeral
+            );
+        }
+    }
+}
+
+module.exports = CompareCommand;
@@ -0,0 +1,91 @@
+/**
+ * /quote command - Text-only quotes for one or more tickers, no chart rendering
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { resolveTickerList } = require('../utils/ticker-detector');
+const { parseInstrumentKey } = require('../utils/instrument');
+const CONFIG = require('../constants/config');
+
+class QuoteCommand {
+    constructor(stockService, chartService, symbolDirectoryService = null, messageTrackingService = null, companyNameService = null) {
+        this.stockService = stockService;
+        this.chartService = chartService;
+        this.symbolDirectoryService = symbolDirectoryService;
+        this.messageTrackingService = messageTrackingService;
+        this.companyNameService = companyNameService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('quote')
+            .setDescription('Price, day range, volume, 52-week range and market cap')
+            .setDMPermission(false)
+            .addStringOption(option => option
+                .setName('tickers')
+                .setDescription(`Up to ${CONFIG.DISCORD.MAX_QUOTE_TICKERS} tickers, separated by spaces or commas (AAPL MSFT BTC-USD)`)
+                .setRequired(true))
+            .addBooleanOption(option => option
+                .setName('public')
+                .setDescription('Post the quotes for everyone in the channel (default: only you see them)'));
+    }
+
+    /**
+     * Resolve each word of the tickers option to one instrument key
+     * @param {string} value - Option value
+     * @param {string|null} guildId - Guild whose company names apply
+     * @returns {Object} { tickers, unknown } with unique keys in typed order and the words that are not tickers
+     */
+    parseTickers(value, guildId = null) {
+        return resolveTickerList(value, {
+            symbolDirectory: this.symbolDirectoryService,
+            companyDictionary: this.companyNameService?.getDictionary(guildId)
+        });
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const value = interaction.options.getString('tickers');
+        const { tickers, unknown } = this.parseTickers(value, interaction.guildId);
+        if (tickers.length === 0) {
+            throw new Error(`Unknown ticker: ${value}`);
+        }
+
+        const ephemeral = interaction.options.getBoolean('public') !== true;
+        await interaction.deferReply({ ephemeral });
+
+        const quoted = tickers.slice(0, CONFIG.DISCORD.MAX_QUOTE_TICKERS);
+        const { quotes, failed } = await this.stockService.fetchQuotes(quoted);
+        const displaySymbols = (keys) => keys.map(key => parseInstrumentKey(key)?.displaySymbol || key).join(', ');
+        if (quotes.length === 0) {
+            throw new Error(`Could not load quotes for ${displaySymbols(failed)}`);
+        }
+
+        const notes = [];
+        if (tickers.length > quoted.length) {
+            notes.push(`Showing ${quoted.length} of ${tickers.length} tickers`);
+        }
+        if (failed.length > 0) {
+            notes.push(`Could not load: ${displaySymbols(failed)}`);
+        }
+        if (unknown.length > 0) {
+            notes.push(`Not tickers: ${unknown.join(', ')}`);
+        }
+
+        const message = await interaction.editReply({ embeds: [this.chartService.createQuoteEmbed(quotes, notes)] });
+
+        if (this.messageTrackingService) {
+            this.messageTrackingService.trackMessage(
+                message.id,
+                interaction.channel.id,
+                interaction.user.id,
+                quotes.map(quote => quote.symbol).join(','),
+                [],
+                null,
+                ephemeral
+            );
+        }
+    }
+}
+
+module.exports = QuoteCommand;
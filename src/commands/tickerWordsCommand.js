@@ -0,0 +1,99 @@
+/**
+ * /tickerwords command - Manage the guild's ticker block and allow lists
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { isCommonWord } = require('../utils/ticker-detector');
+const { joinForField } = require('../utils/embed-format');
+const CONFIG = require('../constants/config');
+
+class TickerWordsCommand {
+    constructor(guildSettingsService) {
+        this.guildSettingsService = guildSettingsService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('tickerwords')
+            .setDescription('Manage which words are detected as tickers in this server')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+            .setDMPermission(false)
+            .addSubcommand(subcommand => subcommand
+                .setName('block')
+                .setDescription('Never detect a word as a ticker (e.g. CEO)')
+                .addStringOption(option => option
+                    .setName('word')
+                    .setDescription('Word to block')
+                    .setRequired(true)
+                    .setMaxLength(6)))
+            .addSubcommand(subcommand => subcommand
+                .setName('allow')
+                .setDescription('Detect a word as a ticker even if it is a common word (e.g. NOW)')
+                .addStringOption(option => option
+                    .setName('word')
+                    .setDescription('Word to allow')
+                    .setRequired(true)
+                    .setMaxLength(6)))
+            .addSubcommand(subcommand => subcommand
+                .setName('remove')
+                .setDescription('Remove a word from the block or allow list')
+                .addStringOption(option => option
+                    .setName('word')
+                    .setDescription('Word to remove')
+                    .setRequired(true)
+                    .setMaxLength(6)))
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('Show the block and allow lists'));
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        const word = interaction.options.getString('word');
+        let content;
+
+        switch (subcommand) {
+            case 'block': {
+                const blocked = this.guildSettingsService.addWord(guildId, 'block', word);
+                content = `🚫 **${blocked}** will no longer be detected as a ticker (\`$${blocked}\` still works).`;
+                break;
+            }
+            case 'allow': {
+                const allowed = this.guildSettingsService.addWord(guildId, 'allow', word);
+                content = isCommonWord(allowed) ?
+                    `✅ **${allowed}** will now be detected as a ticker, overriding the common-word filter.` :
+                    `✅ **${allowed}** is on the allow list (it is not filtered by default).`;
+                break;
+            }
+            case 'remove': {
+                const list = this.guildSettingsService.removeWord(guildId, word);
+                const normalized = String(word).replace(/^\$/, '').toUpperCase();
+                content = list ?
+                    `🗑️ **${normalized}** removed from the ${list} list.` :
+                    `**${normalized}** is not on the block or allow list.`;
+                break;
+            }
+            case 'list': {
+                const { blockedWords, allowedWords } = this.guildSettingsService.getWordLists(guildId);
+                const maxWords = CONFIG.TICKER_WORDS.MAX_WORDS_PER_LIST;
+                const embed = new EmbedBuilder()
+                    .setTitle('Ticker Word Lists')
+                    .setColor(0x5865f2)
+                    .addFields(
+                        { name: `🚫 Blocked (${blockedWords.length}/${maxWords})`, value: joinForField(blockedWords) || 'None' },
+                        { name: `✅ Allowed (${allowedWords.length}/${maxWords})`, value: joinForField(allowedWords) || 'None' }
+                    );
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                return;
+            }
+            default:
+                content = `Unknown subcommand: ${subcommand}`;
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+    }
+}
+
+module.exports = TickerWordsCommand;
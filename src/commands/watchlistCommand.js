@@ -0,0 +1,217 @@
+/**
+ * /watchlist command - Manage and show a user's own watchlist, or the server's shared one
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { logger } = require('../utils/logger');
+const { resolveTickerList } = require('../utils/ticker-detector');
+const { parseInstrumentKey } = require('../utils/instrument');
+const { WATCHLIST_SCOPES } = require('../services/watchlistService');
+const CONFIG = require('../constants/config');
+
+/**
+ * Add the option picking the server's shared watchlist instead of the user's own
+ */
+const addSharedOption = (subcommand) => subcommand.addBooleanOption(option => option
+    .setName('shared')
+    .setDescription('Use the server\'s shared watchlist instead of your own'));
+
+class WatchlistCommand {
+    constructor(watchlistService, stockService, chartService, symbolDirectoryService = null, messageTrackingService = null, companyNameService = null) {
+        this.watchlistService = watchlistService;
+        this.stockService = stockService;
+        this.chartService = chartService;
+        this.symbolDirectoryService = symbolDirectoryService;
+        this.messageTrackingService = messageTrackingService;
+        this.companyNameService = companyNameService;
+
+        this.data = new SlashCommandBuilder()
+            .setName('watchlist')
+            .setDescription('Keep a list of tickers to check on')
+            .setDMPermission(false)
+            .addSubcommand(subcommand => addSharedOption(subcommand
+                .setName('add')
+                .setDescription(`Add tickers (up to ${CONFIG.WATCHLIST.MAX_TICKERS} per list)`)
+                .addStringOption(option => option
+                    .setName('tickers')
+                    .setDescription('Tickers, separated by spaces or commas (AAPL MSFT BTC-USD)')
+                    .setRequired(true))))
+            .addSubcommand(subcommand => addSharedOption(subcommand
+                .setName('remove')
+                .setDescription('Remove tickers')
+                .addStringOption(option => option
+                    .setName('tickers')
+                    .setDescription('Tickers, separated by spaces or commas')
+                    .setRequired(true))))
+            .addSubcommand(subcommand => addSharedOption(subcommand
+                .setName('list')
+                .setDescription('List the tickers on the watchlist')))
+            .addSubcommand(subcommand => addSharedOption(subcommand
+                .setName('show')
+                .setDescription('Show prices and a sparkline of every ticker on the watchlist'))
+                .addBooleanOption(option => option
+                    .setName('public')
+                    .setDescription('Post it for everyone in the channel (default: only you see it)')));
+    }
+
+    /**
+     * Describe instrument keys for messages ("AAPL, BTC-USD")
+     */
+    describeTickers(tickers) {
+        return tickers.map(ticker => parseInstrumentKey(ticker)?.displaySymbol || ticker).join(', ');
+    }
+
+    /**
+     * Get the watchlist a command is about: the user's own or, with shared:True, the server's
+     * @returns {Object} { scope, ownerId, name, label } with label used in sentences ("your watchlist")
+     */
+    getWatchlist(interaction) {
+        if (interaction.options.getBoolean('shared') === true) {
+            return { scope: WATCHLIST_SCOPES.GUILD, ownerId: interaction.guildId, name: 'Server Watchlist', label: 'the server watchlist' };
+        }
+
+        return { scope: WATCHLIST_SCOPES.USER, ownerId: interaction.user.id, name: 'Your Watchlist', label: 'your watchlist' };
+    }
+
+    /**
+     * Resolve the tickers option, requiring at least one ticker
+     * @returns {Object} { tickers, unknown }
+     */
+    parseTickers(interaction) {
+        const value = interaction.options.getString('tickers');
+        const parsed = resolveTickerList(value, {
+            symbolDirectory: this.symbolDirectoryService,
+            companyDictionary: this.companyNameService?.getDictionary(interaction.guildId)
+        });
+        if (parsed.tickers.length === 0) {
+            throw new Error(`Unknown ticker: ${value}`);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Execute the command
+     */
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const watchlist = this.getWatchlist(interaction);
+
+        // Everyone can look at the shared watchlist; changing it is for server managers
+        if (watchlist.scope === WATCHLIST_SCOPES.GUILD && ['add', 'remove'].includes(subcommand) &&
+            !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            throw new Error('Only members who can manage the server can change the server watchlist');
+        }
+
+        const lines = [];
+
+        switch (subcommand) {
+            case 'add': {
+                const { tickers, unknown } = this.parseTickers(interaction);
+                const { added, existing, rejected } = this.watchlistService.addTickers(watchlist.scope, watchlist.ownerId, tickers);
+
+                if (added.length > 0) lines.push(`⭐ Added ${this.describeTickers(added)} to ${watchlist.label}.`);
+                if (existing.length > 0) lines.push(`Already on ${watchlist.label}: ${this.describeTickers(existing)}.`);
+                if (rejected.length > 0) lines.push(`The watchlist is full (${CONFIG.WATCHLIST.MAX_TICKERS} tickers), not added: ${this.describeTickers(rejected)}.`);
+                if (unknown.length > 0) lines.push(`Not tickers: ${unknown.join(', ')}.`);
+                break;
+            }
+            case 'remove': {
+                const { tickers, unknown } = this.parseTickers(interaction);
+                const { removed, missing } = this.watchlistService.removeTickers(watchlist.scope, watchlist.ownerId, tickers);
+
+                if (removed.length > 0) lines.push(`🗑️ Removed ${this.describeTickers(removed)} from ${watchlist.label}.`);
+                if (missing.length > 0) lines.push(`Not on ${watchlist.label}: ${this.describeTickers(missing)}.`);
+                if (unknown.length > 0) lines.push(`Not tickers: ${unknown.join(', ')}.`);
+                break;
+            }
+            case 'list': {
+                const tickers = this.watchlistService.getTickers(watchlist.scope, watchlist.ownerId);
+                lines.push(tickers.length > 0 ?
+                    `⭐ ${watchlist.name} (${tickers.length}): ${this.describeTickers(tickers)}` :
+                    this.getEmptyMessage(watchlist));
+                break;
+            }
+            case 'show': {
+                const tickers = this.watchlistService.getTickers(watchlist.scope, watchlist.ownerId);
+                if (tickers.length === 0) {
+                    lines.push(this.getEmptyMessage(watchlist));
+                    break;
+                }
+
+                await this.showWatchlist(interaction, watchlist, tickers);
+                return;
+            }
+            default:
+                lines.push(`Unknown subcommand: ${subcommand}`);
+        }
+
+        await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+    }
+
+    /**
+     * Explain how to fill an empty watchlist
+     */
+    getEmptyMessage(watchlist) {
+        return watchlist.scope === WATCHLIST_SCOPES.GUILD ?
+            'The server watchlist is empty. Server managers can add tickers with `/watchlist add shared:True`.' :
+            'Your watchlist is empty. Add tickers with `/watchlist add` or the ⭐ Watch button under charts.';
+    }
+
+    /**
+     * Reply with a price table and a sparkline grid of a watchlist
+     * @param {Object} interaction - Command interaction (not yet acknowledged)
+     * @param {Object} watchlist - See getWatchlist
+     * @param {Array<string>} tickers - Tickers on the watchlist
+     */
+    async showWatchlist(interaction, watchlist, tickers) {
+        const ephemeral = interaction.options.getBoolean('public') !== true;
+        await interaction.deferReply({ ephemeral });
+
+        const fetched = [];
+        const failed = [];
+        for (const ticker of tickers) {
+            try {
+                fetched.push(await this.stockService.fetchStockData(ticker));
+            } catch (error) {
+                logger.warn('Could not fetch data for watchlist', { ticker, error: error.message });
+                failed.push(ticker);
+            }
+        }
+
+        const charts = this.chartService.selectGridCharts(fetched, CONFIG.CHART.SPARKLINES.MAX_CHARTS);
+        if (charts.length === 0) {
+            throw new Error(`Could not load ${watchlist.label}`);
+        }
+
+        const chartBuffer = await this.chartService.generateSparklineGrid(
+            charts,
+            interaction.user.id,
+            interaction.user.displayName || interaction.user.globalName || interaction.user.username
+        );
+
+        const notes = failed.length > 0 ? [`Could not load: ${this.describeTickers(failed)}`] : [];
+        const message = await interaction.editReply({
+            embeds: [this.chartService.createWatchlistEmbed(watchlist.name, charts, notes)],
+            files: [{
+                attachment: chartBuffer,
+                name: 'watchlist.png'
+            }]
+        });
+
+        if (this.messageTrackingService) {
+            const symbols = charts.map(stockData => stockData.symbol);
+            this.messageTrackingService.trackMessage(
+                message.id,
+                interaction.channel.id,
+                interaction.user.id,
+                symbols.join(','),
+                [this.chartService.getSparklineCacheKey(symbols)],
+                null,
+                ephemeral
+            );
+        }
+    }
+}
+
+module.exports = WatchlistCommand;
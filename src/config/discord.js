@@ -2,7 +2,7 @@
  * Discord Configuration - Sets up Discord client with proper intents and error handling
  */
 
-const { Client, GatewayIntentBits } = require('discord.js');
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
 
 class DiscordConfig {
     constructor(environment) {
@@ -22,7 +22,9 @@ class DiscordConfig {
                     GatewayIntentBits.MessageContent,
                     GatewayIntentBits.DirectMessageReactions,
                     GatewayIntentBits.GuildMessageReactions
-                ]
+                ],
+                // Edits, deletes and reactions on messages sent before a restart arrive as partials
+                partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User]
             });
 
             this.setupClientEvents();
@@ -2,6 +2,10 @@
  * Environment Configuration - Validates and manages environment variables
  */
 
+const path = require('path');
+const { isValidDetectionMode, DEFAULT_DETECTION_MODE } = require('../utils/ticker-detector');
+const CONFIG = require('../constants/config');
+
 class Environment {
     constructor() {
         this.loadEnvironment();
@@ -144,7 +148,67 @@ class Environment {
      * Get maximum tickers per message
      */
     getMaxTickersPerMessage() {
-        return parseInt(process.env.MAX_TICKERS_PER_MESSAGE) || 25;
+        return parseInt(process.env.MAX_TICKERS_PER_MESSAGE) || CONFIG.DISCORD.DEFAULT_MAX_TICKERS;
+    }
+
+    /**
+     * Get default ticker detection mode (cashtag-only, cashtag-preferred or permissive)
+     */
+    getTickerDetectionMode() {
+        const mode = process.env.TICKER_DETECTION_MODE;
+        return isValidDetectionMode(mode) ? mode : DEFAULT_DETECTION_MODE;
+    }
+
+    /**
+     * Get directory for persisted bot data (guild settings, etc.)
+     */
+    getDataDirectory() {
+        return process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    }
+
+    /**
+     * Get path of the exchange listing file or directory used to validate tickers
+     */
+    getSymbolDirectoryPath() {
+        return process.env.SYMBOL_DIRECTORY_PATH || path.join(this.getDataDirectory(), 'symbols');
+    }
+
+    /**
+     * Get symbol directory refresh interval in milliseconds
+     */
+    getSymbolDirectoryRefreshMs() {
+        const hours = parseFloat(process.env.SYMBOL_DIRECTORY_REFRESH_HOURS) || 24;
+        return hours * 60 * 60 * 1000; // Convert to milliseconds
+    }
+
+    /**
+     * Get the guild to register slash commands in (registers globally when unset)
+     */
+    getCommandGuildId() {
+        return process.env.DISCORD_GUILD_ID || null;
+    }
+
+    /**
+     * Get path of the local company names file (JSON map of name to ticker)
+     */
+    getCompanyNamesPath() {
+        return process.env.COMPANY_NAMES_PATH || path.join(this.getDataDirectory(), 'company-names.json');
+    }
+
+    /**
+     * Check if cashtagged symbols missing from the symbol directory are still allowed
+     */
+    allowUnlistedCashtags() {
+        return process.env.ALLOW_UNLISTED_CASHTAGS !== 'false';
+    }
+
+    /**
+     * Get the reaction emoji that sends a message's charts by DM
+     * (a unicode emoji, or a custom emoji's name or ID; "off" disables reaction charts)
+     */
+    getChartReactionEmoji() {
+        const emoji = (process.env.CHART_REACTION_EMOJI || '📊').trim();
+        return emoji.toLowerCase() === 'off' ? null : emoji;
     }
 
     /**
@@ -161,7 +225,8 @@ class Environment {
     getConfig() {
         return {
             discord: {
-                token: this.getDiscordToken()
+                token: this.getDiscordToken(),
+                commandGuildId: this.getCommandGuildId()
             },
             alphaVantage: {
                 apiKey: this.getAlphaVantageKey()
@@ -183,7 +248,18 @@ class Environment {
             },
             limits: {
                 maxTickersPerMessage: this.getMaxTickersPerMessage(),
+                chartReactionEmoji: this.getChartReactionEmoji(),
                 chartTimeout: this.getChartTimeout()
+            },
+            detection: {
+                mode: this.getTickerDetectionMode(),
+                symbolDirectoryPath: this.getSymbolDirectoryPath(),
+                symbolDirectoryRefreshMs: this.getSymbolDirectoryRefreshMs(),
+                allowUnlistedCashtags: this.allowUnlistedCashtags(),
+                companyNamesPath: this.getCompanyNamesPath()
+            },
+            storage: {
+                dataDirectory: this.getDataDirectory()
             }
         };
     }
@@ -202,6 +278,10 @@ class Environment {
         console.log(`   Message Retention: ${config.retention.hours} hours`);
         console.log(`   Max Tickers: ${config.limits.maxTickersPerMessage}`);
         console.log(`   Chart Timeout: ${config.limits.chartTimeout / 1000} seconds`);
+        console.log(`   Chart Reaction: ${config.limits.chartReactionEmoji || 'Off'}`);
+        console.log(`   Detection Mode: ${config.detection.mode}`);
+        console.log(`   Symbol Directory: ${config.detection.symbolDirectoryPath}`);
+        console.log(`   Data Directory: ${config.storage.dataDirectory}`);
         console.log(`   Discord Token: ${config.discord.token ? '✅ Set' : '❌ Missing'}`);
         console.log(`   Alpha Vantage Key: ${config.alphaVantage.apiKey ? '✅ Set' : '❌ Missing'}`);
     }
@@ -0,0 +1,84 @@
+/**
+ * Built-in company name dictionary
+ * Maps company names and common nicknames (English and Hebrew) to instrument keys.
+ * Extra names can be added with a local JSON file (COMPANY_NAMES_PATH) or per guild.
+ */
+
+module.exports = {
+    // US large caps
+    'Apple': 'AAPL',
+    'Microsoft': 'MSFT',
+    'Nvidia': 'NVDA',
+    'Amazon': 'AMZN',
+    'Alphabet': 'GOOGL',
+    'Google': 'GOOGL',
+    'Meta': 'META',
+    'Facebook': 'META',
+    'Tesla': 'TSLA',
+    'Netflix': 'NFLX',
+    'Broadcom': 'AVGO',
+    'Berkshire Hathaway': 'BRK.B',
+    'Berkshire': 'BRK.B',
+    'JPMorgan': 'JPM',
+    'Visa': 'V',
+    'Mastercard': 'MA',
+    'Walmart': 'WMT',
+    'Costco': 'COST',
+    'Coca-Cola': 'KO',
+    'Pepsi': 'PEP',
+    'PepsiCo': 'PEP',
+    'Intel': 'INTC',
+    'Palantir': 'PLTR',
+    'Salesforce': 'CRM',
+    'Oracle': 'ORCL',
+    'Adobe': 'ADBE',
+    'Disney': 'DIS',
+    'Boeing': 'BA',
+    'Starbucks': 'SBUX',
+    'Nike': 'NKE',
+    'Qualcomm': 'QCOM',
+    'Micron': 'MU',
+    'Coinbase': 'COIN',
+    'MicroStrategy': 'MSTR',
+    'Bitcoin': 'crypto:BTC-USD',
+    'Ethereum': 'crypto:ETH-USD',
+
+    // Israeli companies (US listings)
+    'Teva': 'TEVA',
+    'Check Point': 'CHKP',
+    'Wix': 'WIX',
+    'Monday.com': 'MNDY',
+    'CyberArk': 'CYBR',
+    'Elbit': 'ESLT',
+    'Mobileye': 'MBLY',
+
+    // Hebrew names
+    'אפל': 'AAPL',
+    'מיקרוסופט': 'MSFT',
+    'אנבידיה': 'NVDA',
+    'אמזון': 'AMZN',
+    'גוגל': 'GOOGL',
+    'מטא': 'META',
+    'טסלה': 'TSLA',
+    'נטפליקס': 'NFLX',
+    'אינטל': 'INTC',
+    'פלנטיר': 'PLTR',
+    'טבע': 'TEVA',
+    "צ'ק פוינט": 'CHKP',
+    'וויקס': 'WIX',
+    'מאנדיי': 'MNDY',
+    'סייברארק': 'CYBR',
+    'אלביט': 'ESLT',
+    'נייס': 'NICE',
+    'מובילאיי': 'MBLY',
+    'לאומי': 'LUMI.TA',
+    'בנק לאומי': 'LUMI.TA',
+    'הפועלים': 'POLI.TA',
+    'בנק הפועלים': 'POLI.TA',
+    'דיסקונט': 'DSCT.TA',
+    'מזרחי טפחות': 'MZTF.TA',
+    'בזק': 'BEZQ.TA',
+    'אל על': 'ELAL.TA',
+    'ביטקוין': 'crypto:BTC-USD',
+    "את'ריום": 'crypto:ETH-USD'
+};
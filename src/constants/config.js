@@ -8,8 +8,16 @@ module.exports = {
         MAX_BUTTONS_PER_ROW: 5,
         MAX_ROWS_PER_MESSAGE: 5,
         MAX_BUTTONS_TOTAL: 25,
+        MAX_SELECT_OPTIONS: 25,
+        MAX_AUTOCOMPLETE_CHOICES: 25,
+        MAX_QUOTE_TICKERS: 10, // symbols per /quote embed
+        MAX_TICKERS_TOTAL: 125, // 5 select menus of 25 tickers, used above MAX_BUTTONS_TOTAL
+        DEFAULT_MAX_TICKERS: 100, // tickers offered per message unless MAX_TICKERS_PER_MESSAGE is set
+        MAX_INLINE_CHARTS: 3, // charts per reply in channels with inline delivery
+        MAX_REACTION_CHARTS: 5, // charts per DM when reacting to a message
         MAX_MESSAGE_LENGTH: 2000,
-        MAX_EMBED_DESCRIPTION: 4096
+        MAX_EMBED_DESCRIPTION: 4096,
+        MAX_EMBED_FIELD_VALUE: 1024
     },
 
     // Chart configuration
@@ -24,6 +32,72 @@ module.exports = {
             NEGATIVE: '#ff4444',
             POSITIVE_BG: 'rgba(0, 255, 136, 0.1)',
             NEGATIVE_BG: 'rgba(255, 68, 68, 0.1)'
+        },
+        // "📊 All" composite image: small candlestick charts in a grid
+        GRID: {
+            MAX_CHARTS: 9, // more would be unreadable in one image
+            MAX_COLUMNS: 3,
+            CELL_WIDTH: 400,
+            CELL_HEIGHT: 260
+        },
+        // /watchlist show image: small line charts without axes in a grid
+        SPARKLINES: {
+            MAX_CHARTS: 16,
+            COLUMNS: 4,
+            CELL_WIDTH: 220,
+            CELL_HEIGHT: 90
+        },
+        // /compare relative performance chart: one line per ticker, in typed order
+        COMPARE: {
+            DEFAULT_TIMEFRAME: '3M',
+            LINES: [ // the emoji marks the line's ticker in the embed
+                { color: '#3b82f6', emoji: '🟦' },
+                { color: '#f97316', emoji: '🟧' },
+                { color: '#22c55e', emoji: '🟩' },
+                { color: '#ef4444', emoji: '🟥' },
+                { color: '#a855f7', emoji: '🟪' },
+                { color: '#eab308', emoji: '🟨' },
+                { color: '#e5e7eb', emoji: '⬜' },
+                { color: '#a16207', emoji: '🟫' }
+            ]
+        },
+        // Timeframe switcher buttons under each chart, in button order
+        // days: calendar days to fetch (ytd: since January 1), sessions: trading days kept for intraday bars
+        TIMEFRAMES: {
+            '1D': { interval: '5m', days: 5, sessions: 1, tickFormat: '%H:%M' },
+            '5D': { interval: '30m', days: 12, sessions: 5, tickFormat: '%a %d' },
+            '1M': { interval: '1d', days: 30, tickFormat: '%b %d' },
+            '3M': { interval: '1d', days: 92, tickFormat: '%b %d' },
+            '6M': { interval: '1d', days: 183, tickFormat: '%b %d' },
+            'YTD': { interval: '1d', ytd: true, tickFormat: '%b %d' },
+            '1Y': { interval: '1d', days: 365, tickFormat: '%b %Y' },
+            '5Y': { interval: '1wk', days: 1827, tickFormat: '%b %Y' }
+        },
+        DEFAULT_TIMEFRAME: '1M', // what ticker buttons show first
+        // Indicator toggles under each chart, in button order
+        // overlay: drawn on the price axis, panel: own sub-panel below the price (PANEL_HEIGHT px each)
+        INDICATORS: {
+            sma: { label: 'SMA', type: 'overlay', periods: [20, 50, 200] },
+            ema: { label: 'EMA', type: 'overlay', periods: [20, 50, 200] },
+            bb: { label: 'BB', type: 'overlay', period: 20, stdDev: 2 },
+            vwap: { label: 'VWAP', type: 'overlay' },
+            rsi: { label: 'RSI', type: 'panel', period: 14 },
+            macd: { label: 'MACD', type: 'panel', fast: 12, slow: 26, signal: 9 }
+        },
+        PANEL_HEIGHT: 130,
+        // Chart type buttons under each chart, in button order (Heikin-Ashi candles are computed from OHLC)
+        TYPES: {
+            candle: { label: 'Candles' },
+            line: { label: 'Line' },
+            area: { label: 'Area' },
+            ohlc: { label: 'OHLC' },
+            ha: { label: 'Heikin-Ashi' }
+        },
+        DEFAULT_TYPE: 'candle',
+        // Volume bars under the price, with an average volume line (also used for relative volume)
+        VOLUME: {
+            HEIGHT: 100,
+            AVERAGE_PERIOD: 20
         }
     },
 
@@ -32,14 +106,66 @@ module.exports = {
         MAX_TICKER_LENGTH: 5,
         MIN_TICKER_LENGTH: 1,
         DATA_POINTS: 30, // Number of days to show in chart
+        // Intraday bar intervals: provider names and how far back providers serve them
+        INTRADAY_INTERVALS: {
+            '1m': { minutes: 1, alphaVantage: '1min', yahoo: '1m', maxDays: 7 },
+            '5m': { minutes: 5, alphaVantage: '5min', yahoo: '5m', maxDays: 60 },
+            '15m': { minutes: 15, alphaVantage: '15min', yahoo: '15m', maxDays: 60 },
+            '30m': { minutes: 30, alphaVantage: '30min', yahoo: '30m', maxDays: 60 },
+            '1h': { minutes: 60, alphaVantage: '60min', yahoo: '1h', maxDays: 730 }
+        },
         API_TIMEOUT: 10000, // 10 seconds
         RETRY_ATTEMPTS: 3,
         RETRY_DELAY: 1000 // milliseconds
     },
 
+    // Crypto configuration
+    CRYPTO: {
+        // Bases recognised on their own (BTC) or against a fiat quote (ETH-USD)
+        BASES: [
+            'BTC', 'ETH', 'SOL', 'XRP', 'BNB', 'ADA', 'DOGE', 'AVAX', 'DOT', 'LINK',
+            'MATIC', 'LTC', 'TRX', 'SHIB', 'ATOM', 'XLM', 'UNI', 'NEAR', 'APT', 'ARB',
+            'OP', 'SUI', 'PEPE', 'TON', 'BCH', 'ETC', 'FIL', 'HBAR', 'ICP', 'INJ'
+        ],
+        // Quotes accepted in pairs (ETH-USD, SOL/USDT, ETH/BTC)
+        QUOTES: ['USD', 'USDT', 'USDC', 'EUR', 'BTC', 'ETH'],
+        // Quotes that only exist for crypto, so any base is accepted with them
+        CRYPTO_QUOTES: ['USDT', 'USDC', 'BTC', 'ETH'],
+        // Stablecoin quotes are fetched against USD (providers rarely list USDT pairs)
+        STABLECOINS: ['USDT', 'USDC'],
+        DEFAULT_QUOTE: 'USD'
+    },
+
+    // Index and futures aliases (friendly name -> provider symbol)
+    // bare: detected as a plain word (SPX, ES); otherwise only as /CL, $CL or CL=F
+    MARKET_ALIASES: {
+        SPX: { symbol: '^GSPC', name: 'S&P 500', type: 'index', bare: true },
+        NDX: { symbol: '^NDX', name: 'Nasdaq 100', type: 'index', bare: true },
+        COMP: { symbol: '^IXIC', name: 'Nasdaq Composite', type: 'index', bare: false },
+        DJI: { symbol: '^DJI', name: 'Dow Jones Industrial Average', type: 'index', bare: true },
+        DJIA: { symbol: '^DJI', name: 'Dow Jones Industrial Average', type: 'index', bare: true },
+        RUT: { symbol: '^RUT', name: 'Russell 2000', type: 'index', bare: true },
+        VIX: { symbol: '^VIX', name: 'CBOE Volatility Index', type: 'index', bare: true },
+        TA35: { symbol: 'TA35.TA', name: 'Tel Aviv 35', type: 'index', bare: true },
+        TA125: { symbol: '^TA125.TA', name: 'Tel Aviv 125', type: 'index', bare: true },
+        ES: { symbol: 'ES=F', name: 'E-mini S&P 500 Futures', type: 'future', bare: true },
+        NQ: { symbol: 'NQ=F', name: 'E-mini Nasdaq 100 Futures', type: 'future', bare: true },
+        YM: { symbol: 'YM=F', name: 'E-mini Dow Futures', type: 'future', bare: true },
+        RTY: { symbol: 'RTY=F', name: 'E-mini Russell 2000 Futures', type: 'future', bare: true },
+        CL: { symbol: 'CL=F', name: 'Crude Oil Futures', type: 'future', bare: false },
+        GC: { symbol: 'GC=F', name: 'Gold Futures', type: 'future', bare: false },
+        SI: { symbol: 'SI=F', name: 'Silver Futures', type: 'future', bare: false },
+        NG: { symbol: 'NG=F', name: 'Natural Gas Futures', type: 'future', bare: false },
+        HG: { symbol: 'HG=F', name: 'Copper Futures', type: 'future', bare: false },
+        ZB: { symbol: 'ZB=F', name: '30-Year T-Bond Futures', type: 'future', bare: false },
+        ZN: { symbol: 'ZN=F', name: '10-Year T-Note Futures', type: 'future', bare: false }
+    },
+
     // Cache configuration
     CACHE: {
         DEFAULT_TTL: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+        INTRADAY_TTL: 5 * 60 * 1000, // intraday data and charts go stale within minutes
+        QUOTE_TTL: 60 * 1000, // quotes are only reused for a minute
         CLEANUP_INTERVAL: 60 * 60 * 1000, // 1 hour in milliseconds
         MAX_ENTRIES: 1000
     },
@@ -52,6 +178,22 @@ module.exports = {
         NAME_TEMPLATE: '📊 {username}\'s Stock Charts'
     },
 
+    // Guild ticker block and allow lists
+    TICKER_WORDS: {
+        MAX_WORDS_PER_LIST: 100
+    },
+
+    // Guild company names (on top of the built-in and local file names)
+    COMPANY_NAMES: {
+        MAX_NAMES_PER_GUILD: 100,
+        MAX_NAME_LENGTH: 50
+    },
+
+    // Watchlists (per user, and shared per guild)
+    WATCHLIST: {
+        MAX_TICKERS: 16 // every ticker fits in one /watchlist show image
+    },
+
     // Error handling
     ERRORS: {
         MAX_ERROR_HISTORY: 100,
@@ -0,0 +1,117 @@
+/**
+ * Command Handler - Registers and routes Discord application (slash and context-menu) commands
+ */
+
+const { logger } = require('../utils/logger');
+
+class CommandHandler {
+    /**
+     * @param {Array} commands - Command instances exposing `data` (a command builder) and `execute(interaction)`
+     */
+    constructor(commands = []) {
+        this.commands = new Map(commands.map(command => [command.data.name, command]));
+    }
+
+    /**
+     * Get the JSON definitions of all commands for registration
+     */
+    getCommandData() {
+        return [...this.commands.values()].map(command => command.data.toJSON());
+    }
+
+    /**
+     * Register commands with Discord. A guild ID registers them for that guild only,
+     * which updates instantly and is handy during development.
+     * @param {Object} client - Ready Discord client
+     * @param {string|null} guildId - Optional guild to register in
+     */
+    async registerCommands(client, guildId = null) {
+        const commandData = this.getCommandData();
+
+        try {
+            if (guildId) {
+                await client.application.commands.set(commandData, guildId);
+            } else {
+                await client.application.commands.set(commandData);
+            }
+
+            logger.info('Application commands registered', {
+                commands: commandData.map(command => command.name),
+                scope: guildId ? `guild ${guildId}` : 'global'
+            });
+        } catch (error) {
+            logger.error('Failed to register application commands', {
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Check if a command interaction is handled here
+     */
+    canHandle(interaction) {
+        return this.commands.has(interaction.commandName);
+    }
+
+    /**
+     * Route a command interaction to its command
+     */
+    async handleCommand(interaction) {
+        const command = this.commands.get(interaction.commandName);
+
+        if (!command) {
+            logger.warn('Unknown command received', { commandName: interaction.commandName });
+            return;
+        }
+
+        try {
+            logger.debug('Executing command', {
+                commandName: interaction.commandName,
+                user: interaction.user.username,
+                guildId: interaction.guildId
+            });
+
+            await command.execute(interaction);
+        } catch (error) {
+            logger.error('Command failed', {
+                commandName: interaction.commandName,
+                error: error.message
+            });
+
+            const reply = { content: `❌ ${error.message}`, ephemeral: true };
+            try {
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.editReply(reply);
+                } else {
+                    await interaction.reply(reply);
+                }
+            } catch (replyError) {
+                logger.debug('Could not send command error reply', { error: replyError.message });
+            }
+        }
+    }
+
+    /**
+     * Route an autocomplete interaction to its command's `autocomplete(interaction)`
+     */
+    async handleAutocomplete(interaction) {
+        const command = this.commands.get(interaction.commandName);
+
+        if (!command || !command.autocomplete) {
+            logger.warn('Autocomplete for unknown command received', { commandName: interaction.commandName });
+            return;
+        }
+
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            // Suggestions are best effort; the user can still type a value
+            logger.debug('Autocomplete failed', {
+                commandName: interaction.commandName,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = CommandHandler;
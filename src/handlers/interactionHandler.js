@@ -1,16 +1,26 @@
 /**
- * Interaction Handler - Handles Discord button interactions
+ * Interaction Handler - Handles Discord button interactions and routes slash commands
  */
 
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { logger } = require('../utils/logger');
+const { isValidInstrumentKey, parseInstrumentKey } = require('../utils/instrument');
+const { getTimeframeIds, isValidTimeframe, DEFAULT_TIMEFRAME } = require('../utils/timeframe');
+const { getIndicator, normalizeIndicators, INDICATOR_IDS } = require('../utils/indicators');
+const { getChartType, getChartTypeIds, isValidChartType, DEFAULT_CHART_TYPE } = require('../utils/chart-type');
+const { WATCHLIST_SCOPES } = require('../services/watchlistService');
+const CONFIG = require('../constants/config');
 
 class InteractionHandler {
-    constructor(stockService, chartService, messageTrackingService = null, botClient = null) {
+    constructor(stockService, chartService, messageTrackingService = null, botClient = null, commandHandler = null, userPreferencesService = null, guildSettingsService = null, watchlistService = null) {
         this.stockService = stockService;
         this.chartService = chartService;
         this.messageTrackingService = messageTrackingService;
         this.botClient = botClient;
+        this.commandHandler = commandHandler;
+        this.userPreferencesService = userPreferencesService;
+        this.guildSettingsService = guildSettingsService;
+        this.watchlistService = watchlistService;
         
         // Track processed interactions to prevent duplicates
         this.processedInteractions = new Set();
@@ -64,6 +74,22 @@ class InteractionHandler {
      * Handle button interaction
      */
     async handleInteraction(interaction) {
+        // Slash and message context-menu commands are routed to the command handler
+        if (interaction.isChatInputCommand?.() || interaction.isMessageContextMenuCommand?.()) {
+            if (this.commandHandler) {
+                await this.commandHandler.handleCommand(interaction);
+            }
+            return;
+        }
+
+        // Autocomplete suggestions come from the command being typed
+        if (interaction.isAutocomplete?.()) {
+            if (this.commandHandler) {
+                await this.commandHandler.handleAutocomplete(interaction);
+            }
+            return;
+        }
+
         // Create unique interaction identifier
         const interactionId = `${interaction.id}_${interaction.user.id}_${interaction.customId}`;
         
@@ -79,9 +105,51 @@ class InteractionHandler {
         
         // Mark interaction as being processed
         this.processedInteractions.add(interactionId);
+
+        // "📊 All" renders every ticker of the button message in one grid image
+        if (interaction.isButton() && interaction.customId === 'chart_all') {
+            await this.handleChartAllInteraction(interaction);
+            return;
+        }
+
+        // Timeframe buttons under a chart re-render it in place
+        if (interaction.isButton() && interaction.customId?.startsWith('tf_')) {
+            await this.handleTimeframeInteraction(interaction);
+            return;
+        }
+
+        // Indicator buttons under a chart toggle an indicator and re-render it in place
+        if (interaction.isButton() && interaction.customId?.startsWith('ind_')) {
+            await this.handleIndicatorInteraction(interaction);
+            return;
+        }
+
+        // "📤 Share" reposts an ephemeral chart publicly in its channel
+        if (interaction.isButton() && interaction.customId?.startsWith('share_')) {
+            await this.handleShareInteraction(interaction);
+            return;
+        }
+
+        // "💲 Quote" answers with a text-only quote for the charted ticker
+        if (interaction.isButton() && interaction.customId?.startsWith('quote_')) {
+            await this.handleQuoteInteraction(interaction);
+            return;
+        }
+
+        // "⭐ Watch" adds the charted ticker to the user's watchlist, or removes it
+        if (interaction.isButton() && interaction.customId?.startsWith('watch_')) {
+            await this.handleWatchInteraction(interaction);
+            return;
+        }
+
+        // Chart type and log scale buttons under a chart redraw it in another style
+        if (interaction.isButton() && (interaction.customId?.startsWith('type_') || interaction.customId?.startsWith('log_'))) {
+            await this.handleChartStyleInteraction(interaction);
+            return;
+        }
         
-        // Extract ticker for rapid duplicate prevention
-        const ticker = interaction.customId?.replace('stock_', '');
+        // Extract ticker (from a ticker button or the option picked in a ticker menu) for rapid duplicate prevention
+        const ticker = this.getTickerFromInteraction(interaction);
         if (ticker) {
             const userTickerKey = `${interaction.user.id}_${ticker}`;
             const now = Date.now();
@@ -125,7 +193,7 @@ class InteractionHandler {
             customId: interaction.customId || 'N/A',
             user: interaction.user.username,
             isButton: interaction.isButton(),
-            isStringSelectMenu: interaction.isStringSelectMenu(),
+            isStringSelectMenu: interaction.isStringSelectMenu?.(),
             isCommand: interaction.isCommand(),
             messageAuthor: interaction.message?.author?.username || 'N/A',
             interactionState: {
@@ -134,17 +202,17 @@ class InteractionHandler {
             }
         });
 
-        // Only handle button interactions
-        if (!interaction.isButton()) {
-            logger.debug('Ignoring non-button interaction', {
+        // Only handle button and select menu interactions
+        if (!interaction.isButton() && !interaction.isStringSelectMenu?.()) {
+            logger.debug('Ignoring non-component interaction', {
                 type: interaction.type,
                 customId: interaction.customId
             });
             return;
         }
         
-        // Only handle stock ticker buttons - silently ignore others
-        if (!interaction.customId || !interaction.customId.startsWith('stock_')) {
+        // Only handle stock ticker buttons and ticker menus - silently ignore others
+        if (!ticker) {
             logger.debug('Ignoring non-stock interaction', {
                 customId: interaction.customId
             });
@@ -156,8 +224,8 @@ class InteractionHandler {
             return;
         }
         
-        // Validate ticker format (ticker already extracted above)
-        if (!ticker || ticker.length === 0 || ticker.length > 10) {
+        // Validate ticker format (ticker already extracted above, e.g. AAPL, BRK.B, 7203.T, crypto:BTC-USD)
+        if (!isValidInstrumentKey(ticker)) {
             logger.warn('Invalid ticker format', {
                 ticker,
                 user: interaction.user.username,
@@ -225,35 +293,15 @@ class InteractionHandler {
                 return;
             }
             
-            // Fetch stock data
-            const stockData = await this.stockService.fetchStockData(ticker);
-            
-            // Generate chart for ephemeral response
-            const chartBuffer = await this.chartService.generateChart(
-                stockData, 
-                null, // messageId will be set after sending
-                interaction.channel.id, // use channel instead of thread
-                interaction.user.id,
-                null, // threadId
-                interaction.user.displayName || interaction.user.globalName || interaction.user.username
-            );
-            
-            // Create embed
-            const embed = this.chartService.createStockEmbed(stockData);
-
+            // Fetch stock data and generate the chart with its timeframe, indicator and style buttons
+            const { reply, cacheKey } = await this.buildChartReply(ticker, DEFAULT_TIMEFRAME, interaction,
+                this.getRenderOptions(interaction, this.getDefaultChartStyle(interaction.user.id)));
 
             // Send chart as ephemeral response (only visible to requesting user)
-            const chartMessage = await interaction.editReply({
-                embeds: [embed],
-                files: [{
-                    attachment: chartBuffer,
-                    name: 'chart.png'
-                }]
-            });
+            const chartMessage = await interaction.editReply(reply);
             
             // Track the ephemeral message for retention if tracking service is available
             if (this.messageTrackingService) {
-                const cacheKey = this.chartService.getChartCacheKey(ticker);
                 this.messageTrackingService.trackMessage(
                     chartMessage.id,
                     interaction.channel.id,
@@ -284,9 +332,10 @@ class InteractionHandler {
             });
             
             // Send error message as ephemeral response
+            const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
             const errorEmbed = new EmbedBuilder()
-                .setTitle(`❌ Error: ${ticker}`)
-                .setDescription(`Could not fetch data for **${ticker}**. Please check if the symbol is correct.`)
+                .setTitle(`❌ Error: ${displaySymbol}`)
+                .setDescription(`Could not fetch data for **${displaySymbol}**. Please check if the symbol is correct.`)
                 .setColor(0xff4444);
                 
             logger.debug('Attempting to send error response', {
@@ -345,27 +394,909 @@ class InteractionHandler {
         }
     }
 
+    /**
+     * Get the chart style a user's charts open with
+     * @param {string} userId - Discord user ID
+     * @returns {Object} { indicators, chartType, logScale }
+     */
+    getDefaultChartStyle(userId) {
+        if (!this.userPreferencesService) {
+            return { indicators: [], chartType: DEFAULT_CHART_TYPE, logScale: false };
+        }
+
+        const { indicators, chartType, logScale } = this.userPreferencesService.getPreferences(userId);
+        return { indicators, chartType, logScale };
+    }
+
+    /**
+     * Get the style of the chart a button was clicked on, with the user's defaults
+     * for anything the chart message has no buttons for
+     * @param {Object} interaction - Button interaction on a chart message
+     * @returns {Object} { timeframeId, intervalId, indicators, chartType, logScale }
+     */
+    getCurrentChartStyle(interaction) {
+        const state = this.getChartState(interaction.message);
+        const defaults = this.getDefaultChartStyle(interaction.user.id);
+
+        return {
+            timeframeId: state.timeframeId || DEFAULT_TIMEFRAME,
+            intervalId: state.intervalId,
+            indicators: state.indicators ?? defaults.indicators,
+            chartType: state.chartType ?? defaults.chartType,
+            logScale: state.logScale ?? defaults.logScale
+        };
+    }
+
+    /**
+     * Get the render options for a chart requested through an interaction:
+     * the given style, and volume as set in the channel's profile
+     * @param {Object} interaction - Interaction the chart is for
+     * @param {Object} style - { intervalId, indicators, chartType, logScale }
+     * @returns {Object} { intervalId, indicators, chartType, logScale, volume }
+     */
+    getRenderOptions(interaction, { intervalId = null, indicators, chartType, logScale }) {
+        const channel = interaction.channel;
+        const profile = this.guildSettingsService && interaction.guildId ?
+            this.guildSettingsService.getChannelProfile(
+                interaction.guildId,
+                channel?.id,
+                channel?.isThread?.() ? channel.parentId : null
+            ) : null;
+
+        return { intervalId, indicators, chartType, logScale, volume: profile ? profile.volume : true };
+    }
+
+    /**
+     * Fetch data and render the chart reply for a ticker: embed, image and chart buttons
+     * @param {string} ticker - Instrument key
+     * @param {string} timeframeId - Timeframe to chart
+     * @param {Object} interaction - Interaction the chart is for
+     * @param {Object} renderOptions - { intervalId, indicators, chartType, logScale, volume } to draw
+     *   (intervalId is the bar interval when it is not the timeframe's own)
+     * @returns {Object} { reply, cacheKey }
+     */
+    async buildChartReply(ticker, timeframeId, interaction, renderOptions = {}) {
+        const intervalId = renderOptions.intervalId || null;
+        const stockData = await this.stockService.fetchStockData(ticker, timeframeId, intervalId);
+
+        const chartBuffer = await this.chartService.generateChart(
+            stockData,
+            null, // messageId will be set after sending
+            interaction.channel.id, // use channel instead of thread
+            interaction.user.id,
+            null, // threadId
+            interaction.user.displayName || interaction.user.globalName || interaction.user.username,
+            renderOptions
+        );
+
+        return {
+            reply: {
+                embeds: [this.chartService.createStockEmbed(stockData, renderOptions)],
+                files: [{
+                    attachment: chartBuffer,
+                    name: 'chart.png'
+                }],
+                components: this.createChartComponents(ticker, timeframeId, renderOptions, this.isWatched(interaction.user.id, ticker))
+            },
+            cacheKey: this.chartService.getChartCacheKey(stockData.symbol, timeframeId, intervalId, renderOptions)
+        };
+    }
+
+    /**
+     * Reply to a command with a chart. Style parts that are not given come from the user's defaults.
+     * Public charts have no buttons, since clicking them would change the chart for everyone.
+     * @param {Object} interaction - Command interaction (not yet acknowledged)
+     * @param {string} ticker - Instrument key
+     * @param {string} timeframeId - Timeframe to chart
+     * @param {Object} style - { intervalId, indicators, chartType }, any may be undefined
+     * @param {boolean} ephemeral - Only show the chart to the user
+     */
+    async replyWithChart(interaction, ticker, timeframeId, style = {}, ephemeral = true) {
+        await interaction.deferReply({ ephemeral });
+
+        const defaults = this.getDefaultChartStyle(interaction.user.id);
+        const renderOptions = this.getRenderOptions(interaction, {
+            intervalId: style.intervalId,
+            indicators: style.indicators ?? defaults.indicators,
+            chartType: style.chartType ?? defaults.chartType,
+            logScale: defaults.logScale
+        });
+
+        try {
+            const { reply, cacheKey } = await this.buildChartReply(ticker, timeframeId, interaction, renderOptions);
+            const chartMessage = await interaction.editReply(ephemeral ? reply : { ...reply, components: [] });
+
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackMessage(
+                    chartMessage.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    ticker,
+                    [cacheKey],
+                    null,
+                    ephemeral
+                );
+            }
+
+            logger.debug('Command chart sent successfully', {
+                user: interaction.user.username,
+                ticker,
+                timeframe: timeframeId,
+                ephemeral
+            });
+
+        } catch (error) {
+            logger.error('Error sending command chart', {
+                ticker,
+                timeframe: timeframeId,
+                user: interaction.user.username,
+                error: error.message
+            });
+
+            const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
+            await interaction.editReply({
+                embeds: [new EmbedBuilder()
+                    .setTitle(`❌ Error: ${displaySymbol}`)
+                    .setDescription(`Could not fetch data for **${displaySymbol}**. Please check if the symbol is correct.`)
+                    .setColor(0xff4444)]
+            });
+        }
+    }
+
+    /**
+     * Split buttons into action rows of up to 5
+     * @param {Array<ButtonBuilder>} buttons - Buttons in display order
+     * @returns {Array<ActionRowBuilder>} Button rows
+     */
+    createButtonRows(buttons) {
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += CONFIG.DISCORD.MAX_BUTTONS_PER_ROW) {
+            rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + CONFIG.DISCORD.MAX_BUTTONS_PER_ROW)));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Create all buttons under a chart: timeframes (rows 1-2), indicators, the
+     * log scale toggle, Share, Quote and Watch (rows 3-4) and chart types (row 5)
+     * @param {string} ticker - Instrument key
+     * @param {string} timeframeId - Timeframe currently shown
+     * @param {Object} renderOptions - { intervalId, indicators, chartType, logScale } currently drawn
+     * @param {boolean} watched - The ticker is on the user's watchlist
+     * @returns {Array<ActionRowBuilder>} Button rows
+     */
+    createChartComponents(ticker, timeframeId, renderOptions = {}, watched = false) {
+        return [
+            ...this.createTimeframeButtons(ticker, timeframeId, renderOptions.intervalId),
+            ...this.createButtonRows([
+                ...this.createIndicatorButtons(ticker, renderOptions.indicators),
+                this.createLogScaleButton(ticker, renderOptions.logScale),
+                this.createShareButton(ticker),
+                this.createQuoteButton(ticker),
+                this.createWatchButton(ticker, watched)
+            ]),
+            ...this.createButtonRows(this.createChartTypeButtons(ticker, renderOptions.chartType))
+        ];
+    }
+
+    /**
+     * Create the timeframe switcher buttons for a chart (`tf_<timeframe>_<ticker>`),
+     * with the charted timeframe highlighted and disabled. A charted intraday interval
+     * other than the timeframe's own is kept on its button (`tf_1D:1m_AAPL`, labelled "1D · 1m")
+     * @param {string} ticker - Instrument key
+     * @param {string} activeTimeframe - Timeframe currently shown
+     * @param {string|null} activeInterval - Bar interval currently shown, when not the timeframe's own
+     * @returns {Array<ActionRowBuilder>} Button rows
+     */
+    createTimeframeButtons(ticker, activeTimeframe, activeInterval = null) {
+        return this.createButtonRows(getTimeframeIds().map(timeframeId => {
+            const isActive = timeframeId === activeTimeframe;
+            const interval = isActive && activeInterval ? activeInterval : null;
+
+            return new ButtonBuilder()
+                .setCustomId(interval ? `tf_${timeframeId}:${interval}_${ticker}` : `tf_${timeframeId}_${ticker}`)
+                .setLabel(interval ? `${timeframeId} · ${interval}` : timeframeId)
+                .setStyle(isActive ? ButtonStyle.Primary : ButtonStyle.Secondary)
+                .setDisabled(isActive);
+        }));
+    }
+
+    /**
+     * Create the indicator toggle buttons for a chart (`ind_<indicator>_<ticker>`),
+     * with enabled indicators shown in green
+     * @param {string} ticker - Instrument key
+     * @param {Array<string>} activeIndicators - Indicators currently drawn
+     * @returns {Array<ButtonBuilder>} Buttons
+     */
+    createIndicatorButtons(ticker, activeIndicators = []) {
+        return INDICATOR_IDS.map(id => new ButtonBuilder()
+            .setCustomId(`ind_${id}_${ticker}`)
+            .setLabel(getIndicator(id).label)
+            .setStyle(activeIndicators.includes(id) ? ButtonStyle.Success : ButtonStyle.Secondary));
+    }
+
+    /**
+     * Create the log scale toggle for a chart (`log_<ticker>`), green when on
+     * @param {string} ticker - Instrument key
+     * @param {boolean} logScale - Price axis is logarithmic
+     * @returns {ButtonBuilder} Button
+     */
+    createLogScaleButton(ticker, logScale = false) {
+        return new ButtonBuilder()
+            .setCustomId(`log_${ticker}`)
+            .setLabel('Log')
+            .setStyle(logScale ? ButtonStyle.Success : ButtonStyle.Secondary);
+    }
+
+    /**
+     * Create the button that reposts a chart publicly (`share_<ticker>`)
+     * @param {string} ticker - Instrument key
+     * @returns {ButtonBuilder} Button
+     */
+    createShareButton(ticker) {
+        return new ButtonBuilder()
+            .setCustomId(`share_${ticker}`)
+            .setLabel('📤 Share')
+            .setStyle(ButtonStyle.Primary);
+    }
+
+    /**
+     * Create the button that answers with a text-only quote (`quote_<ticker>`)
+     * @param {string} ticker - Instrument key
+     * @returns {ButtonBuilder} Button
+     */
+    createQuoteButton(ticker) {
+        return new ButtonBuilder()
+            .setCustomId(`quote_${ticker}`)
+            .setLabel('💲 Quote')
+            .setStyle(ButtonStyle.Secondary);
+    }
+
+    /**
+     * Create the button that toggles the ticker on the user's watchlist (`watch_<ticker>`)
+     * @param {string} ticker - Instrument key
+     * @param {boolean} watched - The ticker is on the user's watchlist
+     * @returns {ButtonBuilder} Button
+     */
+    createWatchButton(ticker, watched = false) {
+        return new ButtonBuilder()
+            .setCustomId(`watch_${ticker}`)
+            .setLabel(watched ? '⭐ Watching' : '⭐ Watch')
+            .setStyle(watched ? ButtonStyle.Success : ButtonStyle.Secondary);
+    }
+
+    /**
+     * Check if a ticker is on a user's watchlist
+     */
+    isWatched(userId, ticker) {
+        return this.watchlistService ? this.watchlistService.hasTicker(WATCHLIST_SCOPES.USER, userId, ticker) : false;
+    }
+
+    /**
+     * Create the chart type buttons for a chart (`type_<type>_<ticker>`),
+     * with the drawn type highlighted and disabled
+     * @param {string} ticker - Instrument key
+     * @param {string} activeType - Chart type currently drawn
+     * @returns {Array<ButtonBuilder>} Buttons
+     */
+    createChartTypeButtons(ticker, activeType = DEFAULT_CHART_TYPE) {
+        return getChartTypeIds().map(id => new ButtonBuilder()
+            .setCustomId(`type_${id}_${ticker}`)
+            .setLabel(getChartType(id).label)
+            .setStyle(id === activeType ? ButtonStyle.Primary : ButtonStyle.Secondary)
+            .setDisabled(id === activeType));
+    }
+
+    /**
+     * Read what a chart message currently shows from its buttons: the disabled timeframe
+     * (with its interval) and chart type buttons, and the green indicator and log scale buttons
+     * @param {Object} message - Chart message
+     * @returns {Object} { timeframeId, intervalId, indicators, chartType, logScale } (null for parts the message has no buttons for)
+     */
+    getChartState(message) {
+        const state = { timeframeId: null, intervalId: null, indicators: null, chartType: null, logScale: null };
+
+        for (const row of message?.components || []) {
+            for (const component of row.toJSON().components) {
+                const customId = component.custom_id || '';
+                const enabled = component.style === ButtonStyle.Success;
+
+                if (customId.startsWith('tf_') && component.disabled) {
+                    const request = this.getTimeframeRequest({ customId });
+                    state.timeframeId = request?.timeframeId || null;
+                    state.intervalId = request?.intervalId || null;
+                } else if (customId.startsWith('type_') && component.disabled) {
+                    state.chartType = this.getChartTypeRequest({ customId })?.chartType || null;
+                } else if (customId.startsWith('log_')) {
+                    state.logScale = enabled;
+                } else if (customId.startsWith('ind_')) {
+                    const request = this.getIndicatorRequest({ customId });
+                    state.indicators = state.indicators || [];
+                    if (request && enabled) {
+                        state.indicators.push(request.indicatorId);
+                    }
+                }
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Extract the timeframe, interval and ticker from a `tf_<timeframe>[:<interval>]_<ticker>` button
+     * @returns {Object|null} { timeframeId, intervalId, ticker } or null for other interactions
+     */
+    getTimeframeRequest(interaction) {
+        const match = interaction.customId?.match(/^tf_([^_:]+)(?::([^_]+))?_(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return { timeframeId: match[1], intervalId: match[2] || null, ticker: match[3] };
+    }
+
+    /**
+     * Extract the indicator and ticker from an `ind_<indicator>_<ticker>` button
+     * @returns {Object|null} { indicatorId, ticker } or null for other interactions
+     */
+    getIndicatorRequest(interaction) {
+        const match = interaction.customId?.match(/^ind_([a-z]+)_(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return { indicatorId: match[1], ticker: match[2] };
+    }
+
+    /**
+     * Extract the chart type and ticker from a `type_<type>_<ticker>` button
+     * @returns {Object|null} { chartType, ticker } or null for other interactions
+     */
+    getChartTypeRequest(interaction) {
+        const match = interaction.customId?.match(/^type_([a-z]+)_(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        return { chartType: match[1], ticker: match[2] };
+    }
+
+    /**
+     * Handle a timeframe button: re-render the chart for the picked timeframe,
+     * keeping its style (but with the timeframe's own interval), and edit the
+     * ephemeral chart message in place
+     */
+    async handleTimeframeInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const request = this.getTimeframeRequest(interaction);
+        if (!request || !isValidTimeframe(request.timeframeId) || !isValidInstrumentKey(request.ticker)) {
+            logger.warn('Invalid timeframe button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        const { ticker, timeframeId } = request;
+        const renderOptions = this.getRenderOptions(interaction, { ...this.getCurrentChartStyle(interaction), intervalId: null });
+
+        await this.updateChart(interaction, ticker, timeframeId, renderOptions, {
+            label: timeframeId,
+            errorDescription: `Could not load the ${timeframeId} chart for **${parseInstrumentKey(ticker)?.displaySymbol || ticker}**. Please try another timeframe.`
+        });
+    }
+
+    /**
+     * Handle an indicator button: toggle the indicator on the chart's current
+     * timeframe and edit the ephemeral chart message in place
+     */
+    async handleIndicatorInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const request = this.getIndicatorRequest(interaction);
+        if (!request || !getIndicator(request.indicatorId) || !isValidInstrumentKey(request.ticker)) {
+            logger.warn('Invalid indicator button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        const { ticker, indicatorId } = request;
+        const style = this.getCurrentChartStyle(interaction);
+        const indicators = style.indicators.includes(indicatorId) ?
+            style.indicators.filter(id => id !== indicatorId) :
+            normalizeIndicators([...style.indicators, indicatorId]);
+        const { label } = getIndicator(indicatorId);
+
+        await this.updateChart(interaction, ticker, style.timeframeId, this.getRenderOptions(interaction, { ...style, indicators }), {
+            label,
+            errorDescription: `Could not draw ${label} on the **${parseInstrumentKey(ticker)?.displaySymbol || ticker}** chart. Please try again.`
+        });
+    }
+
+    /**
+     * Handle a chart type or log scale button: redraw the chart in the picked style
+     * and remember it as the user's default for new charts
+     */
+    async handleChartStyleInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const typeRequest = this.getChartTypeRequest(interaction);
+        const logTicker = interaction.customId?.match(/^log_(.+)$/)?.[1];
+        const ticker = typeRequest ? typeRequest.ticker : logTicker;
+        if ((typeRequest && !isValidChartType(typeRequest.chartType)) || !ticker || !isValidInstrumentKey(ticker)) {
+            logger.warn('Invalid chart style button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        const style = this.getCurrentChartStyle(interaction);
+        const change = typeRequest ? { chartType: typeRequest.chartType } : { logScale: !style.logScale };
+        const label = typeRequest ? getChartType(typeRequest.chartType).label : 'Log';
+
+        if (this.userPreferencesService) {
+            this.userPreferencesService.setPreferences(interaction.user.id, change);
+        }
+
+        await this.updateChart(interaction, ticker, style.timeframeId, this.getRenderOptions(interaction, { ...style, ...change }), {
+            label,
+            errorDescription: `Could not draw the **${parseInstrumentKey(ticker)?.displaySymbol || ticker}** chart as ${label}. Please try again.`
+        });
+    }
+
+    /**
+     * Handle the "📤 Share" button: post the chart as shown (same timeframe and style)
+     * publicly in the channel, attributed to the user, and track it for retention
+     */
+    async handleShareInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const ticker = interaction.customId?.match(/^share_(.+)$/)?.[1];
+        if (!ticker || !isValidInstrumentKey(ticker)) {
+            logger.warn('Invalid share button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        // Double clicks would post the chart twice
+        const userRequestKey = `${interaction.user.id}_share_${ticker}`;
+        const lastRequest = this.userTickerRequests.get(userRequestKey);
+        if (lastRequest && (Date.now() - lastRequest) < 10000) {
+            logger.warn('Rapid duplicate share request, ignoring', { ticker, user: interaction.user.username });
+            return;
+        }
+        this.userTickerRequests.set(userRequestKey, Date.now());
+
+        try {
+            // The ephemeral chart stays as it is
+            await interaction.deferUpdate();
+        } catch (deferError) {
+            logger.warn('Failed to defer chart share', {
+                ticker,
+                user: interaction.user.username,
+                error: deferError.message
+            });
+            return;
+        }
+
+        try {
+            const { timeframeId, ...style } = this.getCurrentChartStyle(interaction);
+            // Rendered with the same options, so the image comes from the chart cache
+            const { reply, cacheKey } = await this.buildChartReply(ticker, timeframeId, interaction, this.getRenderOptions(interaction, style));
+
+            // Buttons stay on the ephemeral chart: they edit the message they are on
+            const sharedMessage = await interaction.channel.send({
+                content: `📤 Shared by <@${interaction.user.id}>`,
+                embeds: reply.embeds,
+                files: reply.files,
+                allowedMentions: { parse: [] }
+            });
+
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackMessage(
+                    sharedMessage.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    ticker,
+                    [cacheKey]
+                );
+            }
+
+            logger.info('Chart shared', {
+                user: interaction.user.username,
+                ticker,
+                timeframe: timeframeId,
+                messageId: sharedMessage.id
+            });
+
+        } catch (error) {
+            logger.error('Error sharing chart', {
+                ticker,
+                user: interaction.user.username,
+                error: error.message
+            });
+
+            const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
+            try {
+                await interaction.followUp({
+                    embeds: [new EmbedBuilder()
+                        .setTitle(`❌ Error: ${displaySymbol} Share`)
+                        .setDescription(`Could not post the **${displaySymbol}** chart in this channel. Check that I can send messages and attach files here.`)
+                        .setColor(0xff4444)],
+                    ephemeral: true
+                });
+            } catch (replyError) {
+                logger.error('Failed to send chart share error message', { replyError: replyError.message });
+            }
+        }
+    }
+
+    /**
+     * Handle the "💲 Quote" button: reply with the ticker's quote (price, ranges, volume,
+     * market cap) in a new ephemeral message, leaving the chart as it is
+     */
+    async handleQuoteInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const ticker = interaction.customId?.match(/^quote_(.+)$/)?.[1];
+        if (!ticker || !isValidInstrumentKey(ticker)) {
+            logger.warn('Invalid quote button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+        } catch (deferError) {
+            logger.warn('Failed to defer quote reply', {
+                ticker,
+                user: interaction.user.username,
+                error: deferError.message
+            });
+            return;
+        }
+
+        try {
+            const quote = await this.stockService.fetchQuote(ticker);
+            await interaction.editReply({ embeds: [this.chartService.createQuoteEmbed([quote])] });
+
+        } catch (error) {
+            logger.error('Error handling quote interaction', {
+                ticker,
+                user: interaction.user.username,
+                error: error.message
+            });
+
+            const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
+            try {
+                await interaction.editReply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle(`❌ Error: ${displaySymbol} Quote`)
+                        .setDescription(`Could not fetch a quote for **${displaySymbol}**. Please try again later.`)
+                        .setColor(0xff4444)]
+                });
+            } catch (replyError) {
+                logger.error('Failed to send quote error message', { replyError: replyError.message });
+            }
+        }
+    }
+
+    /**
+     * Handle a "⭐ Watch" click: toggle the ticker on the user's watchlist and
+     * swap the button on the chart message to show the new state
+     */
+    async handleWatchInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const ticker = interaction.customId?.match(/^watch_(.+)$/)?.[1];
+        if (!ticker || !isValidInstrumentKey(ticker)) {
+            logger.warn('Invalid watch button', {
+                customId: interaction.customId,
+                user: interaction.user.username
+            });
+            return;
+        }
+
+        const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
+
+        try {
+            if (!this.watchlistService) {
+                throw new Error('Watchlists are not available');
+            }
+
+            const watched = this.watchlistService.toggleTicker(WATCHLIST_SCOPES.USER, interaction.user.id, ticker);
+            const components = (interaction.message?.components || []).map(row => new ActionRowBuilder().addComponents(
+                row.toJSON().components.map(component => component.custom_id === interaction.customId ?
+                    this.createWatchButton(ticker, watched) :
+                    ButtonBuilder.from(component))
+            ));
+
+            await interaction.update({ components });
+
+            logger.debug('Watchlist toggled from chart', {
+                user: interaction.user.username,
+                ticker,
+                watched
+            });
+
+        } catch (error) {
+            logger.warn('Error handling watch interaction', {
+                ticker,
+                user: interaction.user.username,
+                error: error.message
+            });
+
+            try {
+                await interaction.reply({
+                    content: `❌ Could not update your watchlist for ${displaySymbol}: ${error.message}`,
+                    ephemeral: true
+                });
+            } catch (replyError) {
+                logger.error('Failed to send watch error message', { replyError: replyError.message });
+            }
+        }
+    }
+
+    /**
+     * Re-render an ephemeral chart message in place after one of its buttons was clicked
+     * @param {Object} interaction - Button interaction on the chart message
+     * @param {string} ticker - Instrument key
+     * @param {string} timeframeId - Timeframe to chart
+     * @param {Object} renderOptions - { intervalId, indicators, chartType, logScale, volume } to draw
+     * @param {Object} change - { label, errorDescription } describing the click for error messages
+     */
+    async updateChart(interaction, ticker, timeframeId, renderOptions, change) {
+        try {
+            // Acknowledge as an update so editReply edits the chart message itself
+            await interaction.deferUpdate();
+        } catch (deferError) {
+            logger.warn('Failed to defer chart update', {
+                ticker,
+                change: change.label,
+                user: interaction.user.username,
+                error: deferError.message
+            });
+            return;
+        }
+
+        try {
+            const { reply, cacheKey } = await this.buildChartReply(ticker, timeframeId, interaction, renderOptions);
+
+            // attachments: [] drops the previous image instead of keeping it next to the new one
+            const chartMessage = await interaction.editReply({ ...reply, attachments: [] });
+
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackMessage(
+                    chartMessage.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    ticker,
+                    [cacheKey],
+                    null,
+                    true
+                );
+            }
+
+            logger.debug('Chart updated', {
+                user: interaction.user.username,
+                ticker,
+                timeframe: timeframeId,
+                indicators: renderOptions.indicators,
+                chartType: renderOptions.chartType,
+                logScale: renderOptions.logScale
+            });
+
+        } catch (error) {
+            logger.error('Error updating chart', {
+                ticker,
+                change: change.label,
+                user: interaction.user.username,
+                error: error.message
+            });
+
+            // Keep the current chart and report the failure separately
+            const displaySymbol = parseInstrumentKey(ticker)?.displaySymbol || ticker;
+            try {
+                await interaction.followUp({
+                    embeds: [new EmbedBuilder()
+                        .setTitle(`❌ Error: ${displaySymbol} ${change.label}`)
+                        .setDescription(change.errorDescription)
+                        .setColor(0xff4444)],
+                    ephemeral: true
+                });
+            } catch (replyError) {
+                logger.error('Failed to send chart update error message', { replyError: replyError.message });
+            }
+        }
+    }
+
+    /**
+     * Get the tickers offered by a bot message's buttons and select menus, in order
+     * @param {Object} message - Button message
+     * @returns {Array<string>} Instrument keys
+     */
+    getTickersFromMessage(message) {
+        const tickers = [];
+
+        for (const row of message?.components || []) {
+            for (const component of row.toJSON().components) {
+                if (component.custom_id?.startsWith('stock_')) {
+                    tickers.push(component.custom_id.replace('stock_', ''));
+                } else if (component.custom_id?.startsWith('tickers_select_')) {
+                    tickers.push(...component.options.map(option => option.value));
+                }
+            }
+        }
+
+        return tickers.filter(ticker => isValidInstrumentKey(ticker));
+    }
+
+    /**
+     * Handle the "📊 All" button: send one grid image charting the message's tickers
+     */
+    async handleChartAllInteraction(interaction) {
+        if (!this.isOurInteraction(interaction)) {
+            return;
+        }
+
+        const tickers = this.getTickersFromMessage(interaction.message);
+        if (tickers.length === 0) {
+            logger.debug('No tickers found for chart grid', { messageId: interaction.message?.id });
+            return;
+        }
+
+        // Same rapid duplicate protection as single charts
+        const userRequestKey = `${interaction.user.id}_all_${interaction.message.id}`;
+        const lastRequest = this.userTickerRequests.get(userRequestKey);
+        if (lastRequest && (Date.now() - lastRequest) < 10000) {
+            logger.warn('Rapid duplicate chart grid request, ignoring', { user: interaction.user.username });
+            return;
+        }
+        this.userTickerRequests.set(userRequestKey, Date.now());
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+        } catch (deferError) {
+            logger.warn('Failed to defer chart grid reply', {
+                user: interaction.user.username,
+                error: deferError.message
+            });
+            return;
+        }
+
+        try {
+            const fetched = [];
+            const failed = [];
+
+            // Only fetch what can be shown; stop once the grid is full
+            for (const ticker of tickers) {
+                if (fetched.length >= CONFIG.CHART.GRID.MAX_CHARTS) break;
+
+                try {
+                    fetched.push(await this.stockService.fetchStockData(ticker));
+                } catch (error) {
+                    logger.warn('Could not fetch data for chart grid', { ticker, error: error.message });
+                    failed.push(parseInstrumentKey(ticker)?.displaySymbol || ticker);
+                }
+            }
+
+            const charts = this.chartService.selectGridCharts(fetched);
+            if (charts.length === 0) {
+                throw new Error('No chart data available');
+            }
+
+            const chartBuffer = await this.chartService.generateGridChart(
+                charts,
+                interaction.user.id,
+                interaction.user.displayName || interaction.user.globalName || interaction.user.username
+            );
+
+            const embed = this.chartService.createGridEmbed(charts);
+            const notes = [];
+            if (tickers.length > charts.length + failed.length) {
+                notes.push(`Showing ${charts.length} of ${tickers.length} tickers`);
+            }
+            if (failed.length > 0) {
+                notes.push(`Could not load: ${failed.join(', ')}`);
+            }
+            if (notes.length > 0) {
+                embed.setFooter({ text: notes.join(' • ') });
+            }
+
+            const chartMessage = await interaction.editReply({
+                embeds: [embed],
+                files: [{
+                    attachment: chartBuffer,
+                    name: 'chart-grid.png'
+                }]
+            });
+
+            if (this.messageTrackingService) {
+                const symbols = charts.map(stockData => stockData.symbol);
+                this.messageTrackingService.trackMessage(
+                    chartMessage.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    symbols.join(','),
+                    [this.chartService.getGridCacheKey(symbols)],
+                    null,
+                    true
+                );
+            }
+
+            logger.debug('Chart grid sent successfully', {
+                user: interaction.user.username,
+                tickers: charts.length
+            });
+
+        } catch (error) {
+            logger.error('Error handling chart grid interaction', {
+                user: interaction.user.username,
+                tickers,
+                error: error.message
+            });
+
+            try {
+                await interaction.editReply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('❌ Error: Charts')
+                        .setDescription('Could not generate the charts for this message. Please try again later.')
+                        .setColor(0xff4444)]
+                });
+            } catch (replyError) {
+                logger.error('Failed to send chart grid error message', { replyError: replyError.message });
+            }
+        }
+    }
+
     /**
      * Validate interaction before processing
      */
     shouldProcessInteraction(interaction) {
-        // Must be a button interaction
-        if (!interaction.isButton()) return false;
+        // Must be a button or select menu interaction
+        if (!interaction.isButton() && !interaction.isStringSelectMenu?.()) return false;
         
-        // Must be a stock button
-        if (!interaction.customId.startsWith('stock_')) return false;
-        
-        // Must have a valid ticker
-        const ticker = interaction.customId.replace('stock_', '');
-        if (!ticker || ticker.length === 0 || ticker.length > 5) return false;
+        // Must be a stock button or ticker menu with a valid ticker
+        const ticker = this.getTickerFromInteraction(interaction);
+        if (!ticker || !isValidInstrumentKey(ticker)) return false;
         
         return true;
     }
 
     /**
-     * Extract ticker from interaction
+     * Extract ticker from interaction: `stock_<ticker>` buttons, or the option
+     * picked in a `tickers_select_<page>` menu (used for messages with many tickers)
      */
     getTickerFromInteraction(interaction) {
+        if (!interaction.customId) {
+            return null;
+        }
+
+        if (interaction.customId.startsWith('tickers_select_')) {
+            return interaction.values?.[0] || null;
+        }
+
         if (!interaction.customId.startsWith('stock_')) {
             return null;
         }
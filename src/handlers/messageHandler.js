@@ -2,14 +2,24 @@
  * Message Handler - Handles incoming Discord messages
  */
 
-const { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageType } = require('discord.js');
-const { detectStockTickers } = require('../utils/ticker-detector');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, MessageType } = require('discord.js');
+const { detectTickerMatches, DEFAULT_DETECTION_MODE } = require('../utils/ticker-detector');
+const { DELIVERY_MODES } = require('../services/guildSettingsService');
+const CONFIG = require('../constants/config');
 const { logger } = require('../utils/logger');
+const { getInstrumentLabel, parseInstrumentKey } = require('../utils/instrument');
+const { DEFAULT_TIMEFRAME } = require('../utils/timeframe');
 
 class MessageHandler {
-    constructor(messageTrackingService = null, botClient = null) {
+    constructor(messageTrackingService = null, botClient = null, guildSettingsService = null, symbolDirectoryService = null, environment = null, companyNameService = null, stockService = null, chartService = null) {
         this.messageTrackingService = messageTrackingService;
         this.botClient = botClient;
+        this.guildSettingsService = guildSettingsService;
+        this.symbolDirectoryService = symbolDirectoryService;
+        this.environment = environment;
+        this.companyNameService = companyNameService;
+        this.stockService = stockService;
+        this.chartService = chartService;
         
         // Our bot's specific thread name pattern
         this.THREAD_NAME_PATTERN = /^📊 (.+)'s Stock Charts$/;
@@ -39,43 +49,376 @@ class MessageHandler {
         // Ignore other bot messages
         if (message.author.bot) return;
 
-        // Detect stock tickers in the message
-        const tickers = detectStockTickers(message.content);
+        // Channel profiles can turn detection off or change how tickers are delivered
+        const profile = this.getChannelProfile(message);
+        if (!profile.detectionEnabled) return;
+
+        // Detect stock tickers in the message using the channel's detection mode
+        const tickers = this.detectTickers(message, profile);
         
         if (tickers.length > 0) {
             logger.debug(`Detected tickers: ${tickers.join(', ')}`);
+            await this.deliverTickers(message, tickers, profile);
+        }
+    }
+
+    /**
+     * Get the profile of the channel a message was posted in (threads inherit from their parent)
+     * @param {Object} message - Discord message
+     * @returns {Object} { detectionEnabled, detectionMode, delivery, volume }
+     */
+    getChannelProfile(message) {
+        const channel = message.channel;
+
+        if (!this.guildSettingsService) {
+            return {
+                detectionEnabled: true,
+                detectionMode: this.environment ? this.environment.getTickerDetectionMode() : DEFAULT_DETECTION_MODE,
+                delivery: DELIVERY_MODES.BUTTONS,
+                volume: true
+            };
+        }
+
+        return this.guildSettingsService.getChannelProfile(
+            message.guildId || message.guild?.id,
+            channel?.id,
+            channel?.isThread?.() ? channel.parentId : null
+        );
+    }
+
+    /**
+     * Reply to a message in the channel's delivery style
+     * @param {Object} message - Source Discord message
+     * @param {Array<string>} tickers - Detected tickers
+     * @param {Object} profile - Channel profile
+     */
+    async deliverTickers(message, tickers, profile) {
+        if (profile.delivery === DELIVERY_MODES.NONE) {
+            logger.debug('Channel delivery is off, not replying', {
+                channelId: message.channel.id,
+                tickers: tickers.length
+            });
+            return;
+        }
+
+        if (profile.delivery === DELIVERY_MODES.INLINE) {
+            if (this.canRenderCharts()) {
+                await this.sendInlineCharts(message, tickers, profile);
+                return;
+            }
+            logger.warn('Inline delivery needs the stock and chart services, sending buttons instead');
+        }
+
+        await this.sendTickerButtons(message, tickers);
+    }
+
+    /**
+     * Reply to a message with ticker buttons and track the reply
+     * @param {Object} message - Source Discord message
+     * @param {Array<string>} tickers - Detected tickers
+     */
+    async sendTickerButtons(message, tickers) {
+        try {
+            // Create interactive buttons (or menus, for many tickers) for detected tickers
+            const actionRows = this.createTickerComponents(tickers);
             
-            try {
-                // Create interactive buttons for detected tickers
-                const actionRows = this.createTickerButtons(tickers);
-                
-                const buttonMessage = await message.reply({
-                    components: actionRows
-                });
+            const buttonMessage = await message.reply({
+                components: actionRows
+            });
 
-                // Track button message for retention if tracking service is available
-                if (this.messageTrackingService) {
-                    this.messageTrackingService.trackButtonMessage(
-                        buttonMessage.id,
-                        message.channel.id,
-                        tickers
-                    );
-                }
-
-                logger.debug('Button message created and tracked', {
-                    messageId: buttonMessage.id,
-                    channelId: message.channel.id,
-                    tickers: tickers.length
-                });
+            // Track button message for retention if tracking service is available
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackButtonMessage(
+                    buttonMessage.id,
+                    message.channel.id,
+                    tickers,
+                    message.id
+                );
+            }
+
+            logger.debug('Button message created and tracked', {
+                messageId: buttonMessage.id,
+                channelId: message.channel.id,
+                tickers: tickers.length
+            });
+
+        } catch (error) {
+            logger.error('Error creating ticker buttons', {
+                tickers,
+                error: error.message
+            });
+            // Ignore reply errors - don't want to crash the bot
+        }
+    }
+
+    /**
+     * Check if charts can be rendered here (needs the stock and chart services)
+     */
+    canRenderCharts() {
+        return Boolean(this.stockService && this.chartService);
+    }
+
+    /**
+     * Fetch data and render charts for tickers, skipping any that fail
+     * @param {Array<string>} tickers - Tickers to chart
+     * @param {string} channelId - Channel the charts are for
+     * @param {string} userId - User the charts are for
+     * @param {string} username - Display name of the user
+     * @param {Object} renderOptions - { volume } from the channel profile
+     * @returns {Promise<Object>} { symbols, embeds, files, cacheKeys } ready to send (empty if nothing rendered)
+     */
+    async renderCharts(tickers, channelId, userId, username, renderOptions = {}) {
+        const charts = [];
 
+        for (const ticker of tickers) {
+            try {
+                const stockData = await this.stockService.fetchStockData(ticker);
+                const chartBuffer = await this.chartService.generateChart(stockData, null, channelId, userId, null, username, renderOptions);
+                charts.push({ stockData, chartBuffer });
             } catch (error) {
-                logger.error('Error creating ticker buttons', {
-                    tickers,
+                logger.warn('Could not generate chart', {
+                    ticker,
                     error: error.message
                 });
-                // Ignore reply errors - don't want to crash the bot
             }
         }
+
+        return {
+            symbols: charts.map(({ stockData }) => stockData.symbol),
+            embeds: charts.map(({ stockData }, index) =>
+                this.chartService.createStockEmbed(stockData, renderOptions).setImage(`attachment://chart-${index}.png`)
+            ),
+            files: charts.map(({ chartBuffer }, index) => ({
+                attachment: chartBuffer,
+                name: `chart-${index}.png`
+            })),
+            cacheKeys: charts.map(({ stockData }) => this.chartService.getChartCacheKey(stockData.symbol, DEFAULT_TIMEFRAME, null, renderOptions))
+        };
+    }
+
+    /**
+     * Reply to a message with the charts of its first tickers and track the reply
+     * @param {Object} message - Source Discord message
+     * @param {Array<string>} tickers - Detected tickers
+     * @param {Object} profile - Channel profile
+     */
+    async sendInlineCharts(message, tickers, profile = this.getChannelProfile(message)) {
+        const { symbols, embeds, files, cacheKeys } = await this.renderCharts(
+            tickers.slice(0, CONFIG.DISCORD.MAX_INLINE_CHARTS),
+            message.channel.id,
+            message.author.id,
+            message.member?.displayName || message.author.username,
+            { volume: profile.volume }
+        );
+
+        if (symbols.length === 0) return;
+
+        try {
+            const chartMessage = await message.reply({ embeds, files });
+
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackInlineChartMessage(
+                    chartMessage.id,
+                    message.channel.id,
+                    tickers,
+                    message.id,
+                    cacheKeys
+                );
+            }
+
+            logger.debug('Inline chart message created and tracked', {
+                messageId: chartMessage.id,
+                channelId: message.channel.id,
+                charts: symbols.length
+            });
+
+        } catch (error) {
+            logger.error('Error sending inline charts', {
+                tickers,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle an edited message: re-detect tickers and update, create or remove the button reply
+     * @param {Object} oldMessage - Message before the edit (may be partial)
+     * @param {Object} newMessage - Message after the edit (may be partial)
+     */
+    async handleMessageUpdate(oldMessage, newMessage) {
+        const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+
+        if (message.author?.bot || message.system) return;
+
+        // Embeds being unfurled also trigger updates; only content edits matter
+        if (!oldMessage.partial && oldMessage.content === message.content) return;
+
+        const profile = this.getChannelProfile(message);
+        if (!profile.detectionEnabled || profile.delivery === DELIVERY_MODES.NONE) return;
+
+        const tickers = this.detectTickers(message, profile);
+        const tracked = this.messageTrackingService ?
+            this.messageTrackingService.getButtonMessageForSource(message.id) :
+            null;
+
+        if (!tracked) {
+            if (tickers.length > 0) {
+                logger.debug('Tickers added by edit', { messageId: message.id, tickers });
+                await this.deliverTickers(message, tickers, profile);
+            }
+            return;
+        }
+
+        if (tickers.length === 0) {
+            logger.debug('Tickers removed by edit', { messageId: message.id });
+            await this.deleteReplyMessage(message.channel, tracked.messageId);
+            return;
+        }
+
+        if (tickers.join(',') === tracked.tickers.join(',')) return;
+
+        // Inline charts are replaced rather than edited
+        if (tracked.type === 'inline_chart') {
+            await this.deleteReplyMessage(message.channel, tracked.messageId);
+            await this.deliverTickers(message, tickers, profile);
+            return;
+        }
+
+        try {
+            const buttonMessage = await message.channel.messages.fetch(tracked.messageId);
+            await buttonMessage.edit({ components: this.createTickerComponents(tickers) });
+            this.messageTrackingService.updateButtonMessageTickers(tracked.messageId, tickers);
+
+            logger.debug('Button message updated after edit', {
+                messageId: tracked.messageId,
+                previous: tracked.tickers,
+                tickers
+            });
+        } catch (error) {
+            logger.warn('Failed to update button message after edit', {
+                messageId: tracked.messageId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle a deleted message: remove the bot's reply to it
+     * @param {Object} message - Deleted message (may be partial)
+     */
+    async handleMessageDelete(message) {
+        if (!this.messageTrackingService) return;
+
+        const tracked = this.messageTrackingService.getButtonMessageForSource(message.id);
+        if (tracked) {
+            logger.debug('Source message deleted, removing reply', {
+                sourceMessageId: message.id,
+                messageId: tracked.messageId
+            });
+            await this.deleteReplyMessage(message.channel, tracked.messageId);
+        }
+    }
+
+    /**
+     * Delete a reply (buttons or inline charts) and stop tracking it
+     * @param {Object} channel - Channel the reply is in
+     * @param {string} messageId - Reply message ID
+     */
+    async deleteReplyMessage(channel, messageId) {
+        try {
+            const replyMessage = await channel.messages.fetch(messageId);
+            await replyMessage.delete();
+        } catch (error) {
+            // Already deleted (e.g. by retention or a moderator) - just stop tracking it
+            logger.debug('Could not delete reply message', {
+                messageId,
+                error: error.message
+            });
+        }
+
+        this.messageTrackingService.untrackMessage(messageId);
+    }
+
+    /**
+     * Build detection options for the guild/channel a message was posted in
+     * @param {Object} message - Discord message
+     * @param {Object} profile - Channel profile (looked up when omitted)
+     * @returns {Object} Options for detectStockTickers
+     */
+    getDetectionOptions(message, profile = this.getChannelProfile(message)) {
+        const options = { mode: profile.detectionMode };
+        const guildId = message.guildId || message.guild?.id;
+
+        if (this.guildSettingsService) {
+            // Guild block/allow lists adjust which bare words count as tickers
+            if (guildId) {
+                Object.assign(options, this.guildSettingsService.getWordLists(guildId));
+            }
+        }
+
+        // Resolve company names ("Apple", "טבע") including the guild's own names
+        if (this.companyNameService) {
+            options.companyDictionary = this.companyNameService.getDictionary(guildId);
+        }
+
+        // Only keep symbols from the exchange listings (cashtags can override)
+        if (this.symbolDirectoryService) {
+            options.symbolDirectory = this.symbolDirectoryService;
+            options.allowUnlistedCashtags = this.environment ? this.environment.allowUnlistedCashtags() : true;
+        }
+
+        return options;
+    }
+
+    /**
+     * Detect ticker mentions in a message honoring guild/channel settings
+     * @param {Object} message - Discord message
+     * @param {Object} profile - Channel profile (looked up when omitted)
+     * @returns {Array} Matches with offset, form and confidence metadata
+     */
+    detectTickerMatches(message, profile = undefined) {
+        return detectTickerMatches(message.content, this.getDetectionOptions(message, profile));
+    }
+
+    /**
+     * Get the maximum number of tickers offered per message
+     * (MAX_TICKERS_PER_MESSAGE, up to what fits in a message's select menus)
+     */
+    getMaxTickers() {
+        const configured = this.environment ? this.environment.getMaxTickersPerMessage() : CONFIG.DISCORD.DEFAULT_MAX_TICKERS;
+        return Math.min(configured, CONFIG.DISCORD.MAX_TICKERS_TOTAL);
+    }
+
+    /**
+     * Keep the most likely tickers when a message mentions more than the cap.
+     * The highest-confidence matches win (earlier mentions break ties) and
+     * the kept matches stay in message order.
+     * @param {Array} matches - Detected matches
+     * @param {number} limit - Maximum number of matches to keep
+     * @returns {Array} Kept matches
+     */
+    rankMatches(matches, limit = this.getMaxTickers()) {
+        if (matches.length <= limit) {
+            return matches;
+        }
+
+        const kept = new Set(
+            [...matches]
+                .sort((a, b) => (b.confidence - a.confidence) || (a.offset - b.offset))
+                .slice(0, limit)
+        );
+
+        return matches.filter(match => kept.has(match));
+    }
+
+    /**
+     * Detect tickers in a message honoring guild/channel settings
+     * @param {Object} message - Discord message
+     * @param {Object} profile - Channel profile (looked up when omitted)
+     * @returns {Array<string>} Detected ticker symbols, ranked and capped
+     */
+    detectTickers(message, profile = undefined) {
+        return this.rankMatches(this.detectTickerMatches(message, profile)).map(match => match.symbol);
     }
 
     /**
@@ -236,6 +579,45 @@ class MessageHandler {
         return null;
     }
 
+    /**
+     * Create the components offering detected tickers: buttons while they fit,
+     * select menus of up to 25 tickers each beyond that
+     */
+    createTickerComponents(tickers) {
+        if (tickers.length <= CONFIG.DISCORD.MAX_BUTTONS_TOTAL) {
+            return this.createTickerButtons(tickers);
+        }
+
+        return this.createTickerSelectMenus(tickers);
+    }
+
+    /**
+     * Create one select menu row per page of tickers
+     */
+    createTickerSelectMenus(tickers) {
+        const pageSize = CONFIG.DISCORD.MAX_SELECT_OPTIONS;
+        const total = Math.min(tickers.length, CONFIG.DISCORD.MAX_TICKERS_TOTAL);
+        const actionRows = [];
+
+        for (let start = 0; start < total; start += pageSize) {
+            const pageTickers = tickers.slice(start, Math.min(start + pageSize, total));
+            const [first, last] = [pageTickers[0], pageTickers[pageTickers.length - 1]]
+                .map(ticker => parseInstrumentKey(ticker)?.displaySymbol || ticker);
+
+            const menu = new StringSelectMenuBuilder()
+                .setCustomId(`tickers_select_${start / pageSize}`)
+                .setPlaceholder(`📈 ${start + 1}-${start + pageTickers.length} of ${total}: ${first} … ${last}`.slice(0, 150))
+                .addOptions(pageTickers.map(ticker => ({
+                    label: getInstrumentLabel(ticker),
+                    value: ticker
+                })));
+
+            actionRows.push(new ActionRowBuilder().addComponents(menu));
+        }
+
+        return actionRows;
+    }
+
     /**
      * Create interactive buttons for detected tickers
      */
@@ -248,13 +630,28 @@ class MessageHandler {
             const stockButtons = rowTickers.map(ticker => 
                 new ButtonBuilder()
                     .setCustomId(`stock_${ticker}`)
-                    .setLabel(`📊 ${ticker}`)
+                    .setLabel(getInstrumentLabel(ticker))
                     .setStyle(ButtonStyle.Secondary)
             );
             
             const actionRow = new ActionRowBuilder().addComponents(stockButtons);
             actionRows.push(actionRow);
         }
+
+        // "📊 All" charts every ticker in one grid image, if there is room for the button
+        if (maxTickers >= 2 && maxTickers < CONFIG.DISCORD.MAX_BUTTONS_TOTAL) {
+            const allButton = new ButtonBuilder()
+                .setCustomId('chart_all')
+                .setLabel('📊 All')
+                .setStyle(ButtonStyle.Primary);
+            const lastRow = actionRows[actionRows.length - 1];
+
+            if (lastRow.components.length < CONFIG.DISCORD.MAX_BUTTONS_PER_ROW) {
+                lastRow.addComponents(allButton);
+            } else {
+                actionRows.push(new ActionRowBuilder().addComponents(allButton));
+            }
+        }
         
         return actionRows;
     }
@@ -279,14 +676,16 @@ class MessageHandler {
      * Get statistics about ticker detection
      */
     getDetectionStats(message) {
-        const tickers = detectStockTickers(message.content);
+        const tickers = this.detectTickers(message);
+        const usesSelectMenus = tickers.length > CONFIG.DISCORD.MAX_BUTTONS_TOTAL;
         
         return {
             messageLength: message.content.length,
             tickersDetected: tickers.length,
             tickers: tickers,
             uniqueTickers: [...new Set(tickers)].length,
-            buttonsToCreate: Math.min(tickers.length, 25)
+            buttonsToCreate: usesSelectMenus ? 0 : tickers.length,
+            selectMenusToCreate: usesSelectMenus ? Math.ceil(tickers.length / CONFIG.DISCORD.MAX_SELECT_OPTIONS) : 0
         };
     }
 }
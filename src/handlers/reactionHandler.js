@@ -0,0 +1,162 @@
+/**
+ * Reaction Handler - Sends a message's charts by DM when a user reacts with the chart emoji
+ */
+
+const CONFIG = require('../constants/config');
+const { logger } = require('../utils/logger');
+
+// Ignore repeated reactions by the same user on the same message for this long
+const REPEAT_WINDOW_MS = 30 * 1000;
+
+class ReactionHandler {
+    constructor(messageHandler, messageTrackingService = null, botClient = null, environment = null) {
+        this.messageHandler = messageHandler;
+        this.messageTrackingService = messageTrackingService;
+        this.botClient = botClient;
+        this.environment = environment;
+
+        // user+message -> time of the last request
+        this.recentRequests = new Map();
+    }
+
+    /**
+     * Get the configured chart emoji (null when reaction charts are off)
+     */
+    getReactionEmoji() {
+        return this.environment ? this.environment.getChartReactionEmoji() : '📊';
+    }
+
+    /**
+     * Check if a reaction uses the chart emoji (unicode, or a custom emoji's name or ID)
+     */
+    isChartReaction(reaction) {
+        const emoji = this.getReactionEmoji();
+        if (!emoji) return false;
+
+        return reaction.emoji.name === emoji || reaction.emoji.id === emoji;
+    }
+
+    /**
+     * Check (and record) whether a user already asked for a message's charts moments ago
+     */
+    isRepeatRequest(userId, messageId) {
+        const now = Date.now();
+        const key = `${userId}_${messageId}`;
+
+        for (const [requestKey, requestedAt] of this.recentRequests) {
+            if (now - requestedAt >= REPEAT_WINDOW_MS) {
+                this.recentRequests.delete(requestKey);
+            }
+        }
+
+        if (this.recentRequests.has(key)) {
+            return true;
+        }
+
+        this.recentRequests.set(key, now);
+        return false;
+    }
+
+    /**
+     * Handle a reaction being added to a message
+     * @param {Object} reaction - Message reaction (may be partial)
+     * @param {Object} user - User who reacted (may be partial)
+     */
+    async handleReactionAdd(reaction, user) {
+        if (user.bot || !this.isChartReaction(reaction)) return;
+
+        try {
+            if (reaction.partial) {
+                reaction = await reaction.fetch();
+            }
+
+            const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+
+            // Our own replies carry no tickers in their text
+            if (message.author?.id === this.botClient?.user?.id) return;
+
+            if (this.isRepeatRequest(user.id, message.id)) {
+                logger.debug('Repeated chart reaction ignored', { user: user.username, messageId: message.id });
+                return;
+            }
+
+            await this.sendCharts(message, user);
+        } catch (error) {
+            logger.error('Error handling chart reaction', {
+                user: user.username,
+                messageId: reaction.message?.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Detect the tickers of a message and DM their charts to a user
+     * @param {Object} message - Reacted message
+     * @param {Object} user - User to send the charts to
+     */
+    async sendCharts(message, user) {
+        // Reactions are explicit requests, so they work even where the channel profile
+        // turns detection off; the channel's strictness still applies
+        const profile = this.messageHandler.getChannelProfile(message);
+        const tickers = this.messageHandler.detectTickers(message, profile);
+
+        if (tickers.length === 0) {
+            logger.debug('No tickers in reacted message', { messageId: message.id, user: user.username });
+            return;
+        }
+
+        if (!this.messageHandler.canRenderCharts()) {
+            logger.warn('Reaction charts need the stock and chart services');
+            return;
+        }
+
+        const shown = tickers.slice(0, CONFIG.DISCORD.MAX_REACTION_CHARTS);
+        const { symbols, embeds, files, cacheKeys } = await this.messageHandler.renderCharts(
+            shown,
+            message.channel.id,
+            user.id,
+            user.globalName || user.username,
+            { volume: profile.volume }
+        );
+
+        if (symbols.length === 0) {
+            logger.warn('No charts could be generated for reaction', { tickers: shown, user: user.username });
+            return;
+        }
+
+        const notes = [`📊 Charts from ${message.url}`];
+        if (tickers.length > shown.length) {
+            notes.push(`Showing ${shown.length} of ${tickers.length} tickers.`);
+        }
+
+        try {
+            const chartMessage = await user.send({ content: notes.join('\n'), embeds, files });
+
+            if (this.messageTrackingService) {
+                this.messageTrackingService.trackMessage(
+                    chartMessage.id,
+                    chartMessage.channelId,
+                    user.id,
+                    symbols.join(','),
+                    cacheKeys
+                );
+            }
+
+            logger.debug('Reaction charts sent by DM', {
+                user: user.username,
+                messageId: message.id,
+                charts: symbols.length
+            });
+        } catch (error) {
+            // 50007: the user does not accept DMs from server members
+            logger.warn('Could not DM reaction charts', {
+                user: user.username,
+                code: error.code,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = ReactionHandler;
@@ -9,8 +9,24 @@ const StockService = require('./services/stockService');
 const ChartService = require('./services/chartService');
 const MessageTrackingService = require('./services/messageTrackingService');
 const RetentionService = require('./services/retentionService');
+const GuildSettingsService = require('./services/guildSettingsService');
+const UserPreferencesService = require('./services/userPreferencesService');
+const WatchlistService = require('./services/watchlistService');
+const SymbolDirectoryService = require('./services/symbolDirectoryService');
+const CompanyNameService = require('./services/companyNameService');
 const MessageHandler = require('./handlers/messageHandler');
+const CommandHandler = require('./handlers/commandHandler');
+const TickerWordsCommand = require('./commands/tickerWordsCommand');
+const CompanyNamesCommand = require('./commands/companyNamesCommand');
+const ChannelProfileCommand = require('./commands/channelProfileCommand');
+const ChartDefaultsCommand = require('./commands/chartDefaultsCommand');
+const ChartCommand = require('./commands/chartCommand');
+const QuoteCommand = require('./commands/quoteCommand');
+const ChartMessageCommand = require('./commands/chartMessageCommand');
+const CompareCommand = require('./commands/compareCommand');
+const WatchlistCommand = require('./commands/watchlistCommand');
 const InteractionHandler = require('./handlers/interactionHandler');
+const ReactionHandler = require('./handlers/reactionHandler');
 const ErrorHandler = require('./handlers/errorHandler');
 const { logger } = require('./utils/logger');
 
@@ -114,14 +130,53 @@ class TradersMindsBot {
             this.services.stock = new StockService();
             this.services.messageTracking = new MessageTrackingService(this.environment);
             this.services.chart = new ChartService(this.services.stock, this.services.messageTracking);
+            this.services.guildSettings = new GuildSettingsService(this.environment);
+            this.services.userPreferences = new UserPreferencesService(this.environment);
+            this.services.watchlists = new WatchlistService(this.environment);
+            this.services.symbolDirectory = new SymbolDirectoryService(this.environment);
+            await this.services.symbolDirectory.start();
+            this.services.companyNames = new CompanyNameService(this.environment, this.services.guildSettings);
+            await this.services.companyNames.load();
             
             // Initialize handlers with message tracking and bot client
-            this.handlers.message = new MessageHandler(this.services.messageTracking, this.client);
+            this.handlers.message = new MessageHandler(
+                this.services.messageTracking,
+                this.client,
+                this.services.guildSettings,
+                this.services.symbolDirectory,
+                this.environment,
+                this.services.companyNames,
+                this.services.stock,
+                this.services.chart
+            );
             this.handlers.interaction = new InteractionHandler(
                 this.services.stock,
                 this.services.chart,
                 this.services.messageTracking,
-                this.client
+                this.client,
+                null, // command handler is attached below
+                this.services.userPreferences,
+                this.services.guildSettings,
+                this.services.watchlists
+            );
+            this.handlers.command = new CommandHandler([
+                new TickerWordsCommand(this.services.guildSettings),
+                new CompanyNamesCommand(this.services.companyNames),
+                new ChannelProfileCommand(this.services.guildSettings),
+                new ChartDefaultsCommand(this.services.userPreferences),
+                new ChartCommand(this.handlers.interaction, this.services.symbolDirectory, this.services.companyNames),
+                new QuoteCommand(this.services.stock, this.services.chart, this.services.symbolDirectory, this.services.messageTracking, this.services.companyNames),
+                new ChartMessageCommand(this.handlers.message, this.handlers.interaction),
+                new CompareCommand(this.services.stock, this.services.chart, this.services.symbolDirectory, this.services.messageTracking, this.services.companyNames),
+                new WatchlistCommand(this.services.watchlists, this.services.stock, this.services.chart, this.services.symbolDirectory, this.services.messageTracking, this.services.companyNames)
+            ]);
+            // /chart and the message command render through the interaction handler, which routes commands to the command handler
+            this.handlers.interaction.commandHandler = this.handlers.command;
+            this.handlers.reaction = new ReactionHandler(
+                this.handlers.message,
+                this.services.messageTracking,
+                this.client,
+                this.environment
             );
             
             // Setup event listeners
@@ -162,6 +217,43 @@ class TradersMindsBot {
             }
         });
 
+        // Edited messages: re-detect tickers and update the button reply
+        this.client.on('messageUpdate', async (oldMessage, newMessage) => {
+            try {
+                await this.handlers.message.handleMessageUpdate(oldMessage, newMessage);
+            } catch (error) {
+                this.handlers.error.handleDiscordError(error, {
+                    action: 'message_update_handling',
+                    messageId: newMessage.id
+                });
+            }
+        });
+
+        // Deleted messages: remove the button reply
+        this.client.on('messageDelete', async (message) => {
+            try {
+                await this.handlers.message.handleMessageDelete(message);
+            } catch (error) {
+                this.handlers.error.handleDiscordError(error, {
+                    action: 'message_delete_handling',
+                    messageId: message.id
+                });
+            }
+        });
+
+        // Reaction events: the chart emoji sends a message's charts by DM
+        this.client.on('messageReactionAdd', async (reaction, user) => {
+            try {
+                await this.handlers.reaction.handleReactionAdd(reaction, user);
+            } catch (error) {
+                this.handlers.error.handleDiscordError(error, {
+                    action: 'reaction_handling',
+                    messageId: reaction.message?.id,
+                    userId: user.id
+                });
+            }
+        });
+
         // Interaction events
         this.client.on('interactionCreate', async (interaction) => {
             try {
@@ -184,9 +276,12 @@ class TradersMindsBot {
         });
 
         // Ready event
-        this.client.on('ready', () => {
+        this.client.on('ready', async () => {
             this.isRunning = true;
             this.startPeriodicTasks();
+
+            // Slash commands can only be registered once the application is known
+            await this.handlers.command.registerCommands(this.client, this.environment.getCommandGuildId());
             
             // Start retention service after Discord client is ready
             if (this.services.retention) {
@@ -229,6 +324,7 @@ class TradersMindsBot {
             const retentionStats = this.services.retention ? this.services.retention.getStatus() : null;
             const stockCacheStats = this.services.stock ? this.services.stock.getCacheStats() : null;
             const chartCacheStats = this.services.chart ? this.services.chart.getCacheStats() : null;
+            const symbolDirectoryStats = this.services.symbolDirectory ? this.services.symbolDirectory.getStats() : null;
             
             logger.info('Bot Statistics', {
                 guilds: discordStats.guilds,
@@ -237,7 +333,8 @@ class TradersMindsBot {
                 ping: discordStats.ping,
                 retention: retentionStats,
                 stockCache: stockCacheStats?.size || 0,
-                chartCache: chartCacheStats?.size || 0
+                chartCache: chartCacheStats?.size || 0,
+                listedSymbols: symbolDirectoryStats?.symbols || 0
             });
         } catch (error) {
             this.handlers.error.handleError(error, { action: 'stats_logging' });
@@ -340,6 +437,11 @@ class TradersMindsBot {
                 this.services.retention.stop();
             }
             
+            // Stop symbol directory refreshes
+            if (this.services.symbolDirectory) {
+                this.services.symbolDirectory.stop();
+            }
+            
             // Cleanup services (thread cleanup no longer needed with ephemeral responses)
             
             if (this.services.stock) {
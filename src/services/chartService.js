@@ -4,6 +4,25 @@
 
 const puppeteer = require('puppeteer');
 const { logger } = require('../utils/logger');
+const { getPriceDecimals, formatPrice, formatVolume, formatMarketCap } = require('../utils/number-format');
+const { parseInstrumentKey } = require('../utils/instrument');
+const { getTimeframe, getIntradayInterval, DEFAULT_TIMEFRAME } = require('../utils/timeframe');
+const indicators = require('../utils/indicators');
+const { isValidChartType, heikinAshi, DEFAULT_CHART_TYPE } = require('../utils/chart-type');
+const CONFIG = require('../constants/config');
+
+// Indicator line colors (SMA/EMA 20, 50, 200 share the averages palette)
+const INDICATOR_COLORS = {
+    averages: ['#ffd700', '#00bfff', '#ff69b4'],
+    bands: '#9999ff',
+    vwap: '#ff9f43',
+    rsi: '#b388ff',
+    macd: '#00bfff',
+    signal: '#ffa500',
+    positive: 'rgba(0, 255, 136, 0.6)',
+    negative: 'rgba(255, 68, 68, 0.6)',
+    volumeAverage: '#ffffff'
+};
 
 class ChartService {
     constructor(stockService, messageTrackingService = null) {
@@ -69,8 +88,9 @@ class ChartService {
 
     /**
      * Generate stock chart using Puppeteer and Plotly.js
+     * @param {Object} renderOptions - { indicators: Array<string>, volume: boolean, chartType: string, logScale: boolean }
      */
-    async generateChart(stockData, messageId = null, channelId = null, userId = null, threadId = null, username = null) {
+    async generateChart(stockData, messageId = null, channelId = null, userId = null, threadId = null, username = null, renderOptions = {}) {
         // Declare cacheKey at function scope so it's available in catch blocks
         let cacheKey;
         
@@ -79,7 +99,7 @@ class ChartService {
             this.validateStockData(stockData);
 
             // Check if chart is already cached
-            cacheKey = this.getChartCacheKey(stockData.symbol);
+            cacheKey = this.getChartCacheKey(stockData.symbol, this.getTimeframeId(stockData), this.getIntervalKey(stockData), renderOptions);
             const cachedChart = this.getFromCache(cacheKey);
             if (cachedChart) {
                 logger.debug('Chart retrieved from cache', { 
@@ -117,7 +137,6 @@ class ChartService {
             throw new Error(`Data validation failed: ${validationError.message}`);
         }
         
-        let browser;
         try {
             logger.logWithPrefix('📊', `Generating candlestick chart for ${stockData.symbol}`, {
                 userId,
@@ -127,6 +146,511 @@ class ChartService {
                 dataSource: stockData.source || 'unknown'
             });
             
+            const color = stockData.change >= 0 ? '#00ff88' : '#ff4444';
+            const bgColor = stockData.change >= 0 ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 68, 68, 0.1)';
+            
+            const htmlContent = this.generateChartHTML(stockData, color, bgColor, renderOptions);
+            const chartBuffer = await this.renderChartImage(htmlContent, CONFIG.CHART.CANVAS_WIDTH, this.getChartHeight(stockData, renderOptions), stockData.symbol);
+            
+            // Cache the generated chart with timestamp (intraday charts only for a few minutes)
+            this.setInCache(cacheKey, chartBuffer, getIntradayInterval(stockData.interval) ? CONFIG.CACHE.INTRADAY_TTL : null);
+            
+            // Track message with cache key if tracking is enabled
+            if (this.messageTrackingService && messageId) {
+                this.messageTrackingService.trackMessage(
+                    messageId, 
+                    channelId, 
+                    userId, 
+                    stockData.symbol, 
+                    [cacheKey],
+                    threadId
+                );
+            }
+            
+            logger.success('Chart generated and cached', { 
+                ticker: stockData.symbol,
+                userId,
+                username,
+                channelId,
+                source: 'generated',
+                cacheKey 
+            });
+            
+            return chartBuffer;
+            
+        } catch (error) {
+            logger.error('Chart generation failed', {
+                ticker: stockData.symbol,
+                userId,
+                username,
+                channelId,
+                error: error.message,
+                errorType: error.constructor.name,
+                step: error.message.includes('Waiting failed') ? 'chart_rendering' : 'browser_setup',
+                cacheKey: cacheKey || 'not_set'
+            });
+            
+            // Provide more specific error messages
+            if (error.message.includes('Waiting failed')) {
+                throw new Error(`Chart rendering timeout: Failed to generate ${stockData.symbol} chart within time limit. This may be due to network issues or complex data.`);
+            } else if (error.message.includes('Navigation timeout')) {
+                throw new Error(`Chart generation timeout: Failed to load chart libraries for ${stockData.symbol}.`);
+            } else {
+                throw new Error(`Chart generation failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Pick the stock data that goes into a chart grid: valid data only, capped at
+     * CONFIG.CHART.GRID.MAX_CHARTS so the small charts stay readable
+     * @param {Array} stockDataList - Stock data per ticker, in display order
+     * @param {number} limit - Most charts to keep
+     * @returns {Array} Stock data to chart
+     */
+    selectGridCharts(stockDataList, limit = CONFIG.CHART.GRID.MAX_CHARTS) {
+        return stockDataList.filter(stockData => {
+            try {
+                return this.validateStockData(stockData);
+            } catch (error) {
+                logger.warn('Skipping ticker in chart grid', {
+                    ticker: stockData.symbol,
+                    error: error.message
+                });
+                return false;
+            }
+        }).slice(0, limit);
+    }
+
+    /**
+     * Get the grid shape for a number of charts (2 -> 2x1, 4 -> 2x2, 6 -> 3x2, 9 -> 3x3)
+     * @param {number} count - Number of charts
+     * @returns {Object} { rows, columns }
+     */
+    getGridLayout(count) {
+        const columns = count === 4 ? 2 : Math.min(count, CONFIG.CHART.GRID.MAX_COLUMNS);
+        return { rows: Math.ceil(count / columns), columns };
+    }
+
+    /**
+     * Generate one image with a grid of small candlestick charts
+     * @param {Array} stockDataList - Stock data per ticker (see selectGridCharts)
+     * @param {string} userId - User who requested the grid
+     * @param {string} username - Display name of the user
+     * @returns {Promise<Buffer>} PNG image
+     */
+    async generateGridChart(stockDataList, userId = null, username = null) {
+        const charts = this.selectGridCharts(stockDataList);
+        if (charts.length === 0) {
+            throw new Error('No valid data to chart');
+        }
+
+        const symbols = charts.map(stockData => stockData.symbol);
+        const cacheKey = this.getGridCacheKey(symbols);
+        const cachedChart = this.getFromCache(cacheKey);
+        if (cachedChart) {
+            logger.debug('Chart grid retrieved from cache', { tickers: symbols, userId, username, cacheKey });
+            return cachedChart;
+        }
+
+        const { rows, columns } = this.getGridLayout(charts.length);
+        const width = columns * CONFIG.CHART.GRID.CELL_WIDTH;
+        const height = rows * CONFIG.CHART.GRID.CELL_HEIGHT;
+
+        try {
+            logger.logWithPrefix('📊', `Generating chart grid for ${symbols.join(', ')}`, {
+                userId,
+                username,
+                rows,
+                columns
+            });
+
+            const htmlContent = this.generateGridChartHTML(charts, rows, columns, width, height);
+            const chartBuffer = await this.renderChartImage(htmlContent, width, height, symbols.join(','));
+
+            this.setInCache(cacheKey, chartBuffer);
+
+            logger.success('Chart grid generated and cached', {
+                tickers: symbols,
+                userId,
+                username,
+                cacheKey
+            });
+
+            return chartBuffer;
+
+        } catch (error) {
+            logger.error('Chart grid generation failed', {
+                tickers: symbols,
+                userId,
+                username,
+                error: error.message
+            });
+            throw new Error(`Chart grid generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate HTML for a grid of candlestick subplots, each titled with its label and price
+     */
+    generateGridChartHTML(charts, rows, columns, width, height) {
+        const { COLORS } = CONFIG.CHART;
+        const traces = [];
+        const layout = {
+            grid: { rows, columns, pattern: 'independent', xgap: 0.15, ygap: 0.3 },
+            annotations: [],
+            width,
+            height,
+            margin: { l: 55, r: 15, t: 35, b: 30 },
+            plot_bgcolor: 'black',
+            paper_bgcolor: 'black',
+            showlegend: false,
+            font: {
+                family: 'Arial, sans-serif',
+                size: 10,
+                color: '#ffffff'
+            }
+        };
+
+        charts.forEach((stockData, index) => {
+            // Plotly names subplot axes x, x2, x3... and y, y2, y3...
+            const axis = index === 0 ? '' : String(index + 1);
+            const changeSign = stockData.change >= 0 ? '+' : '';
+
+            traces.push({
+                x: stockData.dates,
+                open: stockData.opens,
+                high: stockData.highs,
+                low: stockData.lows,
+                close: stockData.closes,
+                type: 'candlestick',
+                xaxis: `x${axis}`,
+                yaxis: `y${axis}`,
+                name: stockData.symbol,
+                increasing: { line: { color: COLORS.POSITIVE }, fillcolor: COLORS.POSITIVE_BG },
+                decreasing: { line: { color: COLORS.NEGATIVE }, fillcolor: COLORS.NEGATIVE_BG },
+                showlegend: false
+            });
+
+            layout[`xaxis${axis}`] = {
+                rangeslider: { visible: false },
+                type: 'date',
+                tickformat: '%b %d',
+                nticks: 4,
+                showgrid: true,
+                gridcolor: 'rgba(255, 255, 255, 0.2)',
+                tickfont: { color: '#ffffff', size: 9 }
+            };
+            layout[`yaxis${axis}`] = {
+                tickformat: `$.${getPriceDecimals(Math.max(...stockData.closes))}f`,
+                nticks: 5,
+                showgrid: true,
+                gridcolor: 'rgba(255, 255, 255, 0.2)',
+                tickfont: { color: '#ffffff', size: 9 }
+            };
+            layout.annotations.push({
+                text: `<b>${this.getDisplayLabel(stockData)}</b> $${stockData.currentPrice} (${changeSign}${stockData.changePercent}%)`,
+                xref: `x${axis} domain`,
+                yref: `y${axis} domain`,
+                x: 0.5,
+                y: 1.02,
+                xanchor: 'center',
+                yanchor: 'bottom',
+                showarrow: false,
+                font: { size: 12, color: stockData.change >= 0 ? COLORS.POSITIVE : COLORS.NEGATIVE }
+            });
+        });
+
+        return this.getPlotlyPageHTML(traces, layout, width, height);
+    }
+
+    /**
+     * Generate one image with a grid of sparklines: small line charts without axes, for watchlists
+     * @param {Array} stockDataList - Stock data per ticker (see selectGridCharts)
+     * @param {string} userId - User who requested the sparklines
+     * @param {string} username - Display name of the user
+     * @returns {Promise<Buffer>} PNG image
+     */
+    async generateSparklineGrid(stockDataList, userId = null, username = null) {
+        const { SPARKLINES } = CONFIG.CHART;
+        const charts = this.selectGridCharts(stockDataList, SPARKLINES.MAX_CHARTS);
+        if (charts.length === 0) {
+            throw new Error('No valid data to chart');
+        }
+
+        const symbols = charts.map(stockData => stockData.symbol);
+        const cacheKey = this.getSparklineCacheKey(symbols);
+        const cachedChart = this.getFromCache(cacheKey);
+        if (cachedChart) {
+            logger.debug('Sparklines retrieved from cache', { tickers: symbols, userId, username, cacheKey });
+            return cachedChart;
+        }
+
+        const columns = Math.min(charts.length, SPARKLINES.COLUMNS);
+        const rows = Math.ceil(charts.length / columns);
+        const width = columns * SPARKLINES.CELL_WIDTH;
+        const height = rows * SPARKLINES.CELL_HEIGHT;
+
+        try {
+            logger.logWithPrefix('⭐', `Generating sparklines for ${symbols.join(', ')}`, {
+                userId,
+                username,
+                rows,
+                columns
+            });
+
+            const htmlContent = this.generateSparklineGridHTML(charts, rows, columns, width, height);
+            const chartBuffer = await this.renderChartImage(htmlContent, width, height, symbols.join(','));
+
+            this.setInCache(cacheKey, chartBuffer);
+
+            logger.success('Sparklines generated and cached', {
+                tickers: symbols,
+                userId,
+                username,
+                cacheKey
+            });
+
+            return chartBuffer;
+
+        } catch (error) {
+            logger.error('Sparkline generation failed', {
+                tickers: symbols,
+                userId,
+                username,
+                error: error.message
+            });
+            throw new Error(`Sparkline generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate HTML for a grid of sparklines, each colored and labelled with its change over the charted period
+     */
+    generateSparklineGridHTML(charts, rows, columns, width, height) {
+        const { COLORS } = CONFIG.CHART;
+        const traces = [];
+        const layout = {
+            grid: { rows, columns, pattern: 'independent', xgap: 0.12, ygap: 0.45 },
+            annotations: [],
+            width,
+            height,
+            margin: { l: 10, r: 10, t: 25, b: 10 },
+            plot_bgcolor: 'black',
+            paper_bgcolor: 'black',
+            showlegend: false,
+            font: {
+                family: 'Arial, sans-serif',
+                size: 11,
+                color: '#ffffff'
+            }
+        };
+
+        charts.forEach((stockData, index) => {
+            // Plotly names subplot axes x, x2, x3... and y, y2, y3...
+            const axis = index === 0 ? '' : String(index + 1);
+            const first = stockData.closes[0];
+            const periodChange = first ? ((stockData.closes[stockData.closes.length - 1] / first) - 1) * 100 : 0;
+            const color = periodChange >= 0 ? COLORS.POSITIVE : COLORS.NEGATIVE;
+
+            traces.push({
+                x: stockData.dates,
+                y: stockData.closes,
+                type: 'scatter',
+                mode: 'lines',
+                xaxis: `x${axis}`,
+                yaxis: `y${axis}`,
+                name: stockData.symbol,
+                line: { color, width: 1.5 },
+                showlegend: false
+            });
+
+            layout[`xaxis${axis}`] = { visible: false, type: 'category' };
+            layout[`yaxis${axis}`] = { visible: false };
+            layout.annotations.push({
+                text: `<b>${stockData.displayName || stockData.symbol}</b> ${periodChange >= 0 ? '+' : ''}${periodChange.toFixed(2)}%`,
+                xref: `x${axis} domain`,
+                yref: `y${axis} domain`,
+                x: 0,
+                y: 1.02,
+                xanchor: 'left',
+                yanchor: 'bottom',
+                showarrow: false,
+                font: { size: 11, color }
+            });
+        });
+
+        return this.getPlotlyPageHTML(traces, layout, width, height);
+    }
+
+    /**
+     * Wrap Plotly traces and layout in a page drawing them into a #chart div (see renderChartImage)
+     * @param {Array<Object>} traces - Plotly traces
+     * @param {Object} layout - Plotly layout
+     * @param {number} width - Chart width in pixels
+     * @param {number} height - Chart height in pixels
+     * @returns {string} HTML page
+     */
+    getPlotlyPageHTML(traces, layout, width, height) {
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <script src="https://cdn.plot.ly/plotly-2.35.2.min.js"></script>
+            <style>
+                body { 
+                    margin: 0; 
+                    padding: 20px; 
+                    background: black; 
+                    font-family: Arial, sans-serif;
+                }
+                #chart { 
+                    width: ${width}px; 
+                    height: ${height}px;
+                    margin: 0 auto;
+                }
+            </style>
+        </head>
+        <body>
+            <div id="chart"></div>
+            <script>
+            try {
+                const config = {
+                    displayModeBar: false, // Hide toolbar for cleaner screenshot
+                    staticPlot: true,      // Disable interactivity for screenshot
+                    responsive: false      // Fixed size for consistent screenshots
+                };
+
+                Plotly.newPlot('chart', ${JSON.stringify(traces)}, ${JSON.stringify(layout)}, config)
+                    .catch(plotlyError => {
+                        console.error('Plotly rendering error:', plotlyError);
+                    });
+            } catch (error) {
+                console.error('Error setting up Plotly chart:', error);
+            }
+            </script>
+        </body>
+        </html>`;
+    }
+
+    /**
+     * Generate one chart with a line per instrument, each rebased to 0% at the common start
+     * @param {Array<Object>} series - Rebased series (see rebaseToCommonStart), in legend order
+     * @param {string} timeframeId - Compared timeframe
+     * @param {string} userId - User who requested the comparison
+     * @param {string} username - Display name of the user
+     * @returns {Promise<Buffer>} PNG image
+     */
+    async generateComparisonChart(series, timeframeId = CONFIG.CHART.COMPARE.DEFAULT_TIMEFRAME, userId = null, username = null) {
+        if (series.length < 2) {
+            throw new Error('Need at least two series to compare');
+        }
+
+        const symbols = series.map(line => line.stockData.symbol);
+        const cacheKey = this.getComparisonCacheKey(symbols, timeframeId);
+        const cachedChart = this.getFromCache(cacheKey);
+        if (cachedChart) {
+            logger.debug('Comparison chart retrieved from cache', { tickers: symbols, userId, username, cacheKey });
+            return cachedChart;
+        }
+
+        const { CANVAS_WIDTH: width, CANVAS_HEIGHT: height } = CONFIG.CHART;
+
+        try {
+            logger.logWithPrefix('📈', `Generating comparison chart for ${symbols.join(', ')}`, {
+                userId,
+                username,
+                timeframe: timeframeId
+            });
+
+            const htmlContent = this.generateComparisonChartHTML(series, timeframeId, width, height);
+            const chartBuffer = await this.renderChartImage(htmlContent, width, height, symbols.join(','));
+
+            this.setInCache(cacheKey, chartBuffer);
+
+            logger.success('Comparison chart generated and cached', {
+                tickers: symbols,
+                userId,
+                username,
+                cacheKey
+            });
+
+            return chartBuffer;
+
+        } catch (error) {
+            logger.error('Comparison chart generation failed', {
+                tickers: symbols,
+                userId,
+                username,
+                error: error.message
+            });
+            throw new Error(`Comparison chart generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate HTML for a relative performance chart: one colored line per instrument,
+     * labelled in the legend with its final change, on a percent axis with 0% highlighted
+     */
+    generateComparisonChartHTML(series, timeframeId, width, height) {
+        const { LINES } = CONFIG.CHART.COMPARE;
+        const timeframe = getTimeframe(timeframeId) || getTimeframe(CONFIG.CHART.COMPARE.DEFAULT_TIMEFRAME);
+
+        const traces = series.map((line, index) => ({
+            x: line.dates,
+            y: line.values,
+            type: 'scatter',
+            mode: 'lines',
+            name: `${line.stockData.displayName || line.stockData.symbol} ${line.change >= 0 ? '+' : ''}${line.change.toFixed(2)}%`,
+            line: { color: LINES[index % LINES.length].color, width: 2 }
+        }));
+
+        const layout = {
+            width,
+            height,
+            margin: { l: 60, r: 20, t: 40, b: 40 },
+            plot_bgcolor: 'black',
+            paper_bgcolor: 'black',
+            showlegend: true,
+            legend: { orientation: 'h', x: 0, y: 1.02, xanchor: 'left', yanchor: 'bottom', font: { size: 12 } },
+            xaxis: {
+                type: 'date',
+                tickformat: timeframe.tickFormat,
+                showgrid: true,
+                gridcolor: 'rgba(255, 255, 255, 0.2)',
+                tickfont: { color: '#ffffff' }
+            },
+            yaxis: {
+                ticksuffix: '%',
+                showgrid: true,
+                gridcolor: 'rgba(255, 255, 255, 0.2)',
+                zeroline: true,
+                zerolinecolor: 'rgba(255, 255, 255, 0.6)',
+                zerolinewidth: 1,
+                tickfont: { color: '#ffffff' }
+            },
+            font: {
+                family: 'Arial, sans-serif',
+                size: 11,
+                color: '#ffffff'
+            }
+        };
+
+        return this.getPlotlyPageHTML(traces, layout, width, height);
+    }
+
+    /**
+     * Render chart HTML (drawing into a #chart div with Plotly) to a PNG screenshot
+     * @param {string} htmlContent - Page with a #chart div of the given size and 20px body padding
+     * @param {number} width - Chart width in pixels
+     * @param {number} height - Chart height in pixels
+     * @param {string} label - Ticker(s) for log messages
+     * @returns {Promise<Buffer>} PNG image
+     */
+    async renderChartImage(htmlContent, width, height, label) {
+        let browser;
+
+        try {
             browser = await puppeteer.launch({ 
                 headless: true,
                 args: [
@@ -150,7 +674,7 @@ class ChartService {
             page.on('console', msg => {
                 if (msg.type() === 'error') {
                     logger.warn('Browser console error', {
-                        ticker: stockData.symbol,
+                        ticker: label,
                         error: msg.text()
                     });
                 }
@@ -159,17 +683,13 @@ class ChartService {
             // Listen for page errors
             page.on('pageerror', error => {
                 logger.error('Page error during chart generation', {
-                    ticker: stockData.symbol,
+                    ticker: label,
                     error: error.message
                 });
             });
             
-            await page.setViewport({ width: 840, height: 440 });
-            
-            const color = stockData.change >= 0 ? '#00ff88' : '#ff4444';
-            const bgColor = stockData.change >= 0 ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 68, 68, 0.1)';
-            
-            const htmlContent = this.generateChartHTML(stockData, color, bgColor);
+            // The page pads the chart by 20px on each side
+            await page.setViewport({ width: width + 40, height: height + 40 });
             
             await page.setContent(htmlContent);
             
@@ -191,80 +711,122 @@ class ChartService {
             // Reduced wait for rendering
             await new Promise(resolve => setTimeout(resolve, 800));
             
-            const chartBuffer = await page.screenshot({
-                clip: { x: 0, y: 0, width: 840, height: 440 },
+            return await page.screenshot({
+                clip: { x: 0, y: 0, width: width + 40, height: height + 40 },
                 type: 'png'
             });
             
-            await browser.close();
-            
-            // Cache the generated chart with timestamp
-            this.setInCache(cacheKey, chartBuffer);
-            
-            // Track message with cache key if tracking is enabled
-            if (this.messageTrackingService && messageId) {
-                this.messageTrackingService.trackMessage(
-                    messageId, 
-                    channelId, 
-                    userId, 
-                    stockData.symbol, 
-                    [cacheKey],
-                    threadId
-                );
-            }
-            
-            logger.success('Chart generated and cached', { 
-                ticker: stockData.symbol,
-                userId,
-                username,
-                channelId,
-                source: 'generated',
-                cacheKey 
-            });
-            
-            return chartBuffer;
-            
-        } catch (error) {
-            // Ensure browser cleanup on error
+        } finally {
+            // Ensure browser cleanup on success and error
             if (browser) {
                 try {
                     await browser.close();
                 } catch (closeError) {
-                    logger.warn('Failed to close browser after error', {
-                        ticker: stockData.symbol,
+                    logger.warn('Failed to close browser', {
+                        ticker: label,
                         closeError: closeError.message
                     });
                 }
             }
+        }
+    }
 
-            logger.error('Chart generation failed', {
-                ticker: stockData.symbol,
-                userId,
-                username,
-                channelId,
-                error: error.message,
-                errorType: error.constructor.name,
-                step: error.message.includes('Waiting failed') ? 'chart_rendering' : 'browser_setup',
-                cacheKey: cacheKey || 'not_set'
-            });
-            
-            // Provide more specific error messages
-            if (error.message.includes('Waiting failed')) {
-                throw new Error(`Chart rendering timeout: Failed to generate ${stockData.symbol} chart within time limit. This may be due to network issues or complex data.`);
-            } else if (error.message.includes('Navigation timeout')) {
-                throw new Error(`Chart generation timeout: Failed to load chart libraries for ${stockData.symbol}.`);
-            } else {
-                throw new Error(`Chart generation failed: ${error.message}`);
+    /**
+     * Build the price traces for a chart type: candles (plain or Heikin-Ashi), OHLC bars,
+     * a close line, or an area filled down to the lowest close
+     * @param {Object} stockData - Charted data
+     * @param {Object} renderOptions - { chartType }
+     * @param {string} color - Line color (green or red with the day's change)
+     * @param {string} bgColor - Area fill color
+     * @returns {Array<Object>} Plotly traces on the price axis
+     */
+    getPriceTraces(stockData, renderOptions = {}, color = '#00ff88', bgColor = 'rgba(0, 255, 136, 0.1)') {
+        const chartType = isValidChartType(renderOptions.chartType) ? renderOptions.chartType : DEFAULT_CHART_TYPE;
+        const base = { x: stockData.dates, xaxis: 'x', yaxis: 'y', name: stockData.symbol, showlegend: false };
+
+        if (chartType === 'line' || chartType === 'area') {
+            const line = { ...base, y: stockData.closes, type: 'scatter', mode: 'lines', line: { color, width: 2 } };
+            if (chartType === 'line') {
+                return [line];
             }
+
+            // Filling to zero would squash the price range, so fill down to an invisible baseline instead
+            const floor = Math.min(...stockData.closes);
+            return [
+                { ...base, y: stockData.closes.map(() => floor), type: 'scatter', mode: 'lines', line: { width: 0 }, hoverinfo: 'skip' },
+                { ...line, fill: 'tonexty', fillcolor: bgColor }
+            ];
+        }
+
+        const prices = chartType === 'ha' ? heikinAshi(stockData) : stockData;
+        return [{
+            ...base,
+            open: prices.opens,
+            high: prices.highs,
+            low: prices.lows,
+            close: prices.closes,
+            type: chartType === 'ohlc' ? 'ohlc' : 'candlestick',
+            increasing: { line: { color: '#00ff88' }, fillcolor: 'rgba(0, 255, 136, 0.1)' },
+            decreasing: { line: { color: '#ff4444' }, fillcolor: 'rgba(255, 68, 68, 0.1)' }
+        }];
+    }
+
+    /**
+     * Check if a chart gets a volume panel: volume is not turned off and the data has volume
+     * @param {Object} stockData - Charted data
+     * @param {Object} renderOptions - { volume }
+     */
+    showsVolume(stockData, renderOptions = {}) {
+        return renderOptions.volume !== false && Array.isArray(stockData.volumes) && stockData.volumes.some(volume => volume > 0);
+    }
+
+    /**
+     * Get the sub-panels drawn under the price, top to bottom: volume, then panel indicators
+     * @param {Object} stockData - Charted data
+     * @param {Object} renderOptions - { indicators, volume }
+     * @returns {Array<Object>} Panels as { id, label, height, ...indicator parameters }
+     */
+    getPanels(stockData, renderOptions = {}) {
+        const panels = indicators.normalizeIndicators(renderOptions.indicators)
+            .map(id => indicators.getIndicator(id))
+            .filter(indicator => indicator.type === 'panel')
+            .map(indicator => ({ ...indicator, height: CONFIG.CHART.PANEL_HEIGHT }));
+
+        if (this.showsVolume(stockData, renderOptions)) {
+            panels.unshift({ id: 'volume', label: 'Volume', height: CONFIG.CHART.VOLUME.HEIGHT });
         }
+
+        return panels;
+    }
+
+    /**
+     * Get the height of a chart: the price panel plus its sub-panels
+     * @param {Object} stockData - Charted data
+     * @param {Object} renderOptions - { indicators, volume }
+     */
+    getChartHeight(stockData, renderOptions = {}) {
+        return this.getPanels(stockData, renderOptions)
+            .reduce((height, panel) => height + panel.height, CONFIG.CHART.CANVAS_HEIGHT);
     }
 
     /**
      * Generate HTML content for the chart
+     * @param {Object} renderOptions - { indicators, volume, chartType, logScale }
      */
-    generateChartHTML(stockData, color, bgColor) {
+    generateChartHTML(stockData, color, bgColor, renderOptions = {}) {
         const changeSign = stockData.change >= 0 ? '+' : '';
-        const title = `${stockData.symbol} - $${stockData.currentPrice} (${changeSign}${stockData.changePercent}%)`;
+        const priceSummary = `$${stockData.currentPrice} (${changeSign}${stockData.changePercent}%)`;
+        // Option charts plot the underlying, so its price is named explicitly
+        const title = stockData.option ?
+            `${this.getDisplayLabel(stockData)} - ${stockData.option.underlying} ${priceSummary}` :
+            `${this.getDisplayLabel(stockData)} - ${priceSummary}`;
+        const overlays = this.getOptionOverlays(stockData, renderOptions.logScale);
+        // Sub-dollar assets (e.g. crypto) need more than 2 decimals on the price axis
+        const priceTickFormat = `$.${getPriceDecimals(Math.max(...stockData.closes))}f`;
+        const dateTickFormat = getTimeframe(this.getTimeframeId(stockData)).tickFormat;
+        const rangebreaks = this.getSessionRangebreaks(stockData);
+        const height = this.getChartHeight(stockData, renderOptions);
+        const studies = this.getIndicatorLayout(stockData, renderOptions, height);
 
         return `
         <!DOCTYPE html>
@@ -280,7 +842,7 @@ class ChartService {
                 }
                 #chart { 
                     width: 800px; 
-                    height: 400px;
+                    height: ${height}px;
                     margin: 0 auto;
                 }
             </style>
@@ -289,27 +851,8 @@ class ChartService {
             <div id="chart"></div>
             <script>
             try {
-                // Candlestick trace data
-                const trace = {
-                    x: ${JSON.stringify(stockData.dates)},
-                    close: ${JSON.stringify(stockData.closes)},
-                    decreasing: { 
-                        line: { color: '#ff4444' }, 
-                        fillcolor: 'rgba(255, 68, 68, 0.1)' 
-                    },
-                    high: ${JSON.stringify(stockData.highs)},
-                    increasing: { 
-                        line: { color: '#00ff88' },
-                        fillcolor: 'rgba(0, 255, 136, 0.1)'
-                    },
-                    low: ${JSON.stringify(stockData.lows)},
-                    open: ${JSON.stringify(stockData.opens)},
-                    type: 'candlestick',
-                    xaxis: 'x',
-                    yaxis: 'y',
-                    name: '${stockData.symbol}',
-                    showlegend: false
-                };
+                // Price traces for the chart type
+                const priceTraces = ${JSON.stringify(this.getPriceTraces(stockData, renderOptions, color, bgColor))};
 
                 // Layout configuration
                 const layout = {
@@ -327,7 +870,9 @@ class ChartService {
                         title: '',
                         rangeslider: { visible: false },
                         type: 'date',
-                        tickformat: '%b %d',
+                        tickformat: '${dateTickFormat}',
+                        rangebreaks: ${JSON.stringify(rangebreaks)},
+                        anchor: '${studies.xAnchor}',
                         showgrid: true,
                         gridcolor: 'rgba(255, 255, 255, 0.2)',
                         tickfont: { color: '#ffffff' }
@@ -337,15 +882,23 @@ class ChartService {
                             text: 'Price ($)',
                             font: { size: 12, color: '#ffffff' }
                         },
-                        tickformat: '$.2f',
+                        type: '${renderOptions.logScale ? 'log' : 'linear'}',
+                        tickformat: '${priceTickFormat}',
+                        domain: ${JSON.stringify(studies.priceDomain)},
                         fixedrange: false,
                         showgrid: true,
                         gridcolor: 'rgba(255, 255, 255, 0.2)',
                         tickfont: { color: '#ffffff' }
-                    },
+                    },${overlays.yaxis2 ? `
+                    yaxis2: ${JSON.stringify(overlays.yaxis2)},` : ''}${Object.entries(studies.axes).map(([name, axis]) => `
+                    ${name}: ${JSON.stringify(axis)},`).join('')}
+                    shapes: ${JSON.stringify([...overlays.shapes, ...studies.shapes])},
+                    annotations: ${JSON.stringify(overlays.annotations)},
+                    showlegend: ${studies.traces.some(trace => trace.showlegend)},
+                    legend: { orientation: 'h', x: 0, y: 1, yanchor: 'bottom', bgcolor: 'rgba(0, 0, 0, 0)' },
                     width: 800,
-                    height: 400,
-                    margin: { l: 60, r: 30, t: 60, b: 50 },
+                    height: ${height},
+                    margin: { l: 60, r: ${overlays.yaxis2 ? 70 : 30}, t: 60, b: 50 },
                     plot_bgcolor: 'black',
                     paper_bgcolor: 'black',
                     font: {
@@ -363,7 +916,7 @@ class ChartService {
                 };
 
                 // Create the plot
-                Plotly.newPlot('chart', [trace], layout, config)
+                Plotly.newPlot('chart', [...priceTraces, ...${JSON.stringify([...overlays.traces, ...studies.traces])}], layout, config)
                     .then(() => {
                         console.log('Plotly candlestick chart rendered successfully');
                     })
@@ -381,29 +934,463 @@ class ChartService {
         </html>`;
     }
 
+    /**
+     * Build x-axis range breaks that hide the time between intraday bars (overnight,
+     * weekends, holidays), so consecutive sessions sit side by side
+     * @returns {Array} Plotly rangebreaks (none for daily and weekly bars)
+     */
+    getSessionRangebreaks(stockData) {
+        const interval = getIntradayInterval(stockData.interval);
+        if (!interval) {
+            return [];
+        }
+
+        // Intraday dates are exchange wall-clock times (YYYY-MM-DD HH:MM), handled as UTC here
+        const step = interval.minutes * 60 * 1000;
+        const toTime = (date) => Date.parse(`${date.replace(' ', 'T')}:00Z`);
+        const toDate = (time) => new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+
+        const rangebreaks = [];
+        for (let i = 1; i < stockData.dates.length; i++) {
+            const previousEnd = toTime(stockData.dates[i - 1]) + step;
+            const next = toTime(stockData.dates[i]);
+            if (next > previousEnd) {
+                rangebreaks.push({ bounds: [toDate(previousEnd), toDate(next)] });
+            }
+        }
+
+        return rangebreaks;
+    }
+
+    /**
+     * Build indicator traces: overlays on the price axis, and volume/RSI/MACD sub-panels
+     * stacked below it on their own y-axes (y3, y4, ...), sharing the price chart's x-axis
+     * @param {Object} stockData - Charted data
+     * @param {Object} renderOptions - { indicators, volume }
+     * @param {number} height - Chart height in pixels
+     * @returns {Object} { traces, shapes, axes, priceDomain, xAnchor }
+     */
+    getIndicatorLayout(stockData, renderOptions = {}, height = CONFIG.CHART.CANVAS_HEIGHT) {
+        const enabled = indicators.normalizeIndicators(renderOptions.indicators).map(id => indicators.getIndicator(id));
+        const panels = this.getPanels(stockData, renderOptions);
+        const { dates, opens, closes } = stockData;
+        const layout = { traces: [], shapes: [], axes: {}, priceDomain: [0, 1], xAnchor: 'y' };
+        const line = (y, name, color, extra = {}) => ({
+            x: dates, y, type: 'scatter', mode: 'lines', xaxis: 'x', name,
+            line: { color, width: 1.5 }, hoverinfo: 'skip', showlegend: true, ...extra
+        });
+
+        for (const indicator of enabled) {
+            if (indicator.id === 'sma' || indicator.id === 'ema') {
+                const average = indicators[indicator.id];
+                // EMAs are dotted so both averages can be shown together
+                const dash = indicator.id === 'ema' ? 'dot' : 'solid';
+                indicator.periods.forEach((period, i) => {
+                    const color = INDICATOR_COLORS.averages[i];
+                    layout.traces.push(line(average(closes, period), `${indicator.label} ${period}`, color,
+                        { yaxis: 'y', line: { color, width: 1.5, dash } }));
+                });
+            } else if (indicator.id === 'bb') {
+                const bands = indicators.bollingerBands(closes, indicator.period, indicator.stdDev);
+                layout.traces.push(
+                    line(bands.upper, `BB ${indicator.period}`, INDICATOR_COLORS.bands, { yaxis: 'y' }),
+                    line(bands.lower, 'BB lower', INDICATOR_COLORS.bands, { yaxis: 'y', fill: 'tonexty', fillcolor: 'rgba(153, 153, 255, 0.08)', showlegend: false }),
+                    line(bands.middle, 'BB middle', INDICATOR_COLORS.bands, { yaxis: 'y', line: { color: INDICATOR_COLORS.bands, width: 1, dash: 'dash' }, showlegend: false })
+                );
+            } else if (indicator.id === 'vwap') {
+                layout.traces.push(line(indicators.vwap(stockData), 'VWAP', INDICATOR_COLORS.vwap, { yaxis: 'y' }));
+            }
+        }
+
+        if (panels.length === 0) {
+            return layout;
+        }
+
+        // Panels take their height in px at the bottom of the chart, top to bottom
+        const gap = 0.04;
+        let panelBottom = panels.reduce((total, panel) => total + panel.height, 0);
+        layout.priceDomain = [panelBottom / height + gap, 1];
+
+        panels.forEach((indicator, i) => {
+            const axisName = `y${i + 3}`;
+            const panelTop = panelBottom;
+            panelBottom -= indicator.height;
+            const domain = [panelBottom / height, panelTop / height - gap];
+            const axis = {
+                domain,
+                title: { text: indicator.label, font: { size: 12, color: '#ffffff' } },
+                showgrid: true,
+                gridcolor: 'rgba(255, 255, 255, 0.2)',
+                tickfont: { color: '#ffffff' }
+            };
+
+            if (indicator.id === 'volume') {
+                const { volumes } = stockData;
+                const period = CONFIG.CHART.VOLUME.AVERAGE_PERIOD;
+                layout.traces.push(
+                    {
+                        x: dates, y: volumes, type: 'bar', xaxis: 'x', yaxis: axisName, name: 'Volume',
+                        marker: { color: closes.map((close, j) => close >= opens[j] ? INDICATOR_COLORS.positive : INDICATOR_COLORS.negative) },
+                        hoverinfo: 'skip', showlegend: false
+                    },
+                    line(indicators.sma(volumes.map(volume => volume || 0), period), `Avg ${period}`, INDICATOR_COLORS.volumeAverage,
+                        { yaxis: axisName, line: { color: INDICATOR_COLORS.volumeAverage, width: 1 }, showlegend: false })
+                );
+                axis.tickformat = '.2s';
+            } else if (indicator.id === 'rsi') {
+                layout.traces.push(line(indicators.rsi(closes, indicator.period), `RSI ${indicator.period}`, INDICATOR_COLORS.rsi, { yaxis: axisName, showlegend: false }));
+                // Overbought / oversold guides
+                for (const level of [70, 30]) {
+                    layout.shapes.push({
+                        type: 'line', xref: 'paper', x0: 0, x1: 1, yref: axisName, y0: level, y1: level,
+                        line: { color: 'rgba(255, 255, 255, 0.4)', width: 1, dash: 'dot' }
+                    });
+                }
+                axis.range = [0, 100];
+                axis.tickvals = [30, 70];
+            } else if (indicator.id === 'macd') {
+                const result = indicators.macd(closes, indicator.fast, indicator.slow, indicator.signal);
+                layout.traces.push(
+                    {
+                        x: dates, y: result.histogram, type: 'bar', xaxis: 'x', yaxis: axisName, name: 'MACD histogram',
+                        marker: { color: result.histogram.map(value => value >= 0 ? INDICATOR_COLORS.positive : INDICATOR_COLORS.negative) },
+                        hoverinfo: 'skip', showlegend: false
+                    },
+                    line(result.macd, 'MACD', INDICATOR_COLORS.macd, { yaxis: axisName, showlegend: false }),
+                    line(result.signal, 'Signal', INDICATOR_COLORS.signal, { yaxis: axisName, showlegend: false })
+                );
+            }
+
+            layout.axes[`yaxis${i + 3}`] = axis;
+        });
+
+        // The shared date axis sits under the bottom panel
+        layout.xAnchor = `y${panels.length + 2}`;
+        return layout;
+    }
+
+    /**
+     * Build option overlays: a dashed strike line on the underlying and,
+     * when available, the contract's own closes on a secondary axis
+     * @param {Object} stockData - Charted data
+     * @param {boolean} logScale - Price axis is logarithmic (shapes and annotations then take log10 positions)
+     * @returns {Object} { traces, shapes, annotations, yaxis2 }
+     */
+    getOptionOverlays(stockData, logScale = false) {
+        const overlays = { traces: [], shapes: [], annotations: [], yaxis2: null };
+        const option = stockData.option;
+        if (!option) {
+            return overlays;
+        }
+
+        const strikeY = logScale ? Math.log10(option.strike) : option.strike;
+        overlays.shapes.push({
+            type: 'line',
+            xref: 'paper',
+            x0: 0,
+            x1: 1,
+            yref: 'y',
+            y0: strikeY,
+            y1: strikeY,
+            line: { color: '#ffaa00', width: 1.5, dash: 'dash' }
+        });
+        overlays.annotations.push({
+            xref: 'paper',
+            x: 0,
+            xanchor: 'left',
+            yref: 'y',
+            y: strikeY,
+            yanchor: 'bottom',
+            text: `Strike $${option.strike}`,
+            showarrow: false,
+            font: { color: '#ffaa00', size: 11 }
+        });
+
+        if (option.contract && option.contract.dates.length > 0) {
+            overlays.traces.push({
+                x: option.contract.dates,
+                y: option.contract.closes,
+                type: 'scatter',
+                mode: 'lines',
+                xaxis: 'x',
+                yaxis: 'y2',
+                name: stockData.displayName,
+                line: { color: '#4da6ff', width: 2 },
+                showlegend: false
+            });
+            overlays.yaxis2 = {
+                title: { text: 'Contract ($)', font: { size: 12, color: '#4da6ff' } },
+                overlaying: 'y',
+                side: 'right',
+                showgrid: false,
+                tickformat: '$.2f',
+                tickfont: { color: '#4da6ff' }
+            };
+        }
+
+        return overlays;
+    }
+
+    /**
+     * Get the human-readable label for charted data
+     * (friendly name for indices and futures, e.g. "SPX (S&P 500)", otherwise the symbol)
+     */
+    getDisplayLabel(stockData) {
+        if (!stockData.displayName) {
+            return stockData.symbol;
+        }
+
+        return stockData.description ?
+            `${stockData.displayName} (${stockData.description})` :
+            stockData.displayName;
+    }
+
+    /**
+     * Get the timeframe charted data was fetched for
+     * @returns {string} Timeframe ID (the default timeframe for data without one)
+     */
+    getTimeframeId(stockData) {
+        return getTimeframe(stockData.timeframe) ? stockData.timeframe : DEFAULT_TIMEFRAME;
+    }
+
+    /**
+     * Get the interval of charted data when it is not its timeframe's own (1m bars for 1D)
+     * @returns {string|null} Interval ID, or null for the timeframe's own interval
+     */
+    getIntervalKey(stockData) {
+        const timeframe = getTimeframe(this.getTimeframeId(stockData));
+        return stockData.interval && stockData.interval !== timeframe.interval ? stockData.interval : null;
+    }
+
     /**
      * Create Discord embed for stock data
+     * @param {Object} renderOptions - { volume } (relative volume is left out when volume is off)
      */
-    createStockEmbed(stockData) {
+    createStockEmbed(stockData, renderOptions = {}) {
         const { EmbedBuilder } = require('discord.js');
         
         const embed = new EmbedBuilder()
-            .setTitle(`${stockData.symbol} 1D`)
+            .setTitle(getIntradayInterval(stockData.interval) ?
+                `${this.getDisplayLabel(stockData)} ${this.getTimeframeId(stockData)} (${stockData.interval})` :
+                `${this.getDisplayLabel(stockData)} ${this.getTimeframeId(stockData)}`)
             .setDescription(`$${stockData.currentPrice} (${stockData.change >= 0 ? '+' : ''}${stockData.changePercent}%)`)
             .setColor(stockData.change >= 0 ? 0x00ff88 : 0xff4444)
             .setImage('attachment://chart.png');
 
+        if (stockData.option) {
+            const { option } = stockData;
+            embed
+                .setDescription(`${option.underlying} $${stockData.currentPrice} (${stockData.change >= 0 ? '+' : ''}${stockData.changePercent}%)`)
+                .addFields(
+                    { name: 'Strike', value: `$${option.strike} ${option.right === 'C' ? 'Call' : 'Put'}`, inline: true },
+                    { name: 'Expiry', value: option.expiry, inline: true },
+                    {
+                        name: 'Contract',
+                        value: option.contract ?
+                            `$${option.contract.currentPrice} (${option.contract.change >= 0 ? '+' : ''}${option.contract.changePercent}%)` :
+                            'Price history unavailable',
+                        inline: true
+                    }
+                );
+        }
+
+        // Relative volume compares daily bars only (today vs the average day)
+        const relativeVolume = renderOptions.volume !== false && (stockData.interval || '1d') === '1d' ?
+            indicators.relativeVolume(stockData.volumes, CONFIG.CHART.VOLUME.AVERAGE_PERIOD) : null;
+        if (relativeVolume) {
+            embed.addFields({
+                name: 'Rel. Volume',
+                value: `${relativeVolume.ratio.toFixed(2)}x (avg ${formatVolume(relativeVolume.average)})`,
+                inline: true
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create Discord embed for a chart grid, listing each ticker's price
+     * @param {Array} charts - Stock data shown in the grid
+     */
+    createGridEmbed(charts) {
+        const { EmbedBuilder } = require('discord.js');
+
+        return new EmbedBuilder()
+            .setTitle(`📊 ${charts.length} Charts ${DEFAULT_TIMEFRAME}`)
+            .setDescription(charts.map(stockData =>
+                `**${this.getDisplayLabel(stockData)}** $${stockData.currentPrice} (${stockData.change >= 0 ? '+' : ''}${stockData.changePercent}%)`
+            ).join('\n'))
+            .setColor(0x5865f2)
+            .setImage('attachment://chart-grid.png');
+    }
+
+    /**
+     * Create Discord embed for a comparison chart, ranking instruments by their change since the start
+     * @param {Array<Object>} series - Rebased series shown in the chart, in legend order
+     * @param {string} timeframeId - Compared timeframe
+     * @param {Array<string>} notes - Footer notes (tickers left out or not loaded)
+     */
+    createComparisonEmbed(series, timeframeId, notes = []) {
+        const { EmbedBuilder } = require('discord.js');
+        const { LINES } = CONFIG.CHART.COMPARE;
+        const startDate = series.map(line => line.dates[0]).sort()[0];
+
+        return new EmbedBuilder()
+            .setTitle(`📈 ${series.map(line => line.stockData.displayName || line.stockData.symbol).join(' vs ')} ${timeframeId}`)
+            .setDescription(series
+                .map((line, index) => ({ line, marker: LINES[index % LINES.length].emoji }))
+                .sort((a, b) => b.line.change - a.line.change)
+                .map(({ line, marker }) =>
+                    `${marker} **${this.getDisplayLabel(line.stockData)}** ${line.change >= 0 ? '+' : ''}${line.change.toFixed(2)}% ($${line.stockData.currentPrice})`
+                ).join('\n'))
+            .setColor(0x5865f2)
+            .setFooter({ text: [`Since ${startDate}`, ...notes].join(' • ') })
+            .setImage('attachment://compare.png');
+    }
+
+    /**
+     * Create Discord embed for a watchlist: a table of prices and day changes above the sparkline image
+     * @param {string} title - Watchlist name
+     * @param {Array} charts - Stock data shown in the sparklines
+     * @param {Array<string>} notes - Footer notes (tickers not loaded)
+     */
+    createWatchlistEmbed(title, charts, notes = []) {
+        const { EmbedBuilder } = require('discord.js');
+        const rows = charts.map(stockData => [
+            stockData.displayName || stockData.symbol,
+            `$${stockData.currentPrice}`,
+            `${stockData.change >= 0 ? '+' : ''}${stockData.changePercent}%`
+        ]);
+        const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)));
+        const table = rows.map(([symbol, price, change]) =>
+            `${symbol.padEnd(widths[0])}  ${price.padStart(widths[1])}  ${change.padStart(widths[2])}`
+        ).join('\n');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`⭐ ${title}`)
+            .setDescription(`\`\`\`\n${table}\n\`\`\``)
+            .setColor(0x5865f2)
+            .setImage('attachment://watchlist.png');
+
+        if (notes.length > 0) {
+            embed.setFooter({ text: notes.join(' • ') });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create a text-only Discord embed for quotes, one field per symbol
+     * @param {Array} quotes - Normalized quotes (see StockService#fetchQuote)
+     * @param {Array<string>} notes - Footer notes (tickers left out or not loaded)
+     */
+    createQuoteEmbed(quotes, notes = []) {
+        const { EmbedBuilder } = require('discord.js');
+        const single = quotes.length === 1;
+
+        const embed = new EmbedBuilder()
+            .setTitle(single ? `💲 ${this.getQuoteLabel(quotes[0])}` : `💲 ${quotes.length} Quotes`)
+            .setColor(single ? (quotes[0].change >= 0 ? 0x00ff88 : 0xff4444) : 0x5865f2)
+            .addFields(quotes.map(quote => ({
+                name: single ? 'Quote' : this.getQuoteLabel(quote),
+                value: this.formatQuote(quote)
+            })))
+            .setTimestamp();
+
+        if (notes.length > 0) {
+            embed.setFooter({ text: notes.join(' • ') });
+        }
+
         return embed;
     }
 
+    /**
+     * Get the label of a quoted instrument ("AAPL · Apple Inc.", "SPX (S&P 500)", "BTC-USD")
+     */
+    getQuoteLabel(quote) {
+        const symbol = parseInstrumentKey(quote.symbol)?.displaySymbol || quote.symbol;
+        if (quote.displayName) {
+            return this.getDisplayLabel({ ...quote, symbol });
+        }
+
+        return quote.name && quote.name !== symbol ? `${symbol} · ${quote.name}` : symbol;
+    }
+
+    /**
+     * Format a quote as embed field lines: price and change, day range and volume,
+     * 52-week range and market cap (lines and parts the provider has no data for are left out)
+     */
+    formatQuote(quote) {
+        const price = (value) => `$${formatPrice(value, quote.price)}`;
+        const sign = quote.change >= 0 ? '+' : '';
+
+        const lines = [quote.change !== null && quote.changePercent !== null ?
+            `**${price(quote.price)}** ${sign}${formatPrice(quote.change, quote.price)} (${sign}${quote.changePercent.toFixed(2)}%)` :
+            `**${price(quote.price)}**`];
+
+        const day = [];
+        if (quote.dayLow !== null && quote.dayHigh !== null) day.push(`Day ${price(quote.dayLow)} – ${price(quote.dayHigh)}`);
+        if (quote.volume) day.push(`Vol ${formatVolume(quote.volume)}`);
+        if (day.length > 0) lines.push(day.join(' · '));
+
+        const year = [];
+        if (quote.fiftyTwoWeekLow !== null && quote.fiftyTwoWeekHigh !== null) year.push(`52W ${price(quote.fiftyTwoWeekLow)} – ${price(quote.fiftyTwoWeekHigh)}`);
+        if (quote.marketCap) year.push(`Cap ${formatMarketCap(quote.marketCap)}`);
+        if (year.length > 0) lines.push(year.join(' · '));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Generate cache key for a chart grid
+     * @param {Array<string>} tickers - Charted tickers, in grid order
+     * @returns {string} Cache key
+     */
+    getGridCacheKey(tickers) {
+        const today = new Date().toISOString().split('T')[0];
+        return `chart_grid_${tickers.join('+')}_${today}`;
+    }
+
+    /**
+     * Generate cache key for a sparkline grid
+     * @param {Array<string>} tickers - Charted tickers, in grid order
+     * @returns {string} Cache key
+     */
+    getSparklineCacheKey(tickers) {
+        const today = new Date().toISOString().split('T')[0];
+        return `chart_sparklines_${tickers.join('+')}_${today}`;
+    }
+
+    /**
+     * Generate cache key for a comparison chart
+     * @param {Array<string>} tickers - Compared tickers, in legend order
+     * @param {string} timeframeId - Compared timeframe
+     * @returns {string} Cache key
+     */
+    getComparisonCacheKey(tickers, timeframeId) {
+        const today = new Date().toISOString().split('T')[0];
+        return `chart_compare_${tickers.join('+')}_${timeframeId}_${today}`;
+    }
+
     /**
      * Generate cache key for chart data
      * @param {string} ticker - Stock ticker symbol
+     * @param {string} timeframeId - Charted timeframe (only part of the key when not the default)
+     * @param {string|null} intervalId - Bar interval when it is not the timeframe's own
+     * @param {Object} renderOptions - { indicators, volume, chartType, logScale } (only non-default options are part of the key)
      * @returns {string} Cache key
      */
-    getChartCacheKey(ticker) {
+    getChartCacheKey(ticker, timeframeId = DEFAULT_TIMEFRAME, intervalId = null, renderOptions = {}) {
         const today = new Date().toISOString().split('T')[0];
-        return `chart_${ticker}_${today}`;
+        const parts = ['chart', ticker];
+        const enabledIndicators = indicators.normalizeIndicators(renderOptions.indicators);
+        if (timeframeId !== DEFAULT_TIMEFRAME) parts.push(timeframeId);
+        if (intervalId) parts.push(intervalId);
+        if (enabledIndicators.length > 0) parts.push(enabledIndicators.join('+'));
+        if (renderOptions.volume === false) parts.push('novol');
+        if (isValidChartType(renderOptions.chartType) && renderOptions.chartType !== DEFAULT_CHART_TYPE) parts.push(renderOptions.chartType);
+        if (renderOptions.logScale) parts.push('log');
+        return `${parts.join('_')}_${today}`;
     }
 
     /**
@@ -417,9 +1404,9 @@ class ChartService {
             return null;
         }
 
-        // Check if cache entry is still valid (same day)
+        // Check if cache entry is still valid (same day, and not past its TTL)
         const today = new Date().toISOString().split('T')[0];
-        if (cacheEntry.date !== today) {
+        if (cacheEntry.date !== today || (cacheEntry.expiresAt && Date.now() >= cacheEntry.expiresAt)) {
             this.chartCache.delete(cacheKey);
             return null;
         }
@@ -431,13 +1418,15 @@ class ChartService {
      * Store chart in cache
      * @param {string} cacheKey - Cache key
      * @param {Buffer} chartBuffer - Chart data to cache
+     * @param {number|null} ttlMs - Expire before the end of the day (intraday charts)
      */
-    setInCache(cacheKey, chartBuffer) {
+    setInCache(cacheKey, chartBuffer, ttlMs = null) {
         const today = new Date().toISOString().split('T')[0];
         this.chartCache.set(cacheKey, {
             data: chartBuffer,
             date: today,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
         });
     }
 
@@ -470,7 +1459,7 @@ class ChartService {
         let cleaned = 0;
 
         for (const [key, entry] of this.chartCache) {
-            if (entry.date !== today) {
+            if (entry.date !== today || (entry.expiresAt && Date.now() >= entry.expiresAt)) {
                 this.chartCache.delete(key);
                 cleaned++;
             }
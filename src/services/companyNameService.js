@@ -0,0 +1,172 @@
+/**
+ * Company Name Service - Company name dictionary (built-in, local file and per-guild names)
+ *
+ * The local file is a JSON object mapping names to instrument keys, e.g.
+ * { "Elbit Systems": "ESLT", "אלביט מערכות": "ESLT" }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CompanyDictionary = require('../utils/company-dictionary');
+const DEFAULT_COMPANY_NAMES = require('../constants/company-names');
+const { isValidInstrumentKey } = require('../utils/instrument');
+const { normalizeSymbol } = require('../utils/symbol-format');
+const { logger } = require('../utils/logger');
+const CONFIG = require('../constants/config');
+
+class CompanyNameService {
+    constructor(environment = null, guildSettingsService = null) {
+        this.environment = environment;
+        this.guildSettingsService = guildSettingsService;
+        this.filePath = environment ?
+            environment.getCompanyNamesPath() :
+            path.join(process.cwd(), 'data', 'company-names.json');
+        this.dictionary = new CompanyDictionary(DEFAULT_COMPANY_NAMES);
+        this.guildDictionaries = new Map();
+    }
+
+    /**
+     * (Re)load the local names file on top of the built-in dictionary
+     * @returns {number} Number of names in the base dictionary
+     */
+    async load() {
+        let fileEntries = {};
+
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            fileEntries = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load company names file', {
+                    filePath: this.filePath,
+                    error: error.message
+                });
+            }
+        }
+
+        this.dictionary = new CompanyDictionary({ ...DEFAULT_COMPANY_NAMES, ...fileEntries });
+        this.guildDictionaries.clear();
+
+        logger.info('Company names loaded', {
+            names: this.dictionary.size,
+            fromFile: Object.keys(fileEntries).length
+        });
+
+        return this.dictionary.size;
+    }
+
+    /**
+     * Get the dictionary for a guild (base names plus the guild's own names)
+     * @param {string} guildId - Discord guild ID
+     * @returns {CompanyDictionary} Dictionary
+     */
+    getDictionary(guildId = null) {
+        const guildNames = this.getGuildNames(guildId);
+        if (Object.keys(guildNames).length === 0) {
+            return this.dictionary;
+        }
+
+        if (!this.guildDictionaries.has(guildId)) {
+            this.guildDictionaries.set(guildId, this.dictionary.extend(guildNames));
+        }
+
+        return this.guildDictionaries.get(guildId);
+    }
+
+    /**
+     * Get the names a guild added
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Map of name to instrument key
+     */
+    getGuildNames(guildId) {
+        if (!guildId || !this.guildSettingsService) {
+            return {};
+        }
+
+        return this.guildSettingsService.getGuildSettings(guildId).companyNames || {};
+    }
+
+    /**
+     * Add (or override) a company name for a guild
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Company name as people write it
+     * @param {string} key - Instrument key or symbol (aapl, BRK-B, crypto:BTC-USD)
+     * @returns {string} Instrument key the name resolves to
+     */
+    addGuildName(guildId, name, key) {
+        if (!this.guildSettingsService) {
+            throw new Error('Guild settings are not available');
+        }
+
+        const symbol = isValidInstrumentKey(key) ? key : normalizeSymbol(key);
+        const trimmed = String(name || '').trim();
+        if (!symbol || !trimmed || trimmed.length > CONFIG.COMPANY_NAMES.MAX_NAME_LENGTH) {
+            throw new Error(`Invalid company name entry: ${name} -> ${key}`);
+        }
+
+        // Re-adding a name (in any case) replaces it instead of counting against the cap
+        const guildNames = this.getGuildNames(guildId);
+        const existing = this.findGuildName(guildNames, trimmed);
+        const maxNames = CONFIG.COMPANY_NAMES.MAX_NAMES_PER_GUILD;
+        if (!existing && Object.keys(guildNames).length >= maxNames) {
+            throw new Error(`This server already has ${maxNames} company names, remove one first`);
+        }
+
+        this.guildSettingsService.updateGuildSettings(guildId, settings => {
+            const companyNames = { ...settings.companyNames };
+            if (existing) {
+                delete companyNames[existing];
+            }
+            settings.companyNames = { ...companyNames, [trimmed]: symbol };
+        });
+        this.guildDictionaries.delete(guildId);
+
+        logger.info('Company name added', { guildId, name: trimmed, symbol });
+        return symbol;
+    }
+
+    /**
+     * Remove a company name a guild added
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Company name
+     * @returns {boolean} True if the name existed
+     */
+    removeGuildName(guildId, name) {
+        const existing = this.findGuildName(this.getGuildNames(guildId), name);
+
+        if (!existing) {
+            return false;
+        }
+
+        this.guildSettingsService.updateGuildSettings(guildId, settings => {
+            delete settings.companyNames[existing];
+        });
+        this.guildDictionaries.delete(guildId);
+
+        logger.info('Company name removed', { guildId, name: existing });
+        return true;
+    }
+
+    /**
+     * Find a guild name the way the dictionary matches it (case and geresh insensitive)
+     * @param {Object} guildNames - Map of name to instrument key
+     * @param {string} name - Company name
+     * @returns {string|undefined} Stored name
+     */
+    findGuildName(guildNames, name) {
+        const normalized = CompanyDictionary.normalizeName(name);
+        return Object.keys(guildNames).find(entry => CompanyDictionary.normalizeName(entry) === normalized);
+    }
+
+    /**
+     * Get dictionary statistics
+     */
+    getStats() {
+        return {
+            names: this.dictionary.size,
+            filePath: this.filePath
+        };
+    }
+}
+
+module.exports = CompanyNameService;
@@ -0,0 +1,259 @@
+/**
+ * Guild Settings Service - Persisted per-guild and per-channel bot settings
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { isValidDetectionMode, DEFAULT_DETECTION_MODE } = require('../utils/ticker-detector');
+const { logger } = require('../utils/logger');
+const CONFIG = require('../constants/config');
+
+// Word list names and the settings field each one is stored in
+const WORD_LISTS = {
+    block: 'blockedWords',
+    allow: 'allowedWords'
+};
+
+/**
+ * How detected tickers are delivered in a channel
+ * - buttons: reply with ticker buttons (charts are sent privately on click)
+ * - inline: reply with the charts themselves
+ * - none: detect but do not reply
+ */
+const DELIVERY_MODES = {
+    BUTTONS: 'buttons',
+    INLINE: 'inline',
+    NONE: 'none'
+};
+
+// Channel profile fields and their validators. The same fields are stored on the
+// guild (server-wide defaults) and on individual channels (overrides).
+const PROFILE_FIELDS = {
+    detectionEnabled: value => typeof value === 'boolean',
+    detectionMode: isValidDetectionMode,
+    delivery: value => Object.values(DELIVERY_MODES).includes(value),
+    volume: value => typeof value === 'boolean'
+};
+
+class GuildSettingsService {
+    constructor(environment = null, filePath = null) {
+        this.environment = environment;
+
+        const dataDir = environment ? environment.getDataDirectory() : path.join(process.cwd(), 'data');
+        this.store = new JsonStore(filePath || path.join(dataDir, 'guild-settings.json'));
+    }
+
+    /**
+     * Get settings for a guild (empty defaults if none stored)
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Guild settings
+     */
+    getGuildSettings(guildId) {
+        const stored = guildId ? this.store.get(guildId) : null;
+
+        return {
+            detectionEnabled: null,
+            detectionMode: null,
+            delivery: null,
+            volume: null,
+            channels: {},
+            companyNames: {},
+            blockedWords: [],
+            allowedWords: [],
+            ...stored
+        };
+    }
+
+    /**
+     * Update settings for a guild
+     * @param {string} guildId - Discord guild ID
+     * @param {Function} updater - Receives current settings and mutates them
+     */
+    updateGuildSettings(guildId, updater) {
+        const settings = this.getGuildSettings(guildId);
+        updater(settings);
+        this.store.set(guildId, settings);
+        return settings;
+    }
+
+    /**
+     * Get the effective profile of a channel. Each field is resolved separately:
+     * channel override > parent channel override (for threads) > guild default > built-in default.
+     * @param {string} guildId - Discord guild ID
+     * @param {string} channelId - Discord channel ID
+     * @param {string} parentId - Parent channel ID when the channel is a thread
+     * @returns {Object} { detectionEnabled, detectionMode, delivery, volume }
+     */
+    getChannelProfile(guildId, channelId = null, parentId = null) {
+        const settings = this.getGuildSettings(guildId);
+        const layers = [
+            channelId ? settings.channels[channelId] : null,
+            parentId ? settings.channels[parentId] : null,
+            settings
+        ];
+
+        const resolve = (field, fallback) => {
+            const layer = layers.find(candidate => candidate && PROFILE_FIELDS[field](candidate[field]));
+            return layer ? layer[field] : fallback;
+        };
+
+        return {
+            detectionEnabled: resolve('detectionEnabled', true),
+            detectionMode: resolve('detectionMode',
+                this.environment ? this.environment.getTickerDetectionMode() : DEFAULT_DETECTION_MODE),
+            delivery: resolve('delivery', DELIVERY_MODES.BUTTONS),
+            volume: resolve('volume', true)
+        };
+    }
+
+    /**
+     * Update the profile of a channel, or the guild defaults when no channel is given
+     * @param {string} guildId - Discord guild ID
+     * @param {string|null} channelId - Channel ID, or null for the guild defaults
+     * @param {Object} updates - Profile fields to set; null clears a field, undefined leaves it unchanged
+     * @returns {Object} Stored (unresolved) profile fields
+     */
+    setChannelProfile(guildId, channelId, updates) {
+        const changes = Object.entries(updates).filter(([, value]) => value !== undefined);
+
+        for (const [field, value] of changes) {
+            if (!PROFILE_FIELDS[field]) {
+                throw new Error(`Invalid profile setting: ${field}`);
+            }
+            if (value !== null && !PROFILE_FIELDS[field](value)) {
+                throw new Error(`Invalid ${field}: ${value}`);
+            }
+        }
+
+        let profile;
+        this.updateGuildSettings(guildId, settings => {
+            profile = channelId ? { ...settings.channels[channelId] } : settings;
+            changes.forEach(([field, value]) => {
+                profile[field] = value;
+            });
+            if (channelId) {
+                settings.channels[channelId] = profile;
+            }
+        });
+
+        logger.info('Channel profile updated', { guildId, channelId, updates: Object.fromEntries(changes) });
+        return Object.fromEntries(Object.keys(PROFILE_FIELDS).map(field => [field, profile[field] ?? null]));
+    }
+
+    /**
+     * Remove a channel's overrides so it follows its parent channel and the guild defaults
+     * @param {string} guildId - Discord guild ID
+     * @param {string} channelId - Discord channel ID
+     * @returns {boolean} True if the channel had a profile
+     */
+    resetChannelProfile(guildId, channelId) {
+        if (!this.getGuildSettings(guildId).channels[channelId]) {
+            return false;
+        }
+
+        this.updateGuildSettings(guildId, settings => {
+            delete settings.channels[channelId];
+        });
+
+        logger.info('Channel profile reset', { guildId, channelId });
+        return true;
+    }
+
+    /**
+     * Get the channels of a guild that have overrides
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Map of channel ID to stored profile fields
+     */
+    getChannelProfiles(guildId) {
+        const { channels } = this.getGuildSettings(guildId);
+
+        return Object.fromEntries(
+            Object.entries(channels).filter(([, profile]) =>
+                Object.keys(PROFILE_FIELDS).some(field => PROFILE_FIELDS[field](profile[field]))
+            )
+        );
+    }
+
+    /**
+     * Get the effective detection mode (channel override > parent channel > guild setting > environment default)
+     * @param {string} guildId - Discord guild ID
+     * @param {string} channelId - Discord channel ID
+     * @param {string} parentId - Parent channel ID when the channel is a thread
+     * @returns {string} Detection mode
+     */
+    getDetectionMode(guildId, channelId = null, parentId = null) {
+        return this.getChannelProfile(guildId, channelId, parentId).detectionMode;
+    }
+
+    /**
+     * Get a guild's ticker word lists
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} { blockedWords, allowedWords }
+     */
+    getWordLists(guildId) {
+        const { blockedWords, allowedWords } = this.getGuildSettings(guildId);
+        return { blockedWords, allowedWords };
+    }
+
+    /**
+     * Add a word to a guild's block or allow list (removing it from the other list).
+     * Each list holds up to CONFIG.TICKER_WORDS.MAX_WORDS_PER_LIST words.
+     * @param {string} guildId - Discord guild ID
+     * @param {string} list - 'block' or 'allow'
+     * @param {string} word - Ticker-like word (1-5 letters)
+     * @returns {string} Normalized word
+     */
+    addWord(guildId, list, word) {
+        const field = WORD_LISTS[list];
+        if (!field) {
+            throw new Error(`Invalid word list: ${list}`);
+        }
+
+        const normalized = String(word || '').trim().replace(/^\$/, '').toUpperCase();
+        if (!/^[A-Z]{1,5}$/.test(normalized)) {
+            throw new Error(`Invalid word: ${word} (use 1-5 letters)`);
+        }
+
+        const maxWords = CONFIG.TICKER_WORDS.MAX_WORDS_PER_LIST;
+        const current = this.getGuildSettings(guildId)[field];
+        if (!current.includes(normalized) && current.length >= maxWords) {
+            throw new Error(`The ${list} list is full (${maxWords} words), remove a word first`);
+        }
+
+        this.updateGuildSettings(guildId, settings => {
+            Object.values(WORD_LISTS).forEach(otherField => {
+                settings[otherField] = settings[otherField].filter(entry => entry !== normalized);
+            });
+            settings[field] = [...settings[field], normalized].sort();
+        });
+
+        logger.info('Ticker word list updated', { guildId, list, word: normalized });
+        return normalized;
+    }
+
+    /**
+     * Remove a word from whichever guild word list contains it
+     * @param {string} guildId - Discord guild ID
+     * @param {string} word - Word to remove
+     * @returns {string|null} List the word was removed from, or null if it was not listed
+     */
+    removeWord(guildId, word) {
+        const normalized = String(word || '').trim().replace(/^\$/, '').toUpperCase();
+        const settings = this.getGuildSettings(guildId);
+        const list = Object.keys(WORD_LISTS).find(name => settings[WORD_LISTS[name]].includes(normalized));
+
+        if (!list) {
+            return null;
+        }
+
+        this.updateGuildSettings(guildId, current => {
+            current[WORD_LISTS[list]] = current[WORD_LISTS[list]].filter(entry => entry !== normalized);
+        });
+
+        logger.info('Ticker word removed', { guildId, list, word: normalized });
+        return list;
+    }
+}
+
+module.exports = GuildSettingsService;
+module.exports.DELIVERY_MODES = DELIVERY_MODES;
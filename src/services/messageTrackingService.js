@@ -8,6 +8,7 @@ class MessageTrackingService {
     constructor(environment = null) {
         this.trackedMessages = new Map();
         this.messageToCache = new Map();
+        this.sourceToButtonMessage = new Map();
         this.environment = environment;
     }
 
@@ -58,18 +59,25 @@ class MessageTrackingService {
      * @param {string} messageId - Discord message ID
      * @param {string} channelId - Discord channel ID
      * @param {Array} tickers - Detected tickers in the message
+     * @param {string} sourceMessageId - User message the buttons reply to
      */
-    trackButtonMessage(messageId, channelId, tickers) {
+    trackButtonMessage(messageId, channelId, tickers, sourceMessageId = null) {
         const messageData = {
             messageId,
             channelId,
             tickers,
+            sourceMessageId,
             createdAt: new Date(),
             cacheKeys: [],
             type: 'button_interaction'
         };
 
         this.trackedMessages.set(messageId, messageData);
+
+        // Map the user's message to its buttons so edits and deletes can follow it
+        if (sourceMessageId) {
+            this.sourceToButtonMessage.set(sourceMessageId, messageId);
+        }
         
         logger.debug('Button message tracked for retention', {
             messageId,
@@ -78,6 +86,64 @@ class MessageTrackingService {
         });
     }
 
+    /**
+     * Track a reply carrying charts posted directly in a channel (inline delivery)
+     * @param {string} messageId - Discord message ID
+     * @param {string} channelId - Discord channel ID
+     * @param {Array} tickers - Detected tickers in the source message
+     * @param {string} sourceMessageId - User message the charts reply to
+     * @param {Array} cacheKeys - Chart cache keys to clean up when the message is deleted
+     */
+    trackInlineChartMessage(messageId, channelId, tickers, sourceMessageId = null, cacheKeys = []) {
+        const messageData = {
+            messageId,
+            channelId,
+            tickers,
+            sourceMessageId,
+            createdAt: new Date(),
+            cacheKeys,
+            type: 'inline_chart'
+        };
+
+        this.trackedMessages.set(messageId, messageData);
+
+        if (cacheKeys.length > 0) {
+            this.messageToCache.set(messageId, [...cacheKeys]);
+        }
+
+        if (sourceMessageId) {
+            this.sourceToButtonMessage.set(sourceMessageId, messageId);
+        }
+
+        logger.debug('Inline chart message tracked for retention', {
+            messageId,
+            channelId,
+            tickers
+        });
+    }
+
+    /**
+     * Get the tracked button (or inline chart) message replying to a user message
+     * @param {string} sourceMessageId - User message ID
+     * @returns {Object|null} Reply message data
+     */
+    getButtonMessageForSource(sourceMessageId) {
+        const messageId = this.sourceToButtonMessage.get(sourceMessageId);
+        return messageId ? this.trackedMessages.get(messageId) || null : null;
+    }
+
+    /**
+     * Update the tickers of a tracked button message (after the source message was edited)
+     * @param {string} messageId - Button message ID
+     * @param {Array} tickers - Tickers now shown
+     */
+    updateButtonMessageTickers(messageId, tickers) {
+        const messageData = this.trackedMessages.get(messageId);
+        if (messageData) {
+            messageData.tickers = tickers;
+        }
+    }
+
     /**
      * Track a thread system message created by Discord
      * @param {string} messageId - Discord message ID
@@ -154,6 +220,10 @@ class MessageTrackingService {
         if (messageData) {
             // Clean up cache mapping
             this.messageToCache.delete(messageId);
+
+            if (messageData.sourceMessageId) {
+                this.sourceToButtonMessage.delete(messageData.sourceMessageId);
+            }
             
             // Remove from tracked messages
             this.trackedMessages.delete(messageId);
@@ -5,6 +5,26 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const YahooFinanceService = require('./yahooFinanceService');
+const { toAlphaVantageSymbol, toYahooSymbol } = require('../utils/symbol-format');
+const { parseInstrumentKey, INSTRUMENT_TYPES } = require('../utils/instrument');
+const { formatPrice } = require('../utils/number-format');
+const {
+    getTimeframe,
+    getTimeframeDays,
+    selectTimeframeBars,
+    isIntradayTimeframe,
+    getIntradayInterval,
+    resolveInterval,
+    DEFAULT_TIMEFRAME
+} = require('../utils/timeframe');
+const CONFIG = require('../constants/config');
+
+// outputsize=compact returns the last 100 bars: 100 trading days (about 140 calendar days) for daily data
+const ALPHA_VANTAGE_COMPACT_BARS = 100;
+const ALPHA_VANTAGE_COMPACT_DAYS = 140;
+
+// Regular US trading session (Alpha Vantage intraday data is US-only)
+const US_SESSION_MINUTES = 390;
 
 class StockService {
     constructor() {
@@ -17,18 +37,26 @@ class StockService {
     }
 
     /**
-     * Generate cache key for a ticker
+     * Generate cache key for a ticker (the timeframe is part of the key except for the default one,
+     * the interval only when it is not the timeframe's own)
      */
-    getCacheKey(ticker) {
+    getCacheKey(ticker, timeframeId = DEFAULT_TIMEFRAME, intervalId = null) {
         const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-        return `${ticker}_${today}`;
+        const parts = [ticker];
+        if (timeframeId !== DEFAULT_TIMEFRAME) parts.push(timeframeId);
+        if (intervalId) parts.push(intervalId);
+        return `${parts.join('_')}_${today}`;
     }
 
     /**
-     * Check if cache entry is still valid (same day)
+     * Check if cache entry is still valid (same day, and not past its TTL for intraday data)
      */
     isCacheValid(cacheEntry) {
         if (!cacheEntry) return false;
+
+        if (cacheEntry.expiresAt && Date.now() >= cacheEntry.expiresAt) {
+            return false;
+        }
         
         const today = new Date().toISOString().split('T')[0];
         const cacheDate = new Date(cacheEntry.timestamp).toISOString().split('T')[0];
@@ -46,7 +74,7 @@ class StockService {
         
         for (const [key, entry] of this.stockCache.entries()) {
             const cacheDate = new Date(entry.timestamp).toISOString().split('T')[0];
-            if (cacheDate !== today) {
+            if (cacheDate !== today || (entry.expiresAt && Date.now() >= entry.expiresAt)) {
                 this.stockCache.delete(key);
                 cleaned++;
             }
@@ -63,49 +91,84 @@ class StockService {
 
     /**
      * Fetch stock data with caching and fallback to Yahoo Finance
+     * @param {string} ticker - Instrument key (AAPL, BRK.B, crypto:BTC-USD)
+     * @param {string} timeframeId - Timeframe to fetch (1D, 5D, 1M, 3M, 6M, YTD, 1Y, 5Y)
+     * @param {string|null} intervalId - Intraday interval for intraday timeframes (1m, 5m, 15m, 30m, 1h)
      */
-    async fetchStockData(ticker) {
+    async fetchStockData(ticker, timeframeId = DEFAULT_TIMEFRAME, intervalId = null) {
+        const timeframe = getTimeframe(timeframeId);
+        if (!timeframe) {
+            throw new Error(`Unknown timeframe: ${timeframeId}`);
+        }
+        const interval = resolveInterval(timeframe, intervalId);
+
         // Check cache first
-        const cacheKey = this.getCacheKey(ticker);
+        const cacheKey = this.getCacheKey(ticker, timeframeId, interval !== timeframe.interval ? interval : null);
         const cachedData = this.stockCache.get(cacheKey);
         
         if (cachedData && this.isCacheValid(cachedData)) {
-            logger.debug('Using cached stock data', { ticker });
+            logger.debug('Using cached stock data', { ticker, timeframe: timeframeId, interval });
             return cachedData.stockData;
         }
+
+        // Intraday data is only reused for a few minutes
+        const expiresAt = isIntradayTimeframe(timeframe) ? Date.now() + CONFIG.CACHE.INTRADAY_TTL : null;
+        
+        const instrument = parseInstrumentKey(ticker);
+        const isCrypto = instrument?.type === INSTRUMENT_TYPES.CRYPTO;
+
+        if (instrument?.type === INSTRUMENT_TYPES.OPTION) {
+            const stockData = await this.fetchOptionData(instrument, timeframeId, interval);
+
+            this.stockCache.set(cacheKey, {
+                stockData,
+                chartBuffer: null,
+                timestamp: new Date(),
+                expiresAt
+            });
+
+            return stockData;
+        }
         
         // Try Alpha Vantage first
         try {
-            const stockData = await this.fetchFromAlphaVantage(ticker);
+            const stockData = this.describeInstrument(isCrypto ?
+                await this.fetchCryptoFromAlphaVantage(instrument, timeframe, interval) :
+                await this.fetchFromAlphaVantage(ticker, timeframe, interval), instrument);
             
             // Cache the fresh data
             this.stockCache.set(cacheKey, {
                 stockData,
                 chartBuffer: null, // Will be set by ChartService
-                timestamp: new Date()
+                timestamp: new Date(),
+                expiresAt
             });
             
-            logger.debug(`Cached fresh data for ${ticker} (Alpha Vantage)`);
+            logger.debug(`Cached fresh data for ${ticker} (Alpha Vantage)`, { timeframe: timeframeId });
             return stockData;
             
         } catch (alphaError) {
             logger.warn('Alpha Vantage failed, trying Yahoo Finance fallback', {
                 ticker,
+                timeframe: timeframeId,
                 alphaError: alphaError.message
             });
             
             // Fallback to Yahoo Finance
             try {
-                const stockData = await this.yahooService.fetchStockData(ticker);
+                const stockData = this.describeInstrument(instrument ?
+                    await this.yahooService.fetchStockData(instrument.displaySymbol, instrument.yahooSymbol, timeframeId, interval) :
+                    await this.yahooService.fetchStockData(ticker, toYahooSymbol(ticker), timeframeId, interval), instrument);
                 
                 // Cache the fallback data
                 this.stockCache.set(cacheKey, {
                     stockData,
                     chartBuffer: null,
-                    timestamp: new Date()
+                    timestamp: new Date(),
+                    expiresAt
                 });
                 
-                logger.debug(`Cached fresh data for ${ticker} (Yahoo Finance fallback)`);
+                logger.debug(`Cached fresh data for ${ticker} (Yahoo Finance fallback)`, { timeframe: timeframeId });
                 return stockData;
                 
             } catch (yahooError) {
@@ -119,17 +182,166 @@ class StockService {
         }
     }
 
+    /**
+     * Fetch a quote (price, day range, volume, 52-week range, market cap) without price history, cached briefly.
+     * Yahoo Finance comes first here: one request has every field, while Alpha Vantage's GLOBAL_QUOTE
+     * has no 52-week range or market cap and only covers equities.
+     * @param {string} ticker - Instrument key (AAPL, crypto:BTC-USD, ^GSPC, option:...)
+     * @returns {Object} Normalized quote (see YahooFinanceService#transformYahooQuote)
+     */
+    async fetchQuote(ticker) {
+        const cacheKey = `quote_${ticker}`;
+        const cachedData = this.stockCache.get(cacheKey);
+
+        if (cachedData && this.isCacheValid(cachedData)) {
+            logger.debug('Using cached quote', { ticker });
+            return cachedData.quote;
+        }
+
+        const instrument = parseInstrumentKey(ticker);
+        let quote;
+
+        try {
+            quote = await this.yahooService.fetchQuote(ticker, instrument ? instrument.yahooSymbol : toYahooSymbol(ticker));
+        } catch (yahooError) {
+            logger.warn('Yahoo Finance quote failed, trying Alpha Vantage', {
+                ticker,
+                yahooError: yahooError.message
+            });
+
+            try {
+                quote = await this.fetchQuoteFromAlphaVantage(ticker);
+            } catch (alphaError) {
+                logger.error('Both quote sources failed', {
+                    ticker,
+                    yahooError: yahooError.message,
+                    alphaError: alphaError.message
+                });
+                throw new Error(`Failed to fetch quote for ${ticker}: Yahoo Finance (${yahooError.message}), Alpha Vantage (${alphaError.message})`);
+            }
+        }
+
+        this.describeInstrument(quote, instrument);
+        this.stockCache.set(cacheKey, {
+            quote,
+            timestamp: new Date(),
+            expiresAt: Date.now() + CONFIG.CACHE.QUOTE_TTL
+        });
+
+        return quote;
+    }
+
+    /**
+     * Fetch quotes for several tickers, one after another, keeping going past failures
+     * @param {Array<string>} tickers - Instrument keys
+     * @returns {Object} { quotes, failed } with quotes in ticker order and the keys that could not be fetched
+     */
+    async fetchQuotes(tickers) {
+        const quotes = [];
+        const failed = [];
+
+        for (const ticker of tickers) {
+            try {
+                quotes.push(await this.fetchQuote(ticker));
+            } catch (error) {
+                logger.warn('Could not fetch quote', { ticker, error: error.message });
+                failed.push(ticker);
+            }
+        }
+
+        return { quotes, failed };
+    }
+
+    /**
+     * Fetch chart data for an option contract: the underlying's series plus contract details,
+     * and the contract's own price history when the provider has it
+     * @param {Object} instrument - Parsed option instrument
+     * @param {string} timeframeId - Timeframe to fetch
+     * @param {string|null} intervalId - Intraday interval of the underlying's bars
+     */
+    async fetchOptionData(instrument, timeframeId = DEFAULT_TIMEFRAME, intervalId = null) {
+        const underlyingData = await this.fetchStockData(instrument.underlying, timeframeId, intervalId);
+
+        let contract = null;
+        try {
+            contract = await this.yahooService.fetchOptionHistory(instrument.occSymbol, timeframeId);
+        } catch (error) {
+            logger.debug('Option price history not available, charting underlying only', {
+                contract: instrument.occSymbol,
+                error: error.message
+            });
+        }
+
+        return {
+            ...underlyingData,
+            symbol: instrument.key,
+            assetType: INSTRUMENT_TYPES.OPTION,
+            displayName: instrument.friendlyName,
+            description: instrument.description,
+            option: {
+                occSymbol: instrument.occSymbol,
+                underlying: underlyingData.displayName || underlyingData.symbol,
+                right: instrument.right,
+                strike: instrument.strike,
+                expiry: instrument.expiry,
+                contract
+            }
+        };
+    }
+
+    /**
+     * Attach instrument details (asset type and friendly index/futures names) to fetched data
+     * @param {Object} stockData - Provider data
+     * @param {Object|null} instrument - Parsed instrument key
+     * @returns {Object} The same stockData object
+     */
+    describeInstrument(stockData, instrument) {
+        if (!instrument) {
+            return stockData;
+        }
+
+        stockData.assetType = instrument.type;
+        stockData.displayName = instrument.friendlyName || null;
+        stockData.description = instrument.description || null;
+        return stockData;
+    }
+
     /**
      * Fetch stock data from Alpha Vantage API
+     * @param {string} ticker - Instrument key
+     * @param {Object} timeframe - Timeframe definition (defaults to the default timeframe)
+     * @param {string} intervalId - Bar interval (defaults to the timeframe's own)
      */
-    async fetchFromAlphaVantage(ticker) {
-        logger.debug(`Fetching fresh data for ${ticker} from Alpha Vantage`);
+    async fetchFromAlphaVantage(ticker, timeframe = getTimeframe(DEFAULT_TIMEFRAME), intervalId = timeframe.interval) {
+        logger.debug(`Fetching fresh data for ${ticker} from Alpha Vantage`, { timeframe: timeframe.id, interval: intervalId });
         
         if (!this.apiKey) {
             throw new Error('Alpha Vantage API key not configured');
         }
 
-        const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${ticker}&apikey=${this.apiKey}&outputsize=compact`;
+        // Alpha Vantage uses its own exchange suffixes (SHOP.TRT) and does not cover
+        // every exchange, index or futures contract
+        const instrument = parseInstrumentKey(ticker);
+        const alphaVantageSymbol = instrument ? instrument.alphaVantage.symbol : toAlphaVantageSymbol(ticker);
+        if (!alphaVantageSymbol) {
+            throw new Error(instrument && instrument.type !== INSTRUMENT_TYPES.EQUITY ?
+                'Instrument not supported by Alpha Vantage' :
+                'Exchange not supported by Alpha Vantage');
+        }
+
+        if (isIntradayTimeframe(timeframe)) {
+            return this.fetchIntradayFromAlphaVantage(ticker, alphaVantageSymbol, timeframe, intervalId);
+        }
+
+        // Daily bars only (no weekly), and only as far back as the free compact series goes
+        if (intervalId !== '1d') {
+            throw new Error('Interval not supported by Alpha Vantage');
+        }
+        if (getTimeframeDays(timeframe) > ALPHA_VANTAGE_COMPACT_DAYS) {
+            throw new Error('Timeframe not supported by Alpha Vantage');
+        }
+
+        const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${encodeURIComponent(alphaVantageSymbol)}&apikey=${this.apiKey}&outputsize=compact`;
         const response = await axios.get(url);
         const data = response.data;
         
@@ -148,7 +360,8 @@ class StockService {
             throw new Error('No data available');
         }
 
-        const dates = Object.keys(timeSeries).slice(0, 30).reverse();
+        const bars = selectTimeframeBars(Object.keys(timeSeries).reverse().map(date => ({ date })), timeframe);
+        const dates = bars.map(bar => bar.date);
         const opens = dates.map(date => parseFloat(timeSeries[date]['1. open']));
         const highs = dates.map(date => parseFloat(timeSeries[date]['2. high']));
         const lows = dates.map(date => parseFloat(timeSeries[date]['3. low']));
@@ -175,6 +388,224 @@ class StockService {
             prices: closes, // Keep for backwards compatibility
             volumes,
             company: metaData['2. Symbol'],
+            assetType: INSTRUMENT_TYPES.EQUITY,
+            timeframe: timeframe.id,
+            interval: timeframe.interval,
+            source: 'alphavantage'
+        };
+    }
+
+    /**
+     * Fetch intraday bars from Alpha Vantage (TIME_SERIES_INTRADAY, regular hours only)
+     * @param {string} ticker - Instrument key
+     * @param {string} alphaVantageSymbol - Symbol in Alpha Vantage format
+     * @param {Object} timeframe - Intraday timeframe definition
+     * @param {string} intervalId - Intraday interval (1m, 5m, 15m, 30m, 1h)
+     * @returns {Object} Data in the same OHLCV shape as daily data
+     */
+    async fetchIntradayFromAlphaVantage(ticker, alphaVantageSymbol, timeframe, intervalId) {
+        const interval = getIntradayInterval(intervalId);
+
+        // The compact series (latest 100 bars) covers a few sessions of coarse bars, finer bars
+        // need the full month; one extra bar reaches the previous close for the day change
+        const barsNeeded = timeframe.sessions * Math.ceil(US_SESSION_MINUTES / interval.minutes) + 1;
+        const outputSize = barsNeeded > ALPHA_VANTAGE_COMPACT_BARS ? 'full' : 'compact';
+
+        const url = `https://www.alphavantage.co/query?function=TIME_SERIES_INTRADAY&symbol=${encodeURIComponent(alphaVantageSymbol)}&interval=${interval.alphaVantage}&extended_hours=false&outputsize=${outputSize}&apikey=${this.apiKey}`;
+        const response = await axios.get(url);
+        const data = response.data;
+
+        if (data['Error Message']) {
+            throw new Error('Stock not found');
+        }
+
+        if (data['Note']) {
+            throw new Error('API rate limit exceeded');
+        }
+
+        const timeSeries = data[`Time Series (${interval.alphaVantage})`];
+
+        if (!timeSeries) {
+            throw new Error('No data available');
+        }
+
+        // Timestamps (YYYY-MM-DD HH:MM:SS) are already in exchange time, newest first
+        const allBars = Object.keys(timeSeries).reverse().map(timestamp => ({
+            date: timestamp.slice(0, 16),
+            values: timeSeries[timestamp]
+        }));
+        const bars = selectTimeframeBars(allBars, timeframe);
+
+        if (bars.length < 2) {
+            throw new Error('Insufficient intraday data');
+        }
+
+        const dates = bars.map(bar => bar.date);
+        const opens = bars.map(bar => parseFloat(bar.values['1. open']));
+        const highs = bars.map(bar => parseFloat(bar.values['2. high']));
+        const lows = bars.map(bar => parseFloat(bar.values['3. low']));
+        const closes = bars.map(bar => parseFloat(bar.values['4. close']));
+        const volumes = bars.map(bar => parseInt(bar.values['5. volume']));
+
+        // Day change: against the previous session's last bar, or the session open without one
+        const lastSession = dates[dates.length - 1].slice(0, 10);
+        const previousBar = allBars.filter(bar => bar.date.slice(0, 10) < lastSession).pop();
+        const currentPrice = closes[closes.length - 1];
+        const previousPrice = previousBar ?
+            parseFloat(previousBar.values['4. close']) :
+            opens[dates.findIndex(date => date.startsWith(lastSession))];
+        const change = currentPrice - previousPrice;
+        const changePercent = ((change / previousPrice) * 100).toFixed(2);
+
+        return {
+            symbol: ticker,
+            currentPrice: currentPrice.toFixed(2),
+            change: change.toFixed(2),
+            changePercent,
+            dates,
+            opens,
+            highs,
+            lows,
+            closes,
+            prices: closes, // Keep for backwards compatibility
+            volumes,
+            company: data['Meta Data']?.['2. Symbol'] || ticker,
+            assetType: INSTRUMENT_TYPES.EQUITY,
+            timeframe: timeframe.id,
+            interval: intervalId,
+            source: 'alphavantage'
+        };
+    }
+
+    /**
+     * Fetch crypto data from Alpha Vantage (DIGITAL_CURRENCY_DAILY)
+     * @param {Object} instrument - Parsed crypto instrument
+     * @param {Object} timeframe - Timeframe definition (defaults to the default timeframe)
+     * @param {string} intervalId - Bar interval (defaults to the timeframe's own)
+     * @returns {Object} Data in the same OHLCV shape as equities
+     */
+    async fetchCryptoFromAlphaVantage(instrument, timeframe = getTimeframe(DEFAULT_TIMEFRAME), intervalId = timeframe.interval) {
+        logger.debug(`Fetching fresh crypto data for ${instrument.displaySymbol} from Alpha Vantage`, { timeframe: timeframe.id, interval: intervalId });
+        
+        if (!this.apiKey) {
+            throw new Error('Alpha Vantage API key not configured');
+        }
+
+        // The daily crypto series has full history; crypto intraday is a premium endpoint
+        if (intervalId !== '1d') {
+            throw new Error('Interval not supported by Alpha Vantage');
+        }
+
+        const { symbol, market } = instrument.alphaVantage;
+        const url = `https://www.alphavantage.co/query?function=DIGITAL_CURRENCY_DAILY&symbol=${encodeURIComponent(symbol)}&market=${encodeURIComponent(market)}&apikey=${this.apiKey}`;
+        const response = await axios.get(url);
+        const data = response.data;
+        
+        if (data['Error Message']) {
+            throw new Error('Crypto pair not found');
+        }
+
+        if (data['Note'] || data['Information']) {
+            throw new Error('API rate limit exceeded');
+        }
+
+        const timeSeries = data['Time Series (Digital Currency Daily)'];
+        
+        if (!timeSeries) {
+            throw new Error('No data available');
+        }
+
+        // Field names are "1. open" in current responses and "1a. open (USD)" in older ones
+        const field = (entry, index) => {
+            const key = Object.keys(entry).find(name => name.startsWith(`${index}.`) || name.startsWith(`${index}a.`));
+            return parseFloat(entry[key]);
+        };
+
+        const bars = selectTimeframeBars(Object.keys(timeSeries).reverse().map(date => ({ date })), timeframe);
+        const dates = bars.map(bar => bar.date);
+        const opens = dates.map(date => field(timeSeries[date], 1));
+        const highs = dates.map(date => field(timeSeries[date], 2));
+        const lows = dates.map(date => field(timeSeries[date], 3));
+        const closes = dates.map(date => field(timeSeries[date], 4));
+        const volumes = dates.map(date => field(timeSeries[date], 5) || 0);
+
+        if (closes.length < 2) {
+            throw new Error('Insufficient historical data');
+        }
+
+        const currentPrice = closes[closes.length - 1];
+        const previousPrice = closes[closes.length - 2];
+        const change = currentPrice - previousPrice;
+        const changePercent = ((change / previousPrice) * 100).toFixed(2);
+
+        return {
+            symbol: instrument.displaySymbol,
+            currentPrice: formatPrice(currentPrice),
+            change: formatPrice(change, currentPrice),
+            changePercent,
+            dates,
+            opens,
+            highs,
+            lows,
+            closes,
+            prices: closes, // Keep for backwards compatibility
+            volumes,
+            company: instrument.displaySymbol,
+            assetType: INSTRUMENT_TYPES.CRYPTO,
+            timeframe: timeframe.id,
+            interval: timeframe.interval,
+            source: 'alphavantage'
+        };
+    }
+
+    /**
+     * Fetch an equity quote from Alpha Vantage (GLOBAL_QUOTE)
+     * @param {string} ticker - Instrument key
+     * @returns {Object} Normalized quote; 52-week range, market cap and names are null
+     */
+    async fetchQuoteFromAlphaVantage(ticker) {
+        logger.debug(`Fetching quote for ${ticker} from Alpha Vantage`);
+
+        if (!this.apiKey) {
+            throw new Error('Alpha Vantage API key not configured');
+        }
+
+        const instrument = parseInstrumentKey(ticker);
+        const alphaVantageSymbol = instrument ? instrument.alphaVantage.symbol : toAlphaVantageSymbol(ticker);
+        if (!alphaVantageSymbol || (instrument && instrument.type !== INSTRUMENT_TYPES.EQUITY)) {
+            throw new Error('Instrument not supported by Alpha Vantage');
+        }
+
+        const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(alphaVantageSymbol)}&apikey=${this.apiKey}`;
+        const response = await axios.get(url);
+        const data = response.data;
+
+        if (data['Note'] || data['Information']) {
+            throw new Error('API rate limit exceeded');
+        }
+
+        // Unknown symbols return an empty quote rather than an error
+        const quote = data['Global Quote'];
+        if (!quote || !quote['05. price']) {
+            throw new Error('Stock not found');
+        }
+
+        return {
+            symbol: ticker,
+            name: null,
+            currency: null,
+            price: parseFloat(quote['05. price']),
+            change: parseFloat(quote['09. change']),
+            changePercent: parseFloat(quote['10. change percent']),
+            previousClose: parseFloat(quote['08. previous close']),
+            open: parseFloat(quote['02. open']),
+            dayLow: parseFloat(quote['04. low']),
+            dayHigh: parseFloat(quote['03. high']),
+            volume: parseInt(quote['06. volume']),
+            averageVolume: null,
+            fiftyTwoWeekLow: null,
+            fiftyTwoWeekHigh: null,
+            marketCap: null,
             source: 'alphavantage'
         };
     }
@@ -0,0 +1,307 @@
+/**
+ * Symbol Directory Service - Loads exchange listing files and validates detected tickers
+ *
+ * Supports the NASDAQ Trader symbol directory files (nasdaqlisted.txt / otherlisted.txt,
+ * pipe-delimited) as well as generic CSV listings with a Symbol/Ticker column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { normalizeSymbol, getExchange } = require('../utils/symbol-format');
+
+// Header names recognised for each column (compared case-insensitively)
+const SYMBOL_COLUMNS = ['symbol', 'act symbol', 'ticker', 'nasdaq symbol'];
+const NAME_COLUMNS = ['security name', 'name', 'company name', 'company'];
+const EXCHANGE_COLUMNS = ['exchange', 'listing exchange'];
+const TEST_ISSUE_COLUMNS = ['test issue'];
+
+// Exchange codes used in otherlisted.txt
+const EXCHANGE_CODES = {
+    A: 'NYSE American',
+    N: 'NYSE',
+    P: 'NYSE Arca',
+    Z: 'Cboe BZX',
+    V: 'IEX'
+};
+
+class SymbolDirectoryService {
+    constructor(environment = null) {
+        this.environment = environment;
+        this.directoryPath = environment ?
+            environment.getSymbolDirectoryPath() :
+            path.join(process.cwd(), 'data', 'symbols');
+        this.refreshIntervalMs = environment ?
+            environment.getSymbolDirectoryRefreshMs() :
+            24 * 60 * 60 * 1000;
+        this.symbols = new Map();
+        this.exchangeSuffixes = new Set();
+        this.lastLoadedAt = null;
+        this.refreshInterval = null;
+    }
+
+    /**
+     * Load listings and schedule periodic refreshes
+     */
+    async start() {
+        await this.load();
+
+        if (!this.refreshInterval) {
+            this.refreshInterval = setInterval(() => this.load(), this.refreshIntervalMs);
+        }
+    }
+
+    /**
+     * Stop periodic refreshes
+     */
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    /**
+     * Get listing files to load (a single file or every .txt/.csv file in a directory)
+     * @returns {Array<string>} File paths
+     */
+    async getListingFiles() {
+        try {
+            const stats = await fs.promises.stat(this.directoryPath);
+
+            if (stats.isFile()) {
+                return [this.directoryPath];
+            }
+
+            const entries = await fs.promises.readdir(this.directoryPath);
+            return entries
+                .filter(entry => /\.(txt|csv)$/i.test(entry))
+                .sort()
+                .map(entry => path.join(this.directoryPath, entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to read symbol directory', {
+                    directoryPath: this.directoryPath,
+                    error: error.message
+                });
+            }
+            return [];
+        }
+    }
+
+    /**
+     * (Re)load all listing files from disk. The previous directory is kept if nothing loads.
+     * @returns {number} Number of symbols loaded
+     */
+    async load() {
+        const files = await this.getListingFiles();
+        const symbols = new Map();
+
+        for (const filePath of files) {
+            try {
+                const content = await fs.promises.readFile(filePath, 'utf8');
+                const entries = this.parseListing(content, path.basename(filePath));
+                entries.forEach(entry => symbols.set(entry.symbol, entry));
+            } catch (error) {
+                logger.warn('Failed to load listing file', {
+                    filePath,
+                    error: error.message
+                });
+            }
+        }
+
+        if (symbols.size === 0) {
+            if (this.symbols.size === 0) {
+                logger.debug('No symbol listings found, ticker validation disabled', {
+                    directoryPath: this.directoryPath
+                });
+            }
+            return this.symbols.size;
+        }
+
+        this.symbols = symbols;
+        this.exchangeSuffixes = new Set(
+            [...symbols.keys()].map(symbol => getExchange(symbol)?.suffix).filter(Boolean)
+        );
+        this.lastLoadedAt = new Date();
+
+        logger.info('Symbol directory loaded', {
+            files: files.length,
+            symbols: symbols.size
+        });
+
+        return symbols.size;
+    }
+
+    /**
+     * Parse a listing file into directory entries
+     * @param {string} content - File content
+     * @param {string} fileName - File name (used to infer the exchange)
+     * @returns {Array} Entries as { symbol, name, exchange }
+     */
+    parseListing(content, fileName = '') {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length < 2) {
+            return [];
+        }
+
+        const delimiter = lines[0].includes('|') ? '|' : ',';
+        const header = this.splitLine(lines[0], delimiter).map(column => column.trim().toLowerCase());
+        const findColumn = names => header.findIndex(column => names.includes(column));
+
+        const symbolIndex = findColumn(SYMBOL_COLUMNS);
+        const nameIndex = findColumn(NAME_COLUMNS);
+        const exchangeIndex = findColumn(EXCHANGE_COLUMNS);
+        const testIssueIndex = findColumn(TEST_ISSUE_COLUMNS);
+
+        if (symbolIndex === -1) {
+            throw new Error('No symbol column found in listing header');
+        }
+
+        const defaultExchange = /nasdaq/i.test(fileName) ? 'NASDAQ' : null;
+        const entries = [];
+
+        for (const line of lines.slice(1)) {
+            // NASDAQ Trader files end with a "File Creation Time" footer
+            if (line.startsWith('File Creation Time')) continue;
+
+            const columns = this.splitLine(line, delimiter);
+            // Listings write share classes as BRK.B, BRK-B or BRK/B; store the canonical form
+            const rawSymbol = (columns[symbolIndex] || '').trim().toUpperCase();
+            const symbol = normalizeSymbol(rawSymbol) || rawSymbol;
+            if (!symbol) continue;
+
+            if (testIssueIndex !== -1 && (columns[testIssueIndex] || '').trim().toUpperCase() === 'Y') {
+                continue;
+            }
+
+            const exchangeValue = exchangeIndex !== -1 ? (columns[exchangeIndex] || '').trim() : '';
+            entries.push({
+                symbol,
+                name: nameIndex !== -1 ? (columns[nameIndex] || '').trim() : '',
+                exchange: EXCHANGE_CODES[exchangeValue] || exchangeValue || defaultExchange
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Split a delimited line, honouring double-quoted fields
+     */
+    splitLine(line, delimiter) {
+        const fields = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                fields.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        fields.push(current);
+        return fields;
+    }
+
+    /**
+     * Check whether any listings are loaded
+     */
+    isLoaded() {
+        return this.symbols.size > 0;
+    }
+
+    /**
+     * Check if a symbol is listed. Always true when no listings are loaded,
+     * so a missing directory never blocks detection. Exchange-suffixed symbols
+     * (SHOP.TO, TEVA.TA) are only validated when listings for that exchange are loaded.
+     * @param {string} symbol - Ticker symbol
+     * @returns {boolean} True if listed (or validation is disabled)
+     */
+    isListed(symbol) {
+        if (!this.isLoaded()) {
+            return true;
+        }
+
+        const normalized = normalizeSymbol(symbol) || String(symbol).toUpperCase();
+        if (this.symbols.has(normalized)) {
+            return true;
+        }
+
+        const exchange = getExchange(normalized);
+        return Boolean(exchange && !this.exchangeSuffixes.has(exchange.suffix));
+    }
+
+    /**
+     * Get directory entry for a symbol
+     * @param {string} symbol - Ticker symbol
+     * @returns {Object|null} Entry as { symbol, name, exchange }
+     */
+    getSymbol(symbol) {
+        const normalized = normalizeSymbol(symbol) || String(symbol).toUpperCase();
+        return this.symbols.get(normalized) || null;
+    }
+
+    /**
+     * Search listings by symbol or company name, best matches first:
+     * exact symbol, symbol prefix, then name words starting with the query
+     * @param {string} query - Text typed so far (AAP, apple)
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} Entries as { symbol, name, exchange }
+     */
+    search(query, limit = 25) {
+        const text = String(query || '').trim().replace(/^\$/, '').toUpperCase();
+        if (!text) {
+            return [];
+        }
+
+        const ranked = [];
+        for (const entry of this.symbols.values()) {
+            let rank = null;
+            if (entry.symbol === text) {
+                rank = 0;
+            } else if (entry.symbol.startsWith(text)) {
+                rank = 1;
+            } else if (entry.name && entry.name.toUpperCase().split(/\s+/).some(word => word.startsWith(text))) {
+                rank = 2;
+            }
+
+            if (rank !== null) {
+                ranked.push({ rank, entry });
+            }
+        }
+
+        // Shorter symbols first within a rank, so AAPL comes before AAPLW
+        return ranked
+            .sort((a, b) => a.rank - b.rank ||
+                a.entry.symbol.length - b.entry.symbol.length ||
+                a.entry.symbol.localeCompare(b.entry.symbol))
+            .slice(0, limit)
+            .map(({ entry }) => entry);
+    }
+
+    /**
+     * Get directory statistics
+     */
+    getStats() {
+        return {
+            symbols: this.symbols.size,
+            lastLoadedAt: this.lastLoadedAt ? this.lastLoadedAt.toISOString() : null,
+            directoryPath: this.directoryPath
+        };
+    }
+}
+
+module.exports = SymbolDirectoryService;
@@ -0,0 +1,89 @@
+/**
+ * User Preferences Service - Persisted per-user chart defaults
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { normalizeIndicators } = require('../utils/indicators');
+const { isValidChartType, DEFAULT_CHART_TYPE } = require('../utils/chart-type');
+const { logger } = require('../utils/logger');
+
+// Preference fields and their validators
+const PREFERENCE_FIELDS = {
+    indicators: value => Array.isArray(value) && normalizeIndicators(value).length === value.length,
+    chartType: isValidChartType,
+    logScale: value => typeof value === 'boolean'
+};
+
+class UserPreferencesService {
+    constructor(environment = null, filePath = null) {
+        this.environment = environment;
+
+        const dataDir = environment ? environment.getDataDirectory() : path.join(process.cwd(), 'data');
+        this.store = new JsonStore(filePath || path.join(dataDir, 'user-preferences.json'));
+    }
+
+    /**
+     * Get a user's preferences (built-in defaults for fields they have not set)
+     * @param {string} userId - Discord user ID
+     * @returns {Object} { indicators, chartType, logScale }
+     */
+    getPreferences(userId) {
+        const stored = (userId ? this.store.get(userId) : null) || {};
+        const resolve = (field, fallback) => PREFERENCE_FIELDS[field](stored[field]) ? stored[field] : fallback;
+
+        return {
+            indicators: resolve('indicators', []),
+            chartType: resolve('chartType', DEFAULT_CHART_TYPE),
+            logScale: resolve('logScale', false)
+        };
+    }
+
+    /**
+     * Update a user's preferences
+     * @param {string} userId - Discord user ID
+     * @param {Object} updates - Fields to set; null clears a field, undefined leaves it unchanged
+     * @returns {Object} Effective preferences after the update
+     */
+    setPreferences(userId, updates) {
+        const changes = Object.entries(updates).filter(([, value]) => value !== undefined);
+
+        for (const [field, value] of changes) {
+            if (!PREFERENCE_FIELDS[field]) {
+                throw new Error(`Invalid preference: ${field}`);
+            }
+            if (value !== null && !PREFERENCE_FIELDS[field](value)) {
+                throw new Error(`Invalid ${field}: ${value}`);
+            }
+        }
+
+        const stored = { ...this.store.get(userId) };
+        changes.forEach(([field, value]) => {
+            if (value === null) {
+                delete stored[field];
+            } else {
+                stored[field] = value;
+            }
+        });
+        this.store.set(userId, stored);
+
+        logger.info('User preferences updated', { userId, updates: Object.fromEntries(changes) });
+        return this.getPreferences(userId);
+    }
+
+    /**
+     * Remove all of a user's preferences
+     * @param {string} userId - Discord user ID
+     * @returns {boolean} True if the user had preferences
+     */
+    resetPreferences(userId) {
+        if (!this.store.delete(userId)) {
+            return false;
+        }
+
+        logger.info('User preferences reset', { userId });
+        return true;
+    }
+}
+
+module.exports = UserPreferencesService;
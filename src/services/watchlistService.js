@@ -0,0 +1,143 @@
+/**
+ * Watchlist Service - Persisted ticker watchlists, one per user and one shared per guild
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { isValidInstrumentKey } = require('../utils/instrument');
+const { logger } = require('../utils/logger');
+const CONFIG = require('../constants/config');
+
+// Who a watchlist belongs to; lists are stored as "<scope>:<id>"
+const WATCHLIST_SCOPES = {
+    USER: 'user',
+    GUILD: 'guild'
+};
+
+class WatchlistService {
+    constructor(environment = null, filePath = null) {
+        this.environment = environment;
+
+        const dataDir = environment ? environment.getDataDirectory() : path.join(process.cwd(), 'data');
+        this.store = new JsonStore(filePath || path.join(dataDir, 'watchlists.json'));
+    }
+
+    /**
+     * Get the store key of a watchlist
+     * @param {string} scope - WATCHLIST_SCOPES value
+     * @param {string} ownerId - User or guild ID
+     */
+    getListKey(scope, ownerId) {
+        if (!Object.values(WATCHLIST_SCOPES).includes(scope)) {
+            throw new Error(`Invalid watchlist scope: ${scope}`);
+        }
+
+        return `${scope}:${ownerId}`;
+    }
+
+    /**
+     * Get the tickers of a watchlist
+     * @param {string} scope - WATCHLIST_SCOPES value
+     * @param {string} ownerId - User or guild ID
+     * @returns {Array<string>} Instrument keys in the order they were added
+     */
+    getTickers(scope, ownerId) {
+        const stored = ownerId ? this.store.get(this.getListKey(scope, ownerId)) : null;
+        return (stored?.tickers || []).filter(isValidInstrumentKey);
+    }
+
+    /**
+     * Check if a ticker is on a watchlist
+     */
+    hasTicker(scope, ownerId, ticker) {
+        return this.getTickers(scope, ownerId).includes(ticker);
+    }
+
+    /**
+     * Add tickers to a watchlist, up to CONFIG.WATCHLIST.MAX_TICKERS
+     * @param {string} scope - WATCHLIST_SCOPES value
+     * @param {string} ownerId - User or guild ID
+     * @param {Array<string>} tickers - Instrument keys
+     * @returns {Object} { added, existing, rejected, tickers } with rejected being tickers that did not fit
+     */
+    addTickers(scope, ownerId, tickers) {
+        const current = this.getTickers(scope, ownerId);
+        const result = { added: [], existing: [], rejected: [] };
+
+        for (const ticker of tickers) {
+            if (!isValidInstrumentKey(ticker)) {
+                throw new Error(`Invalid ticker: ${ticker}`);
+            }
+
+            if (current.includes(ticker)) {
+                result.existing.push(ticker);
+            } else if (current.length >= CONFIG.WATCHLIST.MAX_TICKERS) {
+                result.rejected.push(ticker);
+            } else {
+                current.push(ticker);
+                result.added.push(ticker);
+            }
+        }
+
+        if (result.added.length > 0) {
+            this.saveTickers(scope, ownerId, current);
+            logger.info('Watchlist tickers added', { scope, ownerId, tickers: result.added });
+        }
+
+        return { ...result, tickers: current };
+    }
+
+    /**
+     * Remove tickers from a watchlist
+     * @param {string} scope - WATCHLIST_SCOPES value
+     * @param {string} ownerId - User or guild ID
+     * @param {Array<string>} tickers - Instrument keys
+     * @returns {Object} { removed, missing, tickers }
+     */
+    removeTickers(scope, ownerId, tickers) {
+        const current = this.getTickers(scope, ownerId);
+        const removed = tickers.filter(ticker => current.includes(ticker));
+        const missing = tickers.filter(ticker => !current.includes(ticker));
+        const remaining = current.filter(ticker => !removed.includes(ticker));
+
+        if (removed.length > 0) {
+            this.saveTickers(scope, ownerId, remaining);
+            logger.info('Watchlist tickers removed', { scope, ownerId, tickers: removed });
+        }
+
+        return { removed, missing, tickers: remaining };
+    }
+
+    /**
+     * Add a ticker to a watchlist, or remove it if it is already there
+     * @returns {boolean} True if the ticker is on the list afterwards
+     */
+    toggleTicker(scope, ownerId, ticker) {
+        if (this.hasTicker(scope, ownerId, ticker)) {
+            this.removeTickers(scope, ownerId, [ticker]);
+            return false;
+        }
+
+        const { rejected } = this.addTickers(scope, ownerId, [ticker]);
+        if (rejected.length > 0) {
+            throw new Error(`Watchlist is full (${CONFIG.WATCHLIST.MAX_TICKERS} tickers)`);
+        }
+        return true;
+    }
+
+    /**
+     * Persist a watchlist (empty lists are removed)
+     */
+    saveTickers(scope, ownerId, tickers) {
+        const key = this.getListKey(scope, ownerId);
+
+        if (tickers.length === 0) {
+            this.store.delete(key);
+        } else {
+            this.store.set(key, { tickers });
+        }
+    }
+}
+
+module.exports = WatchlistService;
+module.exports.WATCHLIST_SCOPES = WATCHLIST_SCOPES;
@@ -4,6 +4,17 @@
 
 const yahooFinance = require('yahoo-finance2').default;
 const { logger } = require('../utils/logger');
+const { toYahooSymbol } = require('../utils/symbol-format');
+const { formatPrice } = require('../utils/number-format');
+const {
+    getTimeframe,
+    getTimeframeStart,
+    isIntradayTimeframe,
+    getIntradayInterval,
+    resolveInterval,
+    selectTimeframeBars,
+    DEFAULT_TIMEFRAME
+} = require('../utils/timeframe');
 
 class YahooFinanceService {
     constructor() {
@@ -12,41 +23,195 @@ class YahooFinanceService {
 
     /**
      * Fetch stock data from Yahoo Finance
-     * @param {string} ticker - Stock ticker symbol
+     * @param {string} ticker - Stock ticker symbol (canonical form, e.g. BRK.B or TEVA.TA)
+     * @param {string} yahooSymbol - Symbol in Yahoo format (defaults to converting the ticker, e.g. BRK-B)
+     * @param {string} timeframeId - Timeframe to fetch (1D, 5D, 1M, 3M, 6M, YTD, 1Y, 5Y)
+     * @param {string|null} intervalId - Intraday interval for intraday timeframes (1m, 5m, 15m, 30m, 1h)
      * @returns {Object} Stock data in Alpha Vantage compatible format
      */
-    async fetchStockData(ticker) {
+    async fetchStockData(ticker, yahooSymbol = toYahooSymbol(ticker), timeframeId = DEFAULT_TIMEFRAME, intervalId = null) {
         try {
-            logger.debug(`Fetching data from Yahoo Finance for ${ticker}`);
+            logger.debug(`Fetching data from Yahoo Finance for ${ticker}`, { yahooSymbol, timeframe: timeframeId, interval: intervalId });
+
+            const timeframe = getTimeframe(timeframeId);
+            if (!timeframe) {
+                throw new Error(`Unknown timeframe: ${timeframeId}`);
+            }
+            const interval = resolveInterval(timeframe, intervalId);
             
-            // Get historical data (last 30 days)
             const endDate = new Date();
-            const startDate = new Date();
-            startDate.setDate(startDate.getDate() - 30);
+            const startDate = getTimeframeStart(timeframe, endDate);
             
-            const historicalData = await yahooFinance.historical(ticker, {
-                period1: startDate,
-                period2: endDate,
-                interval: '1d'
-            });
+            // historical() only serves daily and longer bars; intraday bars come from chart()
+            const historicalData = isIntradayTimeframe(timeframe) ?
+                await this.fetchIntradayBars(yahooSymbol, startDate, endDate, getIntradayInterval(interval)) :
+                await yahooFinance.historical(yahooSymbol, {
+                    period1: startDate,
+                    period2: endDate,
+                    interval: timeframe.interval
+                });
             
             if (!historicalData || historicalData.length === 0) {
                 throw new Error('No historical data available');
             }
             
             // Get current quote
-            const quote = await yahooFinance.quote(ticker);
+            const quote = await yahooFinance.quote(yahooSymbol);
             
             if (!quote) {
                 throw new Error('No quote data available');
             }
             
             // Transform Yahoo data to Alpha Vantage format
-            return this.transformYahooData(ticker, historicalData, quote);
+            return this.transformYahooData(ticker, historicalData, quote, timeframe, interval);
             
         } catch (error) {
             logger.error('Yahoo Finance API error', {
                 ticker,
+                timeframe: timeframeId,
+                error: error.message
+            });
+            throw new Error(`Yahoo Finance error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch a quote without price history: price, day range, volume, 52-week range and market cap
+     * @param {string} ticker - Instrument key
+     * @param {string} yahooSymbol - Symbol in Yahoo format (defaults to converting the ticker)
+     * @returns {Object} Normalized quote (see transformYahooQuote)
+     */
+    async fetchQuote(ticker, yahooSymbol = toYahooSymbol(ticker)) {
+        try {
+            logger.debug(`Fetching quote from Yahoo Finance for ${ticker}`, { yahooSymbol });
+
+            const quote = await yahooFinance.quote(yahooSymbol);
+            if (!quote || typeof quote.regularMarketPrice !== 'number') {
+                throw new Error('No quote data available');
+            }
+
+            return this.transformYahooQuote(ticker, quote);
+
+        } catch (error) {
+            logger.error('Yahoo Finance quote error', {
+                ticker,
+                error: error.message
+            });
+            throw new Error(`Yahoo Finance error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Transform a Yahoo Finance quote to the normalized quote shape shared by all providers
+     * (numbers, or null for fields the provider does not have)
+     * @param {string} ticker - Instrument key
+     * @param {Object} quote - Yahoo quote data
+     * @returns {Object} { symbol, name, currency, price, change, changePercent, previousClose, open,
+     *   dayLow, dayHigh, volume, averageVolume, fiftyTwoWeekLow, fiftyTwoWeekHigh, marketCap, source }
+     */
+    transformYahooQuote(ticker, quote) {
+        const price = quote.regularMarketPrice;
+        const previousClose = quote.regularMarketPreviousClose ?? null;
+        const change = quote.regularMarketChange ?? (previousClose ? price - previousClose : null);
+        const changePercent = quote.regularMarketChangePercent ??
+            (previousClose && change !== null ? (change / previousClose) * 100 : null);
+
+        return {
+            symbol: ticker,
+            name: quote.shortName || quote.longName || null,
+            currency: quote.currency || null,
+            price,
+            change,
+            changePercent,
+            previousClose,
+            open: quote.regularMarketOpen ?? null,
+            dayLow: quote.regularMarketDayLow ?? null,
+            dayHigh: quote.regularMarketDayHigh ?? null,
+            volume: quote.regularMarketVolume ?? null,
+            averageVolume: quote.averageDailyVolume3Month ?? null,
+            fiftyTwoWeekLow: quote.fiftyTwoWeekLow ?? null,
+            fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh ?? null,
+            marketCap: quote.marketCap ?? null,
+            source: 'yahoo'
+        };
+    }
+
+    /**
+     * Fetch intraday bars, with dates shifted to the exchange's local time
+     * so sessions group by the exchange's trading day
+     * @param {string} yahooSymbol - Symbol in Yahoo format
+     * @param {Date} startDate - First day to fetch
+     * @param {Date} endDate - Last day to fetch
+     * @param {Object} interval - Intraday interval definition
+     * @returns {Array} Bars in the same shape as historical() results
+     */
+    async fetchIntradayBars(yahooSymbol, startDate, endDate, interval) {
+        // Yahoo only keeps fine-grained bars for a while (1m bars for 7 days)
+        const earliest = new Date(endDate.getTime() - interval.maxDays * 24 * 60 * 60 * 1000);
+
+        const result = await yahooFinance.chart(yahooSymbol, {
+            period1: startDate > earliest ? startDate : earliest,
+            period2: endDate,
+            interval: interval.yahoo
+        });
+
+        const offsetMs = (result?.meta?.gmtoffset || 0) * 1000;
+        return (result?.quotes || []).map(bar => ({
+            ...bar,
+            date: new Date(new Date(bar.date).getTime() + offsetMs)
+        }));
+    }
+
+    /**
+     * Fetch daily price history for an option contract
+     * @param {string} occSymbol - OCC contract symbol (AAPL241220C00190000)
+     * @param {string} timeframeId - Timeframe of the underlying's chart
+     * @returns {Object} { dates, closes, currentPrice, change, changePercent }
+     */
+    async fetchOptionHistory(occSymbol, timeframeId = DEFAULT_TIMEFRAME) {
+        try {
+            logger.debug(`Fetching option history from Yahoo Finance for ${occSymbol}`, { timeframe: timeframeId });
+
+            // Contracts only have daily history, which cannot line up with intraday bars
+            const timeframe = getTimeframe(timeframeId);
+            if (!timeframe || isIntradayTimeframe(timeframe)) {
+                throw new Error(`No option history for timeframe ${timeframeId}`);
+            }
+
+            const endDate = new Date();
+            const startDate = getTimeframeStart(timeframe, endDate);
+
+            const historicalData = await yahooFinance.historical(occSymbol, {
+                period1: startDate,
+                period2: endDate,
+                interval: '1d'
+            });
+
+            const sortedData = (historicalData || [])
+                .filter(day => day.close !== null && day.close !== undefined)
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+            if (sortedData.length === 0) {
+                throw new Error('No option history available');
+            }
+
+            const dates = sortedData.map(day => day.date.toISOString().split('T')[0]);
+            const closes = sortedData.map(day => parseFloat(day.close));
+            const currentPrice = closes[closes.length - 1];
+            const previousPrice = closes.length > 1 ? closes[closes.length - 2] : currentPrice;
+            const change = currentPrice - previousPrice;
+
+            return {
+                dates,
+                closes,
+                currentPrice: formatPrice(currentPrice),
+                change: formatPrice(change, currentPrice),
+                changePercent: previousPrice ? ((change / previousPrice) * 100).toFixed(2) : '0.00'
+            };
+
+        } catch (error) {
+            logger.debug('Yahoo Finance option history unavailable', {
+                occSymbol,
                 error: error.message
             });
             throw new Error(`Yahoo Finance error: ${error.message}`);
@@ -58,37 +223,54 @@ class YahooFinanceService {
      * @param {string} ticker - Stock ticker symbol
      * @param {Array} historicalData - Yahoo historical data
      * @param {Object} quote - Yahoo quote data
+     * @param {Object} timeframe - Timeframe definition (defaults to the default timeframe)
+     * @param {string} interval - Bar interval (defaults to the timeframe's own)
      * @returns {Object} Transformed stock data
      */
-    transformYahooData(ticker, historicalData, quote) {
-        // Sort by date (oldest first) and take last 30 days
-        const sortedData = historicalData
+    transformYahooData(ticker, historicalData, quote, timeframe = getTimeframe(DEFAULT_TIMEFRAME), interval = timeframe.interval) {
+        const intraday = isIntradayTimeframe(timeframe);
+
+        // Sort by date (oldest first) and keep the bars of the timeframe
+        const bars = historicalData
             .filter(day => day.close !== null && day.close !== undefined)
             .sort((a, b) => new Date(a.date) - new Date(b.date))
-            .slice(-30);
+            .map(day => ({
+                date: intraday ?
+                    day.date.toISOString().slice(0, 16).replace('T', ' ') :
+                    day.date.toISOString().split('T')[0],
+                open: parseFloat(day.open),
+                high: parseFloat(day.high),
+                low: parseFloat(day.low),
+                close: parseFloat(day.close),
+                volume: parseInt(day.volume) || 0
+            }));
+        const sortedData = selectTimeframeBars(bars, timeframe);
         
         if (sortedData.length < 2) {
             throw new Error('Insufficient historical data');
         }
         
         // Extract dates and OHLC data
-        const dates = sortedData.map(day => day.date.toISOString().split('T')[0]);
-        const opens = sortedData.map(day => parseFloat(day.open));
-        const highs = sortedData.map(day => parseFloat(day.high));
-        const lows = sortedData.map(day => parseFloat(day.low));
-        const closes = sortedData.map(day => parseFloat(day.close));
-        const volumes = sortedData.map(day => parseInt(day.volume) || 0);
+        const dates = sortedData.map(bar => bar.date);
+        const opens = sortedData.map(bar => bar.open);
+        const highs = sortedData.map(bar => bar.high);
+        const lows = sortedData.map(bar => bar.low);
+        const closes = sortedData.map(bar => bar.close);
+        const volumes = sortedData.map(bar => bar.volume);
         
         // Calculate current price and change
         const currentPrice = quote.regularMarketPrice || quote.price || closes[closes.length - 1];
-        const previousPrice = closes[closes.length - 2];
+        // The change is the day's change, which only daily bars give as the previous bar
+        const previousPrice = interval === '1d' ?
+            closes[closes.length - 2] :
+            quote.regularMarketPreviousClose || closes[closes.length - 2];
         const change = currentPrice - previousPrice;
         const changePercent = ((change / previousPrice) * 100).toFixed(2);
         
         const stockData = {
             symbol: ticker.toUpperCase(),
-            currentPrice: currentPrice.toFixed(2),
-            change: change.toFixed(2),
+            currentPrice: formatPrice(currentPrice),
+            change: formatPrice(change, currentPrice),
             changePercent,
             dates,
             opens,
@@ -98,11 +280,15 @@ class YahooFinanceService {
             prices: closes, // Keep for backwards compatibility
             volumes,
             company: quote.shortName || quote.longName || ticker,
+            assetType: quote.quoteType === 'CRYPTOCURRENCY' ? 'crypto' : 'equity',
+            timeframe: timeframe.id,
+            interval,
             source: 'yahoo' // Mark data source for debugging
         };
         
         logger.debug('Yahoo Finance data transformed', {
             ticker,
+            timeframe: timeframe.id,
             currentPrice: stockData.currentPrice,
             change: stockData.change,
             dataPoints: dates.length
@@ -0,0 +1,65 @@
+/**
+ * Chart type utility
+ * Chart type IDs (candle, line, area, ohlc, ha, see CONFIG.CHART.TYPES) pick how prices are drawn
+ * and are used in customIds (type_line_AAPL) and cache keys
+ */
+
+const CONFIG = require('../constants/config');
+
+const DEFAULT_CHART_TYPE = CONFIG.CHART.DEFAULT_TYPE;
+
+/**
+ * Get a chart type definition
+ * @param {string} id - Chart type ID
+ * @returns {Object|null} { id, label } or null if unknown
+ */
+function getChartType(id) {
+    const definition = CONFIG.CHART.TYPES[id];
+    return definition ? { id, ...definition } : null;
+}
+
+/**
+ * Check if a chart type ID is known
+ */
+function isValidChartType(id) {
+    return Object.prototype.hasOwnProperty.call(CONFIG.CHART.TYPES, id);
+}
+
+/**
+ * Get all chart type IDs in button order
+ */
+function getChartTypeIds() {
+    return Object.keys(CONFIG.CHART.TYPES);
+}
+
+/**
+ * Compute Heikin-Ashi candles, which average each bar with the previous one to smooth out noise:
+ * close = (open + high + low + close) / 4, open = midpoint of the previous Heikin-Ashi candle's body
+ * @param {Object} stockData - { opens, highs, lows, closes }
+ * @returns {Object} { opens, highs, lows, closes }
+ */
+function heikinAshi({ opens, highs, lows, closes }) {
+    const candles = { opens: [], highs: [], lows: [], closes: [] };
+
+    for (let i = 0; i < closes.length; i++) {
+        const close = (opens[i] + highs[i] + lows[i] + closes[i]) / 4;
+        const open = i === 0 ?
+            (opens[0] + closes[0]) / 2 :
+            (candles.opens[i - 1] + candles.closes[i - 1]) / 2;
+
+        candles.opens.push(open);
+        candles.closes.push(close);
+        candles.highs.push(Math.max(highs[i], open, close));
+        candles.lows.push(Math.min(lows[i], open, close));
+    }
+
+    return candles;
+}
+
+module.exports = {
+    getChartType,
+    isValidChartType,
+    getChartTypeIds,
+    heikinAshi,
+    DEFAULT_CHART_TYPE
+};
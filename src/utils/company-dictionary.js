@@ -0,0 +1,134 @@
+/**
+ * Company Dictionary - Resolves company names (English and Hebrew) to instrument keys
+ * and reports the span of text each name was found in
+ */
+
+const { isValidInstrumentKey } = require('./instrument');
+const { logger } = require('./logger');
+
+// One-letter Hebrew prefixes attached to words (ו-and, ה-the, ב-in, ל-to, מ-from, ש-that, כ-as)
+const HEBREW_PREFIXES = '[והבלמשכ]{1,2}';
+
+/**
+ * Normalize a name for lookups (case, whitespace and Hebrew geresh variants)
+ * @param {string} name - Company name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFC')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/[׳’]/g, "'")
+        .toLowerCase();
+}
+
+/**
+ * Escape a normalized name for use inside a regex, letting spaces and apostrophes vary
+ */
+function toNamePattern(name) {
+    return name
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/ /g, '\\s+')
+        .replace(/'/g, "['׳’]");
+}
+
+class CompanyDictionary {
+    /**
+     * @param {Object} entries - Map of company name to instrument key ({ Apple: 'AAPL', 'טבע': 'TEVA' })
+     */
+    constructor(entries = {}) {
+        this.entries = new Map();
+
+        for (const [name, key] of Object.entries(entries)) {
+            const normalized = normalizeName(name);
+            if (!normalized || !isValidInstrumentKey(key)) {
+                logger.warn('Skipping invalid company name entry', { name, key });
+                continue;
+            }
+            this.entries.set(normalized, key);
+        }
+
+        this.pattern = this.buildPattern();
+    }
+
+    /**
+     * Compile all names into one regex (longest names first so "Berkshire Hathaway" wins over "Berkshire")
+     */
+    buildPattern() {
+        if (this.entries.size === 0) {
+            return null;
+        }
+
+        const names = [...this.entries.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(toNamePattern)
+            .join('|');
+
+        return new RegExp(
+            `(?<![\\p{L}\\p{N}$])((?:${HEBREW_PREFIXES})(?=[\\u05D0-\\u05EA]))?(${names})(?![\\p{L}\\p{N}])`,
+            'giu'
+        );
+    }
+
+    /**
+     * Number of names in the dictionary
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Resolve a single name to an instrument key
+     * @param {string} name - Company name
+     * @returns {string|null} Instrument key
+     */
+    resolve(name) {
+        return this.entries.get(normalizeName(name)) || null;
+    }
+
+    /**
+     * Create a new dictionary with additional (or overriding) entries
+     * @param {Object} entries - Map of company name to instrument key
+     * @returns {CompanyDictionary} Extended dictionary
+     */
+    extend(entries = {}) {
+        return new CompanyDictionary({ ...Object.fromEntries(this.entries), ...entries });
+    }
+
+    /**
+     * Find company names in text. All-lowercase English mentions ("apple pie") are ignored.
+     * @param {string} text - Message text
+     * @returns {Array} Matches as { symbol, span: { start, end, text }, index, length } where
+     *   span covers the name and index/length also cover an attached Hebrew prefix
+     */
+    findMatches(text) {
+        if (!this.pattern || !text) {
+            return [];
+        }
+
+        const matches = [];
+        this.pattern.lastIndex = 0;
+        let match;
+
+        while ((match = this.pattern.exec(text)) !== null) {
+            const [full, prefix = '', name] = match;
+            if (/[a-z]/i.test(name) && name === name.toLowerCase()) {
+                continue;
+            }
+
+            const start = match.index + prefix.length;
+            matches.push({
+                symbol: this.resolve(name),
+                span: { start, end: start + name.length, text: name },
+                index: match.index,
+                length: full.length
+            });
+        }
+
+        return matches;
+    }
+}
+
+module.exports = CompanyDictionary;
+module.exports.normalizeName = normalizeName;
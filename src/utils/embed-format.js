@@ -0,0 +1,28 @@
+/**
+ * Embed formatting utility
+ * Keeps list-style embed field values within Discord's length limits
+ */
+
+const CONFIG = require('../constants/config');
+
+/**
+ * Join list items for an embed field, leaving out the items that do not fit
+ * @param {Array<string>} items - Items to list
+ * @param {string} separator - Text between items
+ * @param {number} maxLength - Maximum length of the result
+ * @returns {string} Joined items, ending in "…and N more" when some were left out
+ */
+function joinForField(items, separator = ', ', maxLength = CONFIG.DISCORD.MAX_EMBED_FIELD_VALUE) {
+    const joined = items.join(separator);
+    if (joined.length <= maxLength) return joined;
+
+    for (let shown = items.length - 1; shown > 0; shown--) {
+        const text = `${items.slice(0, shown).join(separator)}${separator}…and ${items.length - shown} more`;
+        if (text.length <= maxLength) return text;
+    }
+    return `…and ${items.length} more`;
+}
+
+module.exports = {
+    joinForField
+};
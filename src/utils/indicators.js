@@ -0,0 +1,220 @@
+/**
+ * Technical indicator utility
+ * Computes indicator series from OHLCV arrays. Every series has one value per bar,
+ * with null where there is not enough data yet (e.g. the first 19 bars of a 20-period SMA).
+ */
+
+const CONFIG = require('../constants/config');
+
+const INDICATOR_IDS = Object.keys(CONFIG.CHART.INDICATORS);
+
+/**
+ * Get an indicator definition
+ * @param {string} id - Indicator ID (sma, ema, bb, vwap, rsi, macd)
+ * @returns {Object|null} { id, label, type, ...parameters } or null if unknown
+ */
+function getIndicator(id) {
+    const definition = CONFIG.CHART.INDICATORS[id];
+    return definition ? { id, ...definition } : null;
+}
+
+/**
+ * Normalize a list of indicator IDs: known IDs only, no duplicates, in button order
+ * @param {Array<string>} ids - Indicator IDs
+ * @returns {Array<string>} Normalized IDs
+ */
+function normalizeIndicators(ids = []) {
+    const requested = new Set(ids);
+    return INDICATOR_IDS.filter(id => requested.has(id));
+}
+
+/**
+ * Simple moving average
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Window length
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of its first window.
+ * Leading nulls (e.g. a MACD line still warming up) are skipped.
+ * @param {Array<number|null>} values - Input series
+ * @param {number} period - Window length
+ */
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null && value !== undefined);
+    if (start === -1 || values.length - start < period) {
+        return result;
+    }
+
+    const k = 2 / (period + 1);
+    let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = previous;
+
+    for (let i = start + period; i < values.length; i++) {
+        previous = values[i] * k + previous * (1 - k);
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+/**
+ * Bollinger Bands: SMA middle band and bands `stdDev` population standard deviations away
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Window length
+ * @param {number} stdDev - Band width in standard deviations
+ * @returns {Object} { middle, upper, lower }
+ */
+function bollingerBands(values, period = 20, stdDev = 2) {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+        const window = values.slice(i - period + 1, i + 1);
+        const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+        const deviation = Math.sqrt(variance) * stdDev;
+        upper[i] = middle[i] + deviation;
+        lower[i] = middle[i] - deviation;
+    }
+
+    return { middle, upper, lower };
+}
+
+/**
+ * Volume-weighted average price of the typical price (high + low + close) / 3.
+ * Intraday bars (dates with a time) restart every session; daily bars are anchored to the first bar.
+ * @param {Object} stockData - { dates, highs, lows, closes, volumes }
+ */
+function vwap({ dates, highs, lows, closes, volumes }) {
+    const result = new Array(closes.length).fill(null);
+    let session = null;
+    let cumulativeValue = 0;
+    let cumulativeVolume = 0;
+
+    for (let i = 0; i < closes.length; i++) {
+        const barSession = dates[i].length > 10 ? dates[i].slice(0, 10) : null;
+        if (barSession !== session) {
+            session = barSession;
+            cumulativeValue = 0;
+            cumulativeVolume = 0;
+        }
+
+        const volume = volumes?.[i] || 0;
+        cumulativeValue += ((highs[i] + lows[i] + closes[i]) / 3) * volume;
+        cumulativeVolume += volume;
+        result[i] = cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+    }
+
+    return result;
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Smoothing period
+ */
+function rsi(values, period = 14) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) {
+        return result;
+    }
+
+    const toRsi = (gain, loss) => {
+        if (loss === 0) return gain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + gain / loss);
+    };
+
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        averageGain += Math.max(change, 0);
+        averageLoss += Math.max(-change, 0);
+    }
+    averageGain /= period;
+    averageLoss /= period;
+    result[period] = toRsi(averageGain, averageLoss);
+
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+        averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRsi(averageGain, averageLoss);
+    }
+
+    return result;
+}
+
+/**
+ * Moving average convergence divergence
+ * @param {Array<number>} values - Input series
+ * @param {number} fast - Fast EMA period
+ * @param {number} slow - Slow EMA period
+ * @param {number} signal - Signal line EMA period
+ * @returns {Object} { macd, signal, histogram }
+ */
+function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const macdLine = values.map((_, i) =>
+        fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    );
+    const signalLine = ema(macdLine, signal);
+    const histogram = macdLine.map((value, i) =>
+        value !== null && signalLine[i] !== null ? value - signalLine[i] : null
+    );
+
+    return { macd: macdLine, signal: signalLine, histogram };
+}
+
+/**
+ * Relative volume: the last bar's volume against the average of the bars before it
+ * @param {Array<number>} volumes - Volume series
+ * @param {number} period - Bars averaged (fewer are used when the series is shorter)
+ * @param {number} minPeriod - Fewest bars needed for a meaningful average
+ * @returns {Object|null} { ratio, average } or null without enough volume data
+ */
+function relativeVolume(volumes, period = 20, minPeriod = 10) {
+    if (!Array.isArray(volumes) || volumes.length < minPeriod + 1) {
+        return null;
+    }
+
+    const previous = volumes.slice(-period - 1, -1);
+    const average = previous.reduce((sum, volume) => sum + (volume || 0), 0) / previous.length;
+    if (average <= 0) {
+        return null;
+    }
+
+    return { ratio: (volumes[volumes.length - 1] || 0) / average, average };
+}
+
+module.exports = {
+    getIndicator,
+    normalizeIndicators,
+    sma,
+    ema,
+    bollingerBands,
+    vwap,
+    rsi,
+    macd,
+    relativeVolume,
+    INDICATOR_IDS
+};
@@ -0,0 +1,275 @@
+/**
+ * Instrument key utility
+ * Instrument keys identify what a button charts and are used in customIds and caches:
+ * - Equities use their canonical symbol: AAPL, BRK.B, TEVA.TA
+ * - Crypto pairs use the crypto namespace: crypto:BTC-USD
+ * - Indices and futures use their provider symbol: ^GSPC, ES=F (friendly names come from MARKET_ALIASES)
+ * - Option contracts use the option namespace with an OCC symbol: option:AAPL241220C00190000
+ */
+
+const CONFIG = require('../constants/config');
+const { isValidSymbol, toYahooSymbol, toAlphaVantageSymbol } = require('./symbol-format');
+
+const INSTRUMENT_TYPES = {
+    EQUITY: 'equity',
+    CRYPTO: 'crypto',
+    INDEX: 'index',
+    FUTURE: 'future',
+    OPTION: 'option'
+};
+
+const CRYPTO_PREFIX = 'crypto:';
+const OPTION_PREFIX = 'option:';
+
+// OCC symbol: root, YYMMDD expiry, C/P, strike x 1000 padded to 8 digits
+const OCC_PATTERN = /^([A-Z]{1,6})(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+
+const CRYPTO_BASES = new Set(CONFIG.CRYPTO.BASES);
+const CRYPTO_QUOTES = new Set(CONFIG.CRYPTO.QUOTES);
+const CRYPTO_ONLY_QUOTES = new Set(CONFIG.CRYPTO.CRYPTO_QUOTES);
+const STABLECOINS = new Set(CONFIG.CRYPTO.STABLECOINS);
+
+// Provider symbol -> first alias that maps to it (^DJI -> DJI)
+const MARKET_SYMBOLS = new Map();
+for (const [alias, entry] of Object.entries(CONFIG.MARKET_ALIASES)) {
+    if (!MARKET_SYMBOLS.has(entry.symbol)) {
+        MARKET_SYMBOLS.set(entry.symbol, { alias, ...entry });
+    }
+}
+
+const INDEX_PATTERN = /^\^[A-Z0-9]{2,8}(?:\.[A-Z]{1,2})?$/;
+const FUTURE_PATTERN = /^[A-Z]{1,3}=F$/;
+
+/**
+ * Get the alias table entry for a friendly name (SPX, ES)
+ * @returns {Object|null} { symbol, name, type, bare }
+ */
+function getMarketAlias(name) {
+    return CONFIG.MARKET_ALIASES[String(name).toUpperCase()] || null;
+}
+
+/**
+ * Check if a base is a well-known crypto asset
+ */
+function isCryptoBase(base) {
+    return CRYPTO_BASES.has(String(base).toUpperCase());
+}
+
+/**
+ * Build a crypto instrument key, or null when the pair is not recognised as crypto
+ * (EUR/USD is forex, not crypto)
+ * @param {string} base - Base asset (BTC)
+ * @param {string} quote - Quote asset (USD, USDT, ...)
+ * @returns {string|null} Instrument key such as crypto:BTC-USD
+ */
+function buildCryptoKey(base, quote = CONFIG.CRYPTO.DEFAULT_QUOTE) {
+    const pairBase = String(base || '').toUpperCase();
+    const pairQuote = String(quote || '').toUpperCase();
+
+    if (!/^[A-Z0-9]{2,10}$/.test(pairBase) || !CRYPTO_QUOTES.has(pairQuote) || pairBase === pairQuote) {
+        return null;
+    }
+
+    if (!isCryptoBase(pairBase) && !CRYPTO_ONLY_QUOTES.has(pairQuote)) {
+        return null;
+    }
+
+    return `${CRYPTO_PREFIX}${pairBase}-${pairQuote}`;
+}
+
+/**
+ * Build an ISO date (YYYY-MM-DD) from its parts, or null if the date does not exist
+ */
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve a written expiry (12/20, 12/20/24, 12/20/2024) to an ISO date.
+ * Without a year, the next occurrence of that month/day is used.
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number|null} year - Two or four digit year
+ * @param {Date} now - Reference date
+ * @returns {string|null} Expiry as YYYY-MM-DD
+ */
+function resolveExpiryDate(month, day, year = null, now = new Date()) {
+    if (year !== null && year !== undefined) {
+        return toIsoDate(year < 100 ? 2000 + year : year, month, day);
+    }
+
+    const today = now.toISOString().split('T')[0];
+    const thisYear = toIsoDate(now.getUTCFullYear(), month, day);
+    if (thisYear && thisYear >= today) {
+        return thisYear;
+    }
+
+    return toIsoDate(now.getUTCFullYear() + 1, month, day);
+}
+
+/**
+ * Resolve an option root to the instrument key of its underlying
+ * (index roots such as SPX map to the index, everything else to the equity)
+ */
+function getOptionUnderlying(root) {
+    const alias = getMarketAlias(root);
+    if (alias && alias.type === INSTRUMENT_TYPES.INDEX) {
+        return alias.symbol;
+    }
+
+    return isValidSymbol(root) ? root : null;
+}
+
+/**
+ * Build an option instrument key, or null when the contract is not valid
+ * @param {string} root - Underlying root (AAPL)
+ * @param {string} expiry - Expiry as YYYY-MM-DD
+ * @param {string} right - 'C' or 'P'
+ * @param {number} strike - Strike price
+ * @returns {string|null} Instrument key such as option:AAPL241220C00190000
+ */
+function buildOptionKey(root, expiry, right, strike) {
+    const optionRoot = String(root || '').toUpperCase();
+    const optionRight = String(right || '').toUpperCase();
+    const strikeThousandths = Math.round(Number(strike) * 1000);
+    const [year, month, day] = String(expiry || '').split('-');
+
+    if (!getOptionUnderlying(optionRoot) || !['C', 'P'].includes(optionRight) ||
+        !(strikeThousandths > 0) || strikeThousandths > 99999999 ||
+        !year || toIsoDate(Number(year), Number(month), Number(day)) !== expiry) {
+        return null;
+    }
+
+    return `${OPTION_PREFIX}${optionRoot}${year.slice(2)}${month}${day}${optionRight}${String(strikeThousandths).padStart(8, '0')}`;
+}
+
+/**
+ * Parse an instrument key
+ * @param {string} key - Instrument key
+ * @returns {Object|null} { type, key, displaySymbol, ... } or null if invalid
+ */
+function parseInstrumentKey(key) {
+    if (typeof key !== 'string') return null;
+
+    const market = MARKET_SYMBOLS.get(key);
+    if (market || INDEX_PATTERN.test(key) || FUTURE_PATTERN.test(key)) {
+        return {
+            type: market?.type || (FUTURE_PATTERN.test(key) ? INSTRUMENT_TYPES.FUTURE : INSTRUMENT_TYPES.INDEX),
+            key,
+            displaySymbol: key,
+            friendlyName: market?.alias || null,
+            description: market?.name || null,
+            yahooSymbol: key,
+            // Alpha Vantage does not serve index or futures series
+            alphaVantage: { symbol: null }
+        };
+    }
+
+    if (key.startsWith(OPTION_PREFIX)) {
+        const occSymbol = key.slice(OPTION_PREFIX.length);
+        const match = occSymbol.match(OCC_PATTERN);
+        if (!match) return null;
+
+        const [, root, yy, mm, dd, right, strikeDigits] = match;
+        const expiry = toIsoDate(2000 + Number(yy), Number(mm), Number(dd));
+        const underlying = getOptionUnderlying(root);
+        if (!expiry || !underlying) return null;
+
+        const strike = Number(strikeDigits) / 1000;
+        const contract = `${root} ${strike}${right}`;
+
+        return {
+            type: INSTRUMENT_TYPES.OPTION,
+            key,
+            occSymbol,
+            root,
+            underlying,
+            expiry,
+            right,
+            strike,
+            displaySymbol: `${contract} ${expiry}`,
+            friendlyName: contract,
+            description: `exp ${expiry}`,
+            yahooSymbol: occSymbol,
+            // Alpha Vantage has no option price history
+            alphaVantage: { symbol: null }
+        };
+    }
+
+    if (key.startsWith(CRYPTO_PREFIX)) {
+        const [base, quote] = key.slice(CRYPTO_PREFIX.length).split('-');
+        if (buildCryptoKey(base, quote) !== key) return null;
+
+        // Providers price stablecoin pairs against USD
+        const providerQuote = STABLECOINS.has(quote) ? 'USD' : quote;
+
+        return {
+            type: INSTRUMENT_TYPES.CRYPTO,
+            key,
+            base,
+            quote,
+            displaySymbol: `${base}-${quote}`,
+            yahooSymbol: `${base}-${providerQuote}`,
+            alphaVantage: { symbol: base, market: providerQuote }
+        };
+    }
+
+    if (!isValidSymbol(key)) return null;
+
+    return {
+        type: INSTRUMENT_TYPES.EQUITY,
+        key,
+        displaySymbol: key,
+        yahooSymbol: toYahooSymbol(key),
+        alphaVantage: { symbol: toAlphaVantageSymbol(key) }
+    };
+}
+
+/**
+ * Check if a value is a valid instrument key
+ */
+function isValidInstrumentKey(key) {
+    return parseInstrumentKey(key) !== null;
+}
+
+/**
+ * Get a short button label for an instrument key
+ */
+function getInstrumentLabel(key) {
+    const instrument = parseInstrumentKey(key);
+    if (!instrument) return key;
+
+    if (instrument.type === INSTRUMENT_TYPES.CRYPTO) {
+        return `🪙 ${instrument.displaySymbol}`;
+    }
+
+    if (instrument.type === INSTRUMENT_TYPES.OPTION) {
+        const [, month, day] = instrument.expiry.split('-');
+        return `🎯 ${instrument.friendlyName} ${month}/${day}`;
+    }
+
+    if (instrument.type === INSTRUMENT_TYPES.INDEX || instrument.type === INSTRUMENT_TYPES.FUTURE) {
+        return `📈 ${instrument.friendlyName || instrument.displaySymbol}`;
+    }
+
+    return `📊 ${instrument.displaySymbol}`;
+}
+
+module.exports = {
+    buildCryptoKey,
+    buildOptionKey,
+    resolveExpiryDate,
+    parseInstrumentKey,
+    isValidInstrumentKey,
+    isCryptoBase,
+    getMarketAlias,
+    getInstrumentLabel,
+    INSTRUMENT_TYPES,
+    CRYPTO_PREFIX,
+    OPTION_PREFIX
+};
@@ -0,0 +1,89 @@
+/**
+ * JSON Store - Small file-backed key/value store for persisted bot settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+class JsonStore {
+    /**
+     * @param {string} filePath - Absolute path of the JSON file
+     * @param {Object} defaults - Initial data when the file does not exist
+     */
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.data = { ...defaults };
+        this.load();
+    }
+
+    /**
+     * Load data from disk (missing or unreadable files keep the defaults)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            this.data = { ...this.data, ...JSON.parse(raw) };
+
+            logger.debug('JSON store loaded', { filePath: this.filePath });
+        } catch (error) {
+            logger.warn('Failed to load JSON store, using defaults', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Persist data to disk atomically (write to temp file, then rename)
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logger.error('Failed to save JSON store', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a value by key
+     */
+    get(key) {
+        return this.data[key];
+    }
+
+    /**
+     * Set a value by key and persist
+     */
+    set(key, value) {
+        this.data[key] = value;
+        this.save();
+    }
+
+    /**
+     * Delete a value by key and persist
+     * @returns {boolean} True if the key existed
+     */
+    delete(key) {
+        if (!Object.prototype.hasOwnProperty.call(this.data, key)) {
+            return false;
+        }
+
+        delete this.data[key];
+        this.save();
+        return true;
+    }
+}
+
+module.exports = JsonStore;
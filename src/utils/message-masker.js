@@ -0,0 +1,49 @@
+/**
+ * Message masking utility
+ * Blanks out regions of a Discord message that never contain ticker mentions
+ * (code, URLs, custom emoji, mentions, quotes) before ticker matching.
+ * Masked characters become spaces and newlines are kept, so offsets into the
+ * masked text are offsets into the original message.
+ */
+
+// Applied in order; later patterns see the text already masked by earlier ones
+const MASKED_REGIONS = [
+    // ```fenced code blocks``` and `inline code`
+    { name: 'code-block', pattern: /```[\s\S]*?```/g },
+    { name: 'inline-code', pattern: /`[^`\n]+`/g },
+    // ">>> " quotes everything after it, "> " quotes a single line
+    { name: 'block-quote', pattern: /^>>>\s[\s\S]*/m },
+    { name: 'quote', pattern: /^>\s.*$/gm },
+    { name: 'url', pattern: /\b(?:https?:\/\/|www\.)\S+/gi },
+    // <:TSLA:1234> and <a:PUMP:1234> custom emoji, <t:1700000000:R> timestamps
+    { name: 'custom-emoji', pattern: /<a?:\w+:\d+>/g },
+    { name: 'timestamp', pattern: /<t:\d+(?::[tTdDfFR])?>/g },
+    // <@123> users, <@&123> roles, <#123> channels, </chart:123> commands, @everyone/@here
+    { name: 'mention', pattern: /<(?:@[!&]?|#)\d+>|<\/[\w -]+:\d+>|@(?:everyone|here)\b/g },
+    // :emoji_name: shortcodes (at least one letter, so times like 10:30:00 are kept)
+    { name: 'emoji-shortcode', pattern: /:(?=[\w+-]*[A-Za-z])[\w+-]{2,32}:/g }
+];
+
+/**
+ * Replace a matched region with spaces, keeping line breaks
+ */
+function blank(region) {
+    return region.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Mask regions of a message that should not be scanned for tickers
+ * @param {string} text - Raw message content
+ * @returns {string} Text of the same length with non-prose regions blanked out
+ */
+function maskMessage(text) {
+    return MASKED_REGIONS.reduce(
+        (masked, { pattern }) => masked.replace(pattern, blank),
+        text || ''
+    );
+}
+
+module.exports = {
+    maskMessage,
+    MASKED_REGIONS
+};
@@ -0,0 +1,57 @@
+/**
+ * Number formatting utility
+ * Formats prices so sub-dollar assets (crypto, penny stocks) keep meaningful precision
+ */
+
+/**
+ * Get the number of decimals to show for a price
+ * @param {number} reference - Price used to pick the precision
+ * @returns {number} Decimal places
+ */
+function getPriceDecimals(reference) {
+    const magnitude = Math.abs(parseFloat(reference));
+
+    if (!isFinite(magnitude) || magnitude >= 1) return 2;
+    if (magnitude >= 0.01) return 4;
+    return 8;
+}
+
+/**
+ * Format a price (or price change) as a fixed-decimal string
+ * @param {number} value - Value to format
+ * @param {number} reference - Price used to pick the precision (defaults to the value itself)
+ * @returns {string} Formatted value
+ */
+function formatPrice(value, reference = value) {
+    return parseFloat(value).toFixed(getPriceDecimals(reference));
+}
+
+/**
+ * Format a share volume compactly (950, 12.5K, 3.40M, 1.20B)
+ * @param {number} value - Volume
+ * @returns {string} Formatted volume
+ */
+function formatVolume(value) {
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const unit = units.find(([size]) => Math.abs(value) >= size);
+
+    if (!unit) return String(Math.round(value));
+    const scaled = value / unit[0];
+    return `${scaled.toFixed(scaled >= 100 ? 0 : scaled >= 10 ? 1 : 2)}${unit[1]}`;
+}
+
+/**
+ * Format a market capitalization compactly ($850M, $2.95T)
+ * @param {number} value - Market cap in the quote currency
+ * @returns {string} Formatted market cap
+ */
+function formatMarketCap(value) {
+    return `$${formatVolume(value)}`;
+}
+
+module.exports = {
+    getPriceDecimals,
+    formatPrice,
+    formatVolume,
+    formatMarketCap
+};
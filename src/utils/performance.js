@@ -0,0 +1,51 @@
+/**
+ * Relative performance utility
+ * Rebases price series to the percent change since a start date, so instruments
+ * trading at very different prices can be compared on one chart
+ */
+
+/**
+ * Percent change of every close against a base close
+ * @param {Array<number>} closes - Close series
+ * @param {number} base - Close that counts as 0%
+ * @returns {Array<number>} Percent changes, one per close
+ */
+function percentChanges(closes, base) {
+    return closes.map(close => ((close / base) - 1) * 100);
+}
+
+/**
+ * Rebase several instruments to 0% at a common start: the latest first date among them,
+ * so every line starts where all instruments have data. Each series keeps its own dates,
+ * since calendars differ (crypto trades on weekends, exchanges have different holidays).
+ * @param {Array<Object>} stockDataList - Stock data ({ dates, closes }) per instrument
+ * @returns {Array<Object>} { stockData, dates, values, change } per instrument, change being the
+ *   last value; instruments with fewer than two bars from the start (or no positive base) are left out
+ */
+function rebaseToCommonStart(stockDataList) {
+    const start = stockDataList.reduce(
+        (latest, stockData) => (stockData.dates[0] > latest ? stockData.dates[0] : latest),
+        ''
+    );
+
+    return stockDataList.map(stockData => {
+        const from = stockData.dates.findIndex(date => date >= start);
+        const base = stockData.closes[from];
+        if (from === -1 || stockData.dates.length - from < 2 || !(base > 0)) {
+            return null;
+        }
+
+        const values = percentChanges(stockData.closes.slice(from), base);
+        return {
+            stockData,
+            dates: stockData.dates.slice(from),
+            values,
+            change: values[values.length - 1]
+        };
+    }).filter(Boolean);
+}
+
+module.exports = {
+    percentChanges,
+    rebaseToCommonStart
+};
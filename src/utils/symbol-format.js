@@ -0,0 +1,164 @@
+/**
+ * Symbol formatting utility
+ * Normalizes share-class and exchange-suffixed symbols and converts them
+ * to the format each data provider expects.
+ *
+ * Canonical form used inside the bot (button customIds, caches, embeds):
+ * - Share classes use a dot: BRK.B, BF.B
+ * - Exchange suffixes use Yahoo's dot suffix: SHOP.TO, 7203.T, TEVA.TA
+ */
+
+// Share class letters (BRK.A, BF.B, LEN.B, MOG.A, ...)
+const SHARE_CLASSES = new Set(['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K']);
+
+// Exchange suffixes in Yahoo format, with the Alpha Vantage equivalent when supported
+const EXCHANGE_SUFFIXES = {
+    TO: { name: 'Toronto', alphaVantage: 'TRT' },
+    V: { name: 'TSX Venture', alphaVantage: 'TRV' },
+    CN: { name: 'Canadian Securities Exchange', alphaVantage: null },
+    L: { name: 'London', alphaVantage: 'LON' },
+    DE: { name: 'XETRA', alphaVantage: 'DEX' },
+    PA: { name: 'Paris', alphaVantage: null },
+    AS: { name: 'Amsterdam', alphaVantage: null },
+    SW: { name: 'Swiss', alphaVantage: null },
+    MI: { name: 'Milan', alphaVantage: null },
+    ST: { name: 'Stockholm', alphaVantage: null },
+    T: { name: 'Tokyo', alphaVantage: null },
+    HK: { name: 'Hong Kong', alphaVantage: null },
+    SS: { name: 'Shanghai', alphaVantage: 'SHH' },
+    SZ: { name: 'Shenzhen', alphaVantage: 'SHZ' },
+    KS: { name: 'Korea', alphaVantage: null },
+    NS: { name: 'NSE India', alphaVantage: null },
+    BO: { name: 'BSE India', alphaVantage: 'BSE' },
+    AX: { name: 'Australia', alphaVantage: null },
+    SA: { name: 'Sao Paulo', alphaVantage: null },
+    MX: { name: 'Mexico', alphaVantage: null },
+    TA: { name: 'Tel Aviv', alphaVantage: null }
+};
+
+// Longest symbol we accept (e.g. "RELIANCE.NS")
+const MAX_SYMBOL_LENGTH = 12;
+
+/**
+ * Classify the suffix of a symbol
+ * @param {string} base - Symbol root (letters or digits)
+ * @param {string} suffix - Suffix after the separator
+ * @returns {string|null} 'class', 'exchange' or null if the suffix is not meaningful
+ */
+function classifySuffix(base, suffix) {
+    if (!suffix) return null;
+
+    const isNumericBase = /^\d+$/.test(base);
+
+    // Single letters after an alphabetic root are share classes (BRK.B), except on numeric roots (7203.T)
+    if (!isNumericBase && base.length >= 2 && SHARE_CLASSES.has(suffix)) {
+        return 'class';
+    }
+
+    if (EXCHANGE_SUFFIXES[suffix]) {
+        return 'exchange';
+    }
+
+    return null;
+}
+
+/**
+ * Build a canonical symbol from its parts, or null when the combination is not a symbol
+ * @param {string} base - Symbol root
+ * @param {string} suffix - Optional share class or exchange suffix
+ * @returns {string|null} Canonical symbol
+ */
+function buildSymbol(base, suffix = null) {
+    const root = String(base || '').toUpperCase();
+    const tail = suffix ? String(suffix).toUpperCase() : null;
+
+    if (!tail) {
+        // Plain numbers are never tickers without an exchange suffix
+        return /^[A-Z]{1,5}$/.test(root) ? root : null;
+    }
+
+    return classifySuffix(root, tail) ? `${root}.${tail}` : null;
+}
+
+/**
+ * Normalize user or provider input to the canonical symbol form
+ * (BRK-B, BRK/B and brk.b all become BRK.B)
+ * @param {string} symbol - Raw symbol
+ * @returns {string|null} Canonical symbol or null if invalid
+ */
+function normalizeSymbol(symbol) {
+    const match = String(symbol || '').trim().toUpperCase().match(/^([A-Z]{1,5}|\d{1,6})(?:[.\-/ ]([A-Z]{1,2}))?$/);
+    if (!match) return null;
+
+    return buildSymbol(match[1], match[2]);
+}
+
+/**
+ * Split a canonical symbol into its parts
+ * @param {string} symbol - Canonical symbol
+ * @returns {Object} { base, suffix, suffixType }
+ */
+function parseSymbol(symbol) {
+    const [base, suffix = null] = String(symbol).split('.');
+    return {
+        base,
+        suffix,
+        suffixType: classifySuffix(base, suffix)
+    };
+}
+
+/**
+ * Get exchange info for an exchange-suffixed symbol
+ * @param {string} symbol - Canonical symbol
+ * @returns {Object|null} { suffix, name, alphaVantage } or null for US listings
+ */
+function getExchange(symbol) {
+    const { suffix, suffixType } = parseSymbol(symbol);
+    if (suffixType !== 'exchange') return null;
+
+    return { suffix, ...EXCHANGE_SUFFIXES[suffix] };
+}
+
+/**
+ * Check whether a value is a valid canonical symbol
+ */
+function isValidSymbol(symbol) {
+    return typeof symbol === 'string' &&
+        symbol.length <= MAX_SYMBOL_LENGTH &&
+        normalizeSymbol(symbol) === symbol;
+}
+
+/**
+ * Convert a canonical symbol to Yahoo Finance format (BRK.B -> BRK-B, SHOP.TO unchanged)
+ */
+function toYahooSymbol(symbol) {
+    const { base, suffix, suffixType } = parseSymbol(symbol);
+    return suffixType === 'class' ? `${base}-${suffix}` : symbol;
+}
+
+/**
+ * Convert a canonical symbol to Alpha Vantage format (SHOP.TO -> SHOP.TRT)
+ * @returns {string|null} Alpha Vantage symbol, or null if the exchange is not covered
+ */
+function toAlphaVantageSymbol(symbol) {
+    const { base, suffix, suffixType } = parseSymbol(symbol);
+
+    if (suffixType !== 'exchange') {
+        return symbol;
+    }
+
+    const alphaVantageSuffix = EXCHANGE_SUFFIXES[suffix].alphaVantage;
+    return alphaVantageSuffix ? `${base}.${alphaVantageSuffix}` : null;
+}
+
+module.exports = {
+    buildSymbol,
+    normalizeSymbol,
+    parseSymbol,
+    getExchange,
+    isValidSymbol,
+    toYahooSymbol,
+    toAlphaVantageSymbol,
+    EXCHANGE_SUFFIXES,
+    MAX_SYMBOL_LENGTH
+};
@@ -3,26 +3,459 @@
  * Extracts stock ticker symbols from text messages
  */
 
-function detectStockTickers(message) {
-    // Improved pattern using word boundaries to handle comma-separated lists better
-    const tickerPattern = /\b([A-Z]{1,5})\b/g;
-    const matches = [];
+const { buildSymbol } = require('./symbol-format');
+const { maskMessage } = require('./message-masker');
+const CONFIG = require('../constants/config');
+const {
+    buildCryptoKey,
+    buildOptionKey,
+    resolveExpiryDate,
+    isCryptoBase,
+    getMarketAlias,
+    parseInstrumentKey,
+    isValidInstrumentKey,
+    INSTRUMENT_TYPES
+} = require('./instrument');
+
+/**
+ * Detection modes
+ * - cashtag-only: only `$AAPL` style mentions (case-insensitive)
+ * - cashtag-preferred: bare uppercase words are used only when the message has no cashtags
+ * - permissive: every uppercase word that is not a common word (original behavior)
+ */
+const DETECTION_MODES = {
+    CASHTAG_ONLY: 'cashtag-only',
+    CASHTAG_PREFERRED: 'cashtag-preferred',
+    PERMISSIVE: 'permissive'
+};
+
+const DEFAULT_DETECTION_MODE = DETECTION_MODES.PERMISSIVE;
+
+// Common words to exclude (not stock tickers). Guilds can re-enable real tickers
+// among them (NOW, ALL, ONE, WELL) with their allow list.
+const excludeWords = new Set([
+    'ATH', 'WH', 'THE', 'AND', 'FOR', 'ARE', 'BUT', 'NOT', 'YOU', 'ALL', 'CAN', 'HER', 'WAS', 'ONE', 'OUR', 'OUT', 'DAY', 'GET', 'HAS', 'HIM', 'HIS', 'HOW', 'ITS', 'MAY', 'NEW', 'NOW', 'OLD', 'SEE', 'TWO', 'WAY', 'WHO', 'BOY', 'DID', 'DOWN', 'EACH', 'EVEN', 'FROM', 'GIVE', 'GOOD', 'HAVE', 'HERE', 'INTO', 'JUST', 'KNOW', 'LIKE', 'LOOK', 'MADE', 'MAKE', 'MAN', 'MANY', 'MORE', 'MOST', 'MOVE', 'MUCH', 'MUST', 'NEED', 'ONLY', 'OVER', 'OWN', 'PUT', 'RIGHT', 'SAID', 'SAME', 'SAY', 'SHE', 'SHOW', 'SOME', 'TAKE', 'THAN', 'THEM', 'THESE', 'THEY', 'THIS', 'TIME', 'VERY', 'WANT', 'WATER', 'WELL', 'WERE', 'WHAT', 'WHEN', 'WHERE', 'WHICH', 'WILL', 'WITH', 'WORK', 'WOULD', 'WRITE', 'YEAR', 'YOUR', 'LONG', 'SHORT', 'BUY', 'SELL', 'BAD', 'THINK', 'BOUGHT', 'BUYING', 'TRADING', 'I', 'A', 'O', 'U'
+]);
+
+// Friendly index/futures names, longest first so TA125 wins over shorter names
+const marketAliasPattern = new RegExp(
+    `(?<![\\w/.:])([$/])?\\b(${Object.keys(CONFIG.MARKET_ALIASES).sort((a, b) => b.length - a.length).join('|')})\\b(?![.=-]\\w)`,
+    'g'
+);
+
+/**
+ * Check if a word is one of the default common words that are not detected as tickers
+ * @param {string} word - Uppercase word
+ * @returns {boolean} True if the word is excluded by default
+ */
+function isCommonWord(word) {
+    return excludeWords.has(String(word).toUpperCase());
+}
+
+/**
+ * Build the bare-word filter for a detection call from the guild's word lists.
+ * The block list always wins; the allow list overrides the default common words.
+ * @returns {Function} (word) => true if the word must not be detected as a bare ticker
+ */
+function createWordFilter(options) {
+    const blocked = new Set(options.blockedWords || []);
+    const allowed = new Set(options.allowedWords || []);
+
+    return word => blocked.has(word) || (excludeWords.has(word) && !allowed.has(word));
+}
+
+/**
+ * Check if a value is a supported detection mode
+ * @param {string} mode - Mode name
+ * @returns {boolean} True if the mode is supported
+ */
+function isValidDetectionMode(mode) {
+    return Object.values(DETECTION_MODES).includes(mode);
+}
+
+/**
+ * Detect ticker mentions with metadata about how they were written
+ * @param {string} message - Message text
+ * @param {Object} options - Detection options
+ * @param {string} options.mode - One of DETECTION_MODES (default: permissive)
+ * @param {Object} options.symbolDirectory - Optional directory with isListed(symbol) used to drop unknown equities
+ * @param {boolean} options.allowUnlistedCashtags - Keep cashtagged symbols missing from the directory (default: true)
+ * @param {Object} options.companyDictionary - Optional CompanyDictionary resolving company names ("Apple", "טבע")
+ * @param {Array<string>} options.blockedWords - Guild block list: words never detected as bare tickers
+ * @param {Array<string>} options.allowedWords - Guild allow list: common words that should be detected (NOW)
+ * @param {boolean} options.maskMarkup - Skip code, URLs, emoji, mentions and quotes (default: true)
+ * @returns {Array} Unique matches in message order, as
+ *   { symbol, cashtag, type, offset, text, form, confidence } where symbol is an instrument key
+ *   (AAPL, crypto:BTC-USD, ^GSPC, option:AAPL241220C00190000), offset/text locate the first mention,
+ *   form is one of SOURCE_FORMS and confidence is 0-1. Matches resolved from a company name
+ *   also carry span: { start, end, text } locating the name in the message.
+ */
+function detectTickerMatches(message, options = {}) {
+    const matches = findTickerMatches(message, options);
+    const { symbolDirectory, allowUnlistedCashtags = true } = options;
+
+    if (!symbolDirectory) {
+        return matches;
+    }
+
+    // Listings only cover equities; crypto, index, futures and option matches are never filtered
+    const listed = matches.filter(match =>
+        match.type !== INSTRUMENT_TYPES.EQUITY ||
+        symbolDirectory.isListed(match.symbol) ||
+        (match.cashtag && allowUnlistedCashtags)
+    );
+
+    // A bare word confirmed by loaded listings is more likely a ticker
+    if (!symbolDirectory.isLoaded || !symbolDirectory.isLoaded()) {
+        return listed;
+    }
+
+    return listed.map(match => (
+        match.form === SOURCE_FORMS.BARE && match.type === INSTRUMENT_TYPES.EQUITY ?
+            { ...match, confidence: Math.min(0.9, match.confidence + 0.2) } :
+            match
+    ));
+}
+
+/**
+ * Turn a regex match (root + optional suffix) into a canonical symbol.
+ * When the suffix is not a share class or exchange (e.g. "U.S"), only the root is kept
+ * and the pattern is rewound so the text after it is scanned again.
+ */
+function resolveSymbol(match, pattern) {
+    const [, base, suffix] = match;
+    const symbol = buildSymbol(base, suffix);
+
+    if (symbol || !suffix) {
+        return symbol;
+    }
+
+    pattern.lastIndex = match.index + match[0].indexOf(base) + base.length;
+    return buildSymbol(base);
+}
+
+/**
+ * How a mention was written. Explicit forms get a higher confidence than bare words.
+ */
+const SOURCE_FORMS = {
+    CASHTAG: 'cashtag',
+    BARE: 'bare',
+    OPTION: 'option',
+    CRYPTO_PAIR: 'crypto-pair',
+    PROVIDER_SYMBOL: 'provider-symbol',
+    MARKET_ALIAS: 'market-alias',
+    COMPANY_NAME: 'company-name'
+};
+
+/**
+ * Score how likely a mention is meant as a ticker (0-1)
+ * @param {string} form - One of SOURCE_FORMS
+ * @param {string} text - Mention as written
+ * @param {boolean} cashtag - Whether the mention is explicit ($, /, provider syntax)
+ */
+function scoreMention(form, text, cashtag) {
+    switch (form) {
+        case SOURCE_FORMS.OPTION:
+        case SOURCE_FORMS.PROVIDER_SYMBOL:
+            return 0.95;
+        case SOURCE_FORMS.CASHTAG:
+            return 0.9;
+        case SOURCE_FORMS.CRYPTO_PAIR:
+            return cashtag ? 0.95 : 0.85;
+        case SOURCE_FORMS.MARKET_ALIAS:
+            return cashtag ? 0.9 : 0.7;
+        case SOURCE_FORMS.COMPANY_NAME:
+            return 0.7;
+        default: {
+            // Suffixed symbols (BRK.B, 7203.T) are rarely plain words; short words often are
+            if (/[.-]/.test(text)) return 0.8;
+            if (text.length >= 3) return 0.6;
+            return text.length === 2 ? 0.45 : 0.3;
+        }
+    }
+}
+
+/**
+ * Add a match unless the same instrument was already found (the first mention wins)
+ * @param {Map} matches - Matches by instrument key
+ * @param {string} symbol - Instrument key
+ * @param {boolean} cashtag - Whether the mention is explicit
+ * @param {string} type - Instrument type
+ * @param {Object} mention - { offset, text, form } describing where and how it was written
+ * @param {Object} extra - Additional fields (e.g. span for company names)
+ */
+function addMatch(matches, symbol, cashtag, type, mention, extra = {}) {
+    if (symbol && !matches.has(symbol)) {
+        matches.set(symbol, {
+            symbol,
+            cashtag,
+            type,
+            offset: mention.offset,
+            text: mention.text,
+            form: mention.form,
+            confidence: scoreMention(mention.form, mention.text, cashtag),
+            ...extra
+        });
+    }
+}
+
+/**
+ * Blank out a matched region, keeping offsets intact
+ */
+function blankRegion(text, index, length) {
+    return text.slice(0, index) + ' '.repeat(length) + text.slice(index + length);
+}
+
+/**
+ * Resolve company names to instrument keys and blank them out
+ * so "APPLE" or a name's own letters are not detected again as tickers
+ */
+function findCompanyNames(text, companyDictionary, matches) {
+    if (!companyDictionary) {
+        return text;
+    }
+
+    let masked = text;
+    for (const name of companyDictionary.findMatches(text)) {
+        addMatch(matches, name.symbol, false, parseInstrumentKey(name.symbol).type, {
+            offset: name.span.start,
+            text: name.span.text,
+            form: SOURCE_FORMS.COMPANY_NAME
+        }, { span: name.span });
+        masked = blankRegion(masked, name.index, name.length);
+    }
+
+    return masked;
+}
+
+/**
+ * Add an equity match, plus the crypto alternative for bare crypto bases (BTC),
+ * so the user can choose between the equity and the coin
+ */
+function addSymbolMatch(matches, ticker, cashtag, mention) {
+    addMatch(matches, ticker, cashtag, INSTRUMENT_TYPES.EQUITY, mention);
+
+    if (isCryptoBase(ticker)) {
+        addMatch(matches, buildCryptoKey(ticker), cashtag, INSTRUMENT_TYPES.CRYPTO, mention);
+    }
+}
+
+/**
+ * Find raw ticker matches according to the detection mode
+ */
+function findTickerMatches(message, options) {
+    const mode = isValidDetectionMode(options.mode) ? options.mode : DEFAULT_DETECTION_MODE;
+    const isExcluded = createWordFilter(options);
+    const cashtags = new Map();
+    const bare = new Map();
     let match;
-    
-    // Common words to exclude (not stock tickers)
-    const excludeWords = new Set([
-        'ATH', 'WH', 'THE', 'AND', 'FOR', 'ARE', 'BUT', 'NOT', 'YOU', 'ALL', 'CAN', 'HER', 'WAS', 'ONE', 'OUR', 'OUT', 'DAY', 'GET', 'HAS', 'HIM', 'HIS', 'HOW', 'ITS', 'MAY', 'NEW', 'NOW', 'OLD', 'SEE', 'TWO', 'WAY', 'WHO', 'BOY', 'DID', 'DOWN', 'EACH', 'EVEN', 'FROM', 'GIVE', 'GOOD', 'HAVE', 'HERE', 'INTO', 'JUST', 'KNOW', 'LIKE', 'LOOK', 'MADE', 'MAKE', 'MAN', 'MANY', 'MORE', 'MOST', 'MOVE', 'MUCH', 'MUST', 'NEED', 'ONLY', 'OVER', 'OWN', 'PUT', 'RIGHT', 'SAID', 'SAME', 'SAY', 'SHE', 'SHOW', 'SOME', 'TAKE', 'THAN', 'THEM', 'THESE', 'THEY', 'THIS', 'TIME', 'VERY', 'WANT', 'WATER', 'WELL', 'WERE', 'WHAT', 'WHEN', 'WHERE', 'WHICH', 'WILL', 'WITH', 'WORK', 'WOULD', 'WRITE', 'YEAR', 'YOUR', 'LONG', 'SHORT', 'BUY', 'SELL', 'BAD', 'GOOD', 'THINK', 'BOUGHT', 'BUYING', 'TRADING', 'I', 'A', 'O', 'U'
-    ]);
-    
-    while ((match = tickerPattern.exec(message)) !== null) {
-        const ticker = match[1];
-        // Filter out common words and ensure reasonable ticker length
-        if (ticker.length >= 1 && ticker.length <= 5 && !excludeWords.has(ticker)) {
-            matches.push(ticker);
+
+    // Code, URLs, emoji, mentions and quotes never produce tickers
+    const source = options.maskMarkup === false ? (message || '') : maskMessage(message);
+
+    // Company names first ("Apple", "טבע"); they are plain words, so they never count as cashtags
+    const nameText = findCompanyNames(source, options.companyDictionary, bare);
+
+    // Option contracts: OCC symbols (AAPL241220C00190000) and shorthand (AAPL 190C 12/20).
+    // Both forms are unambiguous, so they count as cashtags. Matched contracts are blanked out
+    // so the underlying is not detected again as a separate ticker.
+    const optionText = nameText
+        .replace(/\b([A-Z]{1,6})(\d{2})(\d{2})(\d{2})([CP])(\d{8})\b/g, (occ, root, yy, mm, dd, right, strike, offset) => {
+            const expiry = resolveExpiryDate(Number(mm), Number(dd), Number(yy));
+            const key = buildOptionKey(root, expiry, right, Number(strike) / 1000);
+            if (!key) {
+                return occ;
+            }
+
+            addMatch(cashtags, key, true, INSTRUMENT_TYPES.OPTION, { offset, text: occ, form: SOURCE_FORMS.OPTION });
+            return ' '.repeat(occ.length);
+        })
+        .replace(/\$?\b([A-Za-z]{1,5})\s+(\d{1,5}(?:\.\d{1,3})?)([CPcp])\s+(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g,
+            (contract, root, strike, right, month, day, year, offset) => {
+                // Without a $ prefix the underlying must be written in uppercase, like bare tickers
+                if (!contract.startsWith('$') && root !== root.toUpperCase()) {
+                    return contract;
+                }
+
+                const expiry = resolveExpiryDate(Number(month), Number(day), year ? Number(year) : null);
+                const key = buildOptionKey(root, expiry, right, strike);
+                if (!key) {
+                    return contract;
+                }
+
+                addMatch(cashtags, key, true, INSTRUMENT_TYPES.OPTION, { offset, text: contract, form: SOURCE_FORMS.OPTION });
+                return ' '.repeat(contract.length);
+            });
+
+    // Crypto pairs next (ETH-USD, SOL/USDT, $btc-usd). Matched pairs are blanked out
+    // so their quote currency is not detected again as a separate ticker. Pairs that are
+    // not crypto (EUR/USD) are blanked out too, so neither side is read as a stock.
+    const pairPattern = /(\$)?\b([A-Za-z][A-Za-z0-9]{1,9})[-/](USDT|USDC|USD|EUR|BTC|ETH)\b/gi;
+    const text = optionText.replace(pairPattern, (pair, dollar, base, quote, offset) => {
+        const isCashtag = Boolean(dollar);
+        const key = buildCryptoKey(base, quote);
+
+        if (!key) {
+            return ' '.repeat(pair.length);
+        }
+
+        // Without a $ prefix only uppercase pairs count, like bare tickers
+        if (!isCashtag && pair !== pair.toUpperCase()) {
+            return pair;
+        }
+
+        addMatch(isCashtag ? cashtags : bare, key, isCashtag, INSTRUMENT_TYPES.CRYPTO, {
+            offset,
+            text: pair,
+            form: SOURCE_FORMS.CRYPTO_PAIR
+        });
+        return ' '.repeat(pair.length);
+    });
+
+    // Indices and futures: provider symbols (^GSPC, ES=F) and friendly names (SPX, /ES, $VIX).
+    // Prefixed and provider forms are explicit, so they count as cashtags.
+    const marketText = text
+        .replace(/(?<![\w^])(\^[A-Z0-9]{2,8}(?:\.[A-Z]{1,2})?|\b[A-Z]{1,3}=F)\b/g, (symbol, _symbol, offset) => {
+            const instrument = parseInstrumentKey(symbol);
+            addMatch(cashtags, symbol, true, instrument.type, { offset, text: symbol, form: SOURCE_FORMS.PROVIDER_SYMBOL });
+            return ' '.repeat(symbol.length);
+        })
+        .replace(marketAliasPattern, (mention, prefix, name, offset) => {
+            const alias = getMarketAlias(name);
+            if (!prefix && (!alias.bare || isExcluded(name))) {
+                return mention;
+            }
+
+            addMatch(prefix ? cashtags : bare, alias.symbol, Boolean(prefix), alias.type, {
+                offset,
+                text: mention,
+                form: SOURCE_FORMS.MARKET_ALIAS
+            });
+            return ' '.repeat(mention.length);
+        });
+
+    // Cashtags are explicit, so they accept lowercase and bypass the common word filter
+    const cashtagPattern = /\$([A-Za-z]{1,5})(?:[.-]([A-Za-z]{1,2}))?\b/g;
+    while ((match = cashtagPattern.exec(marketText)) !== null) {
+        const ticker = resolveSymbol(match, cashtagPattern);
+        if (ticker) {
+            addSymbolMatch(cashtags, ticker, true, {
+                offset: match.index,
+                text: marketText.slice(match.index, cashtagPattern.lastIndex),
+                form: SOURCE_FORMS.CASHTAG
+            });
         }
     }
-    
-    return [...new Set(matches)];
+
+    if (mode === DETECTION_MODES.CASHTAG_ONLY || (mode === DETECTION_MODES.CASHTAG_PREFERRED && cashtags.size > 0)) {
+        return sortByOffset([...cashtags.values()]);
+    }
+
+    // Word boundaries handle comma-separated lists; the optional suffix keeps
+    // share classes (BRK.B, BF-B) and exchange suffixes (SHOP.TO, 7203.T, TEVA.TA) intact
+    const tickerPattern = /\b([A-Z]{1,5}|\d{4,6})(?:[.-]([A-Z]{1,2}))?\b/g;
+    while ((match = tickerPattern.exec(marketText)) !== null) {
+        const ticker = resolveSymbol(match, tickerPattern);
+        // Filter out common and blocked words (suffixed symbols like ONE.B are never plain words)
+        if (ticker && !isExcluded(ticker) && !cashtags.has(ticker)) {
+            addSymbolMatch(bare, ticker, false, {
+                offset: match.index,
+                text: marketText.slice(match.index, tickerPattern.lastIndex),
+                form: SOURCE_FORMS.BARE
+            });
+        }
+    }
+
+    const matches = new Map(cashtags);
+    bare.forEach((value, key) => {
+        if (!matches.has(key)) {
+            matches.set(key, value);
+        }
+    });
+    return sortByOffset([...matches.values()]);
+}
+
+/**
+ * Order matches as they appear in the message (stable for matches sharing an offset)
+ */
+function sortByOffset(matches) {
+    return matches.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Detect ticker symbols in a message
+ * @param {string} message - Message text
+ * @param {Object} options - Detection options (see detectTickerMatches)
+ * @returns {Array<string>} Unique instrument keys (AAPL, BRK.B, crypto:ETH-USD)
+ */
+function detectStockTickers(message, options = {}) {
+    return detectTickerMatches(message, options).map(match => match.symbol);
+}
+
+/**
+ * Resolve a ticker typed into a command option the way chat messages are read
+ * (aapl, $BRK.B, BTC-USD, SPX, apple), falling back to the text as an instrument key.
+ * Symbols missing from loaded listings are dropped, like in chat.
+ * @param {string} value - Typed ticker or company name
+ * @param {Object} options - { symbolDirectory, companyDictionary } (see detectTickerMatches)
+ * @returns {Array<string>} Instrument keys, best match first
+ */
+function resolveTickerInput(value, options = {}) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return [];
+    }
+
+    // Autocomplete values are instrument keys already (crypto:BTC-USD)
+    if (text.includes(':') && isValidInstrumentKey(text)) {
+        return [text];
+    }
+
+    const detected = detectStockTickers(text.toUpperCase(), {
+        symbolDirectory: options.symbolDirectory,
+        companyDictionary: options.companyDictionary
+    });
+    if (detected.length > 0) {
+        return detected;
+    }
+
+    // Common words (A, ALL) are skipped by detection but are still tickers when asked for directly
+    const key = text.replace(/^\$/, '').toUpperCase();
+    const isListed = options.symbolDirectory ? options.symbolDirectory.isListed(key) : true;
+    return isValidInstrumentKey(key) && isListed ? [key] : [];
+}
+
+/**
+ * Resolve a list of tickers typed into a command option ("AAPL, MSFT btc-usd"),
+ * each word the way resolveTickerInput reads it
+ * @param {string} value - Typed tickers, separated by spaces or commas
+ * @param {Object} options - { symbolDirectory, companyDictionary } (see detectTickerMatches)
+ * @returns {Object} { tickers, unknown } with unique keys in typed order and the words that are not tickers
+ */
+function resolveTickerList(value, options = {}) {
+    const tickers = [];
+    const unknown = [];
+
+    for (const word of String(value || '').split(/[\s,]+/).filter(Boolean)) {
+        const [ticker] = resolveTickerInput(word, options);
+        if (!ticker) {
+            unknown.push(word);
+        } else if (!tickers.includes(ticker)) {
+            tickers.push(ticker);
+        }
+    }
+
+    return { tickers, unknown };
 }
 
-module.exports = { detectStockTickers };
\ No newline at end of file
+module.exports = {
+    detectStockTickers,
+    resolveTickerInput,
+    resolveTickerList,
+    detectTickerMatches,
+    isValidDetectionMode,
+    isCommonWord,
+    DETECTION_MODES,
+    SOURCE_FORMS,
+    DEFAULT_DETECTION_MODE
+};
@@ -0,0 +1,137 @@
+/**
+ * Chart timeframe utility
+ * Timeframe IDs (1D, 3M, YTD, see CONFIG.CHART.TIMEFRAMES) pick the bars a chart shows
+ * and are used in customIds (tf_3M_AAPL) and cache keys
+ */
+
+const CONFIG = require('../constants/config');
+
+const DEFAULT_TIMEFRAME = CONFIG.CHART.DEFAULT_TIMEFRAME;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a timeframe definition
+ * @param {string} id - Timeframe ID (1D, 5D, 1M, 3M, 6M, YTD, 1Y, 5Y)
+ * @returns {Object|null} { id, interval, days, sessions, ytd, tickFormat } or null if unknown
+ */
+function getTimeframe(id) {
+    const definition = CONFIG.CHART.TIMEFRAMES[id];
+    return definition ? { id, ...definition } : null;
+}
+
+/**
+ * Check if a timeframe ID is known
+ */
+function isValidTimeframe(id) {
+    return Object.prototype.hasOwnProperty.call(CONFIG.CHART.TIMEFRAMES, id);
+}
+
+/**
+ * Get all timeframe IDs in button order
+ */
+function getTimeframeIds() {
+    return Object.keys(CONFIG.CHART.TIMEFRAMES);
+}
+
+/**
+ * Check if a timeframe uses intraday bars
+ */
+function isIntradayTimeframe(timeframe) {
+    return Boolean(timeframe.sessions);
+}
+
+/**
+ * Get an intraday interval definition
+ * @param {string} id - Interval ID (1m, 5m, 15m, 30m, 1h)
+ * @returns {Object|null} { id, minutes, alphaVantage, yahoo, maxDays } or null for daily and unknown intervals
+ */
+function getIntradayInterval(id) {
+    const definition = CONFIG.STOCK.INTRADAY_INTERVALS[id];
+    return definition ? { id, ...definition } : null;
+}
+
+/**
+ * Get all intraday interval IDs, shortest first
+ */
+function getIntradayIntervalIds() {
+    return Object.keys(CONFIG.STOCK.INTRADAY_INTERVALS);
+}
+
+/**
+ * Resolve the bar interval to fetch for a timeframe: its own interval, or a
+ * requested intraday interval (only intraday timeframes can change interval)
+ * @param {Object} timeframe - Timeframe definition
+ * @param {string|null} intervalId - Requested interval
+ * @returns {string} Interval ID
+ */
+function resolveInterval(timeframe, intervalId = null) {
+    if (!intervalId || intervalId === timeframe.interval) {
+        return timeframe.interval;
+    }
+
+    if (!isIntradayTimeframe(timeframe) || !getIntradayInterval(intervalId)) {
+        throw new Error(`Interval ${intervalId} not available for ${timeframe.id}`);
+    }
+
+    return intervalId;
+}
+
+/**
+ * Get the number of calendar days a timeframe covers
+ * @param {Object} timeframe - Timeframe definition
+ * @param {Date} now - Reference time
+ */
+function getTimeframeDays(timeframe, now = new Date()) {
+    if (timeframe.ytd) {
+        const yearStart = Date.UTC(now.getUTCFullYear(), 0, 1);
+        return Math.max(1, Math.ceil((now.getTime() - yearStart) / DAY_MS));
+    }
+
+    return timeframe.days;
+}
+
+/**
+ * Get the first day a timeframe covers
+ * @param {Object} timeframe - Timeframe definition
+ * @param {Date} now - Reference time
+ * @returns {Date} Start of the timeframe
+ */
+function getTimeframeStart(timeframe, now = new Date()) {
+    if (timeframe.ytd) {
+        return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    }
+
+    return new Date(now.getTime() - timeframe.days * DAY_MS);
+}
+
+/**
+ * Keep the bars that belong to a timeframe: the last N sessions for intraday
+ * timeframes, otherwise everything since the timeframe start
+ * @param {Array} bars - Bars sorted oldest first, with `date` as YYYY-MM-DD or YYYY-MM-DD HH:MM
+ * @param {Object} timeframe - Timeframe definition
+ * @param {Date} now - Reference time
+ * @returns {Array} Bars to chart
+ */
+function selectTimeframeBars(bars, timeframe, now = new Date()) {
+    if (isIntradayTimeframe(timeframe)) {
+        const sessions = [...new Set(bars.map(bar => bar.date.slice(0, 10)))].slice(-timeframe.sessions);
+        return bars.filter(bar => sessions.includes(bar.date.slice(0, 10)));
+    }
+
+    const startDay = getTimeframeStart(timeframe, now).toISOString().split('T')[0];
+    return bars.filter(bar => bar.date >= startDay);
+}
+
+module.exports = {
+    getTimeframe,
+    isValidTimeframe,
+    getTimeframeIds,
+    isIntradayTimeframe,
+    getIntradayInterval,
+    getIntradayIntervalIds,
+    resolveInterval,
+    getTimeframeDays,
+    getTimeframeStart,
+    selectTimeframeBars,
+    DEFAULT_TIMEFRAME
+};
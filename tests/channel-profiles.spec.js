@@ -0,0 +1,271 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const MessageHandler = require('../src/handlers/messageHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const ChannelProfileCommand = require('../src/commands/channelProfileCommand');
+const { MockUser, MockChannel, MockMessage, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService, MockChartService } = require('./mocks/services');
+
+const GUILD_ID = 'guild_123';
+
+const createThread = (id, parentId) => {
+    const thread = new MockChannel(id, 'thread');
+    thread.isThread = () => true;
+    thread.parentId = parentId;
+    return thread;
+};
+
+test.describe('Channel Profiles', () => {
+    let tempDir;
+    let guildSettings;
+
+    test.beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'channel-profiles-'));
+        guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test.describe('Profile Resolution', () => {
+        test('should default to detection on with buttons', () => {
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'channel_general')).toEqual({
+                detectionEnabled: true,
+                detectionMode: 'permissive',
+                delivery: 'buttons',
+                volume: true
+            });
+        });
+
+        test('should layer channel overrides on the guild defaults field by field', () => {
+            guildSettings.setChannelProfile(GUILD_ID, null, { detectionEnabled: false, detectionMode: 'cashtag-only' });
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_charts', { detectionEnabled: true, delivery: 'inline' });
+
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'channel_general').detectionEnabled).toBe(false);
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'channel_charts')).toEqual({
+                detectionEnabled: true,
+                detectionMode: 'cashtag-only',
+                delivery: 'inline',
+                volume: true
+            });
+        });
+
+        test('should let threads inherit from their parent channel', () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_offtopic', { detectionEnabled: false });
+            guildSettings.setChannelProfile(GUILD_ID, 'thread_own', { detectionMode: 'cashtag-only' });
+
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'thread_1', 'channel_offtopic').detectionEnabled).toBe(false);
+
+            // A thread's own override wins, other fields still come from the parent
+            const profile = guildSettings.getChannelProfile(GUILD_ID, 'thread_own', 'channel_offtopic');
+            expect(profile.detectionMode).toBe('cashtag-only');
+            expect(profile.detectionEnabled).toBe(false);
+        });
+
+        test('should resolve the detection mode of channels and their threads', () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { detectionMode: 'cashtag-preferred' });
+
+            expect(guildSettings.getDetectionMode(GUILD_ID, 'channel_general')).toBe('cashtag-preferred');
+            expect(guildSettings.getDetectionMode(GUILD_ID, 'thread_1', 'channel_general')).toBe('cashtag-preferred');
+        });
+
+        test('should clear fields set to null and reset whole channels', () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: 'none', detectionMode: 'cashtag-only' });
+            const stored = guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: null });
+
+            expect(stored).toEqual({ detectionEnabled: null, detectionMode: 'cashtag-only', delivery: null, volume: null });
+            expect(guildSettings.resetChannelProfile(GUILD_ID, 'channel_general')).toBe(true);
+            expect(guildSettings.resetChannelProfile(GUILD_ID, 'channel_general')).toBe(false);
+            expect(guildSettings.getChannelProfiles(GUILD_ID)).toEqual({});
+        });
+
+        test('should reject invalid settings', () => {
+            expect(() => guildSettings.setChannelProfile(GUILD_ID, 'c', { delivery: 'carrier-pigeon' })).toThrow('Invalid delivery');
+            expect(() => guildSettings.setChannelProfile(GUILD_ID, 'c', { detectionMode: 'loose' })).toThrow('Invalid detectionMode');
+            expect(() => guildSettings.setChannelProfile(GUILD_ID, 'c', { color: 'red' })).toThrow('Invalid profile setting');
+        });
+
+        test('should persist profiles', () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: 'inline' });
+
+            const reloaded = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            expect(reloaded.getChannelProfile(GUILD_ID, 'channel_general').delivery).toBe('inline');
+        });
+    });
+
+    test.describe('Message Handling', () => {
+        let tracking;
+        let handler;
+        let user;
+        let channel;
+        let nextId;
+
+        const post = async (content, target = channel) => {
+            const message = new MockMessage(`msg_${++nextId}`, target, { content, author: user });
+            message.guildId = GUILD_ID;
+            await handler.handleMessage(message);
+            return target.messages.filter(reply => reply.reference?.messageId === message.id);
+        };
+
+        test.beforeEach(() => {
+            nextId = 0;
+            tracking = new MessageTrackingService();
+            handler = new MessageHandler(tracking, null, guildSettings, null, null, null, new MockStockService(), new MockChartService());
+            user = new MockUser('user_1', 'Trader');
+            channel = new MockChannel('channel_general', 'general');
+        });
+
+        test('should reply with buttons by default', async () => {
+            const replies = await post('Buying AAPL');
+
+            expect(replies).toHaveLength(1);
+            expect(replies[0].components).toHaveLength(1);
+        });
+
+        test('should not detect in channels with detection off', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { detectionEnabled: false });
+
+            expect(await post('Buying AAPL')).toHaveLength(0);
+        });
+
+        test('should support an allowlist through the guild default', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, null, { detectionEnabled: false });
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_trading', { detectionEnabled: true });
+
+            expect(await post('Buying AAPL')).toHaveLength(0);
+            expect(await post('Buying AAPL', new MockChannel('channel_trading', 'trading'))).toHaveLength(1);
+        });
+
+        test('should apply the channel strictness', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { detectionMode: 'cashtag-only' });
+
+            expect(await post('Buying AAPL')).toHaveLength(0);
+            expect(await post('Buying $AAPL')).toHaveLength(1);
+        });
+
+        test('should detect without replying when delivery is none', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: 'none' });
+
+            expect(await post('Buying AAPL')).toHaveLength(0);
+            expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+        });
+
+        test('should post charts inline and track them', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: 'inline' });
+
+            const replies = await post('AAPL MSFT NVDA TSLA AMD');
+
+            expect(replies).toHaveLength(1);
+            expect(replies[0].components).toHaveLength(0);
+            expect(replies[0].embeds.map(embed => embed.data.image.url)).toEqual([
+                'attachment://chart-0.png', 'attachment://chart-1.png', 'attachment://chart-2.png'
+            ]);
+            expect(replies[0].files.map(file => file.name)).toEqual(['chart-0.png', 'chart-1.png', 'chart-2.png']);
+
+            const [tracked] = tracking.getAllTrackedMessages();
+            expect(tracked.type).toBe('inline_chart');
+            expect(tracked.sourceMessageId).toBe('msg_1');
+            expect(tracking.getCacheKeysForMessage(tracked.messageId)).toEqual(['chart_AAPL', 'chart_MSFT', 'chart_NVDA']);
+        });
+
+        test('should fall back to buttons when charts cannot be rendered here', async () => {
+            handler = new MessageHandler(tracking, null, guildSettings);
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_general', { delivery: 'inline' });
+
+            const replies = await post('Buying AAPL');
+            expect(replies[0].components).toHaveLength(1);
+        });
+
+        test('should apply the parent channel profile in threads', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_offtopic', { detectionEnabled: false });
+
+            expect(await post('Buying AAPL', createThread('thread_1', 'channel_offtopic'))).toHaveLength(0);
+            expect(await post('Buying AAPL', createThread('thread_2', 'channel_general'))).toHaveLength(1);
+        });
+    });
+
+    test.describe('/channelprofile', () => {
+        let commandHandler;
+        let user;
+
+        const run = async (options) => {
+            const interaction = new MockCommandInteraction(user, 'channelprofile', options);
+            await commandHandler.handleCommand(interaction);
+            return interaction.replyOptions;
+        };
+
+        test.beforeEach(() => {
+            commandHandler = new CommandHandler([new ChannelProfileCommand(guildSettings)]);
+            user = new MockUser('admin_1', 'Admin');
+        });
+
+        test('should define admin-only subcommands', () => {
+            const [data] = commandHandler.getCommandData();
+
+            expect(data.name).toBe('channelprofile');
+            expect(data.default_member_permissions).toBe('32');
+            expect(data.options.map(option => option.name)).toEqual(['set', 'default', 'reset', 'show']);
+        });
+
+        test('should set a profile on the current or a chosen channel', async () => {
+            const reply = await run({ subcommand: 'set', detection: 'off' });
+            await run({ subcommand: 'set', channel: new MockChannel('channel_charts', 'charts'), delivery: 'inline', strictness: 'cashtag-preferred' });
+
+            expect(reply.content).toContain('<#channel_123>');
+            expect(reply.content).toContain('detection off');
+            expect(guildSettings.getChannelProfiles(GUILD_ID)).toEqual({
+                channel_123: { detectionEnabled: false },
+                channel_charts: { delivery: 'inline', detectionMode: 'cashtag-preferred' }
+            });
+        });
+
+        test('should set the server defaults', async () => {
+            const reply = await run({ subcommand: 'default', delivery: 'none' });
+
+            expect(reply.content).toContain('delivery none');
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'any_channel').delivery).toBe('none');
+        });
+
+        test('should require at least one setting', async () => {
+            const reply = await run({ subcommand: 'set' });
+            expect(reply.content).toContain('Choose at least one');
+        });
+
+        test('should reset a channel', async () => {
+            await run({ subcommand: 'set', detection: 'off' });
+
+            expect((await run({ subcommand: 'reset' })).content).toContain('follows the server defaults');
+            expect((await run({ subcommand: 'reset' })).content).toContain('has no profile');
+        });
+
+        test('should show the effective profile with thread inheritance', async () => {
+            await run({ subcommand: 'set', delivery: 'inline' });
+
+            const reply = await run({ subcommand: 'show', channel: createThread('thread_1', 'channel_123') });
+            const embed = reply.embeds[0].toJSON();
+
+            expect(reply.ephemeral).toBe(true);
+            expect(embed.description).toContain('inherits from <#channel_123>');
+            expect(embed.fields.find(field => field.name === 'Delivery').value).toBe('Charts posted in the channel');
+            expect(embed.fields.find(field => field.name === 'Channel Overrides').value).toBe('<#channel_123>: delivery inline');
+        });
+
+        test('should keep many channel overrides within the embed field limit', async () => {
+            for (let i = 0; i < 40; i++) {
+                guildSettings.setChannelProfile(GUILD_ID, `channel_${String(i).padStart(19, '1')}`, { detectionEnabled: false, delivery: 'inline' });
+            }
+
+            const reply = await run({ subcommand: 'show' });
+            const overrides = reply.embeds[0].toJSON().fields.find(field => field.name === 'Channel Overrides').value;
+
+            expect(overrides.length).toBeLessThanOrEqual(1024);
+            expect(overrides.split('\n')[0]).toBe('<#channel_1111111111111111110>: detection off, delivery inline');
+            expect(overrides).toMatch(/\n…and \d+ more$/);
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const SymbolDirectoryService = require('../src/services/symbolDirectoryService');
+const UserPreferencesService = require('../src/services/userPreferencesService');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const CompanyNameService = require('../src/services/companyNameService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const ChartCommand = require('../src/commands/chartCommand');
+const { MockUser, MockCommandInteraction, MockAutocompleteInteraction } = require('./mocks/discord-mock');
+const { MockEnvironment, MockStockService } = require('./mocks/services');
+
+const LISTING = `symbol,name
+AAPL,Apple Inc.
+AAPLW,Apple Warrants
+MSFT,Microsoft Corporation
+A,Agilent Technologies Inc.`;
+
+const componentsOf = (rows) => rows.flatMap(row => row.toJSON().components);
+
+test.describe('/chart Command', () => {
+    let tempDir;
+    let directory;
+    let preferences;
+    let tracking;
+    let stockService;
+    let rendered;
+    let interactionHandler;
+    let command;
+    let user;
+
+    const run = async (options) => {
+        const interaction = new MockCommandInteraction(user, 'chart', options);
+        await interactionHandler.handleInteraction(interaction);
+        return interaction;
+    };
+
+    const suggest = async (focused) => {
+        const interaction = new MockAutocompleteInteraction(user, 'chart', { focused });
+        await interactionHandler.handleInteraction(interaction);
+        return interaction.choices;
+    };
+
+    test.beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-command-'));
+        fs.writeFileSync(path.join(tempDir, 'listing.csv'), LISTING);
+        directory = new SymbolDirectoryService(new MockEnvironment({ symbolDirectoryPath: tempDir }));
+        await directory.load();
+        preferences = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+        tracking = new MessageTrackingService();
+        rendered = [];
+        stockService = new MockStockService({ failing: ['MSFT'] });
+        const chartService = new ChartService(stockService);
+        chartService.generateChart = async (stockData, messageId, channelId, userId, threadId, username, renderOptions) => {
+            rendered.push(renderOptions);
+            return Buffer.from('png');
+        };
+
+        interactionHandler = new InteractionHandler(stockService, chartService, tracking, null, null, preferences);
+        command = new ChartCommand(interactionHandler, directory);
+        interactionHandler.commandHandler = new CommandHandler([command]);
+        user = new MockUser('user_1', 'Trader');
+    });
+
+    test.afterEach(() => {
+        directory.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test.describe('Definition', () => {
+        test('should offer ticker, timeframe, interval, type, indicators and public options', () => {
+            const data = command.data.toJSON();
+
+            expect(data.name).toBe('chart');
+            expect(data.options.map(option => option.name)).toEqual(['ticker', 'timeframe', 'interval', 'type', 'indicators', 'public']);
+            expect(data.options[0]).toMatchObject({ required: true, autocomplete: true });
+            expect(data.options[1].choices.map(choice => choice.value)).toContain('YTD');
+            expect(data.options[2].choices.map(choice => choice.value)).toEqual(['1m', '5m', '15m', '30m', '1h']);
+            expect(data.options[3].choices.map(choice => choice.value)).toEqual(['candle', 'line', 'area', 'ohlc', 'ha']);
+        });
+
+        test('should resolve tickers the way chat messages are read', () => {
+            expect(command.resolveTickers('aapl')).toEqual(['AAPL']);
+            expect(command.resolveTickers('$msft')).toEqual(['MSFT']);
+            expect(command.resolveTickers('spx')).toEqual(['^GSPC']);
+            expect(command.resolveTickers('eth-usd')).toEqual(['crypto:ETH-USD']);
+            expect(command.resolveTickers('crypto:BTC-USD')).toEqual(['crypto:BTC-USD']);
+            // Common words still work when asked for directly, unlisted symbols do not
+            expect(command.resolveTickers('a')).toEqual(['A']);
+            expect(command.resolveTickers('ZZZZ')).toEqual([]);
+            expect(command.resolveTickers('')).toEqual([]);
+        });
+
+        test('should check the interval against the timeframe', () => {
+            expect(command.parseInterval('1D', '1m')).toBe('1m');
+            expect(command.parseInterval('5D', '1h')).toBe('1h');
+            // The timeframe's own interval needs no override
+            expect(command.parseInterval('1D', '5m')).toBeNull();
+            expect(command.parseInterval('1D', null)).toBeNull();
+            expect(() => command.parseInterval('1M', '15m')).toThrow('Interval 15m not available for 1M');
+        });
+
+        test('should parse indicator lists', () => {
+            expect(command.parseIndicators('rsi, SMA')).toEqual(['sma', 'rsi']);
+            expect(command.parseIndicators('bb+macd')).toEqual(['bb', 'macd']);
+            expect(command.parseIndicators('none')).toEqual([]);
+            expect(command.parseIndicators(null)).toBeUndefined();
+            expect(() => command.parseIndicators('sma adx')).toThrow('Unknown indicator: adx');
+        });
+    });
+
+    test.describe('Autocomplete', () => {
+        test('should suggest listed symbols and company names', async () => {
+            expect(await suggest('aap')).toEqual([
+                { name: 'AAPL · Apple Inc.', value: 'AAPL' },
+                { name: 'AAPLW · Apple Warrants', value: 'AAPLW' }
+            ]);
+            expect((await suggest('micro')).map(choice => choice.value)).toEqual(['MSFT']);
+        });
+
+        test('should suggest crypto pairs and indices the text resolves to', async () => {
+            expect(await suggest('btc')).toEqual([{ name: '🪙 BTC-USD', value: 'crypto:BTC-USD' }]);
+            expect((await suggest('spx'))[0]).toEqual({ name: '📈 SPX', value: '^GSPC' });
+            expect(await suggest('')).toEqual([]);
+        });
+    });
+
+    test.describe('Charts', () => {
+        test('should reply with an ephemeral chart and its buttons by default', async () => {
+            const interaction = await run({ ticker: 'AAPL' });
+
+            expect(interaction.ephemeral).toBe(true);
+            expect(stockService.fetched).toEqual([['AAPL', '1M']]);
+            expect(interaction.replyOptions.files[0].name).toBe('chart.png');
+            expect(componentsOf(interaction.replyOptions.components).map(button => button.custom_id)).toContain('tf_3M_AAPL');
+            expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL', isEphemeral: true });
+        });
+
+        test('should apply the timeframe, type and indicator options', async () => {
+            preferences.setPreferences('user_1', { indicators: ['ema'], chartType: 'area', logScale: true });
+
+            await run({ ticker: 'AAPL', timeframe: '6M', type: 'ha', indicators: 'rsi sma' });
+            await run({ ticker: 'crypto:ETH-USD' });
+
+            expect(stockService.fetched).toEqual([['AAPL', '6M'], ['crypto:ETH-USD', '1M']]);
+            expect(rendered[0]).toMatchObject({ indicators: ['sma', 'rsi'], chartType: 'ha', logScale: true });
+            // Options not given come from the user's chart defaults
+            expect(rendered[1]).toMatchObject({ indicators: ['ema'], chartType: 'area', logScale: true });
+        });
+
+        test('should chart intraday timeframes at the picked interval', async () => {
+            const intervals = [];
+            const fetchStockData = stockService.fetchStockData.bind(stockService);
+            stockService.fetchStockData = async (ticker, timeframeId, intervalId) => {
+                intervals.push(intervalId);
+                return fetchStockData(ticker, timeframeId, intervalId);
+            };
+
+            const interaction = await run({ ticker: 'AAPL', timeframe: '1D', interval: '15m' });
+            const rejected = await run({ ticker: 'AAPL', interval: '15m' });
+
+            expect(stockService.fetched).toEqual([['AAPL', '1D']]);
+            expect(intervals).toEqual(['15m']);
+            expect(componentsOf(interaction.replyOptions.components).find(button => button.disabled).custom_id).toBe('tf_1D:15m_AAPL');
+            expect(rejected.replyOptions.content).toBe('❌ Interval 15m not available for 1M');
+        });
+
+        test('should post public charts without buttons and track them as regular messages', async () => {
+            const interaction = await run({ ticker: 'aapl', public: true });
+
+            expect(interaction.ephemeral).toBe(false);
+            expect(interaction.replyOptions.components).toEqual([]);
+            expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL', isEphemeral: false });
+        });
+
+        test('should chart the best listing for a typed company name', async () => {
+            await run({ ticker: 'apple' });
+
+            expect(stockService.fetched).toEqual([['AAPL', '1M']]);
+        });
+
+        test('should chart company names, including the guild\'s own, without listing files', async () => {
+            const guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            const companyNames = new CompanyNameService(new MockEnvironment({ companyNamesPath: path.join(tempDir, 'company-names.json') }), guildSettings);
+            await companyNames.load();
+            companyNames.addGuildName('guild_123', 'Shufersal', 'SAE.TA');
+            command = new ChartCommand(interactionHandler, null, companyNames);
+            interactionHandler.commandHandler = new CommandHandler([command]);
+
+            await run({ ticker: 'apple' });
+            await run({ ticker: 'shufersal' });
+
+            expect(stockService.fetched).toEqual([['AAPL', '1M'], ['SAE.TA', '1M']]);
+            expect(command.resolveTickers('shufersal', 'guild_456')).toEqual([]);
+            expect(await suggest('apple')).toEqual([{ name: '📊 AAPL', value: 'AAPL' }]);
+        });
+
+        test('should report unknown tickers and failed fetches', async () => {
+            const unknown = await run({ ticker: 'ZZZZ' });
+            expect(unknown.replyOptions.content).toBe('❌ Unknown ticker: ZZZZ');
+            expect(stockService.fetched).toEqual([]);
+
+            const badIndicator = await run({ ticker: 'AAPL', indicators: 'adx' });
+            expect(badIndicator.replyOptions.content).toContain('Unknown indicator: adx');
+
+            const failed = await run({ ticker: 'MSFT' });
+            expect(failed.replyOptions.embeds[0].toJSON().title).toBe('❌ Error: MSFT');
+            expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const { test, expect } = require('@playwright/test');
+const ChartService = require('../src/services/chartService');
+const MessageHandler = require('../src/handlers/messageHandler');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const { MockUser, MockChannel, MockInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+// Extract the Plotly.newPlot(...) arguments from generated HTML
+const parsePlot = (html) => {
+    const [, traces, layout] = html.match(/Plotly\.newPlot\('chart', (\[.*\]), (\{.*\}), config\)/);
+    return { traces: JSON.parse(traces), layout: JSON.parse(layout) };
+};
+
+const buttonIds = (rows) => rows.flatMap(row => row.toJSON().components.map(component => component.custom_id));
+
+test.describe('Chart Grid', () => {
+    test.describe('Layout', () => {
+        const chartService = new ChartService(null);
+
+        test('should pick readable grid shapes', () => {
+            expect(chartService.getGridLayout(2)).toEqual({ rows: 1, columns: 2 });
+            expect(chartService.getGridLayout(3)).toEqual({ rows: 1, columns: 3 });
+            expect(chartService.getGridLayout(4)).toEqual({ rows: 2, columns: 2 });
+            expect(chartService.getGridLayout(5)).toEqual({ rows: 2, columns: 3 });
+            expect(chartService.getGridLayout(9)).toEqual({ rows: 3, columns: 3 });
+        });
+
+        test('should cap the grid and skip invalid data', () => {
+            const stockDataList = Array.from({ length: 12 }, (_, i) => createStockData({ symbol: `T${i}` }));
+            stockDataList[1] = { symbol: 'BAD', dates: [] };
+
+            const charts = chartService.selectGridCharts(stockDataList);
+
+            expect(charts).toHaveLength(9);
+            expect(charts.map(stockData => stockData.symbol)).not.toContain('BAD');
+        });
+
+        test('should build one candlestick subplot per ticker', () => {
+            const charts = [createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'TSLA', closes: [102, 100] }), createStockData({ symbol: 'NVDA' })];
+            const html = chartService.generateGridChartHTML(charts, 1, 3, 1200, 260);
+            const { traces, layout } = parsePlot(html);
+
+            expect(html).toContain('width: 1200px');
+            expect(traces.map(trace => [trace.type, trace.xaxis, trace.yaxis])).toEqual([
+                ['candlestick', 'x', 'y'],
+                ['candlestick', 'x2', 'y2'],
+                ['candlestick', 'x3', 'y3']
+            ]);
+            expect(layout.grid).toMatchObject({ rows: 1, columns: 3, pattern: 'independent' });
+            expect(layout.xaxis3.rangeslider.visible).toBe(false);
+            expect(layout.annotations.map(annotation => annotation.xref)).toEqual(['x domain', 'x2 domain', 'x3 domain']);
+            expect(layout.annotations[1].text).toBe('<b>TSLA</b> $100.00 (-1.96%)');
+            expect(layout.annotations[1].font.color).toBe('#ff4444');
+        });
+
+        test('should generate valid page script', () => {
+            const html = chartService.generateGridChartHTML([createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'MSFT' })], 1, 2, 800, 260);
+            const script = html.split('<script>')[1].split('</script>')[0];
+
+            expect(() => new Function(script)).not.toThrow();
+        });
+
+        test('should list prices in the embed', () => {
+            const embed = chartService.createGridEmbed([createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'TSLA', closes: [102, 100] })]).toJSON();
+
+            expect(embed.title).toBe('📊 2 Charts 1M');
+            expect(embed.description).toBe('**AAPL** $104.00 (+2.97%)\n**TSLA** $100.00 (-1.96%)');
+            expect(embed.image.url).toBe('attachment://chart-grid.png');
+        });
+
+        test('should cache grids by ticker list', async () => {
+            const charts = [createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'MSFT' })];
+            const cacheKey = chartService.getGridCacheKey(['AAPL', 'MSFT']);
+            chartService.setInCache(cacheKey, Buffer.from('cached-grid'));
+
+            expect(cacheKey).toMatch(/^chart_grid_AAPL\+MSFT_\d{4}-\d{2}-\d{2}$/);
+            expect((await chartService.generateGridChart(charts)).toString()).toBe('cached-grid');
+        });
+    });
+
+    test.describe('All Button', () => {
+        const handler = new MessageHandler();
+
+        test('should follow the ticker buttons', () => {
+            expect(buttonIds(handler.createTickerButtons(['AAPL', 'TSLA']))).toEqual(['stock_AAPL', 'stock_TSLA', 'chart_all']);
+        });
+
+        test('should start a new row when the last one is full', () => {
+            const rows = handler.createTickerButtons(['A', 'B', 'C', 'D', 'E']);
+
+            expect(rows).toHaveLength(2);
+            expect(buttonIds([rows[1]])).toEqual(['chart_all']);
+        });
+
+        test('should be left out for a single ticker or when no room is left', () => {
+            const twentyFive = Array.from({ length: 25 }, (_, i) => `Q${String.fromCharCode(65 + i)}`);
+
+            expect(buttonIds(handler.createTickerButtons(['AAPL']))).toEqual(['stock_AAPL']);
+            expect(buttonIds(handler.createTickerButtons(twentyFive))).not.toContain('chart_all');
+        });
+    });
+
+    test.describe('Interaction Handling', () => {
+        let stockService;
+        let rendered;
+        let tracking;
+        let interactionHandler;
+        let channel;
+
+        const clickAll = async (tickers) => {
+            const buttonMessage = {
+                id: 'buttons_1',
+                components: new MessageHandler().createTickerButtons(tickers)
+            };
+            const interaction = new MockInteraction(new MockUser('user_1', 'Trader'), 'chart_all', channel);
+            interaction.isButton = () => true;
+            interaction.message = buttonMessage;
+            interaction.editReply = async (options) => {
+                interaction.replyOptions = options;
+                return { id: 'grid_reply_1' };
+            };
+
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            rendered = [];
+            tracking = new MessageTrackingService();
+            stockService = new MockStockService({ failing: ['FAIL'] });
+            const chartService = new ChartService(stockService);
+            chartService.renderChartImage = async (html, width, height) => {
+                rendered.push({ html, width, height });
+                return Buffer.from('grid');
+            };
+            interactionHandler = new InteractionHandler(stockService, chartService, tracking);
+            channel = new MockChannel('channel_123', 'general');
+        });
+
+        test('should read tickers from the button message', () => {
+            const message = { components: new MessageHandler().createTickerButtons(['AAPL', 'crypto:BTC-USD']) };
+            expect(interactionHandler.getTickersFromMessage(message)).toEqual(['AAPL', 'crypto:BTC-USD']);
+        });
+
+        test('should send one grid image for all tickers', async () => {
+            const interaction = await clickAll(['AAPL', 'MSFT', 'NVDA', 'TSLA']);
+
+            expect(stockService.getFetchedTickers()).toEqual(['AAPL', 'MSFT', 'NVDA', 'TSLA']);
+            expect(rendered).toHaveLength(1);
+            expect(rendered[0]).toMatchObject({ width: 800, height: 520 });
+            expect(interaction.ephemeral).toBe(true);
+            expect(interaction.replyOptions.files[0].name).toBe('chart-grid.png');
+            expect(interaction.replyOptions.embeds[0].toJSON().footer).toBeUndefined();
+
+            const [tracked] = tracking.getAllTrackedMessages();
+            expect(tracked.ticker).toBe('AAPL,MSFT,NVDA,TSLA');
+            expect(tracked.cacheKeys[0]).toContain('chart_grid_AAPL+MSFT+NVDA+TSLA');
+        });
+
+        test('should cap the grid and note skipped tickers', async () => {
+            const tickers = ['FAIL', ...Array.from({ length: 11 }, (_, i) => `Q${String.fromCharCode(65 + i)}`)];
+            const interaction = await clickAll(tickers);
+
+            expect(stockService.fetched).toHaveLength(10);
+            expect(interaction.replyOptions.embeds[0].toJSON().footer.text).toBe('Showing 9 of 12 tickers • Could not load: FAIL');
+        });
+
+        test('should reply with an error when nothing can be charted', async () => {
+            const interaction = await clickAll(['FAIL', 'FAIL']);
+
+            expect(rendered).toHaveLength(0);
+            expect(interaction.replyOptions.embeds[0].toJSON().title).toBe('❌ Error: Charts');
+        });
+    });
+});
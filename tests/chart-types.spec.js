@@ -0,0 +1,217 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChartService = require('../src/services/chartService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const UserPreferencesService = require('../src/services/userPreferencesService');
+const ChartDefaultsCommand = require('../src/commands/chartDefaultsCommand');
+const { heikinAshi, isValidChartType, getChartTypeIds } = require('../src/utils/chart-type');
+const { MockUser, MockChannel, MockInteraction, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+const componentsOf = (rows) => rows.flatMap(row => row.toJSON().components);
+
+test.describe('Chart Types', () => {
+    test.describe('Price Traces', () => {
+        const chartService = new ChartService(null);
+
+        test('should know the chart types in button order', () => {
+            expect(getChartTypeIds()).toEqual(['candle', 'line', 'area', 'ohlc', 'ha']);
+            expect(isValidChartType('line')).toBe(true);
+            expect(isValidChartType('renko')).toBe(false);
+        });
+
+        test('should compute Heikin-Ashi candles from the previous candle', () => {
+            const candles = heikinAshi(createStockData());
+
+            // close = (O + H + L + C) / 4, open = previous (open + close) / 2
+            expect(candles.closes).toEqual([101, 102, 102.75]);
+            expect(candles.opens).toEqual([101, 101, 101.5]);
+            expect(candles.highs).toEqual([104, 105, 106]);
+            expect(candles.lows).toEqual([98, 100, 100]);
+        });
+
+        test('should draw candles by default', () => {
+            const [trace] = chartService.getPriceTraces(createStockData());
+
+            expect(trace).toMatchObject({ type: 'candlestick', open: [100, 102, 101], close: [102, 101, 104] });
+        });
+
+        test('should draw lines, areas, OHLC bars and Heikin-Ashi candles', () => {
+            const stockData = createStockData();
+
+            const line = chartService.getPriceTraces(stockData, { chartType: 'line' });
+            expect(line).toHaveLength(1);
+            expect(line[0]).toMatchObject({ type: 'scatter', mode: 'lines', y: [102, 101, 104] });
+
+            // Areas fill down to the lowest close rather than to zero
+            const [baseline, area] = chartService.getPriceTraces(stockData, { chartType: 'area' });
+            expect(baseline.y).toEqual([101, 101, 101]);
+            expect(area).toMatchObject({ fill: 'tonexty', y: [102, 101, 104] });
+
+            expect(chartService.getPriceTraces(stockData, { chartType: 'ohlc' })[0].type).toBe('ohlc');
+
+            const [ha] = chartService.getPriceTraces(stockData, { chartType: 'ha' });
+            expect(ha).toMatchObject({ type: 'candlestick', close: [101, 102, 102.75] });
+        });
+
+        test('should use a log price axis and log positions for option strikes', () => {
+            const stockData = createStockData({ option: { strike: 100, underlying: 'AAPL' } });
+
+            expect(chartService.generateChartHTML(stockData, '#00ff88', 'rgba(0, 255, 136, 0.1)', { logScale: true })).toContain("type: 'log'");
+            expect(chartService.generateChartHTML(stockData, '#00ff88', 'rgba(0, 255, 136, 0.1)')).toContain("type: 'linear'");
+            expect(chartService.getOptionOverlays(stockData, true).shapes[0].y0).toBe(2);
+        });
+
+        test('should cache each style separately', () => {
+            expect(chartService.getChartCacheKey('AAPL', '1M', null, { chartType: 'line', logScale: true })).toMatch(/^chart_AAPL_line_log_\d{4}-\d{2}-\d{2}$/);
+            expect(chartService.getChartCacheKey('AAPL', '1M', null, { chartType: 'candle', logScale: false })).toMatch(/^chart_AAPL_\d{4}-\d{2}-\d{2}$/);
+        });
+    });
+
+    test.describe('Style Buttons', () => {
+        let tempDir;
+        let preferences;
+        let rendered;
+        let interactionHandler;
+        let channel;
+        let user;
+
+        const click = async (customId, message = undefined) => {
+            const interaction = new MockInteraction(user, customId, channel);
+            interaction.message = message;
+            interaction.isButton = () => true;
+            interaction.createdTimestamp = Date.now();
+            interaction.isRepliable = () => true;
+            interaction.isCommand = () => false;
+            interaction.deferUpdate = async () => {
+                interaction.updateDeferred = true;
+            };
+            interaction.editReply = async (options) => {
+                interaction.replyOptions = options;
+                return { id: 'chart_reply_1' };
+            };
+            interaction.followUp = async (options) => {
+                interaction.followUpOptions = options;
+            };
+
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-types-'));
+            preferences = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+            rendered = [];
+            const stockService = new MockStockService();
+            const chartService = new ChartService(stockService);
+            chartService.generateChart = async (stockData, messageId, channelId, userId, threadId, username, renderOptions) => {
+                rendered.push({ timeframe: stockData.timeframe, chartType: renderOptions.chartType, logScale: renderOptions.logScale });
+                return Buffer.from('png');
+            };
+            interactionHandler = new InteractionHandler(stockService, chartService, null, null, null, preferences);
+            channel = new MockChannel('channel_123', 'general');
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should add chart type buttons in the last row', async () => {
+            const interaction = await click('stock_AAPL');
+            const buttons = componentsOf(interaction.replyOptions.components.slice(4));
+
+            expect(buttons.map(button => button.custom_id)).toEqual([
+                'type_candle_AAPL', 'type_line_AAPL', 'type_area_AAPL', 'type_ohlc_AAPL', 'type_ha_AAPL'
+            ]);
+            expect(buttons.filter(button => button.disabled).map(button => button.label)).toEqual(['Candles']);
+            expect(rendered).toEqual([{ timeframe: '1M', chartType: 'candle', logScale: false }]);
+        });
+
+        test('should redraw the chart in the picked type and remember it', async () => {
+            const chart = await click('tf_3M_AAPL');
+            const line = await click('type_line_AAPL', { components: chart.replyOptions.components });
+
+            expect(line.updateDeferred).toBe(true);
+            expect(rendered[1]).toEqual({ timeframe: '3M', chartType: 'line', logScale: false });
+            expect(interactionHandler.getChartState({ components: line.replyOptions.components }).chartType).toBe('line');
+            expect(preferences.getPreferences('user_1').chartType).toBe('line');
+
+            // New charts open in the remembered type
+            await click('stock_MSFT');
+            expect(rendered[2].chartType).toBe('line');
+        });
+
+        test('should toggle the log scale and keep the chart type', async () => {
+            const chart = await click('type_area_AAPL');
+            const log = await click('log_AAPL', { components: chart.replyOptions.components });
+            const logButton = componentsOf(log.replyOptions.components).find(button => button.custom_id === 'log_AAPL');
+
+            expect(rendered[1]).toEqual({ timeframe: '1M', chartType: 'area', logScale: true });
+            expect(logButton.style).toBe(3);
+            expect(preferences.getPreferences('user_1')).toMatchObject({ chartType: 'area', logScale: true });
+
+            await click('log_AAPL', { components: log.replyOptions.components });
+            expect(rendered[2].logScale).toBe(false);
+        });
+
+        test('should keep the style when switching timeframe or indicators', async () => {
+            const chart = await click('log_AAPL');
+            // The chart message, not the saved default, decides what a click keeps
+            preferences.setPreferences('user_1', { logScale: false });
+
+            const yearly = await click('tf_1Y_AAPL', { components: chart.replyOptions.components });
+            await click('ind_sma_AAPL', { components: yearly.replyOptions.components });
+
+            expect(rendered.slice(1)).toEqual([
+                { timeframe: '1Y', chartType: 'candle', logScale: true },
+                { timeframe: '1Y', chartType: 'candle', logScale: true }
+            ]);
+        });
+
+        test('should ignore unknown chart types', async () => {
+            const interaction = await click('type_renko_AAPL');
+
+            expect(rendered).toEqual([]);
+            expect(interaction.updateDeferred).toBeUndefined();
+        });
+    });
+
+    test.describe('Chart Defaults', () => {
+        let tempDir;
+        let preferences;
+        let command;
+
+        test.beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-style-'));
+            preferences = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+            command = new ChartDefaultsCommand(preferences);
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should set the chart type and log scale with /chartdefaults style', async () => {
+            const user = new MockUser('user_1', 'Trader');
+            const interaction = new MockCommandInteraction(user, 'chartdefaults', { subcommand: 'style', type: 'ha', log: true });
+            await command.execute(interaction);
+
+            expect(preferences.getPreferences('user_1')).toMatchObject({ chartType: 'ha', logScale: true });
+            expect(interaction.replyOptions.content).toContain('Heikin-Ashi, log scale');
+
+            const show = new MockCommandInteraction(user, 'chartdefaults', { subcommand: 'show' });
+            await command.execute(show);
+            expect(show.replyOptions.embeds[0].toJSON().fields[1]).toEqual({ name: 'Style', value: 'Heikin-Ashi, log scale' });
+        });
+
+        test('should require a chart type or log scale', async () => {
+            const interaction = new MockCommandInteraction(new MockUser('user_1', 'Trader'), 'chartdefaults', { subcommand: 'style' });
+            await expect(command.execute(interaction)).rejects.toThrow('Choose a chart type or log scale');
+            expect(() => preferences.setPreferences('user_1', { chartType: 'renko' })).toThrow('Invalid chartType');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandHandler = require('../src/handlers/commandHandler');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const TickerWordsCommand = require('../src/commands/tickerWordsCommand');
+const MessageHandler = require('../src/handlers/messageHandler');
+const { joinForField } = require('../src/utils/embed-format');
+const { MockUser, MockCommandInteraction } = require('./mocks/discord-mock');
+
+test.describe('Slash Commands', () => {
+    let tempDir;
+    let guildSettings;
+    let commandHandler;
+    let user;
+
+    test.beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-'));
+        guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+        commandHandler = new CommandHandler([new TickerWordsCommand(guildSettings)]);
+        user = new MockUser('admin_1', 'Admin');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test.describe('Command Handler', () => {
+        test('should expose command definitions for registration', () => {
+            const data = commandHandler.getCommandData();
+            expect(data.map(command => command.name)).toEqual(['tickerwords']);
+            expect(data[0].options.map(option => option.name)).toEqual(['block', 'allow', 'remove', 'list']);
+        });
+
+        test('should register commands globally or per guild', async () => {
+            const calls = [];
+            const client = { application: { commands: { set: async (...args) => calls.push(args) } } };
+
+            await commandHandler.registerCommands(client);
+            await commandHandler.registerCommands(client, 'guild_dev');
+
+            expect(calls[0]).toHaveLength(1);
+            expect(calls[1][1]).toBe('guild_dev');
+        });
+
+        test('should be routed chat input commands by the interaction handler', async () => {
+            const interactionHandler = new InteractionHandler(null, null, null, null, commandHandler);
+            const interaction = new MockCommandInteraction(user, 'tickerwords', { subcommand: 'list' });
+
+            await interactionHandler.handleInteraction(interaction);
+
+            expect(interaction.replied).toBe(true);
+            expect(interaction.replyOptions.ephemeral).toBe(true);
+        });
+
+        test('should reply with the error when a command fails', async () => {
+            const interaction = new MockCommandInteraction(user, 'tickerwords', { subcommand: 'block', word: 'NOT A WORD' });
+
+            await commandHandler.handleCommand(interaction);
+
+            expect(interaction.replyOptions.content).toContain('Invalid word');
+        });
+    });
+
+    test.describe('/tickerwords', () => {
+        const run = async (options) => {
+            const interaction = new MockCommandInteraction(user, 'tickerwords', options);
+            await commandHandler.handleCommand(interaction);
+            return interaction.replyOptions;
+        };
+
+        test('should allow a common word for the guild', async () => {
+            const reply = await run({ subcommand: 'allow', word: 'now' });
+
+            expect(reply.content).toContain('NOW');
+            expect(guildSettings.getWordLists('guild_123').allowedWords).toEqual(['NOW']);
+        });
+
+        test('should block a word and move it between lists', async () => {
+            await run({ subcommand: 'allow', word: 'CEO' });
+            await run({ subcommand: 'block', word: '$ceo' });
+
+            expect(guildSettings.getWordLists('guild_123')).toEqual({ blockedWords: ['CEO'], allowedWords: [] });
+        });
+
+        test('should remove words', async () => {
+            await run({ subcommand: 'block', word: 'USA' });
+
+            expect((await run({ subcommand: 'remove', word: 'usa' })).content).toContain('removed from the block list');
+            expect((await run({ subcommand: 'remove', word: 'usa' })).content).toContain('is not on');
+        });
+
+        test('should list both word lists', async () => {
+            await run({ subcommand: 'block', word: 'CEO' });
+            await run({ subcommand: 'allow', word: 'NOW' });
+
+            const reply = await run({ subcommand: 'list' });
+            const fields = reply.embeds[0].toJSON().fields;
+            expect(fields.map(field => field.name)).toEqual(['🚫 Blocked (1/100)', '✅ Allowed (1/100)']);
+            expect(fields.map(field => field.value)).toEqual(['CEO', 'NOW']);
+        });
+
+        test('should cap the size of each list', async () => {
+            // Every two-letter word from AA to DV
+            const words = Array.from({ length: 100 }, (_, i) => String.fromCharCode(65 + Math.floor(i / 26), 65 + (i % 26)));
+            words.forEach(word => guildSettings.addWord('guild_123', 'block', word));
+
+            expect((await run({ subcommand: 'block', word: 'CEO' })).content).toBe('❌ The block list is full (100 words), remove a word first');
+            expect((await run({ subcommand: 'block', word: 'AA' })).content).toContain('**AA**');
+            expect((await run({ subcommand: 'allow', word: 'NOW' })).content).toContain('**NOW**');
+            expect(guildSettings.getWordLists('guild_123').blockedWords).toHaveLength(100);
+        });
+
+        test('should keep long lists within the embed field limit', () => {
+            const words = Array.from({ length: 300 }, (_, i) => `W${String(i).padStart(4, '0')}`);
+            const value = joinForField(words);
+
+            expect(joinForField(['CEO', 'USA'])).toBe('CEO, USA');
+            expect(value.length).toBeLessThanOrEqual(1024);
+            expect(value).toMatch(/^W0000, W0001, .*, W0143, …and 156 more$/);
+        });
+
+        test('should persist lists and apply them to detection in that guild only', async () => {
+            await run({ subcommand: 'allow', word: 'NOW' });
+            await run({ subcommand: 'block', word: 'CEO' });
+
+            const reloaded = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            const messageHandler = new MessageHandler(null, null, reloaded);
+            const message = content => ({ content, guildId: 'guild_123', channel: { id: 'channel_1' } });
+
+            expect(messageHandler.detectTickers(message('CEO says NOW is cheap'))).toEqual(['NOW']);
+            expect(messageHandler.detectTickers({ ...message('CEO says NOW is cheap'), guildId: 'other' })).toEqual(['CEO']);
+        });
+    });
+});
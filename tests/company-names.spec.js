@@ -0,0 +1,189 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CompanyNameService = require('../src/services/companyNameService');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const CompanyDictionary = require('../src/utils/company-dictionary');
+const { detectStockTickers, detectTickerMatches, DETECTION_MODES } = require('../src/utils/ticker-detector');
+const CommandHandler = require('../src/handlers/commandHandler');
+const CompanyNamesCommand = require('../src/commands/companyNamesCommand');
+const { MockEnvironment } = require('./mocks/services');
+const { MockUser, MockCommandInteraction } = require('./mocks/discord-mock');
+
+test.describe('Company Name Resolution', () => {
+    const dictionary = new CompanyDictionary({
+        'Apple': 'AAPL',
+        'Nvidia': 'NVDA',
+        'Berkshire': 'BRK.B',
+        'Berkshire Hathaway': 'BRK.B',
+        'טבע': 'TEVA',
+        'בנק לאומי': 'LUMI.TA',
+        "צ'ק פוינט": 'CHKP'
+    });
+
+    test('should resolve English names with their text span', () => {
+        const result = detectTickerMatches('Apple and Nvidia look strong', { companyDictionary: dictionary });
+        expect(result).toEqual([
+            {
+                symbol: 'AAPL', cashtag: false, type: 'equity', offset: 0, text: 'Apple', form: 'company-name', confidence: 0.7,
+                span: { start: 0, end: 5, text: 'Apple' }
+            },
+            {
+                symbol: 'NVDA', cashtag: false, type: 'equity', offset: 10, text: 'Nvidia', form: 'company-name', confidence: 0.7,
+                span: { start: 10, end: 16, text: 'Nvidia' }
+            }
+        ]);
+    });
+
+    test('should resolve Hebrew names with attached prefixes', () => {
+        const result = detectTickerMatches('קניתי טבע ובנק לאומי היום', { companyDictionary: dictionary });
+        expect(result.map(match => match.symbol)).toEqual(['TEVA', 'LUMI.TA']);
+        expect(result[1].span).toEqual({ start: 11, end: 20, text: 'בנק לאומי' });
+    });
+
+    test('should accept Hebrew geresh variants', () => {
+        expect(detectStockTickers('צ׳ק פוינט עולה', { companyDictionary: dictionary })).toEqual(['CHKP']);
+    });
+
+    test('should prefer the longest name', () => {
+        const result = detectTickerMatches('Berkshire Hathaway earnings', { companyDictionary: dictionary });
+        expect(result[0].span.text).toBe('Berkshire Hathaway');
+    });
+
+    test('should ignore all-lowercase English words and partial words', () => {
+        expect(detectStockTickers('apple pie and AppleTV', { companyDictionary: dictionary })).toEqual([]);
+    });
+
+    test('should not detect an uppercase name again as a ticker', () => {
+        const result = detectStockTickers('APPLE vs AMD', { companyDictionary: dictionary });
+        expect(result).toEqual(['AAPL', 'AMD']);
+    });
+
+    test('should not count names as cashtags', () => {
+        const result = detectStockTickers('Apple and $NVDA', {
+            mode: DETECTION_MODES.CASHTAG_ONLY,
+            companyDictionary: dictionary
+        });
+        expect(result).toEqual(['NVDA']);
+    });
+
+    test.describe('Company Name Service', () => {
+        let tempDir;
+        let guildSettings;
+        let service;
+
+        test.beforeEach(async () => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-names-'));
+            const namesPath = path.join(tempDir, 'company-names.json');
+            fs.writeFileSync(namesPath, JSON.stringify({ 'Elbit Systems': 'ESLT', 'Apple': 'AAPL' }));
+
+            guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            service = new CompanyNameService(new MockEnvironment({ companyNamesPath: namesPath }), guildSettings);
+            await service.load();
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should merge the local file with built-in names', () => {
+            const dictionaryForGuild = service.getDictionary('guild-1');
+            expect(dictionaryForGuild.resolve('Elbit Systems')).toBe('ESLT');
+            expect(dictionaryForGuild.resolve('טבע')).toBe('TEVA');
+        });
+
+        test('should keep built-in names when the file is missing', async () => {
+            const missing = new CompanyNameService(new MockEnvironment({ companyNamesPath: path.join(tempDir, 'missing.json') }));
+            await missing.load();
+            expect(missing.getDictionary().resolve('Nvidia')).toBe('NVDA');
+        });
+
+        test('should extend names per guild and persist them', () => {
+            expect(service.addGuildName('guild-1', 'הבורסה', 'tase.ta')).toBe('TASE.TA');
+
+            expect(service.getDictionary('guild-1').resolve('הבורסה')).toBe('TASE.TA');
+            expect(service.getDictionary('guild-2').resolve('הבורסה')).toBeNull();
+
+            const reloaded = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            expect(reloaded.getGuildSettings('guild-1').companyNames).toEqual({ 'הבורסה': 'TASE.TA' });
+        });
+
+        test('should remove guild names', () => {
+            service.addGuildName('guild-1', 'Shufersal', 'SAE.TA');
+            expect(service.removeGuildName('guild-1', 'shufersal')).toBe(true);
+            expect(service.getDictionary('guild-1').resolve('Shufersal')).toBeNull();
+            expect(service.removeGuildName('guild-1', 'Shufersal')).toBe(false);
+        });
+
+        test('should reject invalid tickers', () => {
+            expect(() => service.addGuildName('guild-1', 'Bad', 'NOT A TICKER')).toThrow();
+        });
+
+        test('should replace a name re-added in another case and cap names per guild', () => {
+            service.addGuildName('guild-1', 'Shufersal', 'SAE.TA');
+            service.addGuildName('guild-1', 'SHUFERSAL', 'SAE');
+            expect(service.getGuildNames('guild-1')).toEqual({ 'SHUFERSAL': 'SAE' });
+
+            for (let i = 1; i < 100; i++) {
+                service.addGuildName('guild-1', `Company ${i}`, 'AAPL');
+            }
+            expect(() => service.addGuildName('guild-1', 'One more', 'AAPL'))
+                .toThrow('This server already has 100 company names, remove one first');
+            expect(service.addGuildName('guild-1', 'company 1', 'MSFT')).toBe('MSFT');
+        });
+
+        test.describe('/companynames', () => {
+            let commandHandler;
+
+            const run = async (options) => {
+                const interaction = new MockCommandInteraction(new MockUser('admin_1', 'Admin'), 'companynames', options);
+                await commandHandler.handleCommand(interaction);
+                return interaction.replyOptions;
+            };
+
+            test.beforeEach(() => {
+                commandHandler = new CommandHandler([new CompanyNamesCommand(service)]);
+            });
+
+            test('should be an admin-only command', () => {
+                const [data] = commandHandler.getCommandData();
+                expect(data.name).toBe('companynames');
+                expect(data.default_member_permissions).toBe('32'); // ManageGuild
+                expect(data.options.map(option => option.name)).toEqual(['add', 'remove', 'list']);
+            });
+
+            test('should add names that are detected in that guild only', async () => {
+                const reply = await run({ subcommand: 'add', name: ' Shufersal ', ticker: 'sae.ta' });
+
+                expect(reply).toEqual({ content: '✅ **Shufersal** will now be detected as **SAE.TA**.', ephemeral: true });
+                expect(detectStockTickers('Shufersal is up', { companyDictionary: service.getDictionary('guild_123') })).toEqual(['SAE.TA']);
+                expect(detectStockTickers('Shufersal is up', { companyDictionary: service.getDictionary('guild-2') })).toEqual([]);
+            });
+
+            test('should reply with the error for invalid tickers', async () => {
+                const reply = await run({ subcommand: 'add', name: 'Bad', ticker: 'NOT A TICKER' });
+                expect(reply.content).toBe('❌ Invalid company name entry: Bad -> NOT A TICKER');
+            });
+
+            test('should remove names', async () => {
+                await run({ subcommand: 'add', name: 'Shufersal', ticker: 'SAE.TA' });
+
+                expect((await run({ subcommand: 'remove', name: 'shufersal' })).content).toContain('removed');
+                expect((await run({ subcommand: 'remove', name: 'shufersal' })).content).toContain('is not one of');
+            });
+
+            test('should list the guild names', async () => {
+                expect((await run({ subcommand: 'list' })).embeds[0].toJSON().fields[0].value).toBe('None');
+
+                await run({ subcommand: 'add', name: 'Shufersal', ticker: 'SAE.TA' });
+                await run({ subcommand: 'add', name: 'ביטקוין', ticker: 'crypto:BTC-USD' });
+
+                const reply = await run({ subcommand: 'list' });
+                const [field] = reply.embeds[0].toJSON().fields;
+                expect(reply.ephemeral).toBe(true);
+                expect(field).toEqual({ name: '🏢 Added by this server (2/100)', value: 'Shufersal → SAE.TA\nביטקוין → BTC-USD' });
+            });
+        });
+    });
+});
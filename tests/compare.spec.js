@@ -0,0 +1,190 @@
+const { test, expect } = require('@playwright/test');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const CommandHandler = require('../src/handlers/commandHandler');
+const CompareCommand = require('../src/commands/compareCommand');
+const { percentChanges, rebaseToCommonStart } = require('../src/utils/performance');
+const { resolveTickerList } = require('../src/utils/ticker-detector');
+const { MockUser, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+const WEEKDAYS = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+
+// Extract the Plotly.newPlot(...) arguments from generated HTML
+const parsePlot = (html) => {
+    const [, traces, layout] = html.match(/Plotly\.newPlot\('chart', (\[.*\]), (\{.*\}), config\)/);
+    return { traces: JSON.parse(traces), layout: JSON.parse(layout) };
+};
+
+test.describe('Compare', () => {
+    test.describe('Rebasing', () => {
+        test('should express closes as percent change from the base', () => {
+            expect(percentChanges([100, 110, 90], 100).map(value => Math.round(value * 100) / 100)).toEqual([0, 10, -10]);
+        });
+
+        test('should start every series at 0% on the latest first date', () => {
+            const series = rebaseToCommonStart([
+                createStockData({ symbol: 'AAPL', dates: WEEKDAYS, closes: [100, 102, 104, 110] }),
+                // Crypto trades on the weekend and its data starts earlier
+                createStockData({ symbol: 'BTC-USD', dates: ['2023-12-31', '2024-01-01', ...WEEKDAYS], closes: [40, 41, 50, 55, 60, 45] })
+            ]);
+
+            expect(series.map(line => line.dates[0])).toEqual(['2024-01-02', '2024-01-02']);
+            expect(series[0].values[0]).toBe(0);
+            expect(series[1].values[0]).toBe(0);
+            expect(series[0].change).toBeCloseTo(10);
+            expect(series[1].change).toBeCloseTo(-10);
+        });
+
+        test('should leave out series that do not overlap the others', () => {
+            const series = rebaseToCommonStart([
+                createStockData({ symbol: 'AAPL', dates: WEEKDAYS, closes: [100, 102, 104, 110] }),
+                createStockData({ symbol: 'NEW', dates: ['2024-01-04', '2024-01-05'], closes: [10, 12] }),
+                createStockData({ symbol: 'OLD', dates: ['2023-12-01', '2023-12-02'], closes: [10, 12] })
+            ]);
+
+            expect(series.map(line => line.stockData.symbol)).toEqual(['AAPL', 'NEW']);
+        });
+
+        test('should read ticker lists word by word', () => {
+            expect(resolveTickerList('AAPL,MSFT, qqq  btc-usd AAPL')).toEqual({
+                tickers: ['AAPL', 'MSFT', 'QQQ', 'crypto:BTC-USD'],
+                unknown: []
+            });
+        });
+    });
+
+    test.describe('Chart', () => {
+        const chartService = new ChartService(null);
+        const series = rebaseToCommonStart([
+            createStockData({ symbol: 'AAPL', dates: WEEKDAYS, closes: [100, 102, 104, 110] }),
+            createStockData({ symbol: 'MSFT', dates: WEEKDAYS, closes: [200, 198, 190, 180] }),
+            createStockData({ symbol: '^GSPC', dates: WEEKDAYS, closes: [4000, 4040, 4080, 4100], displayName: 'SPX', description: 'S&P 500' })
+        ]);
+
+        test('should draw one colored line per ticker with its final change in the legend', () => {
+            const html = chartService.generateComparisonChartHTML(series, '3M', 800, 400);
+            const { traces, layout } = parsePlot(html);
+
+            expect(traces.map(trace => [trace.mode, trace.name, trace.line.color])).toEqual([
+                ['lines', 'AAPL +10.00%', '#3b82f6'],
+                ['lines', 'MSFT -10.00%', '#f97316'],
+                ['lines', 'SPX +2.50%', '#22c55e']
+            ]);
+            expect(traces[0].y[0]).toBe(0);
+            expect(layout.showlegend).toBe(true);
+            expect(layout.yaxis).toMatchObject({ ticksuffix: '%', zeroline: true });
+            expect(layout.xaxis.tickformat).toBe('%b %d');
+        });
+
+        test('should generate valid page script', () => {
+            const html = chartService.generateComparisonChartHTML(series, '1Y', 800, 400);
+            const script = html.split('<script>')[1].split('</script>')[0];
+
+            expect(() => new Function(script)).not.toThrow();
+        });
+
+        test('should rank the final changes in the embed', () => {
+            const embed = chartService.createComparisonEmbed(series, '3M', ['Could not load: NVDA']).toJSON();
+
+            expect(embed.title).toBe('📈 AAPL vs MSFT vs SPX 3M');
+            expect(embed.description).toBe([
+                '🟦 **AAPL** +10.00% ($110.00)',
+                '🟩 **SPX (S&P 500)** +2.50% ($4100.00)',
+                '🟧 **MSFT** -10.00% ($180.00)'
+            ].join('\n'));
+            expect(embed.footer.text).toBe('Since 2024-01-02 • Could not load: NVDA');
+            expect(embed.image.url).toBe('attachment://compare.png');
+        });
+
+        test('should cache comparisons by ticker list and range', async () => {
+            const cacheKey = chartService.getComparisonCacheKey(['AAPL', 'MSFT', '^GSPC'], '3M');
+            chartService.setInCache(cacheKey, Buffer.from('cached-compare'));
+
+            expect(cacheKey).toMatch(/^chart_compare_AAPL\+MSFT\+\^GSPC_3M_\d{4}-\d{2}-\d{2}$/);
+            expect((await chartService.generateComparisonChart(series, '3M')).toString()).toBe('cached-compare');
+            await expect(chartService.generateComparisonChart(series.slice(0, 1), '3M')).rejects.toThrow('Need at least two series');
+        });
+    });
+
+    test.describe('/compare Command', () => {
+        let tracking;
+        let stockService;
+        let rendered;
+        let command;
+        let commandHandler;
+        let user;
+
+        const run = async (options) => {
+            const interaction = new MockCommandInteraction(user, 'compare', options);
+            await commandHandler.handleCommand(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tracking = new MessageTrackingService();
+            rendered = [];
+            stockService = new MockStockService({
+                failing: ['NVDA'],
+                createData: ticker => createStockData({ symbol: ticker, dates: WEEKDAYS, closes: [100, 101, 102, 100 + ticker.length] })
+            });
+            const chartService = new ChartService(stockService);
+            chartService.renderChartImage = async (html, width, height) => {
+                rendered.push({ html, width, height });
+                return Buffer.from('png');
+            };
+
+            command = new CompareCommand(stockService, chartService, null, tracking);
+            commandHandler = new CommandHandler([command]);
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should offer daily ranges only', () => {
+            const data = command.data.toJSON();
+
+            expect(data.options.map(option => option.name)).toEqual(['tickers', 'range', 'public']);
+            expect(data.options[1].choices.map(choice => choice.value)).toEqual(['1M', '3M', '6M', 'YTD', '1Y', '5Y']);
+        });
+
+        test('should fetch each ticker for the range and reply with one chart', async () => {
+            const interaction = await run({ tickers: 'AAPL,MSFT,QQQ', range: '6M' });
+            const embed = interaction.replyOptions.embeds[0].toJSON();
+
+            expect(stockService.fetched).toEqual([['AAPL', '6M'], ['MSFT', '6M'], ['QQQ', '6M']]);
+            expect(rendered).toHaveLength(1);
+            expect(parsePlot(rendered[0].html).traces.map(trace => trace.name)).toEqual(['AAPL +4.00%', 'MSFT +4.00%', 'QQQ +3.00%']);
+            expect(interaction.ephemeral).toBe(true);
+            expect(interaction.replyOptions.files[0].name).toBe('compare.png');
+            expect(embed.title).toBe('📈 AAPL vs MSFT vs QQQ 6M');
+            expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL,MSFT,QQQ', isEphemeral: true });
+        });
+
+        test('should default to 3M and note skipped tickers', async () => {
+            const interaction = await run({ tickers: 'AAPL NVDA MSFT 42', public: true });
+
+            expect(stockService.fetched.map(([, timeframeId]) => timeframeId)).toEqual(['3M', '3M', '3M']);
+            expect(interaction.ephemeral).toBe(false);
+            expect(interaction.replyOptions.embeds[0].toJSON().footer.text).toBe('Since 2024-01-02 • Could not load: NVDA • Not tickers: 42');
+            expect(tracking.getAllTrackedMessages()[0].isEphemeral).toBe(false);
+        });
+
+        test('should cap the number of lines', async () => {
+            const interaction = await run({ tickers: 'A B C D E F G H I J' });
+
+            expect(stockService.fetched).toHaveLength(8);
+            expect(interaction.replyOptions.embeds[0].toJSON().footer.text).toContain('Showing 8 of 10 tickers');
+        });
+
+        test('should need two tickers with data', async () => {
+            const single = await run({ tickers: 'AAPL' });
+            expect(single.replyOptions.content).toBe('❌ Compare needs at least two tickers (e.g. AAPL,MSFT,QQQ)');
+            expect(stockService.fetched).toEqual([]);
+
+            const failed = await run({ tickers: 'AAPL NVDA' });
+            expect(failed.replyOptions.content).toBe('❌ Not enough data to compare (could not load: NVDA)');
+            expect(rendered).toEqual([]);
+            expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Stock Data Fixtures
+ * Builds data shaped like StockService.fetchStockData results
+ */
+
+// Three daily candles used when a test does not care about the prices
+const DEFAULT_CANDLES = {
+    dates: ['2024-01-01', '2024-01-02', '2024-01-03'],
+    opens: [100, 102, 101],
+    highs: [104, 105, 106],
+    lows: [98, 100, 100],
+    closes: [102, 101, 104]
+};
+
+/**
+ * Create stock data for a ticker
+ * @param {Object} options - Fields to set; any stock data field can be overridden
+ * @param {string} options.symbol - Ticker symbol (default: AAPL)
+ * @param {string} options.timeframe - Timeframe ID (default: 1M)
+ * @param {Array<number>} options.closes - Closing prices; opens, highs, lows and daily dates follow them unless given
+ * @returns {Object} Stock data with the current price and change taken from the last two closes
+ */
+function createStockData({ symbol = 'AAPL', timeframe = '1M', closes, ...overrides } = {}) {
+    const candles = closes ? {
+        dates: closes.map((_, i) => `2024-01-${String(i + 1).padStart(2, '0')}`),
+        opens: closes,
+        highs: closes,
+        lows: closes,
+        closes
+    } : DEFAULT_CANDLES;
+    const last = candles.closes[candles.closes.length - 1];
+    const previous = candles.closes.length > 1 ? candles.closes[candles.closes.length - 2] : last;
+
+    return {
+        symbol,
+        currentPrice: last.toFixed(2),
+        change: last - previous,
+        changePercent: (((last / previous) - 1) * 100).toFixed(2),
+        ...candles,
+        volumes: candles.closes.map(() => 1000),
+        timeframe,
+        ...overrides
+    };
+}
+
+module.exports = {
+    createStockData
+};
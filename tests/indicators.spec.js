@@ -0,0 +1,286 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChartService = require('../src/services/chartService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const UserPreferencesService = require('../src/services/userPreferencesService');
+const ChartDefaultsCommand = require('../src/commands/chartDefaultsCommand');
+const { sma, ema, bollingerBands, vwap, rsi, macd, normalizeIndicators } = require('../src/utils/indicators');
+const { MockUser, MockChannel, MockInteraction, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+const componentsOf = (rows) => rows.flatMap(row => row.toJSON().components);
+
+test.describe('Technical Indicators', () => {
+    test.describe('Calculations', () => {
+        test('should compute moving averages once their window is full', () => {
+            expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+            // Seeded with the SMA of the first window, then k = 2 / (period + 1) = 0.5
+            expect(ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+            expect(ema([2, 4, 6, 10], 3)).toEqual([null, null, 4, 7]);
+            expect(ema([null, null, 2, 4, 6, 10], 3)).toEqual([null, null, null, null, 4, 7]);
+            expect(sma([1, 2], 3)).toEqual([null, null]);
+        });
+
+        test('should compute Bollinger Bands from the population standard deviation', () => {
+            const bands = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+            // Mean 5, standard deviation 2
+            expect(bands.middle[7]).toBe(5);
+            expect(bands.upper[7]).toBe(9);
+            expect(bands.lower[7]).toBe(1);
+            expect(bands.upper[6]).toBeNull();
+        });
+
+        test('should restart VWAP every intraday session', () => {
+            const stockData = {
+                dates: ['2026-10-15 15:55', '2026-10-16 09:30', '2026-10-16 09:35'],
+                highs: [11, 21, 33],
+                lows: [9, 19, 27],
+                closes: [10, 20, 30],
+                volumes: [100, 100, 300]
+            };
+
+            expect(vwap(stockData)).toEqual([10, 20, 27.5]);
+            // Daily bars are anchored to the first bar
+            expect(vwap({ ...stockData, dates: ['2026-10-14', '2026-10-15', '2026-10-16'] })).toEqual([10, 15, 24]);
+        });
+
+        test('should compute RSI with Wilder smoothing', () => {
+            const closes = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28];
+            const result = rsi(closes, 14);
+
+            expect(result.slice(0, 14).every(value => value === null)).toBe(true);
+            expect(result[14]).toBeCloseTo(70.46, 1);
+            expect(rsi([1, 2, 3, 4], 3)[3]).toBe(100);
+            expect(rsi([5, 5, 5, 5], 3)[3]).toBe(50);
+        });
+
+        test('should compute MACD, its signal line and histogram', () => {
+            const closes = Array.from({ length: 40 }, (_, i) => 100 + i);
+            const result = macd(closes, 12, 26, 9);
+
+            // A steady trend converges to a constant gap between the EMAs
+            expect(result.macd[24]).toBeNull();
+            expect(result.macd[25]).toBeCloseTo(7, 5);
+            expect(result.signal[32]).toBeNull();
+            expect(result.signal[33]).toBeCloseTo(7, 5);
+            result.histogram.slice(33).forEach(value => expect(value).toBeCloseTo(0, 5));
+        });
+
+        test('should normalize indicator lists to known IDs in button order', () => {
+            expect(normalizeIndicators(['rsi', 'sma', 'rsi', 'adx'])).toEqual(['sma', 'rsi']);
+            expect(normalizeIndicators()).toEqual([]);
+        });
+    });
+
+    test.describe('Charts', () => {
+        const chartService = new ChartService(null);
+        const stockData = createStockData({ closes: Array.from({ length: 30 }, (_, i) => 100 + i) });
+
+        test('should draw overlays on the price axis', () => {
+            const layout = chartService.getIndicatorLayout(stockData, { indicators: ['sma', 'bb', 'vwap'], volume: false });
+
+            expect(layout.traces.map(trace => trace.name)).toEqual(['SMA 20', 'SMA 50', 'SMA 200', 'BB 20', 'BB lower', 'BB middle', 'VWAP']);
+            expect(layout.traces.every(trace => trace.yaxis === 'y' && trace.xaxis === 'x')).toBe(true);
+            expect(layout.priceDomain).toEqual([0, 1]);
+            expect(layout.xAnchor).toBe('y');
+        });
+
+        test('should stack RSI and MACD panels under the price on a shared x-axis', () => {
+            const renderOptions = { indicators: ['macd', 'rsi', 'ema'], volume: false };
+            const height = chartService.getChartHeight(stockData, renderOptions);
+            const layout = chartService.getIndicatorLayout(stockData, renderOptions, height);
+
+            expect(height).toBe(660);
+            expect(Object.keys(layout.axes)).toEqual(['yaxis3', 'yaxis4']);
+            expect(layout.axes.yaxis3.title.text).toBe('RSI');
+            expect(layout.axes.yaxis3.domain[0]).toBeGreaterThan(layout.axes.yaxis4.domain[1]);
+            expect(layout.priceDomain[0]).toBeGreaterThan(layout.axes.yaxis3.domain[1]);
+            expect(layout.xAnchor).toBe('y4');
+            expect(layout.traces.every(trace => trace.xaxis === 'x')).toBe(true);
+            expect(layout.shapes.map(shape => shape.y0)).toEqual([70, 30]);
+        });
+
+        test('should render indicators into the chart page at the taller size', () => {
+            const html = chartService.generateChartHTML(stockData, '#00ff88', '', { indicators: ['rsi'], volume: false });
+
+            expect(html).toContain('height: 530px');
+            expect(html).toContain('yaxis3: {"domain"');
+            expect(html).toContain("anchor: 'y3'");
+            expect(chartService.generateChartHTML(stockData, '#00ff88', '', { volume: false })).toContain('height: 400,');
+        });
+
+        test('should cache charts per indicator set', async () => {
+            const service = new ChartService(null);
+            const sizes = [];
+            service.renderChartImage = async (html, width, height) => {
+                sizes.push(height);
+                return Buffer.from('png');
+            };
+
+            const plain = { ...stockData, volumes: undefined };
+            await service.generateChart(plain);
+            await service.generateChart(plain, null, null, null, null, null, { indicators: ['rsi', 'sma'] });
+            await service.generateChart(plain, null, null, null, null, null, { indicators: ['sma', 'rsi'] });
+
+            expect(sizes).toEqual([400, 530]);
+            expect(service.getChartCacheKey('AAPL', '1M', null, { indicators: ['rsi', 'sma'] })).toMatch(/^chart_AAPL_sma\+rsi_\d{4}-\d{2}-\d{2}$/);
+            expect(service.getChartCacheKey('AAPL', '1M', null, { indicators: [] })).toMatch(/^chart_AAPL_\d{4}-\d{2}-\d{2}$/);
+        });
+    });
+
+    test.describe('Toggle Buttons', () => {
+        let tempDir;
+        let preferences;
+        let stockService;
+        let rendered;
+        let interactionHandler;
+        let channel;
+        let user;
+
+        const click = async (customId, message = undefined) => {
+            const interaction = new MockInteraction(user, customId, channel);
+            interaction.message = message;
+            interaction.isButton = () => true;
+            interaction.createdTimestamp = Date.now();
+            interaction.isRepliable = () => true;
+            interaction.isCommand = () => false;
+            interaction.deferUpdate = async () => {
+                interaction.updateDeferred = true;
+            };
+            interaction.editReply = async (options) => {
+                interaction.replyOptions = options;
+                return { id: 'chart_reply_1' };
+            };
+            interaction.followUp = async (options) => {
+                interaction.followUpOptions = options;
+            };
+
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicators-'));
+            preferences = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+            rendered = [];
+            stockService = new MockStockService();
+            const chartService = new ChartService(stockService);
+            chartService.generateChart = async (stockData, messageId, channelId, userId, threadId, username, renderOptions) => {
+                rendered.push(renderOptions.indicators);
+                return Buffer.from('png');
+            };
+            interactionHandler = new InteractionHandler(stockService, chartService, null, null, null, preferences);
+            channel = new MockChannel('channel_123', 'general');
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should add indicator toggles under the timeframe switcher', async () => {
+            const interaction = await click('stock_AAPL');
+            const rows = interaction.replyOptions.components;
+
+            expect(rows).toHaveLength(5);
+            expect(componentsOf(rows.slice(2, 4)).map(button => button.custom_id)).toEqual([
+                'ind_sma_AAPL', 'ind_ema_AAPL', 'ind_bb_AAPL', 'ind_vwap_AAPL', 'ind_rsi_AAPL', 'ind_macd_AAPL', 'log_AAPL', 'share_AAPL', 'quote_AAPL', 'watch_AAPL'
+            ]);
+            expect(rendered).toEqual([[]]);
+        });
+
+        test('should open charts with the user\'s default indicators', async () => {
+            preferences.setPreferences('user_1', { indicators: ['ema', 'macd'] });
+
+            const interaction = await click('stock_AAPL');
+            const enabled = componentsOf(interaction.replyOptions.components).filter(button => button.style === 3);
+
+            expect(rendered).toEqual([['ema', 'macd']]);
+            expect(enabled.map(button => button.label)).toEqual(['EMA', 'MACD']);
+        });
+
+        test('should toggle an indicator and keep the chart\'s timeframe', async () => {
+            const chart = await click('tf_3M_AAPL');
+            const message = { components: chart.replyOptions.components };
+
+            const withRsi = await click('ind_rsi_AAPL', message);
+            expect(stockService.fetched).toEqual([['AAPL', '3M'], ['AAPL', '3M']]);
+            expect(rendered[1]).toEqual(['rsi']);
+            expect(withRsi.updateDeferred).toBe(true);
+            expect(withRsi.replyOptions.attachments).toEqual([]);
+
+            const withSma = await click('ind_sma_AAPL', { components: withRsi.replyOptions.components });
+            expect(rendered[2]).toEqual(['sma', 'rsi']);
+
+            const withoutRsi = await click('ind_rsi_AAPL', { components: withSma.replyOptions.components });
+            expect(rendered[3]).toEqual(['sma']);
+            expect(interactionHandler.getChartState({ components: withoutRsi.replyOptions.components })).toEqual({ timeframeId: '3M', intervalId: null, indicators: ['sma'], chartType: 'candle', logScale: false });
+        });
+
+        test('should keep indicators when switching timeframe', async () => {
+            const chart = await click('ind_bb_AAPL');
+            await click('tf_1Y_AAPL', { components: chart.replyOptions.components });
+
+            expect(stockService.fetched).toEqual([['AAPL', '1M'], ['AAPL', '1Y']]);
+            expect(rendered).toEqual([['bb'], ['bb']]);
+        });
+
+        test('should ignore unknown indicators', async () => {
+            const interaction = await click('ind_adx_AAPL');
+
+            expect(stockService.fetched).toEqual([]);
+            expect(interaction.updateDeferred).toBeUndefined();
+        });
+    });
+
+    test.describe('Chart Defaults', () => {
+        let tempDir;
+        let preferences;
+        let command;
+
+        test.beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-defaults-'));
+            preferences = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+            command = new ChartDefaultsCommand(preferences);
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should turn indicators on and off, leaving the others unchanged', async () => {
+            const user = new MockUser('user_1', 'Trader');
+
+            await command.execute(new MockCommandInteraction(user, 'chartdefaults', { subcommand: 'indicators', rsi: true, sma: true }));
+            const interaction = new MockCommandInteraction(user, 'chartdefaults', { subcommand: 'indicators', sma: false, vwap: true });
+            await command.execute(interaction);
+
+            expect(preferences.getPreferences('user_1').indicators).toEqual(['vwap', 'rsi']);
+            expect(interaction.replyOptions.content).toContain('VWAP, RSI');
+            expect(interaction.replyOptions.ephemeral).toBe(true);
+        });
+
+        test('should require at least one indicator', async () => {
+            const interaction = new MockCommandInteraction(new MockUser('user_1', 'Trader'), 'chartdefaults', { subcommand: 'indicators' });
+            await expect(command.execute(interaction)).rejects.toThrow('Choose at least one indicator');
+        });
+
+        test('should persist preferences and reset them', async () => {
+            preferences.setPreferences('user_1', { indicators: ['macd'] });
+            const reloaded = new UserPreferencesService(null, path.join(tempDir, 'user-preferences.json'));
+            expect(reloaded.getPreferences('user_1').indicators).toEqual(['macd']);
+
+            expect(() => preferences.setPreferences('user_1', { indicators: ['adx'] })).toThrow('Invalid indicators');
+            expect(() => preferences.setPreferences('user_1', { theme: 'dark' })).toThrow('Invalid preference: theme');
+
+            const interaction = new MockCommandInteraction(new MockUser('user_1', 'Trader'), 'chartdefaults', { subcommand: 'reset' });
+            await command.execute(interaction);
+            expect(interaction.replyOptions.content).toContain('reset');
+            expect(preferences.getPreferences('user_1').indicators).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const { test, expect } = require('@playwright/test');
+const axios = require('axios');
+const yahooFinance = require('yahoo-finance2').default;
+const StockService = require('../src/services/stockService');
+const YahooFinanceService = require('../src/services/yahooFinanceService');
+const ChartService = require('../src/services/chartService');
+const { getTimeframe, resolveInterval } = require('../src/utils/timeframe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alpha Vantage TIME_SERIES_INTRADAY bar
+const bar = (open, close) => ({ '1. open': String(open), '2. high': String(Math.max(open, close) + 1), '3. low': String(Math.min(open, close) - 1), '4. close': String(close), '5. volume': '500' });
+
+const intradayStockData = (interval, dates) => ({
+    symbol: 'AAPL',
+    currentPrice: '101.00',
+    change: 1,
+    changePercent: '1.00',
+    dates,
+    opens: dates.map(() => 100),
+    highs: dates.map(() => 102),
+    lows: dates.map(() => 99),
+    closes: dates.map(() => 101),
+    timeframe: '1D',
+    interval
+});
+
+test.describe('Intraday Data', () => {
+    test.describe('Intervals', () => {
+        test('should let intraday timeframes change interval', () => {
+            expect(resolveInterval(getTimeframe('1D'))).toBe('5m');
+            expect(resolveInterval(getTimeframe('1D'), '1m')).toBe('1m');
+            expect(resolveInterval(getTimeframe('5D'), '1h')).toBe('1h');
+        });
+
+        test('should reject intervals for daily timeframes and unknown intervals', () => {
+            expect(() => resolveInterval(getTimeframe('3M'), '1h')).toThrow('Interval 1h not available for 3M');
+            expect(() => resolveInterval(getTimeframe('1D'), '2m')).toThrow('Interval 2m not available for 1D');
+        });
+    });
+
+    test.describe('Providers', () => {
+        const originals = {};
+
+        test.beforeEach(() => {
+            originals.get = axios.get;
+            originals.chart = yahooFinance.chart;
+            originals.quote = yahooFinance.quote;
+        });
+
+        test.afterEach(() => {
+            axios.get = originals.get;
+            yahooFinance.chart = originals.chart;
+            yahooFinance.quote = originals.quote;
+        });
+
+        test('should fetch the last session from Alpha Vantage intraday bars', async () => {
+            const urls = [];
+            axios.get = async (url) => {
+                urls.push(url);
+                return {
+                    data: {
+                        'Meta Data': { '2. Symbol': 'AAPL' },
+                        'Time Series (5min)': {
+                            '2026-10-16 09:40:00': bar(101, 102),
+                            '2026-10-16 09:35:00': bar(100, 101),
+                            '2026-10-15 15:55:00': bar(99, 100),
+                            '2026-10-15 15:50:00': bar(98, 99)
+                        }
+                    }
+                };
+            };
+            const stockService = new StockService();
+            stockService.apiKey = 'test';
+
+            const stockData = await stockService.fetchFromAlphaVantage('AAPL', getTimeframe('1D'));
+
+            expect(urls[0]).toContain('function=TIME_SERIES_INTRADAY');
+            expect(urls[0]).toContain('interval=5min');
+            expect(urls[0]).toContain('outputsize=compact');
+            expect(stockData.dates).toEqual(['2026-10-16 09:35', '2026-10-16 09:40']);
+            expect(stockData).toMatchObject({ interval: '5m', currentPrice: '102.00', change: '2.00', changePercent: '2.00' });
+        });
+
+        test('should request the full month for fine Alpha Vantage intervals', async () => {
+            const urls = [];
+            axios.get = async (url) => {
+                urls.push(url);
+                return { data: { 'Time Series (1min)': { '2026-10-16 09:31:00': bar(100, 101), '2026-10-16 09:30:00': bar(100, 100) } } };
+            };
+            const stockService = new StockService();
+            stockService.apiKey = 'test';
+
+            const stockData = await stockService.fetchFromAlphaVantage('AAPL', getTimeframe('1D'), '1m');
+
+            expect(urls[0]).toContain('interval=1min');
+            expect(urls[0]).toContain('outputsize=full');
+            // No previous session in the data: the change is measured from the session open
+            expect(stockData.change).toBe('1.00');
+        });
+
+        test('should ask Yahoo for the interval within its history limit', async () => {
+            const requests = [];
+            yahooFinance.chart = async (symbol, options) => {
+                requests.push(options);
+                return {
+                    meta: { gmtoffset: 0 },
+                    quotes: [
+                        { date: new Date('2026-10-16T09:30:00Z'), open: 100, high: 101, low: 99, close: 100, volume: 1 },
+                        { date: new Date('2026-10-16T09:31:00Z'), open: 100, high: 101, low: 99, close: 101, volume: 1 }
+                    ]
+                };
+            };
+            yahooFinance.quote = async () => ({ regularMarketPrice: 101, regularMarketPreviousClose: 100 });
+            const yahooService = new YahooFinanceService();
+
+            const stockData = await yahooService.fetchStockData('AAPL', 'AAPL', '5D', '1m');
+            await yahooService.fetchStockData('AAPL', 'AAPL', '5D', '1h');
+
+            expect(requests.map(options => options.interval)).toEqual(['1m', '1h']);
+            expect((Date.now() - requests[0].period1.getTime()) / DAY_MS).toBeCloseTo(7, 0);
+            expect((Date.now() - requests[1].period1.getTime()) / DAY_MS).toBeCloseTo(12, 0);
+            expect(stockData).toMatchObject({ timeframe: '5D', interval: '1m' });
+        });
+    });
+
+    test.describe('Stock Cache', () => {
+        test('should key intervals separately from the timeframe default', async () => {
+            const stockService = new StockService();
+            const fetched = [];
+            stockService.fetchFromAlphaVantage = async (ticker, timeframe, interval) => {
+                fetched.push(interval);
+                return intradayStockData(interval, ['2026-10-16 09:30', '2026-10-16 09:35']);
+            };
+
+            await stockService.fetchStockData('AAPL', '1D');
+            await stockService.fetchStockData('AAPL', '1D', '5m');
+            await stockService.fetchStockData('AAPL', '1D', '1m');
+
+            expect(fetched).toEqual(['5m', '1m']);
+            expect(stockService.getCacheKey('AAPL', '1D', '1m')).toMatch(/^AAPL_1D_1m_\d{4}-\d{2}-\d{2}$/);
+            await expect(stockService.fetchStockData('AAPL', '3M', '1m')).rejects.toThrow('Interval 1m not available for 3M');
+        });
+
+        test('should expire intraday data after a few minutes', async () => {
+            const stockService = new StockService();
+            let requests = 0;
+            stockService.fetchFromAlphaVantage = async (ticker, timeframe, interval) => {
+                requests++;
+                return intradayStockData(interval, ['2026-10-16 09:30', '2026-10-16 09:35']);
+            };
+
+            await stockService.fetchStockData('AAPL', '1D');
+            await stockService.fetchStockData('AAPL', '1D');
+            expect(requests).toBe(1);
+
+            stockService.stockCache.get(stockService.getCacheKey('AAPL', '1D')).expiresAt = Date.now() - 1;
+            await stockService.fetchStockData('AAPL', '1D');
+            expect(requests).toBe(2);
+
+            await stockService.fetchStockData('AAPL');
+            expect(stockService.stockCache.get(stockService.getCacheKey('AAPL')).expiresAt).toBeNull();
+        });
+    });
+
+    test.describe('Charts', () => {
+        const chartService = new ChartService(null);
+
+        test('should hide the time between sessions', () => {
+            const stockData = intradayStockData('30m', ['2026-10-15 15:00', '2026-10-15 15:30', '2026-10-16 09:30', '2026-10-16 10:00']);
+
+            expect(chartService.getSessionRangebreaks(stockData)).toEqual([
+                { bounds: ['2026-10-15 16:00', '2026-10-16 09:30'] }
+            ]);
+            expect(chartService.generateChartHTML(stockData, '#00ff88', '')).toContain('rangebreaks: [{"bounds":["2026-10-15 16:00","2026-10-16 09:30"]}]');
+        });
+
+        test('should leave daily charts without range breaks', () => {
+            const stockData = { ...intradayStockData('1d', ['2026-10-15', '2026-10-16']), timeframe: '1M' };
+            expect(chartService.getSessionRangebreaks(stockData)).toEqual([]);
+        });
+
+        test('should name the interval in titles and cache keys', () => {
+            expect(chartService.createStockEmbed(intradayStockData('1m', [])).toJSON().title).toBe('AAPL 1D (1m)');
+            expect(chartService.getIntervalKey(intradayStockData('1m', []))).toBe('1m');
+            expect(chartService.getIntervalKey(intradayStockData('5m', []))).toBeNull();
+            expect(chartService.getChartCacheKey('AAPL', '1D', '1m')).toMatch(/^chart_AAPL_1D_1m_\d{4}-\d{2}-\d{2}$/);
+        });
+
+        test('should expire intraday charts after a few minutes', async () => {
+            const service = new ChartService(null);
+            let renders = 0;
+            service.renderChartImage = async () => Buffer.from(`chart-${++renders}`);
+            const stockData = intradayStockData('5m', ['2026-10-16 09:30', '2026-10-16 09:35']);
+
+            await service.generateChart(stockData);
+            await service.generateChart(stockData);
+            expect(renders).toBe(1);
+
+            const cacheKey = service.getChartCacheKey('AAPL', '1D');
+            service.chartCache.get(cacheKey).expiresAt = Date.now() - 1;
+            expect(service.getFromCache(cacheKey)).toBeNull();
+
+            await service.generateChart(stockData);
+            expect(renders).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const MessageHandler = require('../src/handlers/messageHandler');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const ChartMessageCommand = require('../src/commands/chartMessageCommand');
+const { MockUser, MockChannel, MockMessage, MockInteraction, MockContextMenuInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+
+const GUILD_ID = 'guild_123';
+const COMMAND_NAME = 'Chart tickers in this message';
+
+const customIdsOf = (rows) => rows.flatMap(row => row.toJSON().components.map(component => component.custom_id));
+
+test.describe('Chart Tickers Message Command', () => {
+    let tempDir;
+    let guildSettings;
+    let tracking;
+    let stockService;
+    let messageHandler;
+    let interactionHandler;
+    let command;
+    let channel;
+    let user;
+
+    const runOn = async (content) => {
+        const message = new MockMessage('msg_target', channel, { content, author: new MockUser('user_2', 'Poster') });
+        message.guildId = GUILD_ID;
+        const interaction = new MockContextMenuInteraction(user, COMMAND_NAME, message);
+        await interactionHandler.handleInteraction(interaction);
+        return interaction;
+    };
+
+    test.beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-command-'));
+        guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+        tracking = new MessageTrackingService();
+        stockService = new MockStockService();
+        const chartService = new ChartService(stockService);
+        chartService.generateChart = async () => Buffer.from('png');
+
+        messageHandler = new MessageHandler(tracking, null, guildSettings);
+        interactionHandler = new InteractionHandler(stockService, chartService, tracking, null, null, null, guildSettings);
+        command = new ChartMessageCommand(messageHandler, interactionHandler);
+        interactionHandler.commandHandler = new CommandHandler([command]);
+        channel = new MockChannel('channel_quiet', 'quiet');
+        user = new MockUser('user_1', 'Trader');
+
+        // The command is meant for channels where the bot does not reply to messages
+        guildSettings.setChannelProfile(GUILD_ID, 'channel_quiet', { detectionEnabled: false });
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should be a message context-menu command', () => {
+        expect(command.data.toJSON()).toMatchObject({ name: COMMAND_NAME, type: 3 });
+    });
+
+    test('should chart a single ticker directly', async () => {
+        const interaction = await runOn('Thinking about $AAPL today');
+
+        expect(interaction.ephemeral).toBe(true);
+        expect(stockService.fetched).toEqual([['AAPL', '1M']]);
+        expect(interaction.replyOptions.files[0].name).toBe('chart.png');
+        expect(customIdsOf(interaction.replyOptions.components)).toContain('tf_3M_AAPL');
+        expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL', isEphemeral: true });
+        expect(channel.messages).toHaveLength(0);
+    });
+
+    test('should offer ticker buttons for several tickers', async () => {
+        const interaction = await runOn('$AAPL or $MSFT, maybe $NVDA');
+
+        expect(interaction.replyOptions.ephemeral).toBe(true);
+        expect(customIdsOf(interaction.replyOptions.components)).toEqual(['stock_AAPL', 'stock_MSFT', 'stock_NVDA', 'chart_all']);
+        expect(stockService.fetched).toEqual([]);
+        expect(channel.messages).toHaveLength(0);
+    });
+
+    test('should chart from the offered buttons like from button replies', async () => {
+        const offer = await runOn('$AAPL or $MSFT');
+
+        const click = new MockInteraction(user, 'stock_MSFT', channel);
+        click.message = { author: new MockUser('bot', 'TestBot', true), components: offer.replyOptions.components };
+        click.createdTimestamp = Date.now();
+        click.isRepliable = () => true;
+        click.isCommand = () => false;
+        click.editReply = async (options) => {
+            click.replyOptions = options;
+            return { id: 'chart_reply_1' };
+        };
+        await interactionHandler.handleInteraction(click);
+
+        expect(stockService.fetched).toEqual([['MSFT', '1M']]);
+        expect(click.ephemeral).toBe(true);
+        expect(click.replyOptions.files[0].name).toBe('chart.png');
+    });
+
+    test("should follow the channel's detection mode", async () => {
+        guildSettings.setChannelProfile(GUILD_ID, 'channel_quiet', { detectionMode: 'cashtag-only' });
+
+        const interaction = await runOn('AAPL is up, $TSLA is down');
+
+        expect(stockService.fetched).toEqual([['TSLA', '1M']]);
+        expect(interaction.ephemeral).toBe(true);
+    });
+
+    test('should say so when a message has no tickers', async () => {
+        const interaction = await runOn('Good morning everyone');
+
+        expect(interaction.replyOptions).toEqual({ content: '❌ No tickers found in this message', ephemeral: true });
+        expect(stockService.fetched).toEqual([]);
+    });
+});
@@ -0,0 +1,171 @@
+const { test, expect } = require('@playwright/test');
+const MessageHandler = require('../src/handlers/messageHandler');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const { MockUser } = require('./mocks/discord-mock');
+
+let nextId = 0;
+
+// Channel with a discord.js-style message manager
+class FakeChannel {
+    constructor(id) {
+        this.id = id;
+        this.store = new Map();
+        this.messages = {
+            fetch: async (messageId) => {
+                const message = this.store.get(messageId);
+                if (!message) {
+                    throw new Error('Unknown Message');
+                }
+                return message;
+            }
+        };
+    }
+}
+
+class FakeMessage {
+    constructor(channel, content, author) {
+        this.id = `message_${++nextId}`;
+        this.channel = channel;
+        this.content = content;
+        this.author = author;
+        this.components = [];
+        this.partial = false;
+        channel.store.set(this.id, this);
+    }
+
+    async reply(options) {
+        const reply = new FakeMessage(this.channel, '', new MockUser('bot_123', 'TestBot', true));
+        reply.components = options.components;
+        return reply;
+    }
+
+    async edit(options) {
+        this.components = options.components;
+        this.edited = true;
+        return this;
+    }
+
+    async delete() {
+        this.channel.store.delete(this.id);
+        this.deleted = true;
+    }
+}
+
+// Simulate an edit the way discord.js reports it: a snapshot of the old message and the updated one
+const editMessage = (message, content) => {
+    const oldMessage = { ...message, partial: false };
+    message.content = content;
+    return [oldMessage, message];
+};
+
+const buttonIds = (message) => message.components.flatMap(row => row.toJSON().components.map(button => button.custom_id));
+
+test.describe('Message Edits and Deletes', () => {
+    let channel;
+    let tracking;
+    let handler;
+    let user;
+
+    test.beforeEach(() => {
+        channel = new FakeChannel('channel_1');
+        tracking = new MessageTrackingService();
+        handler = new MessageHandler(tracking);
+        user = new MockUser('user_1', 'Trader');
+    });
+
+    const postMessage = async (content) => {
+        const message = new FakeMessage(channel, content, user);
+        await handler.handleMessage(message);
+        return message;
+    };
+
+    test('should map the source message to its button reply', async () => {
+        const message = await postMessage('AAPL and TSLA');
+
+        const tracked = tracking.getButtonMessageForSource(message.id);
+        expect(tracked.tickers).toEqual(['AAPL', 'TSLA']);
+        expect(tracked.sourceMessageId).toBe(message.id);
+    });
+
+    test('should edit the button reply when a typo is fixed', async () => {
+        const message = await postMessage('APPL to the moon');
+        const tracked = tracking.getButtonMessageForSource(message.id);
+
+        await handler.handleMessageUpdate(...editMessage(message, 'AAPL to the moon'));
+
+        const buttonMessage = channel.store.get(tracked.messageId);
+        expect(buttonMessage.edited).toBe(true);
+        expect(buttonIds(buttonMessage)).toEqual(['stock_AAPL']);
+        expect(tracking.getButtonMessageForSource(message.id).tickers).toEqual(['AAPL']);
+    });
+
+    test('should delete the button reply when an edit removes all tickers', async () => {
+        const message = await postMessage('Buying NVDA');
+        const { messageId } = tracking.getButtonMessageForSource(message.id);
+
+        await handler.handleMessageUpdate(...editMessage(message, 'never mind'));
+
+        expect(channel.store.has(messageId)).toBe(false);
+        expect(tracking.getButtonMessageForSource(message.id)).toBeNull();
+        expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+    });
+
+    test('should add buttons when an edit introduces tickers', async () => {
+        const message = await postMessage('what should I buy?');
+        expect(tracking.getButtonMessageForSource(message.id)).toBeNull();
+
+        await handler.handleMessageUpdate(...editMessage(message, 'what should I buy? AMD'));
+
+        const tracked = tracking.getButtonMessageForSource(message.id);
+        expect(buttonIds(channel.store.get(tracked.messageId))).toEqual(['stock_AMD']);
+    });
+
+    test('should ignore updates that do not change the content', async () => {
+        const message = await postMessage('MSFT earnings');
+        const { messageId } = tracking.getButtonMessageForSource(message.id);
+
+        // Link previews and embeds trigger updates with the same content
+        await handler.handleMessageUpdate({ ...message, partial: false }, message);
+
+        expect(channel.store.get(messageId).edited).toBeUndefined();
+    });
+
+    test('should fetch partial messages before re-detecting', async () => {
+        const message = await postMessage('GOOG');
+        const { messageId } = tracking.getButtonMessageForSource(message.id);
+        message.content = 'GOOGL';
+
+        const partial = { id: message.id, partial: true, fetch: async () => message };
+        await handler.handleMessageUpdate({ id: message.id, partial: true }, partial);
+
+        expect(buttonIds(channel.store.get(messageId))).toEqual(['stock_GOOGL']);
+    });
+
+    test('should delete the button reply when the source message is deleted', async () => {
+        const message = await postMessage('AMZN breakout');
+        const { messageId } = tracking.getButtonMessageForSource(message.id);
+
+        await handler.handleMessageDelete({ id: message.id, channel, partial: true });
+
+        expect(channel.store.has(messageId)).toBe(false);
+        expect(tracking.getButtonMessageForSource(message.id)).toBeNull();
+    });
+
+    test('should untrack the reply even if it was already removed', async () => {
+        const message = await postMessage('META');
+        const { messageId } = tracking.getButtonMessageForSource(message.id);
+        channel.store.delete(messageId);
+
+        await handler.handleMessageDelete({ id: message.id, channel });
+
+        expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+    });
+
+    test('should ignore deletes of messages without buttons', async () => {
+        await postMessage('AAPL');
+
+        await handler.handleMessageDelete({ id: 'unrelated', channel });
+
+        expect(tracking.getAllTrackedMessages()).toHaveLength(1);
+    });
+});
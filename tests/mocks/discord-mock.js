@@ -151,6 +151,91 @@ class MockInteraction {
     }
 }
 
+class MockCommandInteraction {
+    constructor(user, commandName, options = {}, guildId = 'guild_123') {
+        this.user = user;
+        this.commandName = commandName;
+        this.guildId = guildId;
+        this.channel = new MockChannel('channel_123', 'test-channel');
+        this.channelId = this.channel.id;
+        this.deferred = false;
+        this.replied = false;
+        this.id = 'command_' + Date.now();
+        this.options = {
+            getSubcommand: () => options.subcommand || null,
+            getString: name => options[name] ?? null,
+            getBoolean: name => options[name] ?? null,
+            getChannel: name => options[name] ?? null,
+            getFocused: () => options.focused ?? ''
+        };
+    }
+
+    isChatInputCommand() {
+        return true;
+    }
+
+    isAutocomplete() {
+        return false;
+    }
+
+    isButton() {
+        return false;
+    }
+
+    async deferReply(options = {}) {
+        this.deferred = true;
+        this.ephemeral = options.ephemeral || false;
+        return Promise.resolve();
+    }
+
+    async reply(options) {
+        this.replied = true;
+        this.replyOptions = options;
+        return Promise.resolve();
+    }
+
+    async editReply(options) {
+        if (!this.deferred && !this.replied) {
+            throw new Error('Cannot edit reply before deferring or replying');
+        }
+        this.replyOptions = { ...this.replyOptions, ...options };
+        return Promise.resolve({ id: 'reply_' + this.id });
+    }
+}
+
+class MockAutocompleteInteraction extends MockCommandInteraction {
+    isChatInputCommand() {
+        return false;
+    }
+
+    isAutocomplete() {
+        return true;
+    }
+
+    async respond(choices) {
+        this.choices = choices;
+        return Promise.resolve();
+    }
+}
+
+class MockContextMenuInteraction extends MockCommandInteraction {
+    constructor(user, commandName, targetMessage, guildId = 'guild_123') {
+        super(user, commandName, {}, guildId);
+        this.targetMessage = targetMessage;
+        this.targetId = targetMessage.id;
+        this.channel = targetMessage.channel;
+        this.channelId = this.channel.id;
+    }
+
+    isChatInputCommand() {
+        return false;
+    }
+
+    isMessageContextMenuCommand() {
+        return true;
+    }
+}
+
 class MockClient {
     constructor() {
         this.user = new MockUser('bot_123', 'TestBot', true);
@@ -246,6 +331,9 @@ module.exports = {
     MockChannel,
     MockMessage,
     MockInteraction,
+    MockCommandInteraction,
+    MockAutocompleteInteraction,
+    MockContextMenuInteraction,
     MockClient,
     mockStockData,
     mockChartBuffer
@@ -0,0 +1,104 @@
+/**
+ * Service Mocks for Testing
+ * Stand-ins for the environment, stock data and chart services used by handlers and commands
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const Environment = require('../../src/config/environment');
+const { createStockData } = require('../fixtures/stock-data');
+
+const REQUIRED_VARIABLES = ['DISCORD_BOT_TOKEN', 'ALPHA_VANTAGE_API_KEY'];
+
+/**
+ * Create the real Environment without real credentials. Its constructor exits the
+ * process when a required variable is missing, so placeholders are set while it runs.
+ * The getters read process.env on each call, so tests still change settings through it.
+ */
+function createEnvironment() {
+    const previous = REQUIRED_VARIABLES.map(name => [name, process.env[name]]);
+
+    try {
+        REQUIRED_VARIABLES.forEach(name => {
+            process.env[name] = process.env[name] || 'test';
+        });
+        return new Environment();
+    } finally {
+        previous.forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    }
+}
+
+// Environment with only the settings a test gives it
+class MockEnvironment {
+    constructor(settings = {}) {
+        this.settings = settings;
+    }
+
+    getCompanyNamesPath() {
+        return this.settings.companyNamesPath || null;
+    }
+
+    getSymbolDirectoryPath() {
+        return this.settings.symbolDirectoryPath || null;
+    }
+
+    getSymbolDirectoryRefreshMs() {
+        return this.settings.symbolDirectoryRefreshMs || 60 * 60 * 1000;
+    }
+}
+
+// Stock service that records its fetches and serves fixture data
+class MockStockService {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.failing - Tickers that fail to load
+     * @param {Function} options.createData - Builds the data for (ticker, timeframeId, intervalId); may throw
+     */
+    constructor({ failing = [], createData = (ticker, timeframeId) => createStockData({ symbol: ticker, timeframe: timeframeId }) } = {}) {
+        this.failing = failing;
+        this.createData = createData;
+        this.fetched = [];
+    }
+
+    async fetchStockData(ticker, timeframeId, intervalId = null) {
+        this.fetched.push([ticker, timeframeId]);
+        if (this.failing.includes(ticker)) {
+            throw new Error('No data');
+        }
+        return this.createData(ticker, timeframeId, intervalId);
+    }
+
+    /**
+     * Tickers fetched so far, in order
+     */
+    getFetchedTickers() {
+        return this.fetched.map(([ticker]) => ticker);
+    }
+}
+
+// Chart service that skips rendering
+class MockChartService {
+    async generateChart() {
+        return Buffer.from('png');
+    }
+
+    createStockEmbed(stockData) {
+        return new EmbedBuilder().setTitle(stockData.symbol).setImage('attachment://chart.png');
+    }
+
+    getChartCacheKey(symbol) {
+        return `chart_${symbol}`;
+    }
+}
+
+module.exports = {
+    createEnvironment,
+    MockEnvironment,
+    MockStockService,
+    MockChartService
+};
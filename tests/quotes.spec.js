@@ -0,0 +1,334 @@
+const { test, expect } = require('@playwright/test');
+const axios = require('axios');
+const yahooFinance = require('yahoo-finance2').default;
+const StockService = require('../src/services/stockService');
+const YahooFinanceService = require('../src/services/yahooFinanceService');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const QuoteCommand = require('../src/commands/quoteCommand');
+const CompanyNameService = require('../src/services/companyNameService');
+const { formatVolume, formatMarketCap } = require('../src/utils/number-format');
+const { MockUser, MockChannel, MockInteraction, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockEnvironment } = require('./mocks/services');
+
+const YAHOO_QUOTE = {
+    shortName: 'Apple Inc.',
+    currency: 'USD',
+    regularMarketPrice: 189.84,
+    regularMarketChange: 1.23,
+    regularMarketChangePercent: 0.652,
+    regularMarketPreviousClose: 188.61,
+    regularMarketOpen: 188.9,
+    regularMarketDayLow: 187.5,
+    regularMarketDayHigh: 190.1,
+    regularMarketVolume: 52300000,
+    averageDailyVolume3Month: 58000000,
+    fiftyTwoWeekLow: 164.08,
+    fiftyTwoWeekHigh: 199.62,
+    marketCap: 2950000000000
+};
+
+const createQuote = (symbol, overrides = {}) => ({
+    symbol,
+    name: null,
+    currency: 'USD',
+    price: 100,
+    change: 1,
+    changePercent: 1.01,
+    previousClose: 99,
+    open: 99.5,
+    dayLow: 98,
+    dayHigh: 101,
+    volume: 1000000,
+    averageVolume: null,
+    fiftyTwoWeekLow: 80,
+    fiftyTwoWeekHigh: 120,
+    marketCap: null,
+    source: 'yahoo',
+    ...overrides
+});
+
+const fieldsOf = (embed) => embed.toJSON().fields || [];
+
+test.describe('Quotes', () => {
+    test.describe('Providers', () => {
+        const originals = {};
+
+        test.beforeEach(() => {
+            originals.get = axios.get;
+            originals.quote = yahooFinance.quote;
+        });
+
+        test.afterEach(() => {
+            axios.get = originals.get;
+            yahooFinance.quote = originals.quote;
+        });
+
+        test('should normalize Yahoo Finance quotes', async () => {
+            yahooFinance.quote = async () => YAHOO_QUOTE;
+
+            const quote = await new YahooFinanceService().fetchQuote('AAPL');
+
+            expect(quote).toEqual({
+                symbol: 'AAPL',
+                name: 'Apple Inc.',
+                currency: 'USD',
+                price: 189.84,
+                change: 1.23,
+                changePercent: 0.652,
+                previousClose: 188.61,
+                open: 188.9,
+                dayLow: 187.5,
+                dayHigh: 190.1,
+                volume: 52300000,
+                averageVolume: 58000000,
+                fiftyTwoWeekLow: 164.08,
+                fiftyTwoWeekHigh: 199.62,
+                marketCap: 2950000000000,
+                source: 'yahoo'
+            });
+        });
+
+        test('should derive the change from the previous close and leave missing fields empty', () => {
+            const quote = new YahooFinanceService().transformYahooQuote('crypto:BTC-USD', { regularMarketPrice: 110, regularMarketPreviousClose: 100 });
+
+            expect(quote).toMatchObject({ change: 10, changePercent: 10, marketCap: null, fiftyTwoWeekLow: null, name: null });
+        });
+
+        test('should ask Yahoo first and describe indices by their friendly name', async () => {
+            const symbols = [];
+            yahooFinance.quote = async (symbol) => {
+                symbols.push(symbol);
+                return { ...YAHOO_QUOTE, shortName: 'S&P 500' };
+            };
+            const stockService = new StockService();
+
+            const quote = await stockService.fetchQuote('^GSPC');
+            await stockService.fetchQuote('crypto:ETH-USD');
+
+            expect(symbols).toEqual(['^GSPC', 'ETH-USD']);
+            expect(quote).toMatchObject({ symbol: '^GSPC', displayName: 'SPX', description: 'S&P 500', assetType: 'index' });
+        });
+
+        test('should reuse quotes for a minute', async () => {
+            let calls = 0;
+            yahooFinance.quote = async () => {
+                calls++;
+                return YAHOO_QUOTE;
+            };
+            const stockService = new StockService();
+
+            await stockService.fetchQuote('AAPL');
+            await stockService.fetchQuote('AAPL');
+            expect(calls).toBe(1);
+
+            stockService.stockCache.get('quote_AAPL').expiresAt = Date.now() - 1;
+            await stockService.fetchQuote('AAPL');
+            expect(calls).toBe(2);
+        });
+
+        test('should fall back to the Alpha Vantage global quote for equities', async () => {
+            const urls = [];
+            yahooFinance.quote = async () => {
+                throw new Error('Service unavailable');
+            };
+            axios.get = async (url) => {
+                urls.push(url);
+                return {
+                    data: {
+                        'Global Quote': {
+                            '01. symbol': 'BRK-B',
+                            '02. open': '410.00',
+                            '03. high': '415.50',
+                            '04. low': '409.00',
+                            '05. price': '414.00',
+                            '06. volume': '3500000',
+                            '08. previous close': '408.00',
+                            '09. change': '6.0000',
+                            '10. change percent': '1.4706%'
+                        }
+                    }
+                };
+            };
+            const stockService = new StockService();
+            stockService.apiKey = 'test';
+
+            const quote = await stockService.fetchQuote('BRK.B');
+
+            expect(urls[0]).toContain('function=GLOBAL_QUOTE');
+            expect(quote).toMatchObject({ symbol: 'BRK.B', price: 414, change: 6, changePercent: 1.4706, dayHigh: 415.5, volume: 3500000, marketCap: null, source: 'alphavantage' });
+            await expect(stockService.fetchQuote('crypto:BTC-USD')).rejects.toThrow('Instrument not supported by Alpha Vantage');
+        });
+
+        test('should collect quotes and failures for several tickers', async () => {
+            const stockService = new StockService();
+            stockService.fetchQuote = async (ticker) => {
+                if (ticker === 'ZZZZ') throw new Error('Stock not found');
+                return createQuote(ticker);
+            };
+
+            const { quotes, failed } = await stockService.fetchQuotes(['AAPL', 'ZZZZ', 'MSFT']);
+
+            expect(quotes.map(quote => quote.symbol)).toEqual(['AAPL', 'MSFT']);
+            expect(failed).toEqual(['ZZZZ']);
+        });
+    });
+
+    test.describe('Embeds', () => {
+        const chartService = new ChartService(null);
+
+        test('should format market caps in trillions', () => {
+            expect(formatVolume(2950000000000)).toBe('2.95T');
+            expect(formatMarketCap(850000000)).toBe('$850M');
+        });
+
+        test('should show one quote with its full details', () => {
+            const embed = chartService.createQuoteEmbed([new YahooFinanceService().transformYahooQuote('AAPL', YAHOO_QUOTE)]).toJSON();
+
+            expect(embed.title).toBe('💲 AAPL · Apple Inc.');
+            expect(embed.color).toBe(0x00ff88);
+            expect(embed.fields).toEqual([{
+                name: 'Quote',
+                value: '**$189.84** +1.23 (+0.65%)\nDay $187.50 – $190.10 · Vol 52.3M\n52W $164.08 – $199.62 · Cap $2.95T'
+            }]);
+        });
+
+        test('should list several quotes with a field per symbol and leave out missing data', () => {
+            const embed = chartService.createQuoteEmbed([
+                createQuote('AAPL'),
+                createQuote('crypto:BTC-USD', { price: 0.5, change: -0.01, changePercent: -1.96, dayLow: null, volume: null, fiftyTwoWeekLow: null }),
+                createQuote('^GSPC', { displayName: 'SPX', description: 'S&P 500', change: null })
+            ], ['Could not load: ZZZZ']).toJSON();
+
+            expect(embed.title).toBe('💲 3 Quotes');
+            expect(embed.fields.map(field => field.name)).toEqual(['AAPL', 'BTC-USD', 'SPX (S&P 500)']);
+            expect(embed.fields[1].value).toBe('**$0.5000** -0.0100 (-1.96%)');
+            expect(embed.fields[2].value.split('\n')[0]).toBe('**$100.00**');
+            expect(embed.footer.text).toBe('Could not load: ZZZZ');
+        });
+    });
+
+    test.describe('/quote Command', () => {
+        let tracking;
+        let requested;
+        let commandHandler;
+        let command;
+        let user;
+
+        const run = async (options) => {
+            const interaction = new MockCommandInteraction(user, 'quote', options);
+            await commandHandler.handleCommand(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tracking = new MessageTrackingService();
+            requested = [];
+            const stockService = {
+                fetchQuotes: async (tickers) => {
+                    requested.push(tickers);
+                    return {
+                        quotes: tickers.filter(ticker => ticker !== 'NVDA').map(ticker => createQuote(ticker)),
+                        failed: tickers.filter(ticker => ticker === 'NVDA')
+                    };
+                }
+            };
+            command = new QuoteCommand(stockService, new ChartService(null), null, tracking);
+            commandHandler = new CommandHandler([command]);
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should resolve each word to one ticker', () => {
+            expect(command.parseTickers('aapl, $msft btc-usd spx AAPL')).toEqual({
+                tickers: ['AAPL', 'MSFT', 'crypto:BTC-USD', '^GSPC'],
+                unknown: []
+            });
+            expect(command.parseTickers('aapl 123 !!').unknown).toEqual(['123', '!!']);
+        });
+
+        test('should resolve company names', () => {
+            const withNames = new QuoteCommand(null, new ChartService(null), null, tracking, new CompanyNameService(new MockEnvironment()));
+
+            expect(withNames.parseTickers('apple, Nvidia msft').tickers).toEqual(['AAPL', 'NVDA', 'MSFT']);
+            expect(command.parseTickers('apple').tickers).toEqual(['APPLE']);
+        });
+
+        test('should answer with one embed for several tickers', async () => {
+            const interaction = await run({ tickers: 'AAPL MSFT NVDA 42' });
+            const embed = interaction.replyOptions.embeds[0].toJSON();
+
+            expect(requested).toEqual([['AAPL', 'MSFT', 'NVDA']]);
+            expect(interaction.ephemeral).toBe(true);
+            expect(embed.fields.map(field => field.name)).toEqual(['AAPL', 'MSFT']);
+            expect(embed.footer.text).toBe('Could not load: NVDA • Not tickers: 42');
+            expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL,MSFT', isEphemeral: true });
+        });
+
+        test('should cap the number of tickers and post publicly on request', async () => {
+            const tickers = 'A B C D E F G H I J K L';
+            const interaction = await run({ tickers, public: true });
+
+            expect(requested[0]).toHaveLength(10);
+            expect(interaction.ephemeral).toBe(false);
+            expect(interaction.replyOptions.embeds[0].toJSON().footer.text).toBe('Showing 10 of 12 tickers');
+            expect(tracking.getAllTrackedMessages()[0].isEphemeral).toBe(false);
+        });
+
+        test('should report when nothing can be quoted', async () => {
+            const unknown = await run({ tickers: '!!' });
+            expect(unknown.replyOptions.content).toBe('❌ Unknown ticker: !!');
+
+            const failed = await run({ tickers: 'NVDA' });
+            expect(failed.replyOptions.content).toBe('❌ Could not load quotes for NVDA');
+            expect(requested).toEqual([['NVDA']]);
+        });
+    });
+
+    test.describe('Quote Button', () => {
+        let fetched;
+        let interactionHandler;
+
+        const click = async (customId) => {
+            const interaction = new MockInteraction(new MockUser('user_1', 'Trader'), customId, new MockChannel('channel_123', 'general'));
+            interaction.isButton = () => true;
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            fetched = [];
+            const stockService = {
+                fetchQuote: async (ticker) => {
+                    fetched.push(ticker);
+                    if (ticker === 'MSFT') throw new Error('Stock not found');
+                    return createQuote(ticker);
+                }
+            };
+            interactionHandler = new InteractionHandler(stockService, new ChartService(stockService));
+        });
+
+        test('should sit next to the Share button under charts', () => {
+            const rows = interactionHandler.createChartComponents('AAPL', '1M');
+            const buttons = rows[3].toJSON().components;
+
+            expect(buttons.map(button => button.custom_id)).toEqual(['ind_macd_AAPL', 'log_AAPL', 'share_AAPL', 'quote_AAPL', 'watch_AAPL']);
+            expect(buttons[3].label).toBe('💲 Quote');
+        });
+
+        test('should answer with an ephemeral quote', async () => {
+            const interaction = await click('quote_crypto:BTC-USD');
+
+            expect(fetched).toEqual(['crypto:BTC-USD']);
+            expect(interaction.ephemeral).toBe(true);
+            expect(fieldsOf(interaction.replyOptions.embeds[0])[0].value).toContain('**$100.00**');
+        });
+
+        test('should report failed quotes', async () => {
+            const interaction = await click('quote_MSFT');
+
+            expect(interaction.replyOptions.embeds[0].toJSON().title).toBe('❌ Error: MSFT Quote');
+        });
+    });
+});
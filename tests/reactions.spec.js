@@ -0,0 +1,178 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReactionHandler = require('../src/handlers/reactionHandler');
+const MessageHandler = require('../src/handlers/messageHandler');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const { MockUser, MockChannel, MockMessage } = require('./mocks/discord-mock');
+const { createEnvironment, MockStockService, MockChartService } = require('./mocks/services');
+
+// User that records the DMs it receives
+class DMUser extends MockUser {
+    constructor(id, username) {
+        super(id, username);
+        this.dms = [];
+    }
+
+    async send(options) {
+        if (this.closedDMs) {
+            const error = new Error('Cannot send messages to this user');
+            error.code = 50007;
+            throw error;
+        }
+        this.dms.push(options);
+        return { id: `dm_${this.dms.length}`, channelId: `dm_channel_${this.id}` };
+    }
+}
+
+const reactionOn = (message, name = '📊', id = null) => ({ emoji: { name, id }, partial: false, message });
+
+test.describe('Reaction Charts', () => {
+    let tempDir;
+    let guildSettings;
+    let tracking;
+    let botClient;
+    let reactionHandler;
+    let channel;
+    let user;
+    let nextId;
+
+    const createMessage = (content, author = new MockUser('author_1', 'Poster')) => {
+        const message = new MockMessage(`msg_${++nextId}`, channel, { content, author });
+        message.guildId = 'guild_123';
+        message.url = `https://discord.com/channels/guild_123/${channel.id}/${message.id}`;
+        return message;
+    };
+
+    test.beforeEach(() => {
+        nextId = 0;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reactions-'));
+        guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+        tracking = new MessageTrackingService();
+        botClient = { user: new MockUser('bot_123', 'TestBot', true) };
+        const messageHandler = new MessageHandler(tracking, botClient, guildSettings, null, null, null, new MockStockService({ failing: ['FAIL'] }), new MockChartService());
+        reactionHandler = new ReactionHandler(messageHandler, tracking, botClient);
+        channel = new MockChannel('channel_123', 'general');
+        user = new DMUser('user_1', 'Trader');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should DM the charts of the reacted message', async () => {
+        const message = createMessage('Watching AAPL and $TSLA');
+
+        await reactionHandler.handleReactionAdd(reactionOn(message), user);
+
+        expect(user.dms).toHaveLength(1);
+        expect(user.dms[0].content).toBe(`📊 Charts from ${message.url}`);
+        expect(user.dms[0].embeds.map(embed => embed.data.title)).toEqual(['AAPL', 'TSLA']);
+        expect(user.dms[0].files.map(file => file.name)).toEqual(['chart-0.png', 'chart-1.png']);
+
+        const [tracked] = tracking.getAllTrackedMessages();
+        expect(tracked).toMatchObject({ messageId: 'dm_1', channelId: 'dm_channel_user_1', ticker: 'AAPL,TSLA' });
+        expect(tracked.cacheKeys).toEqual(['chart_AAPL', 'chart_TSLA']);
+    });
+
+    test('should ignore other emoji, bots and messages without tickers', async () => {
+        const message = createMessage('Watching AAPL');
+
+        await reactionHandler.handleReactionAdd(reactionOn(message, '🚀'), user);
+        await reactionHandler.handleReactionAdd(reactionOn(message), new MockUser('bot_2', 'OtherBot', true));
+        await reactionHandler.handleReactionAdd(reactionOn(createMessage('good morning')), user);
+
+        expect(user.dms).toHaveLength(0);
+    });
+
+    test('should ignore reactions on the bot\'s own messages', async () => {
+        const message = createMessage('AAPL', botClient.user);
+
+        await reactionHandler.handleReactionAdd(reactionOn(message), user);
+
+        expect(user.dms).toHaveLength(0);
+    });
+
+    test('should ignore repeated reactions on the same message', async () => {
+        const message = createMessage('AAPL');
+
+        await reactionHandler.handleReactionAdd(reactionOn(message), user);
+        await reactionHandler.handleReactionAdd(reactionOn(message), user);
+        await reactionHandler.handleReactionAdd(reactionOn(createMessage('MSFT')), user);
+
+        expect(user.dms).toHaveLength(2);
+    });
+
+    test('should work where detection is off but keep the channel strictness', async () => {
+        guildSettings.setChannelProfile('guild_123', 'channel_123', { detectionEnabled: false, detectionMode: 'cashtag-only' });
+
+        await reactionHandler.handleReactionAdd(reactionOn(createMessage('AAPL and $NVDA')), user);
+
+        expect(user.dms[0].embeds.map(embed => embed.data.title)).toEqual(['NVDA']);
+    });
+
+    test('should cap the charts per DM and skip failed tickers', async () => {
+        await reactionHandler.handleReactionAdd(reactionOn(createMessage('$FAIL AAPL MSFT NVDA TSLA AMD META')), user);
+
+        expect(user.dms[0].embeds.map(embed => embed.data.title)).toEqual(['AAPL', 'MSFT', 'NVDA', 'TSLA']);
+        expect(user.dms[0].content).toContain('Showing 5 of 7 tickers.');
+    });
+
+    test('should fetch partial reactions and messages', async () => {
+        const message = createMessage('AAPL');
+        const partialMessage = { id: message.id, partial: true, fetch: async () => message };
+        const reaction = { emoji: { name: '📊', id: null }, partial: true, fetch: async () => reactionOn(partialMessage) };
+
+        await reactionHandler.handleReactionAdd(reaction, user);
+
+        expect(user.dms).toHaveLength(1);
+    });
+
+    test('should survive users with closed DMs', async () => {
+        user.closedDMs = true;
+
+        await reactionHandler.handleReactionAdd(reactionOn(createMessage('AAPL')), user);
+
+        expect(tracking.getAllTrackedMessages()).toHaveLength(0);
+    });
+
+    test.describe('Configuration', () => {
+        let previous;
+
+        test.beforeEach(() => {
+            previous = process.env.CHART_REACTION_EMOJI;
+        });
+
+        test.afterEach(() => {
+            if (previous === undefined) {
+                delete process.env.CHART_REACTION_EMOJI;
+            } else {
+                process.env.CHART_REACTION_EMOJI = previous;
+            }
+        });
+
+        test('should default to 📊 and allow turning reactions off', () => {
+            delete process.env.CHART_REACTION_EMOJI;
+            expect(createEnvironment().getChartReactionEmoji()).toBe('📊');
+
+            process.env.CHART_REACTION_EMOJI = 'off';
+            expect(createEnvironment().getChartReactionEmoji()).toBeNull();
+        });
+
+        test('should match custom emoji by name or ID', async () => {
+            process.env.CHART_REACTION_EMOJI = 'chart_up';
+            const handler = new ReactionHandler(null, null, null, createEnvironment());
+
+            expect(handler.isChartReaction({ emoji: { name: 'chart_up', id: '1234' } })).toBe(true);
+            expect(handler.isChartReaction({ emoji: { name: '📊', id: null } })).toBe(false);
+
+            process.env.CHART_REACTION_EMOJI = '1234';
+            expect(handler.isChartReaction({ emoji: { name: 'renamed', id: '1234' } })).toBe(true);
+
+            process.env.CHART_REACTION_EMOJI = 'off';
+            expect(handler.isChartReaction({ emoji: { name: '📊', id: null } })).toBe(false);
+        });
+    });
+});
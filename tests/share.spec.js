@@ -0,0 +1,110 @@
+const { test, expect } = require('@playwright/test');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const { MockUser, MockChannel, MockInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+
+const componentsOf = (rows) => rows.flatMap(row => row.toJSON().components);
+
+test.describe('Share Button', () => {
+    let tracking;
+    let rendered;
+    let interactionHandler;
+    let channel;
+    let user;
+
+    const click = async (customId, message = undefined) => {
+        const interaction = new MockInteraction(user, customId, channel);
+        interaction.message = message;
+        interaction.isButton = () => true;
+        interaction.createdTimestamp = Date.now();
+        interaction.isRepliable = () => true;
+        interaction.isCommand = () => false;
+        interaction.deferUpdate = async () => {
+            interaction.updateDeferred = true;
+        };
+        interaction.editReply = async (options) => {
+            interaction.replyOptions = options;
+            return { id: 'chart_reply_1' };
+        };
+        interaction.followUp = async (options) => {
+            interaction.followUpOptions = options;
+        };
+
+        await interactionHandler.handleInteraction(interaction);
+        return interaction;
+    };
+
+    test.beforeEach(() => {
+        tracking = new MessageTrackingService();
+        rendered = [];
+        const stockService = new MockStockService();
+        const chartService = new ChartService(stockService);
+        chartService.generateChart = async (stockData, messageId, channelId, userId, threadId, username, renderOptions) => {
+            rendered.push({ timeframe: stockData.timeframe, chartType: renderOptions.chartType, indicators: renderOptions.indicators });
+            return Buffer.from('png');
+        };
+        interactionHandler = new InteractionHandler(stockService, chartService, tracking);
+        channel = new MockChannel('channel_123', 'general');
+        user = new MockUser('user_1', 'Trader');
+    });
+
+    test('should put a Share button under ephemeral charts', async () => {
+        const chart = await click('stock_AAPL');
+        const share = componentsOf(chart.replyOptions.components).find(button => button.custom_id === 'share_AAPL');
+
+        expect(share.label).toBe('📤 Share');
+        expect(channel.messages).toHaveLength(0);
+    });
+
+    test('should post the chart as shown publicly, attributed to the user', async () => {
+        const chart = await click('tf_3M_AAPL');
+        const styled = await click('type_line_AAPL', { components: chart.replyOptions.components });
+        const withRsi = await click('ind_rsi_AAPL', { components: styled.replyOptions.components });
+
+        const share = await click('share_AAPL', { components: withRsi.replyOptions.components });
+
+        expect(share.updateDeferred).toBe(true);
+        expect(channel.messages).toHaveLength(1);
+        const [posted] = channel.messages;
+        expect(posted.content).toBe('📤 Shared by <@user_1>');
+        expect(posted.embeds[0].toJSON().title).toContain('AAPL');
+        expect(posted.files[0].name).toBe('chart.png');
+        // Buttons would edit the public message for everyone, so it has none
+        expect(posted.components).toEqual([]);
+        expect(rendered[rendered.length - 1]).toEqual({ timeframe: '3M', chartType: 'line', indicators: ['rsi'] });
+    });
+
+    test('should track the public post as a regular message for retention', async () => {
+        const chart = await click('stock_AAPL');
+        await click('share_AAPL', { components: chart.replyOptions.components });
+
+        const shared = tracking.getAllTrackedMessages().find(message => message.messageId === channel.messages[0].id);
+        expect(shared).toMatchObject({ channelId: 'channel_123', userId: 'user_1', ticker: 'AAPL', isEphemeral: false, threadId: null });
+        expect(shared.cacheKeys).toHaveLength(1);
+        expect(shared.cacheKeys[0]).toMatch(/^chart_AAPL_/);
+    });
+
+    test('should ignore a second click while the first share is recent', async () => {
+        const chart = await click('stock_AAPL');
+        await click('share_AAPL', { components: chart.replyOptions.components });
+        const again = await click('share_AAPL', { components: chart.replyOptions.components });
+
+        expect(channel.messages).toHaveLength(1);
+        expect(again.updateDeferred).toBeUndefined();
+    });
+
+    test('should tell the user when the chart cannot be posted', async () => {
+        const chart = await click('stock_AAPL');
+        channel.send = async () => {
+            throw new Error('Missing Permissions');
+        };
+
+        const share = await click('share_AAPL', { components: chart.replyOptions.components });
+
+        expect(share.followUpOptions.ephemeral).toBe(true);
+        expect(share.followUpOptions.embeds[0].toJSON().title).toBe('❌ Error: AAPL Share');
+        expect(tracking.getAllTrackedMessages().filter(message => !message.isEphemeral)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,125 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SymbolDirectoryService = require('../src/services/symbolDirectoryService');
+const { detectStockTickers, DETECTION_MODES } = require('../src/utils/ticker-detector');
+const { MockEnvironment } = require('./mocks/services');
+
+const NASDAQ_LISTED = `Symbol|Security Name|Market Category|Test Issue|Financial Status|Round Lot Size|ETF|NextShares
+AAPL|Apple Inc. - Common Stock|Q|N|N|100|N|N
+NVDA|NVIDIA Corporation - Common Stock|Q|N|N|100|N|N
+ZXZZT|NASDAQ TEST STOCK|G|Y|N|100|N|N
+File Creation Time: 0101202522:01|||||||`;
+
+const OTHER_LISTED = `ACT Symbol|Security Name|Exchange|CQS Symbol|ETF|Round Lot Size|Test Issue|NASDAQ Symbol
+IBM|International Business Machines Corporation Common Stock|N|IBM|N|100|N|IBM
+SPY|SPDR S&P 500 ETF Trust|P|SPY|Y|100|N|SPY`;
+
+const CSV_LISTING = `symbol,name,exchange
+TEVA,"Teva Pharmaceutical Industries, Ltd.",NYSE
+BRK-B,Berkshire Hathaway Inc. Class B,NYSE`;
+
+test.describe('Symbol Directory Service', () => {
+    let tempDir;
+    let directory;
+
+    test.beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symbols-'));
+        fs.writeFileSync(path.join(tempDir, 'nasdaqlisted.txt'), NASDAQ_LISTED);
+        fs.writeFileSync(path.join(tempDir, 'otherlisted.txt'), OTHER_LISTED);
+        fs.writeFileSync(path.join(tempDir, 'extra.csv'), CSV_LISTING);
+
+        directory = new SymbolDirectoryService(new MockEnvironment({ symbolDirectoryPath: tempDir }));
+        await directory.load();
+    });
+
+    test.afterEach(() => {
+        directory.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should load pipe-delimited and CSV listings', () => {
+        expect(directory.isListed('AAPL')).toBe(true);
+        expect(directory.isListed('IBM')).toBe(true);
+        expect(directory.isListed('TEVA')).toBe(true);
+        expect(directory.getStats().symbols).toBe(6);
+    });
+
+    test('should skip test issues and footer lines', () => {
+        expect(directory.isListed('ZXZZT')).toBe(false);
+        expect(directory.isListed('FILE CREATION TIME: 0101202522:01')).toBe(false);
+    });
+
+    test('should keep names and resolve exchange codes', () => {
+        expect(directory.getSymbol('AAPL')).toEqual({
+            symbol: 'AAPL',
+            name: 'Apple Inc. - Common Stock',
+            exchange: 'NASDAQ'
+        });
+        expect(directory.getSymbol('SPY').exchange).toBe('NYSE Arca');
+        expect(directory.getSymbol('TEVA').name).toBe('Teva Pharmaceutical Industries, Ltd.');
+    });
+
+    test('should not filter anything when no listings exist', async () => {
+        const emptyDirectory = new SymbolDirectoryService(new MockEnvironment({ symbolDirectoryPath: path.join(tempDir, 'missing') }));
+        await emptyDirectory.load();
+
+        expect(emptyDirectory.isLoaded()).toBe(false);
+        expect(emptyDirectory.isListed('ANYTHING')).toBe(true);
+    });
+
+    test('should keep previous listings when a refresh finds nothing', async () => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        await directory.load();
+
+        expect(directory.isListed('AAPL')).toBe(true);
+    });
+
+    test('should filter detected tickers to listed symbols', () => {
+        const result = detectStockTickers('CEO says USA loves AAPL and NVDA', { symbolDirectory: directory });
+        expect(result).toEqual(['AAPL', 'NVDA']);
+    });
+
+    test('should allow unlisted cashtags as an override', () => {
+        const message = 'Watching $XYZW and QQQQ today';
+        expect(detectStockTickers(message, { symbolDirectory: directory })).toEqual(['XYZW']);
+        expect(detectStockTickers(message, {
+            symbolDirectory: directory,
+            allowUnlistedCashtags: false
+        })).toEqual([]);
+    });
+
+    test('should store share classes in canonical form', () => {
+        expect(directory.isListed('BRK.B')).toBe(true);
+        expect(directory.getSymbol('BRK-B').symbol).toBe('BRK.B');
+    });
+
+    test('should not reject exchanges without loaded listings', () => {
+        expect(directory.isListed('TEVA.TA')).toBe(true);
+
+        fs.writeFileSync(path.join(tempDir, 'tase.csv'), 'symbol,name\nESLT.TA,Elbit Systems');
+        return directory.load().then(() => {
+            expect(directory.isListed('ESLT.TA')).toBe(true);
+            expect(directory.isListed('TEVA.TA')).toBe(false);
+        });
+    });
+
+    test('should search by symbol and company name, best matches first', () => {
+        expect(directory.search('sp').map(entry => entry.symbol)).toEqual(['SPY']);
+        expect(directory.search('$ibm')[0].symbol).toBe('IBM');
+        // Symbol prefixes (BRK.B) come before name matches (Berkshire Hathaway)
+        expect(directory.search('b').map(entry => entry.symbol)).toEqual(['BRK.B', 'IBM']);
+        expect(directory.search('apple').map(entry => entry.symbol)).toEqual(['AAPL']);
+        expect(directory.search('a', 1)).toHaveLength(1);
+        expect(directory.search('  ')).toEqual([]);
+    });
+
+    test('should combine with cashtag-only mode', () => {
+        const result = detectStockTickers('$AAPL vs IBM', {
+            mode: DETECTION_MODES.CASHTAG_ONLY,
+            symbolDirectory: directory
+        });
+        expect(result).toEqual(['AAPL']);
+    });
+});
@@ -1,5 +1,9 @@
 const { test, expect } = require('@playwright/test');
-const { detectStockTickers } = require('../src/utils/ticker-detector');
+const { detectStockTickers, detectTickerMatches, DETECTION_MODES } = require('../src/utils/ticker-detector');
+const { normalizeSymbol, isValidSymbol, toYahooSymbol, toAlphaVantageSymbol } = require('../src/utils/symbol-format');
+const MessageHandler = require('../src/handlers/messageHandler');
+const { maskMessage } = require('../src/utils/message-masker');
+const { parseInstrumentKey, isValidInstrumentKey, buildOptionKey, resolveExpiryDate } = require('../src/utils/instrument');
 
 test.describe('Stock Ticker Detection', () => {
     
@@ -130,6 +134,360 @@ CHEF , AGX ,TPR , GEV , PRIM , VIK , OKLO , SMR , CLS , ECG`;
         });
     });
 
+    test.describe('Detection Modes', () => {
+        test('cashtag-only should ignore bare uppercase words', () => {
+            const message = "The CEO said the IPO is coming, watching $AAPL";
+            const result = detectStockTickers(message, { mode: DETECTION_MODES.CASHTAG_ONLY });
+            expect(result).toEqual(['AAPL']);
+        });
+
+        test('cashtag-only should accept lowercase cashtags', () => {
+            const result = detectStockTickers("loading up on $aapl and $Tsla", { mode: DETECTION_MODES.CASHTAG_ONLY });
+            expect(result).toEqual(['AAPL', 'TSLA']);
+        });
+
+        test('cashtag-only should return empty array when no cashtags', () => {
+            const result = detectStockTickers("USA CEO IPO", { mode: DETECTION_MODES.CASHTAG_ONLY });
+            expect(result).toEqual([]);
+        });
+
+        test('cashtag-preferred should use only cashtags when present', () => {
+            const message = "CEO of $NVDA spoke in the USA";
+            const result = detectStockTickers(message, { mode: DETECTION_MODES.CASHTAG_PREFERRED });
+            expect(result).toEqual(['NVDA']);
+        });
+
+        test('cashtag-preferred should fall back to bare words without cashtags', () => {
+            const result = detectStockTickers("AAPL TSLA", { mode: DETECTION_MODES.CASHTAG_PREFERRED });
+            expect(result).toEqual(['AAPL', 'TSLA']);
+        });
+
+        test('permissive should keep original behavior by default', () => {
+            const result = detectStockTickers("CEO likes AAPL");
+            expect(result).toEqual(expect.arrayContaining(['CEO', 'AAPL']));
+        });
+
+        test('cashtags should bypass the common word filter', () => {
+            const result = detectStockTickers("$ALL looks strong");
+            expect(result).toEqual(['ALL']);
+        });
+
+        test('should report whether a match was a cashtag', () => {
+            const result = detectTickerMatches("$MSFT and GOOGL");
+            expect(result).toEqual([
+                { symbol: 'MSFT', cashtag: true, type: 'equity', offset: 0, text: '$MSFT', form: 'cashtag', confidence: 0.9 },
+                { symbol: 'GOOGL', cashtag: false, type: 'equity', offset: 10, text: 'GOOGL', form: 'bare', confidence: 0.6 }
+            ]);
+        });
+
+        test('should fall back to permissive for unknown modes', () => {
+            const result = detectStockTickers("AAPL", { mode: 'bogus' });
+            expect(result).toEqual(['AAPL']);
+        });
+    });
+
+    test.describe('Share Classes and Exchange Suffixes', () => {
+        test('should keep dotted share classes intact', () => {
+            const result = detectStockTickers("BRK.B is cheaper than BRK.A");
+            expect(result).toEqual(['BRK.B', 'BRK.A']);
+        });
+
+        test('should normalize dashed share classes', () => {
+            const result = detectStockTickers("BF-B dividend");
+            expect(result).toEqual(['BF.B']);
+        });
+
+        test('should detect exchange-suffixed tickers', () => {
+            const result = detectStockTickers("SHOP.TO, 7203.T and TEVA.TA");
+            expect(result).toEqual(['SHOP.TO', '7203.T', 'TEVA.TA']);
+        });
+
+        test('should detect suffixed tickers in Hebrew content', () => {
+            const result = detectStockTickers("קניתי TEVA.TA ו-ESLT.TA היום");
+            expect(result).toEqual(['TEVA.TA', 'ESLT.TA']);
+        });
+
+        test('should detect suffixed cashtags', () => {
+            const result = detectStockTickers("$brk.b and $SHOP.TO", { mode: DETECTION_MODES.CASHTAG_ONLY });
+            expect(result).toEqual(['BRK.B', 'SHOP.TO']);
+        });
+
+        test('should not treat sentence punctuation as a suffix', () => {
+            const result = detectStockTickers("I bought AAPL. Then sold it.");
+            expect(result).toEqual(['AAPL']);
+        });
+
+        test('should split unknown suffixes and ignore plain numbers', () => {
+            const result = detectStockTickers("AAPL.XY in 2024");
+            expect(result).toEqual(['AAPL', 'XY']);
+        });
+    });
+
+    test.describe('Crypto Pairs', () => {
+        test('should detect dash and slash pairs', () => {
+            const result = detectStockTickers("ETH-USD breaking out, SOL/USDT too");
+            expect(result).toEqual(['crypto:ETH-USD', 'crypto:SOL-USDT']);
+        });
+
+        test('should not detect the quote currency as a separate ticker', () => {
+            const result = detectStockTickers("BTC/USDT");
+            expect(result).not.toContain('USDT');
+            expect(result).toEqual(['crypto:BTC-USDT']);
+        });
+
+        test('should offer both equity and crypto for a bare crypto base', () => {
+            const result = detectStockTickers("BTC to the moon");
+            expect(result).toEqual(['BTC', 'crypto:BTC-USD']);
+        });
+
+        test('should not treat forex pairs as crypto or as two tickers', () => {
+            expect(detectStockTickers("EUR/USD is flat")).toEqual([]);
+            expect(detectStockTickers("$EUR/USD and GBP/USD vs NVDA")).toEqual(['NVDA']);
+            expect(detectStockTickers("BRK-B and EUR-USD")).toEqual(['BRK.B']);
+        });
+
+        test('should accept lowercase pairs only as cashtags', () => {
+            expect(detectStockTickers("eth-usd")).toEqual([]);
+            expect(detectStockTickers("$eth-usd", { mode: DETECTION_MODES.CASHTAG_ONLY })).toEqual(['crypto:ETH-USD']);
+        });
+
+        test('should tag crypto matches with their type', () => {
+            const result = detectTickerMatches("ETH-USD");
+            expect(result).toEqual([
+                { symbol: 'crypto:ETH-USD', cashtag: false, type: 'crypto', offset: 0, text: 'ETH-USD', form: 'crypto-pair', confidence: 0.85 }
+            ]);
+        });
+
+        test('should never filter crypto pairs with the symbol directory', () => {
+            const directory = { isListed: () => false };
+            const result = detectStockTickers("BTC", { symbolDirectory: directory });
+            expect(result).toEqual(['crypto:BTC-USD']);
+        });
+
+        test('should parse crypto instrument keys for providers', () => {
+            const instrument = parseInstrumentKey('crypto:SOL-USDT');
+            expect(instrument.displaySymbol).toBe('SOL-USDT');
+            expect(instrument.yahooSymbol).toBe('SOL-USD');
+            expect(instrument.alphaVantage).toEqual({ symbol: 'SOL', market: 'USD' });
+            expect(isValidInstrumentKey('crypto:EUR-USD')).toBe(false);
+        });
+    });
+
+    test.describe('Indices and Futures', () => {
+        test('should map friendly index names to provider symbols', () => {
+            const result = detectStockTickers("SPX and VIX diverging");
+            expect(result).toEqual(['^GSPC', '^VIX']);
+        });
+
+        test('should map futures shorthand to continuous contracts', () => {
+            expect(detectStockTickers("ES NQ gapping up")).toEqual(['ES=F', 'NQ=F']);
+            expect(detectStockTickers("/ES holding the level")).toEqual(['ES=F']);
+        });
+
+        test('should detect raw provider symbols', () => {
+            const result = detectStockTickers("^GSPC vs ES=F vs ^TA125.TA");
+            expect(result).toEqual(['^GSPC', 'ES=F', '^TA125.TA']);
+        });
+
+        test('should only resolve ambiguous aliases when prefixed', () => {
+            expect(detectStockTickers("CL is a consumer staple")).toEqual(['CL']);
+            expect(detectStockTickers("/CL and /GC")).toEqual(['CL=F', 'GC=F']);
+        });
+
+        test('should treat prefixed and provider forms as explicit mentions', () => {
+            const options = { mode: DETECTION_MODES.CASHTAG_ONLY };
+            expect(detectStockTickers("SPX $VIX /ES ^NDX", options)).toEqual(['^VIX', 'ES=F', '^NDX']);
+        });
+
+        test('should tag index and futures matches and skip directory filtering', () => {
+            const directory = { isListed: () => false };
+            const result = detectTickerMatches("SPX /ES", { symbolDirectory: directory });
+            expect(result).toEqual([
+                { symbol: '^GSPC', cashtag: false, type: 'index', offset: 0, text: 'SPX', form: 'market-alias', confidence: 0.7 },
+                { symbol: 'ES=F', cashtag: true, type: 'future', offset: 4, text: '/ES', form: 'market-alias', confidence: 0.9 }
+            ]);
+        });
+
+        test('should parse index and futures instrument keys with friendly names', () => {
+            const index = parseInstrumentKey('^GSPC');
+            expect(index.type).toBe('index');
+            expect(index.friendlyName).toBe('SPX');
+            expect(index.description).toBe('S&P 500');
+            expect(index.yahooSymbol).toBe('^GSPC');
+            expect(index.alphaVantage.symbol).toBeNull();
+
+            expect(parseInstrumentKey('ES=F').type).toBe('future');
+            expect(parseInstrumentKey('TA35.TA').friendlyName).toBe('TA35');
+            expect(isValidInstrumentKey('^RUT')).toBe(true);
+            expect(isValidInstrumentKey('^<script>')).toBe(false);
+        });
+    });
+
+    test.describe('Option Contracts', () => {
+        test('should detect OCC contract symbols', () => {
+            const result = detectStockTickers("AAPL241220C00190000 looks cheap");
+            expect(result).toEqual(['option:AAPL241220C00190000']);
+        });
+
+        test('should detect shorthand contracts instead of the bare underlying', () => {
+            const result = detectStockTickers("AAPL 190C 12/20/24 and TSLA 250.5p 1/17/2025");
+            expect(result).toEqual(['option:AAPL241220C00190000', 'option:TSLA250117P00250500']);
+        });
+
+        test('should still detect the underlying when mentioned separately', () => {
+            const result = detectStockTickers("AAPL 190C 12/20/24, AAPL itself is flat");
+            expect(result).toEqual(['option:AAPL241220C00190000', 'AAPL']);
+        });
+
+        test('should treat contracts as explicit mentions', () => {
+            const result = detectStockTickers("AAPL 190C 12/20/24", { mode: DETECTION_MODES.CASHTAG_ONLY });
+            expect(result).toEqual(['option:AAPL241220C00190000']);
+        });
+
+        test('should reject impossible expiries', () => {
+            expect(detectStockTickers("NVDA 1000C 13/40")).toEqual(['NVDA']);
+            expect(buildOptionKey('AAPL', '2024-02-30', 'C', 190)).toBeNull();
+        });
+
+        test('should roll expiries without a year to the next occurrence', () => {
+            const now = new Date('2024-11-01T00:00:00Z');
+            expect(resolveExpiryDate(12, 20, null, now)).toBe('2024-12-20');
+            expect(resolveExpiryDate(1, 17, null, now)).toBe('2025-01-17');
+            expect(resolveExpiryDate(1, 17, 26, now)).toBe('2026-01-17');
+        });
+
+        test('should parse option instrument keys with contract details', () => {
+            const option = parseInstrumentKey('option:SPX241220P05800000');
+            expect(option.type).toBe('option');
+            expect(option.underlying).toBe('^GSPC');
+            expect(option.strike).toBe(5800);
+            expect(option.right).toBe('P');
+            expect(option.expiry).toBe('2024-12-20');
+            expect(option.yahooSymbol).toBe('SPX241220P05800000');
+            expect(isValidInstrumentKey('option:AAPL241320C00190000')).toBe(false);
+        });
+    });
+
+    test.describe('Guild Word Lists', () => {
+        test('should keep excluding common words by default', () => {
+            expect(detectStockTickers("NOW is the time, ALL of it")).toEqual([]);
+        });
+
+        test('should let the allow list override common words', () => {
+            const result = detectStockTickers("NOW and ONE look strong", { allowedWords: ['NOW', 'ONE'] });
+            expect(result).toEqual(['NOW', 'ONE']);
+        });
+
+        test('should drop blocked bare words but keep blocked cashtags', () => {
+            const options = { blockedWords: ['CEO', 'ES'] };
+            expect(detectStockTickers("CEO said ES is heavy", options)).toEqual([]);
+            expect(detectStockTickers("$CEO and /ES", options)).toEqual(['CEO', 'ES=F']);
+        });
+
+        test('should let the block list win over the allow list', () => {
+            const result = detectStockTickers("NOW", { allowedWords: ['NOW'], blockedWords: ['NOW'] });
+            expect(result).toEqual([]);
+        });
+    });
+
+    test.describe('Markup Masking', () => {
+        test('should skip code blocks and inline code', () => {
+            const result = detectStockTickers("AAPL ```const API = FETCH()``` and `NVDA` then AMD");
+            expect(result).toEqual(['AAPL', 'AMD']);
+        });
+
+        test('should skip URLs', () => {
+            const result = detectStockTickers("TSLA chart https://example.com/MSFT/NVDA.html www.GOOG.com");
+            expect(result).toEqual(['TSLA']);
+        });
+
+        test('should skip custom emoji, mentions and timestamps', () => {
+            const result = detectStockTickers("<:PUMP:123456> <@&987654> <#111> @everyone :ROCKET: <t:1700000000:R> AMD");
+            expect(result).toEqual(['AMD']);
+        });
+
+        test('should skip quoted lines', () => {
+            expect(detectStockTickers("> someone said MSFT\nI prefer AAPL")).toEqual(['AAPL']);
+            expect(detectStockTickers("AMD first\n>>> GOOG\nNVDA")).toEqual(['AMD']);
+        });
+
+        test('should keep offsets pointing into the original message', () => {
+            const message = "`X` https://x.co AAPL";
+            const masked = maskMessage(message);
+            expect(masked).toHaveLength(message.length);
+
+            const [match] = detectTickerMatches(message);
+            expect(message.substr(match.offset, 4)).toBe('AAPL');
+        });
+
+        test('should allow masking to be disabled', () => {
+            expect(detectStockTickers("`NVDA`", { maskMarkup: false })).toEqual(['NVDA']);
+        });
+    });
+
+    test.describe('Detection Metadata', () => {
+        test('should report offset, source form and confidence', () => {
+            const [cashtag, share, bare] = detectTickerMatches("$TSLA vs BRK.B vs GE");
+            expect(cashtag).toMatchObject({ offset: 0, text: '$TSLA', form: 'cashtag', confidence: 0.9 });
+            expect(share).toMatchObject({ offset: 9, text: 'BRK.B', form: 'bare', confidence: 0.8 });
+            expect(bare).toMatchObject({ offset: 18, text: 'GE', form: 'bare', confidence: 0.45 });
+        });
+
+        test('should return matches in message order', () => {
+            const result = detectStockTickers("GE, $AAPL, ETH-USD, /ES, AAPL 190C 12/20/24");
+            expect(result).toEqual(['GE', 'AAPL', 'crypto:ETH-USD', 'ES=F', 'option:AAPL241220C00190000']);
+        });
+
+        test('should raise confidence of bare words confirmed by listings', () => {
+            const directory = { isLoaded: () => true, isListed: () => true };
+            const [match] = detectTickerMatches("AMD", { symbolDirectory: directory });
+            expect(match.confidence).toBe(0.8);
+        });
+
+        test('should keep the most confident tickers when capping', () => {
+            const handler = new MessageHandler();
+            const matches = detectTickerMatches("GE F $TSLA AMD BRK.B");
+            const kept = handler.rankMatches(matches, 3).map(match => match.symbol);
+            expect(kept).toEqual(['TSLA', 'AMD', 'BRK.B']);
+        });
+
+        test('should cap detected tickers at the default MAX_TICKERS_PER_MESSAGE', () => {
+            const handler = new MessageHandler();
+            const words = Array.from({ length: 130 }, (_, i) => `Q${String.fromCharCode(65 + (i % 26))}${String.fromCharCode(65 + Math.floor(i / 26))}`);
+            const result = handler.detectTickers({ content: words.join(' '), channel: { id: 'c' } });
+            expect(result).toHaveLength(100);
+        });
+    });
+
+    test.describe('Symbol Formatting', () => {
+        test('should normalize symbols to canonical form', () => {
+            expect(normalizeSymbol('brk-b')).toBe('BRK.B');
+            expect(normalizeSymbol('BRK/B')).toBe('BRK.B');
+            expect(normalizeSymbol('teva.ta')).toBe('TEVA.TA');
+            expect(normalizeSymbol('1234')).toBeNull();
+            expect(normalizeSymbol('TOOLONG')).toBeNull();
+        });
+
+        test('should validate canonical symbols', () => {
+            expect(isValidSymbol('AAPL')).toBe(true);
+            expect(isValidSymbol('7203.T')).toBe(true);
+            expect(isValidSymbol('BRK-B')).toBe(false);
+            expect(isValidSymbol('AAPL;DROP')).toBe(false);
+        });
+
+        test('should convert symbols for Yahoo Finance', () => {
+            expect(toYahooSymbol('BRK.B')).toBe('BRK-B');
+            expect(toYahooSymbol('SHOP.TO')).toBe('SHOP.TO');
+            expect(toYahooSymbol('AAPL')).toBe('AAPL');
+        });
+
+        test('should convert symbols for Alpha Vantage', () => {
+            expect(toAlphaVantageSymbol('BRK.B')).toBe('BRK.B');
+            expect(toAlphaVantageSymbol('SHOP.TO')).toBe('SHOP.TRT');
+            expect(toAlphaVantageSymbol('TEVA.TA')).toBeNull();
+        });
+    });
+
     test.describe('Performance', () => {
         test('should handle large messages efficiently', () => {
             // Generate exactly 60 unique ticker-like strings
@@ -0,0 +1,185 @@
+const { test, expect } = require('@playwright/test');
+const MessageHandler = require('../src/handlers/messageHandler');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const { MockUser, MockChannel, MockMessage } = require('./mocks/discord-mock');
+const { createEnvironment, MockStockService, MockChartService } = require('./mocks/services');
+
+// Distinct ticker-like words: QAA, QBA, ... QZA, QAB, ...
+const tickerWords = (count) => Array.from({ length: count }, (_, i) =>
+    `Q${String.fromCharCode(65 + (i % 26))}${String.fromCharCode(65 + Math.floor(i / 26))}`
+);
+
+const componentsOf = (rows) => rows.map(row => row.toJSON().components).flat();
+
+// Select menu interaction as delivered by discord.js
+class MockSelectInteraction {
+    constructor(user, customId, values, channel) {
+        this.id = 'select_' + Date.now();
+        this.user = user;
+        this.customId = customId;
+        this.values = values;
+        this.channel = channel;
+        this.createdTimestamp = Date.now();
+        this.deferred = false;
+        this.replied = false;
+    }
+
+    isChatInputCommand() { return false; }
+    isButton() { return false; }
+    isStringSelectMenu() { return true; }
+    isCommand() { return false; }
+    isRepliable() { return true; }
+
+    async deferReply() {
+        this.deferred = true;
+    }
+
+    async editReply(options) {
+        this.replyOptions = options;
+        return { id: 'chart_reply_1' };
+    }
+}
+
+test.describe('Ticker Select Menus', () => {
+    test.describe('Components', () => {
+        const handler = new MessageHandler();
+
+        test('should keep buttons up to 25 tickers', () => {
+            const rows = handler.createTickerComponents(tickerWords(25));
+
+            expect(rows).toHaveLength(5);
+            expect(componentsOf(rows).every(component => component.custom_id.startsWith('stock_'))).toBe(true);
+        });
+
+        test('should switch to one select menu per 25 tickers above that', () => {
+            const tickers = tickerWords(43);
+            const rows = handler.createTickerComponents(tickers);
+            const [first, second] = componentsOf(rows);
+
+            expect(rows).toHaveLength(2);
+            expect(first.custom_id).toBe('tickers_select_0');
+            expect(first.options).toHaveLength(25);
+            expect(first.placeholder).toBe('📈 1-25 of 43: QAA … QYA');
+            expect(second.custom_id).toBe('tickers_select_1');
+            expect(second.options.map(option => option.value)).toEqual(tickers.slice(25));
+            expect(second.placeholder).toBe('📈 26-43 of 43: QZA … QQB');
+        });
+
+        test('should label menu options like buttons', () => {
+            const rows = handler.createTickerComponents([...tickerWords(25), 'crypto:BTC-USD', 'option:AAPL241220C00190000']);
+            const [, menu] = componentsOf(rows);
+
+            expect(menu.options.map(option => option.label)).toEqual(['🪙 BTC-USD', '🎯 AAPL 190C 12/20']);
+            expect(menu.options.map(option => option.value)).toEqual(['crypto:BTC-USD', 'option:AAPL241220C00190000']);
+        });
+
+        test('should fit at most five menus', () => {
+            const rows = handler.createTickerComponents(tickerWords(130));
+            expect(rows).toHaveLength(5);
+            expect(componentsOf(rows)[4].options).toHaveLength(25);
+        });
+    });
+
+    test.describe('Ticker Limits', () => {
+        const message = (count) => ({ content: tickerWords(count).join(' '), channel: { id: 'c' } });
+
+        test('should offer up to 100 tickers without configuration', () => {
+            const handler = new MessageHandler();
+
+            expect(handler.detectTickers(message(43))).toHaveLength(43);
+            expect(handler.detectTickers(message(130))).toHaveLength(100);
+        });
+
+        test('should honor MAX_TICKERS_PER_MESSAGE', () => {
+            const previous = process.env.MAX_TICKERS_PER_MESSAGE;
+
+            try {
+                delete process.env.MAX_TICKERS_PER_MESSAGE;
+                expect(createEnvironment().getMaxTickersPerMessage()).toBe(100);
+
+                process.env.MAX_TICKERS_PER_MESSAGE = '30';
+                const handler = new MessageHandler(null, null, null, null, createEnvironment());
+                expect(handler.detectTickers(message(43))).toHaveLength(30);
+
+                process.env.MAX_TICKERS_PER_MESSAGE = '500';
+                expect(handler.detectTickers(message(130))).toHaveLength(125);
+            } finally {
+                if (previous === undefined) {
+                    delete process.env.MAX_TICKERS_PER_MESSAGE;
+                } else {
+                    process.env.MAX_TICKERS_PER_MESSAGE = previous;
+                }
+            }
+        });
+
+        test('should report menus in detection stats', () => {
+            const stats = new MessageHandler().getDetectionStats(message(43));
+
+            expect(stats.buttonsToCreate).toBe(0);
+            expect(stats.selectMenusToCreate).toBe(2);
+        });
+    });
+
+    test.describe('Message Handling', () => {
+        let tracking;
+        let handler;
+        let channel;
+        let user;
+
+        test.beforeEach(() => {
+            tracking = new MessageTrackingService();
+            handler = new MessageHandler(tracking);
+            channel = new MockChannel('channel_123', 'watchlists');
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should reply to a watchlist dump with select menus', async () => {
+            const message = new MockMessage('msg_1', channel, { content: tickerWords(43).join(', '), author: user });
+
+            await handler.handleMessage(message);
+
+            const [reply] = channel.messages;
+            expect(componentsOf(reply.components).map(component => component.custom_id)).toEqual(['tickers_select_0', 'tickers_select_1']);
+            expect(tracking.getButtonMessageForSource('msg_1').tickers).toHaveLength(43);
+        });
+    });
+
+    test.describe('Interaction Handling', () => {
+        let stockService;
+        let interactionHandler;
+        let user;
+
+        test.beforeEach(() => {
+            stockService = new MockStockService();
+            interactionHandler = new InteractionHandler(stockService, new MockChartService());
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should read the ticker from the picked option', () => {
+            const interaction = new MockSelectInteraction(user, 'tickers_select_1', ['QZA'], new MockChannel('c', 'c'));
+
+            expect(interactionHandler.getTickerFromInteraction(interaction)).toBe('QZA');
+            expect(interactionHandler.shouldProcessInteraction(interaction)).toBe(true);
+        });
+
+        test('should send the chart for the picked ticker', async () => {
+            const interaction = new MockSelectInteraction(user, 'tickers_select_0', ['crypto:BTC-USD'], new MockChannel('c', 'c'));
+
+            await interactionHandler.handleInteraction(interaction);
+
+            expect(stockService.getFetchedTickers()).toEqual(['crypto:BTC-USD']);
+            expect(interaction.deferred).toBe(true);
+            expect(interaction.replyOptions.files[0].name).toBe('chart.png');
+        });
+
+        test('should ignore select menus that are not ticker menus', async () => {
+            const interaction = new MockSelectInteraction(user, 'other_menu', ['AAPL'], new MockChannel('c', 'c'));
+
+            await interactionHandler.handleInteraction(interaction);
+
+            expect(stockService.getFetchedTickers()).toEqual([]);
+            expect(interaction.deferred).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,314 @@
+const { test, expect } = require('@playwright/test');
+const axios = require('axios');
+const yahooFinance = require('yahoo-finance2').default;
+const StockService = require('../src/services/stockService');
+const YahooFinanceService = require('../src/services/yahooFinanceService');
+const ChartService = require('../src/services/chartService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const {
+    getTimeframe,
+    getTimeframeIds,
+    getTimeframeStart,
+    selectTimeframeBars
+} = require('../src/utils/timeframe');
+const { MockUser, MockChannel, MockInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+// Alpha Vantage TIME_SERIES_DAILY response with one bar per calendar day, newest first
+const alphaVantageDaily = (days, now) => {
+    const timeSeries = {};
+    for (let i = 0; i < days; i++) {
+        const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        timeSeries[date] = { '1. open': '100', '2. high': '102', '3. low': '99', '4. close': String(100 + i), '5. volume': '1000' };
+    }
+    return { 'Meta Data': { '2. Symbol': 'AAPL' }, 'Time Series (Daily)': timeSeries };
+};
+
+const componentsOf = (rows) => rows.flatMap(row => row.toJSON().components);
+
+test.describe('Chart Timeframes', () => {
+    test.describe('Timeframe Definitions', () => {
+        const now = new Date('2026-10-19T15:00:00Z');
+
+        test('should offer the switcher timeframes in order', () => {
+            expect(getTimeframeIds()).toEqual(['1D', '5D', '1M', '3M', '6M', 'YTD', '1Y', '5Y']);
+            expect(getTimeframe('5Y')).toMatchObject({ id: '5Y', interval: '1wk' });
+            expect(getTimeframe('2W')).toBeNull();
+        });
+
+        test('should start timeframes by calendar days or at the start of the year', () => {
+            expect(getTimeframeStart(getTimeframe('3M'), now).toISOString()).toBe('2026-07-19T15:00:00.000Z');
+            expect(getTimeframeStart(getTimeframe('YTD'), now).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+        });
+
+        test('should keep the last sessions of intraday bars', () => {
+            const bars = ['2026-10-15 15:55', '2026-10-16 09:30', '2026-10-16 09:35'].map(date => ({ date }));
+
+            expect(selectTimeframeBars(bars, getTimeframe('1D'), now).map(bar => bar.date)).toEqual(['2026-10-16 09:30', '2026-10-16 09:35']);
+            expect(selectTimeframeBars(bars, getTimeframe('5D'), now)).toHaveLength(3);
+        });
+
+        test('should keep daily bars since the timeframe start', () => {
+            const bars = ['2026-08-31', '2026-09-20', '2026-10-16'].map(date => ({ date }));
+
+            expect(selectTimeframeBars(bars, getTimeframe('1M'), now).map(bar => bar.date)).toEqual(['2026-09-20', '2026-10-16']);
+        });
+    });
+
+    test.describe('Data Fetching', () => {
+        const originals = {};
+
+        test.beforeEach(() => {
+            for (const name of ['historical', 'chart', 'quote']) {
+                originals[name] = yahooFinance[name];
+            }
+            originals.get = axios.get;
+        });
+
+        test.afterEach(() => {
+            for (const name of ['historical', 'chart', 'quote']) {
+                yahooFinance[name] = originals[name];
+            }
+            axios.get = originals.get;
+        });
+
+        test('should fetch weekly Yahoo bars for 5Y', async () => {
+            let options;
+            yahooFinance.historical = async (symbol, requested) => {
+                options = requested;
+                return [0, 1, 2].map(i => ({
+                    date: new Date(Date.now() - (2 - i) * 7 * 24 * 60 * 60 * 1000),
+                    open: 100, high: 102, low: 99, close: 100 + i, volume: 1000
+                }));
+            };
+            yahooFinance.quote = async () => ({ regularMarketPrice: 103, regularMarketPreviousClose: 101.5, shortName: 'Apple' });
+
+            const stockData = await new YahooFinanceService().fetchStockData('AAPL', 'AAPL', '5Y');
+
+            expect(options.interval).toBe('1wk');
+            expect((Date.now() - options.period1.getTime()) / (24 * 60 * 60 * 1000)).toBeCloseTo(1827, 0);
+            expect(stockData).toMatchObject({ timeframe: '5Y', interval: '1wk', change: '1.50' });
+        });
+
+        test('should fetch the last intraday session in exchange time for 1D', async () => {
+            let options;
+            const at = (iso) => new Date(iso);
+            yahooFinance.chart = async (symbol, requested) => {
+                options = requested;
+                return {
+                    meta: { gmtoffset: -14400 },
+                    quotes: [
+                        { date: at('2026-10-15T19:55:00Z'), open: 99, high: 100, low: 98, close: 99.5, volume: 10 },
+                        { date: at('2026-10-16T13:30:00Z'), open: 100, high: 101, low: 99, close: 100.5, volume: 10 },
+                        { date: at('2026-10-16T13:35:00Z'), open: 100.5, high: 102, low: 100, close: 101, volume: 10 },
+                        { date: at('2026-10-16T13:40:00Z'), open: 101, high: 101, low: 101, close: null, volume: 0 }
+                    ]
+                };
+            };
+            yahooFinance.quote = async () => ({ regularMarketPrice: 101, regularMarketPreviousClose: 99.5 });
+
+            const stockData = await new YahooFinanceService().fetchStockData('AAPL', 'AAPL', '1D');
+
+            expect(options.interval).toBe('5m');
+            expect(stockData.dates).toEqual(['2026-10-16 09:30', '2026-10-16 09:35']);
+            expect(stockData.change).toBe('1.50');
+        });
+
+        test('should slice the Alpha Vantage compact series to the timeframe', async () => {
+            const now = new Date();
+            axios.get = async () => ({ data: alphaVantageDaily(100, now) });
+            const stockService = new StockService();
+            stockService.apiKey = 'test';
+
+            const stockData = await stockService.fetchFromAlphaVantage('AAPL', getTimeframe('3M'));
+            const start = getTimeframeStart(getTimeframe('3M'), now).toISOString().split('T')[0];
+
+            expect(stockData.timeframe).toBe('3M');
+            expect(stockData.dates[0] >= start).toBe(true);
+            expect(stockData.dates.length).toBeGreaterThan(85);
+            expect(stockData.dates.length).toBeLessThan(100);
+        });
+
+        test('should leave longer and weekly timeframes to Yahoo Finance', async () => {
+            let requests = 0;
+            axios.get = async () => {
+                requests++;
+                return { data: alphaVantageDaily(100, new Date()) };
+            };
+            const stockService = new StockService();
+            stockService.apiKey = 'test';
+            const yahooCalls = [];
+            stockService.yahooService.fetchStockData = async (...args) => {
+                yahooCalls.push(args);
+                return createStockData({ symbol: args[0], timeframe: args[2] });
+            };
+
+            await expect(stockService.fetchFromAlphaVantage('AAPL', getTimeframe('1Y'))).rejects.toThrow('Timeframe not supported by Alpha Vantage');
+            await expect(stockService.fetchFromAlphaVantage('AAPL', getTimeframe('5Y'))).rejects.toThrow('Interval not supported by Alpha Vantage');
+            expect(requests).toBe(0);
+
+            const stockData = await stockService.fetchStockData('crypto:BTC-USD', '5D');
+            expect(yahooCalls).toEqual([['BTC-USD', 'BTC-USD', '5D', '30m']]);
+            expect(stockData.timeframe).toBe('5D');
+        });
+
+        test('should cache each timeframe separately', async () => {
+            const stockService = new StockService();
+            const fetched = [];
+            stockService.fetchFromAlphaVantage = async (ticker, timeframe) => {
+                fetched.push(timeframe.id);
+                return createStockData({ symbol: ticker, timeframe: timeframe.id });
+            };
+
+            await stockService.fetchStockData('AAPL');
+            await stockService.fetchStockData('AAPL', '3M');
+            await stockService.fetchStockData('AAPL', '3M');
+
+            expect(fetched).toEqual(['1M', '3M']);
+            expect(stockService.getCacheKey('AAPL')).toMatch(/^AAPL_\d{4}-\d{2}-\d{2}$/);
+            expect(stockService.getCacheKey('AAPL', '3M')).toMatch(/^AAPL_3M_\d{4}-\d{2}-\d{2}$/);
+            await expect(stockService.fetchStockData('AAPL', '2W')).rejects.toThrow('Unknown timeframe: 2W');
+        });
+    });
+
+    test.describe('Chart Rendering', () => {
+        const chartService = new ChartService(null);
+
+        test('should include non-default timeframes in chart cache keys', () => {
+            expect(chartService.getChartCacheKey('AAPL')).toMatch(/^chart_AAPL_\d{4}-\d{2}-\d{2}$/);
+            expect(chartService.getChartCacheKey('AAPL', '1M')).toBe(chartService.getChartCacheKey('AAPL'));
+            expect(chartService.getChartCacheKey('AAPL', 'YTD')).toMatch(/^chart_AAPL_YTD_\d{4}-\d{2}-\d{2}$/);
+        });
+
+        test('should title embeds with the charted timeframe', () => {
+            expect(chartService.createStockEmbed(createStockData({ timeframe: '6M' })).toJSON().title).toBe('AAPL 6M');
+            expect(chartService.createStockEmbed({ ...createStockData(), timeframe: undefined }).toJSON().title).toBe('AAPL 1M');
+        });
+
+        test('should format the date axis for the timeframe', () => {
+            expect(chartService.generateChartHTML(createStockData({ timeframe: '1D' }), '#00ff88', '')).toContain("tickformat: '%H:%M'");
+            expect(chartService.generateChartHTML(createStockData({ timeframe: '5Y' }), '#00ff88', '')).toContain("tickformat: '%b %Y'");
+        });
+    });
+
+    test.describe('Switcher Buttons', () => {
+        let stockService;
+        let tracking;
+        let interactionHandler;
+        let channel;
+        let user;
+
+        const click = async (customId, message = undefined) => {
+            const interaction = new MockInteraction(user, customId, channel);
+            interaction.message = message;
+            interaction.isButton = () => true;
+            interaction.createdTimestamp = Date.now();
+            interaction.isRepliable = () => true;
+            interaction.isCommand = () => false;
+            interaction.deferUpdate = async () => {
+                interaction.updateDeferred = true;
+            };
+            interaction.editReply = async (options) => {
+                interaction.replyOptions = options;
+                return { id: 'chart_reply_1' };
+            };
+            interaction.followUp = async (options) => {
+                interaction.followUpOptions = options;
+            };
+
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tracking = new MessageTrackingService();
+            stockService = new MockStockService({
+                createData: (ticker, timeframeId, intervalId) => {
+                    if (timeframeId === '5Y') throw new Error('No data');
+                    return createStockData({ symbol: ticker, timeframe: timeframeId, ...(intervalId && { interval: intervalId }) });
+                }
+            });
+            const chartService = new ChartService(stockService);
+            chartService.renderChartImage = async () => Buffer.from('png');
+            interactionHandler = new InteractionHandler(stockService, chartService, tracking);
+            channel = new MockChannel('channel_123', 'general');
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should attach the switcher to chart replies', async () => {
+            const interaction = await click('stock_AAPL');
+            // The first two rows are the switcher, indicator, log scale and chart type toggles follow
+            const buttons = componentsOf(interaction.replyOptions.components.slice(0, 2));
+
+            expect(stockService.fetched).toEqual([['AAPL', '1M']]);
+            expect(interaction.replyOptions.components).toHaveLength(5);
+            expect(buttons.map(button => button.custom_id)).toEqual([
+                'tf_1D_AAPL', 'tf_5D_AAPL', 'tf_1M_AAPL', 'tf_3M_AAPL', 'tf_6M_AAPL', 'tf_YTD_AAPL', 'tf_1Y_AAPL', 'tf_5Y_AAPL'
+            ]);
+            expect(buttons.filter(button => button.disabled).map(button => button.label)).toEqual(['1M']);
+        });
+
+        test('should parse timeframe buttons', () => {
+            expect(interactionHandler.getTimeframeRequest({ customId: 'tf_YTD_crypto:BTC-USD' })).toEqual({ timeframeId: 'YTD', intervalId: null, ticker: 'crypto:BTC-USD' });
+            expect(interactionHandler.getTimeframeRequest({ customId: 'tf_1D:1m_crypto:BTC-USD' })).toEqual({ timeframeId: '1D', intervalId: '1m', ticker: 'crypto:BTC-USD' });
+            expect(interactionHandler.getTimeframeRequest({ customId: 'stock_AAPL' })).toBeNull();
+        });
+
+        test('should keep a picked interval until the timeframe changes', async () => {
+            const fetchStockData = stockService.fetchStockData.bind(stockService);
+            const intervals = [];
+            stockService.fetchStockData = async (ticker, timeframeId, intervalId) => {
+                intervals.push(intervalId);
+                return fetchStockData(ticker, timeframeId, intervalId);
+            };
+            const chart = {
+                components: interactionHandler.createChartComponents('AAPL', '1D', { intervalId: '1m', indicators: [] })
+            };
+            const active = componentsOf(chart.components.slice(0, 2)).find(button => button.disabled);
+            expect(active).toMatchObject({ custom_id: 'tf_1D:1m_AAPL', label: '1D · 1m' });
+            expect(interactionHandler.getChartState(chart)).toMatchObject({ timeframeId: '1D', intervalId: '1m' });
+
+            const withRsi = await click('ind_rsi_AAPL', chart);
+            expect(withRsi.replyOptions.embeds[0].toJSON().title).toBe('AAPL 1D (1m)');
+            expect(tracking.getAllTrackedMessages()[0].cacheKeys[0]).toMatch(/^chart_AAPL_1D_1m_rsi_/);
+
+            const fiveDay = await click('tf_5D_AAPL', { components: withRsi.replyOptions.components });
+            expect(stockService.fetched).toEqual([['AAPL', '1D'], ['AAPL', '5D']]);
+            expect(intervals).toEqual(['1m', null]);
+            expect(interactionHandler.getChartState({ components: fiveDay.replyOptions.components }).intervalId).toBeNull();
+        });
+
+        test('should edit the chart in place for the picked timeframe', async () => {
+            const interaction = await click('tf_3M_AAPL');
+            const buttons = componentsOf(interaction.replyOptions.components);
+
+            expect(interaction.updateDeferred).toBe(true);
+            expect(interaction.deferred).toBe(false);
+            expect(stockService.fetched).toEqual([['AAPL', '3M']]);
+            expect(interaction.replyOptions.embeds[0].toJSON().title).toBe('AAPL 3M');
+            expect(interaction.replyOptions.attachments).toEqual([]);
+            expect(buttons.find(button => button.disabled).custom_id).toBe('tf_3M_AAPL');
+
+            const [tracked] = tracking.getAllTrackedMessages();
+            expect(tracked.isEphemeral).toBe(true);
+            expect(tracked.cacheKeys[0]).toMatch(/^chart_AAPL_3M_/);
+        });
+
+        test('should ignore unknown timeframes', async () => {
+            const interaction = await click('tf_2W_AAPL');
+
+            expect(stockService.fetched).toEqual([]);
+            expect(interaction.updateDeferred).toBeUndefined();
+        });
+
+        test('should keep the current chart when a timeframe fails', async () => {
+            const interaction = await click('tf_5Y_AAPL');
+
+            expect(interaction.replyOptions).toBeUndefined();
+            expect(interaction.followUpOptions.ephemeral).toBe(true);
+            expect(interaction.followUpOptions.embeds[0].toJSON().title).toBe('❌ Error: AAPL 5Y');
+        });
+    });
+});
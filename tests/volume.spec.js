@@ -0,0 +1,169 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChartService = require('../src/services/chartService');
+const GuildSettingsService = require('../src/services/guildSettingsService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const MessageHandler = require('../src/handlers/messageHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const ChannelProfileCommand = require('../src/commands/channelProfileCommand');
+const { relativeVolume } = require('../src/utils/indicators');
+const { formatVolume } = require('../src/utils/number-format');
+const { MockUser, MockChannel, MockInteraction, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+const GUILD_ID = 'guild_123';
+
+// 21 daily bars alternating up and down days, the last one trading three times the usual volume
+const VOLUME_CLOSES = Array.from({ length: 21 }, (_, i) => 100 + (i % 2 === 0 ? 1 : -1));
+const createVolumeData = (overrides = {}) => createStockData({
+    closes: VOLUME_CLOSES,
+    opens: VOLUME_CLOSES.map(() => 100),
+    highs: VOLUME_CLOSES.map(close => close + 1),
+    lows: VOLUME_CLOSES.map(close => close - 2),
+    volumes: VOLUME_CLOSES.map((_, i) => i === 20 ? 3000000 : 1000000),
+    interval: '1d',
+    ...overrides
+});
+
+const fieldsOf = (embed) => embed.toJSON().fields || [];
+
+test.describe('Volume', () => {
+    test.describe('Calculations', () => {
+        test('should compare the last bar with the average of the bars before it', () => {
+            expect(relativeVolume([...new Array(20).fill(100), 250])).toEqual({ ratio: 2.5, average: 100 });
+            // Shorter series use what they have, down to 10 bars
+            expect(relativeVolume([...new Array(10).fill(100), 50])).toEqual({ ratio: 0.5, average: 100 });
+            expect(relativeVolume([...new Array(9).fill(100), 50])).toBeNull();
+            expect(relativeVolume(new Array(21).fill(0))).toBeNull();
+            expect(relativeVolume(undefined)).toBeNull();
+        });
+
+        test('should format volumes compactly', () => {
+            expect(formatVolume(950)).toBe('950');
+            expect(formatVolume(12500)).toBe('12.5K');
+            expect(formatVolume(3400000)).toBe('3.40M');
+            expect(formatVolume(125000000)).toBe('125M');
+            expect(formatVolume(1200000000)).toBe('1.20B');
+        });
+    });
+
+    test.describe('Charts', () => {
+        const chartService = new ChartService(null);
+
+        test('should draw volume bars colored by up and down days with an average line', () => {
+            const stockData = createVolumeData();
+            const layout = chartService.getIndicatorLayout(stockData, {}, chartService.getChartHeight(stockData));
+            const [bars, average] = layout.traces;
+
+            expect(chartService.getChartHeight(stockData)).toBe(500);
+            expect(layout.axes.yaxis3.title.text).toBe('Volume');
+            expect(bars).toMatchObject({ type: 'bar', yaxis: 'y3', y: stockData.volumes });
+            expect(bars.marker.color.slice(0, 2)).toEqual(['rgba(0, 255, 136, 0.6)', 'rgba(255, 68, 68, 0.6)']);
+            expect(average.name).toBe('Avg 20');
+            expect(average.y[18]).toBeNull();
+            expect(average.y[19]).toBe(1000000);
+            expect(layout.xAnchor).toBe('y3');
+        });
+
+        test('should put volume directly under the price, above indicator panels', () => {
+            const stockData = createVolumeData();
+            const layout = chartService.getIndicatorLayout(stockData, { indicators: ['rsi'] }, 630);
+
+            expect(layout.axes.yaxis3.title.text).toBe('Volume');
+            expect(layout.axes.yaxis4.title.text).toBe('RSI');
+            expect(layout.axes.yaxis3.domain[0]).toBeGreaterThan(layout.axes.yaxis4.domain[1]);
+            expect(layout.xAnchor).toBe('y4');
+        });
+
+        test('should leave volume out when it is off or missing', () => {
+            expect(chartService.getPanels(createVolumeData(), { volume: false })).toEqual([]);
+            expect(chartService.getPanels(createVolumeData({ volumes: undefined }))).toEqual([]);
+            expect(chartService.getPanels(createVolumeData({ volumes: new Array(21).fill(0) }))).toEqual([]);
+            expect(chartService.getChartCacheKey('AAPL', '1M', null, { volume: false })).toMatch(/^chart_AAPL_novol_\d{4}-\d{2}-\d{2}$/);
+            expect(chartService.getChartCacheKey('AAPL', '1M', null, { volume: true })).toMatch(/^chart_AAPL_\d{4}-\d{2}-\d{2}$/);
+        });
+
+        test('should show relative volume in the embed for daily bars', () => {
+            const fields = fieldsOf(chartService.createStockEmbed(createVolumeData()));
+
+            expect(fields).toEqual([{ name: 'Rel. Volume', value: '3.00x (avg 1.00M)', inline: true }]);
+            expect(fieldsOf(chartService.createStockEmbed(createVolumeData(), { volume: false }))).toEqual([]);
+            expect(fieldsOf(chartService.createStockEmbed(createVolumeData({ timeframe: '5D', interval: '30m' })))).toEqual([]);
+        });
+    });
+
+    test.describe('Guild Control', () => {
+        let tempDir;
+        let guildSettings;
+        let rendered;
+        let stockService;
+        let chartService;
+
+        test.beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-'));
+            guildSettings = new GuildSettingsService(null, path.join(tempDir, 'guild-settings.json'));
+            rendered = [];
+            stockService = new MockStockService({ createData: ticker => createVolumeData({ symbol: ticker }) });
+            chartService = new ChartService(stockService);
+            chartService.renderChartImage = async (html, width, height) => {
+                rendered.push(height);
+                return Buffer.from('png');
+            };
+        });
+
+        test.afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should turn volume off server-wide with /channelprofile', async () => {
+            const commandHandler = new CommandHandler([new ChannelProfileCommand(guildSettings)]);
+            const command = new MockCommandInteraction(new MockUser('admin_1', 'Admin'), 'channelprofile', { subcommand: 'default', volume: 'off' });
+            await commandHandler.handleCommand(command);
+
+            expect(command.replyOptions.content).toContain('volume off');
+            expect(guildSettings.getChannelProfile(GUILD_ID, 'channel_123').volume).toBe(false);
+        });
+
+        test('should chart without volume where the profile turns it off', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, null, { volume: false });
+            guildSettings.setChannelProfile(GUILD_ID, 'channel_volume', { volume: true });
+            const interactionHandler = new InteractionHandler(stockService, chartService, null, null, null, null, guildSettings);
+
+            // Different users, so the second click is not a rapid duplicate
+            const click = async (channelId, userId) => {
+                const interaction = new MockInteraction(new MockUser(userId, 'Trader'), 'stock_AAPL', new MockChannel(channelId, 'general'));
+                interaction.guildId = GUILD_ID;
+                interaction.createdTimestamp = Date.now();
+                interaction.isRepliable = () => true;
+                interaction.isCommand = () => false;
+                interaction.editReply = async (options) => {
+                    interaction.replyOptions = options;
+                    return { id: `reply_${channelId}` };
+                };
+                await interactionHandler.handleInteraction(interaction);
+                return interaction;
+            };
+
+            const quiet = await click('channel_general', 'user_1');
+            const loud = await click('channel_volume', 'user_2');
+
+            expect(rendered).toEqual([400, 500]);
+            expect(fieldsOf(quiet.replyOptions.embeds[0])).toEqual([]);
+            expect(fieldsOf(loud.replyOptions.embeds[0]).map(field => field.name)).toEqual(['Rel. Volume']);
+        });
+
+        test('should apply the profile to inline charts', async () => {
+            guildSettings.setChannelProfile(GUILD_ID, null, { volume: false });
+            const messageHandler = new MessageHandler(null, null, guildSettings, null, null, null, stockService, chartService);
+            const profile = guildSettings.getChannelProfile(GUILD_ID, 'channel_123');
+
+            const { cacheKeys } = await messageHandler.renderCharts(['AAPL'], 'channel_123', 'user_1', 'Trader', { volume: profile.volume });
+
+            expect(rendered).toEqual([400]);
+            expect(cacheKeys[0]).toMatch(/^chart_AAPL_novol_/);
+        });
+    });
+});
@@ -0,0 +1,289 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const ChartService = require('../src/services/chartService');
+const MessageTrackingService = require('../src/services/messageTrackingService');
+const WatchlistService = require('../src/services/watchlistService');
+const InteractionHandler = require('../src/handlers/interactionHandler');
+const CommandHandler = require('../src/handlers/commandHandler');
+const WatchlistCommand = require('../src/commands/watchlistCommand');
+const { WATCHLIST_SCOPES } = require('../src/services/watchlistService');
+const { MockUser, MockChannel, MockInteraction, MockCommandInteraction } = require('./mocks/discord-mock');
+const { MockStockService } = require('./mocks/services');
+const { createStockData } = require('./fixtures/stock-data');
+
+const { USER, GUILD } = WATCHLIST_SCOPES;
+
+// Extract the Plotly.newPlot(...) arguments from generated HTML
+const parsePlot = (html) => {
+    const [, traces, layout] = html.match(/Plotly\.newPlot\('chart', (\[.*\]), (\{.*\}), config\)/);
+    return { traces: JSON.parse(traces), layout: JSON.parse(layout) };
+};
+
+const customIdsOf = (rows) => rows.flatMap(row => row.toJSON().components.map(component => component.custom_id));
+
+test.describe('Watchlists', () => {
+    let tempDir;
+    let filePath;
+    let watchlists;
+
+    test.beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+        filePath = path.join(tempDir, 'watchlists.json');
+        watchlists = new WatchlistService(null, filePath);
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test.describe('Storage', () => {
+        test('should keep tickers in the order they were added and skip duplicates', () => {
+            watchlists.addTickers(USER, 'user_1', ['AAPL', 'crypto:BTC-USD']);
+            const result = watchlists.addTickers(USER, 'user_1', ['MSFT', 'AAPL']);
+
+            expect(result).toEqual({ added: ['MSFT'], existing: ['AAPL'], rejected: [], tickers: ['AAPL', 'crypto:BTC-USD', 'MSFT'] });
+            expect(watchlists.hasTicker(USER, 'user_1', 'crypto:BTC-USD')).toBe(true);
+            expect(() => watchlists.addTickers(USER, 'user_1', ['not a ticker'])).toThrow('Invalid ticker');
+        });
+
+        test('should keep user and server lists apart and persist them', () => {
+            watchlists.addTickers(USER, 'user_1', ['AAPL']);
+            watchlists.addTickers(USER, 'user_2', ['TSLA']);
+            watchlists.addTickers(GUILD, 'guild_123', ['SPY', 'QQQ']);
+
+            const reloaded = new WatchlistService(null, filePath);
+            expect(reloaded.getTickers(USER, 'user_1')).toEqual(['AAPL']);
+            expect(reloaded.getTickers(USER, 'user_2')).toEqual(['TSLA']);
+            expect(reloaded.getTickers(GUILD, 'guild_123')).toEqual(['SPY', 'QQQ']);
+            expect(reloaded.getTickers(GUILD, 'guild_999')).toEqual([]);
+            expect(() => reloaded.getTickers('channel', 'channel_1')).toThrow('Invalid watchlist scope');
+        });
+
+        test('should cap the list size', () => {
+            const tickers = Array.from({ length: 18 }, (_, i) => `T${String.fromCharCode(65 + i)}`);
+            const result = watchlists.addTickers(USER, 'user_1', tickers);
+
+            expect(result.added).toHaveLength(16);
+            expect(result.rejected).toEqual(['TQ', 'TR']);
+            expect(() => watchlists.toggleTicker(USER, 'user_1', 'AAPL')).toThrow('Watchlist is full (16 tickers)');
+        });
+
+        test('should remove tickers and drop empty lists', () => {
+            watchlists.addTickers(USER, 'user_1', ['AAPL', 'MSFT']);
+
+            expect(watchlists.removeTickers(USER, 'user_1', ['MSFT', 'NVDA'])).toEqual({ removed: ['MSFT'], missing: ['NVDA'], tickers: ['AAPL'] });
+            expect(watchlists.toggleTicker(USER, 'user_1', 'AAPL')).toBe(false);
+            expect(watchlists.toggleTicker(USER, 'user_1', 'TSLA')).toBe(true);
+            watchlists.removeTickers(USER, 'user_1', ['TSLA']);
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({});
+        });
+    });
+
+    test.describe('Sparklines', () => {
+        const chartService = new ChartService(null);
+
+        test('should draw one bare line per ticker, colored by its change', () => {
+            const html = chartService.generateSparklineGridHTML([
+                createStockData({ symbol: 'AAPL' }),
+                createStockData({ symbol: 'TSLA', closes: [200, 190, 195, 180] }),
+                createStockData({ symbol: '^GSPC', closes: [4000, 4010, 4020, 4030], displayName: 'SPX' })
+            ], 1, 3, 660, 90);
+            const { traces, layout } = parsePlot(html);
+
+            expect(traces.map(trace => [trace.mode, trace.xaxis, trace.line.color])).toEqual([
+                ['lines', 'x', '#00ff88'],
+                ['lines', 'x2', '#ff4444'],
+                ['lines', 'x3', '#00ff88']
+            ]);
+            expect(layout.xaxis2.visible).toBe(false);
+            expect(layout.yaxis3.visible).toBe(false);
+            expect(layout.annotations.map(annotation => annotation.text)).toEqual([
+                '<b>AAPL</b> +1.96%',
+                '<b>TSLA</b> -10.00%',
+                '<b>SPX</b> +0.75%'
+            ]);
+            expect(() => new Function(html.split('<script>')[1].split('</script>')[0])).not.toThrow();
+        });
+
+        test('should lay sparklines out four to a row', async () => {
+            const sizes = [];
+            const service = new ChartService(null);
+            service.renderChartImage = async (html, width, height) => {
+                sizes.push([width, height]);
+                return Buffer.from('png');
+            };
+
+            await service.generateSparklineGrid(['A', 'B', 'C', 'D', 'E'].map(symbol => createStockData({ symbol })));
+            await service.generateSparklineGrid([createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'MSFT' })]);
+            // Cached per ticker list
+            await service.generateSparklineGrid([createStockData({ symbol: 'AAPL' }), createStockData({ symbol: 'MSFT' })]);
+
+            expect(sizes).toEqual([[880, 180], [440, 90]]);
+            expect(service.getSparklineCacheKey(['AAPL', 'MSFT'])).toMatch(/^chart_sparklines_AAPL\+MSFT_\d{4}-\d{2}-\d{2}$/);
+        });
+
+        test('should list prices in an aligned table', () => {
+            const embed = chartService.createWatchlistEmbed('Your Watchlist', [
+                createStockData({ symbol: 'AAPL' }),
+                createStockData({ symbol: 'GOOGL', closes: [150, 140, 160, 140] })
+            ], ['Could not load: NVDA']).toJSON();
+
+            expect(embed.title).toBe('⭐ Your Watchlist');
+            expect(embed.description).toBe('```\nAAPL   $104.00   +2.97%\nGOOGL  $140.00  -12.50%\n```');
+            expect(embed.footer.text).toBe('Could not load: NVDA');
+            expect(embed.image.url).toBe('attachment://watchlist.png');
+        });
+    });
+
+    test.describe('/watchlist Command', () => {
+        let tracking;
+        let stockService;
+        let rendered;
+        let commandHandler;
+        let user;
+
+        const run = async (subcommand, options = {}, { manager = false } = {}) => {
+            const interaction = new MockCommandInteraction(user, 'watchlist', { subcommand, ...options });
+            interaction.memberPermissions = { has: permission => manager && permission === PermissionFlagsBits.ManageGuild };
+            await commandHandler.handleCommand(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            tracking = new MessageTrackingService();
+            rendered = [];
+            stockService = new MockStockService({ failing: ['NVDA'] });
+            const chartService = new ChartService(stockService);
+            chartService.renderChartImage = async (html) => {
+                rendered.push(html);
+                return Buffer.from('png');
+            };
+
+            commandHandler = new CommandHandler([new WatchlistCommand(watchlists, stockService, chartService, null, tracking)]);
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should add, list and remove tickers on your own list', async () => {
+            const added = await run('add', { tickers: 'AAPL, btc-usd 42' });
+            expect(added.replyOptions).toEqual({
+                content: '⭐ Added AAPL, BTC-USD to your watchlist.\nNot tickers: 42.',
+                ephemeral: true
+            });
+
+            const again = await run('add', { tickers: 'AAPL MSFT' });
+            expect(again.replyOptions.content).toBe('⭐ Added MSFT to your watchlist.\nAlready on your watchlist: AAPL.');
+
+            expect((await run('list')).replyOptions.content).toBe('⭐ Your Watchlist (3): AAPL, BTC-USD, MSFT');
+
+            const removed = await run('remove', { tickers: 'MSFT TSLA' });
+            expect(removed.replyOptions.content).toBe('🗑️ Removed MSFT from your watchlist.\nNot on your watchlist: TSLA.');
+            expect(watchlists.getTickers(USER, 'user_1')).toEqual(['AAPL', 'crypto:BTC-USD']);
+        });
+
+        test('should let only server managers change the shared list', async () => {
+            const denied = await run('add', { tickers: 'SPY', shared: true });
+            expect(denied.replyOptions.content).toBe('❌ Only members who can manage the server can change the server watchlist');
+
+            await run('add', { tickers: 'SPY', shared: true }, { manager: true });
+            expect(watchlists.getTickers(GUILD, 'guild_123')).toEqual(['SPY']);
+            expect(watchlists.getTickers(USER, 'user_1')).toEqual([]);
+
+            expect((await run('list', { shared: true })).replyOptions.content).toBe('⭐ Server Watchlist (1): SPY');
+        });
+
+        test('should explain how to fill an empty list', async () => {
+            expect((await run('list')).replyOptions.content).toContain('Your watchlist is empty');
+            expect((await run('show', { shared: true })).replyOptions.content).toContain('The server watchlist is empty');
+            expect(stockService.fetched).toEqual([]);
+        });
+
+        test('should show a price table and sparklines', async () => {
+            watchlists.addTickers(USER, 'user_1', ['AAPL', 'NVDA', 'MSFT']);
+
+            const interaction = await run('show');
+            const embed = interaction.replyOptions.embeds[0].toJSON();
+
+            expect(stockService.getFetchedTickers()).toEqual(['AAPL', 'NVDA', 'MSFT']);
+            expect(interaction.ephemeral).toBe(true);
+            expect(parsePlot(rendered[0]).traces.map(trace => trace.name)).toEqual(['AAPL', 'MSFT']);
+            expect(embed.description).toBe('```\nAAPL  $104.00  +2.97%\nMSFT  $104.00  +2.97%\n```');
+            expect(embed.footer.text).toBe('Could not load: NVDA');
+            expect(interaction.replyOptions.files[0].name).toBe('watchlist.png');
+            expect(tracking.getAllTrackedMessages()[0]).toMatchObject({ ticker: 'AAPL,MSFT', isEphemeral: true });
+        });
+
+        test('should post the shared list publicly on request', async () => {
+            watchlists.addTickers(GUILD, 'guild_123', ['SPY']);
+
+            const interaction = await run('show', { shared: true, public: true });
+
+            expect(interaction.ephemeral).toBe(false);
+            expect(interaction.replyOptions.embeds[0].toJSON().title).toBe('⭐ Server Watchlist');
+            expect(tracking.getAllTrackedMessages()[0].isEphemeral).toBe(false);
+        });
+    });
+
+    test.describe('Watch Button', () => {
+        let interactionHandler;
+        let user;
+
+        const click = async (customId, components) => {
+            const interaction = new MockInteraction(user, customId, new MockChannel('channel_123', 'general'));
+            interaction.isButton = () => true;
+            interaction.message = { author: new MockUser('bot', 'TestBot', true), components };
+            interaction.update = async (options) => {
+                interaction.updateOptions = options;
+            };
+            await interactionHandler.handleInteraction(interaction);
+            return interaction;
+        };
+
+        test.beforeEach(() => {
+            const stockService = new MockStockService();
+            const chartService = new ChartService(stockService);
+            chartService.generateChart = async () => Buffer.from('png');
+            interactionHandler = new InteractionHandler(stockService, chartService, null, null, null, null, null, watchlists);
+            user = new MockUser('user_1', 'Trader');
+        });
+
+        test('should sit after the Quote button and show whether the ticker is watched', async () => {
+            const buttons = interactionHandler.createChartComponents('AAPL', '1M')[3].toJSON().components;
+            expect(buttons[4]).toMatchObject({ custom_id: 'watch_AAPL', label: '⭐ Watch' });
+
+            watchlists.addTickers(USER, 'user_1', ['AAPL']);
+            const { reply } = await interactionHandler.buildChartReply('AAPL', '1M', { user, channel: { id: 'channel_123' } });
+            expect(reply.components[3].toJSON().components[4]).toMatchObject({ label: '⭐ Watching', style: 3 });
+        });
+
+        test('should toggle the ticker on your list and update only its button', async () => {
+            const components = interactionHandler.createChartComponents('crypto:ETH-USD', '3M', { indicators: ['rsi'] });
+
+            const added = await click('watch_crypto:ETH-USD', components);
+            expect(watchlists.getTickers(USER, 'user_1')).toEqual(['crypto:ETH-USD']);
+            expect(customIdsOf(added.updateOptions.components)).toEqual(customIdsOf(components));
+            const updated = added.updateOptions.components.flatMap(row => row.toJSON().components);
+            expect(updated.find(button => button.custom_id === 'watch_crypto:ETH-USD').label).toBe('⭐ Watching');
+            expect(updated.find(button => button.custom_id === 'tf_3M_crypto:ETH-USD').disabled).toBe(true);
+            expect(updated.find(button => button.custom_id === 'ind_rsi_crypto:ETH-USD').style).toBe(3);
+
+            const removed = await click('watch_crypto:ETH-USD', added.updateOptions.components);
+            expect(watchlists.getTickers(USER, 'user_1')).toEqual([]);
+            expect(customIdsOf(removed.updateOptions.components)).toContain('watch_crypto:ETH-USD');
+        });
+
+        test('should say so when the list is full', async () => {
+            watchlists.addTickers(USER, 'user_1', Array.from({ length: 16 }, (_, i) => `T${String.fromCharCode(65 + i)}`));
+
+            const interaction = await click('watch_AAPL', interactionHandler.createChartComponents('AAPL', '1M'));
+
+            expect(interaction.updateOptions).toBeUndefined();
+            expect(interaction.replyOptions).toEqual({
+                content: '❌ Could not update your watchlist for AAPL: Watchlist is full (16 tickers)',
+                ephemeral: true
+            });
+        });
+    });
+});